@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Index Price Loader
+ * Backfills the index_prices table from Yahoo Finance or from a local CSV export.
+ * Total return (TRI) indices such as nifty50_tri have no Yahoo symbol and can only be loaded with --csv.
+ *
+ * Usage:
+ *   node scripts/load-index-prices.js --index nifty50 --from 2005-01-01 [--to 2024-12-31]
+ *   node scripts/load-index-prices.js --index nifty50 --csv ./data/NIFTY50.csv
+ *   node scripts/load-index-prices.js --index nifty50_tri --csv ./data/NIFTY50_TRI.csv
+ *   node scripts/load-index-prices.js --all --from 2005-01-01
+ */
+
+require('dotenv').config();
+const database = require('../src/database');
+const indexDataService = require('../src/services/indexDataService');
+const indexPriceLoader = require('../src/services/indexPriceLoader');
+
+function getArg(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function run(args) {
+  const csvPath = getArg(args, '--csv');
+  const from = getArg(args, '--from');
+  const to = getArg(args, '--to');
+  const indexKeys = args.includes('--all')
+    ? Object.keys(indexDataService.indexSymbols)
+    : [getArg(args, '--index')].filter(Boolean);
+
+  if (indexKeys.length === 0) {
+    throw new Error('Pass --index <key> or --all');
+  }
+
+  const unknown = indexKeys.filter(key => !indexDataService.indexCatalog[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown index: ${unknown.join(', ')}. Available: ${Object.keys(indexDataService.indexCatalog).join(', ')}`);
+  }
+
+  if (csvPath) {
+    if (indexKeys.length !== 1) {
+      throw new Error('--csv loads a single index; pass --index <key>');
+    }
+    const result = await indexPriceLoader.loadFromCsv(indexKeys[0], csvPath);
+    console.log(`✅ ${result.indexKey}: ${result.rows} rows from CSV (${result.from} to ${result.to})`);
+    return;
+  }
+
+  if (!from) {
+    throw new Error('Pass --from <YYYY-MM-DD> for a Yahoo backfill, or --csv <file>');
+  }
+
+  const csvOnly = indexKeys.filter(key => !indexDataService.indexSymbols[key]);
+  if (csvOnly.length > 0) {
+    throw new Error(`${csvOnly.join(', ')} can only be loaded from NSE CSV files; pass --csv <file>`);
+  }
+
+  for (const indexKey of indexKeys) {
+    try {
+      const result = await indexPriceLoader.loadFromYahoo(indexKey, { from, to });
+      console.log(`✅ ${result.indexKey}: ${result.rows} rows from Yahoo (${result.from} to ${result.to})`);
+    } catch (error) {
+      console.error(`❌ ${indexKey}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// CLI handling
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .catch(error => {
+      console.error('💥 Index price load failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => database.close());
+}
+
+module.exports = run;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Scheme Holdings Loader
+ * Loads a scheme's stock-level holdings from an AMC monthly portfolio disclosure (CSV or XLSX) into
+ * scheme_holdings. AMC workbooks usually carry one scheme per sheet; pick it with --sheet.
+ * The disclosure date is read from the "Portfolio as on ..." title rows unless --date is given.
+ *
+ * Usage:
+ *   node scripts/load-scheme-holdings.js --scheme 120503 --file ./data/portfolio-sep-2024.xlsx --sheet "Flexi Cap"
+ *   node scripts/load-scheme-holdings.js --scheme 120503 --file ./data/120503.csv --date 2024-09-30
+ */
+
+require('dotenv').config();
+const database = require('../src/database');
+const holdingsService = require('../src/services/holdingsService');
+const { parseDisclosureDate } = require('../src/utils/holdingsFile');
+
+function getArg(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function run(args) {
+  const schemeCode = getArg(args, '--scheme');
+  const filePath = getArg(args, '--file');
+  const sheet = getArg(args, '--sheet');
+  const dateArg = getArg(args, '--date');
+
+  if (!schemeCode || !/^\d{6}$/.test(schemeCode)) {
+    throw new Error('Pass --scheme <6-digit AMFI scheme code>');
+  }
+  if (!filePath) {
+    throw new Error('Pass --file <disclosure .csv or .xlsx>');
+  }
+
+  const disclosureDate = dateArg ? parseDisclosureDate(dateArg) : undefined;
+  if (dateArg && !disclosureDate) {
+    throw new Error(`Unrecognised --date ${dateArg}; use YYYY-MM-DD`);
+  }
+
+  const result = await holdingsService.loadFromFile(schemeCode, filePath, { disclosureDate, sheet });
+  console.log(`✅ ${result.schemeCode}: ${result.rows} holdings as on ${result.disclosureDate} (${result.totalWeight}% of NAV)`);
+}
+
+// CLI handling
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .catch(error => {
+      console.error('💥 Scheme holdings load failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => database.close());
+}
+
+module.exports = run;
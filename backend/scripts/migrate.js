@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Runner
+ * Applies versioned SQL migrations from database/migrations exactly once, tracking them in schema_migrations.
+ *
+ * Usage:
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js up [--to <version>]
+ *   node scripts/migrate.js down [--to <version>]   (without --to, rolls back the latest migration only)
+ *
+ * Up migrations are named NNN_description.sql, their rollbacks NNN_description.down.sql.
+ */
+
+const { Pool } = require('pg');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, '../../database/migrations');
+const UP_FILE_PATTERN = /^(\d+_[\w-]+)\.sql$/;
+// Arbitrary key so concurrent runs (e.g. two deploys) wait for each other instead of racing
+const MIGRATION_LOCK_KEY = 874210;
+
+class MigrationRunner {
+  constructor(options = {}) {
+    this.migrationsDir = options.migrationsDir || process.env.MIGRATIONS_DIR || DEFAULT_MIGRATIONS_DIR;
+    this.ownsPool = !options.pool;
+    this.pool = options.pool || new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+  }
+
+  checksum(sql) {
+    return crypto.createHash('sha256').update(sql).digest('hex');
+  }
+
+  // Read migration files from disk, sorted by version
+  loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir);
+
+    return files
+      .filter(file => UP_FILE_PATTERN.test(file))
+      .sort()
+      .map(file => {
+        const version = file.match(UP_FILE_PATTERN)[1];
+        const sql = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+        const downFile = `${version}.down.sql`;
+
+        return {
+          version,
+          file,
+          sql,
+          checksum: this.checksum(sql),
+          downFile: files.includes(downFile) ? downFile : null
+        };
+      });
+  }
+
+  // Create schema_migrations if needed and bring older copies (from 001_initial_schema) up to the current shape
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(100) PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('ALTER TABLE schema_migrations ALTER COLUMN version TYPE VARCHAR(100)');
+    await client.query('ALTER TABLE schema_migrations ADD COLUMN IF NOT EXISTS checksum VARCHAR(64)');
+    await client.query('ALTER TABLE schema_migrations ADD COLUMN IF NOT EXISTS execution_time_ms INTEGER');
+  }
+
+  async getAppliedMigrations(client) {
+    const result = await client.query(
+      'SELECT version, checksum, applied_at, execution_time_ms FROM schema_migrations ORDER BY version'
+    );
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  // Merge files on disk with the schema_migrations rows
+  async getStatus(client) {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations(client);
+
+    const entries = migrations.map(migration => {
+      const record = applied.get(migration.version);
+      let state = 'pending';
+
+      if (record) {
+        if (!record.checksum) {
+          state = 'applied (untracked checksum)';
+        } else if (record.checksum !== migration.checksum) {
+          state = 'modified';
+        } else {
+          state = 'applied';
+        }
+      }
+
+      return { ...migration, state, record };
+    });
+
+    // Versions recorded in the database whose files have been removed
+    for (const [version, record] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        entries.push({ version, file: null, downFile: null, state: 'missing file', record });
+      }
+    }
+
+    return entries.sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  async withLock(callback) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      await this.ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  async runInTransaction(client, callback) {
+    await client.query('BEGIN');
+    try {
+      const result = await callback();
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async status() {
+    return this.withLock(async (client) => {
+      const entries = await this.getStatus(client);
+
+      console.log('📋 Migration status:');
+      for (const entry of entries) {
+        const appliedAt = entry.record && entry.record.applied_at
+          ? new Date(entry.record.applied_at).toISOString()
+          : '-';
+        const rollback = entry.downFile ? 'down' : 'no down';
+        console.log(`   ${entry.version.padEnd(40)} ${entry.state.padEnd(30)} ${appliedAt.padEnd(26)} ${rollback}`);
+      }
+
+      const pending = entries.filter(entry => entry.state === 'pending').length;
+      console.log(`\n${entries.length} migration(s), ${pending} pending`);
+      return entries;
+    });
+  }
+
+  async up(options = {}) {
+    const { to = null } = options;
+
+    return this.withLock(async (client) => {
+      const entries = await this.getStatus(client);
+
+      const modified = entries.filter(entry => entry.state === 'modified');
+      if (modified.length > 0) {
+        throw new Error(
+          `Applied migrations have changed on disk: ${modified.map(entry => entry.file).join(', ')}. ` +
+          'Add a new migration instead of editing one that has already run.'
+        );
+      }
+
+      if (to && !entries.some(entry => entry.version === to)) {
+        throw new Error(`Unknown migration version: ${to}`);
+      }
+
+      // Rows written before checksums were tracked are trusted as-is and get their checksum recorded now
+      for (const entry of entries.filter(entry => entry.state === 'applied (untracked checksum)')) {
+        await client.query(
+          'UPDATE schema_migrations SET checksum = $1 WHERE version = $2',
+          [entry.checksum, entry.version]
+        );
+        console.log(`🔖 Recorded checksum for ${entry.version}`);
+      }
+
+      const pending = entries.filter(entry =>
+        entry.state === 'pending' && (!to || entry.version <= to)
+      );
+
+      if (pending.length === 0) {
+        console.log('✅ Database is up to date');
+        return [];
+      }
+
+      for (const migration of pending) {
+        console.log(`📄 Applying ${migration.file}`);
+        const start = Date.now();
+
+        await this.runInTransaction(client, async () => {
+          await client.query(migration.sql);
+          await client.query(
+            `INSERT INTO schema_migrations (version, checksum, applied_at, execution_time_ms)
+             VALUES ($1, $2, CURRENT_TIMESTAMP, $3)
+             ON CONFLICT (version)
+             DO UPDATE SET checksum = EXCLUDED.checksum,
+                           applied_at = EXCLUDED.applied_at,
+                           execution_time_ms = EXCLUDED.execution_time_ms`,
+            [migration.version, migration.checksum, Date.now() - start]
+          );
+        });
+
+        console.log(`✅ ${migration.version} applied in ${Date.now() - start}ms`);
+      }
+
+      return pending.map(migration => migration.version);
+    });
+  }
+
+  async down(options = {}) {
+    const { to = null } = options;
+
+    return this.withLock(async (client) => {
+      const entries = await this.getStatus(client);
+      const applied = entries.filter(entry => entry.record);
+
+      if (to && to !== '0' && !applied.some(entry => entry.version === to)) {
+        throw new Error(`Target version ${to} is not applied`);
+      }
+
+      // --to keeps the target applied and rolls back everything after it; --to 0 rolls back everything
+      const toRollback = to
+        ? applied.filter(entry => to === '0' || entry.version > to)
+        : applied.slice(-1);
+
+      if (toRollback.length === 0) {
+        console.log('✅ Nothing to roll back');
+        return [];
+      }
+
+      const missingDown = toRollback.filter(entry => !entry.downFile);
+      if (missingDown.length > 0) {
+        throw new Error(`No down migration for: ${missingDown.map(entry => entry.version).join(', ')}`);
+      }
+
+      for (const migration of toRollback.reverse()) {
+        console.log(`↩️  Rolling back ${migration.version}`);
+        const sql = fs.readFileSync(path.join(this.migrationsDir, migration.downFile), 'utf8');
+
+        await this.runInTransaction(client, async () => {
+          await client.query(sql);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+
+        console.log(`✅ ${migration.version} rolled back`);
+      }
+
+      return toRollback.map(migration => migration.version);
+    });
+  }
+
+  async close() {
+    if (this.ownsPool) {
+      await this.pool.end();
+    }
+  }
+}
+
+function parseArgs(args) {
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+  const toIndex = args.indexOf('--to');
+  const to = toIndex !== -1 ? args[toIndex + 1] : null;
+
+  if (toIndex !== -1 && !to) {
+    throw new Error('--to requires a migration version');
+  }
+
+  return { command, to };
+}
+
+// CLI handling
+if (require.main === module) {
+  const runner = new MigrationRunner();
+
+  (async () => {
+    try {
+      const { command, to } = parseArgs(process.argv.slice(2));
+
+      if (command === 'status') {
+        await runner.status();
+      } else if (command === 'up') {
+        await runner.up({ to });
+      } else if (command === 'down') {
+        await runner.down({ to });
+      } else {
+        throw new Error(`Unknown command "${command}". Use status, up or down.`);
+      }
+    } catch (error) {
+      console.error('💥 Migration failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await runner.close();
+    }
+  })();
+}
+
+module.exports = MigrationRunner;
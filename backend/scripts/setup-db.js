@@ -8,6 +8,7 @@
 const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const MigrationRunner = require('./migrate');
 require('dotenv').config();
 
 class DatabaseSetup {
@@ -33,20 +34,10 @@ class DatabaseSetup {
   async runMigrations() {
     try {
       console.log('🚀 Running database migrations...');
-      
-      const migrationsDir = path.join(__dirname, '../database/migrations');
-      const migrationFiles = fs.readdirSync(migrationsDir)
-        .filter(file => file.endsWith('.sql'))
-        .sort();
-
-      for (const file of migrationFiles) {
-        console.log(`📄 Running migration: ${file}`);
-        const migrationPath = path.join(migrationsDir, file);
-        const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
-        
-        await this.pool.query(migrationSQL);
-        console.log(`✅ Migration ${file} completed`);
-      }
+
+      // Only pending migrations are applied; see scripts/migrate.js
+      const runner = new MigrationRunner({ pool: this.pool });
+      await runner.up();
 
       console.log('✅ All migrations completed successfully');
     } catch (error) {
@@ -59,7 +50,7 @@ class DatabaseSetup {
     try {
       console.log('🌱 Seeding database with initial data...');
       
-      const seedPath = path.join(__dirname, '../database/seed_data.sql');
+      const seedPath = path.join(__dirname, '../../database/seed_data.sql');
       const seedSQL = fs.readFileSync(seedPath, 'utf8');
       
       await this.pool.query(seedSQL);
@@ -88,7 +79,8 @@ class DatabaseSetup {
       
       const expectedTables = [
         'schemes', 'nav_data', 'user_portfolios', 
-        'api_cache', 'app_logs', 'system_metrics', 'schema_migrations'
+        'api_cache', 'app_logs', 'system_metrics', 'schema_migrations',
+        'portfolios', 'portfolio_funds', 'portfolio_analysis', 'index_prices'
       ];
       
       const missingTables = expectedTables.filter(table => !tables.includes(table));
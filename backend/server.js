@@ -11,11 +11,14 @@ const logger = require('./src/utils/logger');
 const database = require('./src/database');
 const mfApiService = require('./src/services/mfApiService');
 const calculationService = require('./src/services/calculationService');
+const navIngestionService = require('./src/services/navIngestionService');
 const { errorHandler, notFoundHandler, handleUncaughtException, handleUnhandledRejection, asyncHandler } = require('./src/middleware/errorHandler');
 const { validateSearchFunds, validateSchemeCode, validateDateRange, validateComparePortfolios, sanitizeRequest } = require('./src/middleware/validation');
 const fundsRoutes = require('./src/routes/funds');
 const portfolioRoutes = require('./src/routes/portfolio');
 const indicesRoutes = require('./src/routes/indices');
+const adminRoutes = require('./src/routes/admin');
+const simulationRoutes = require('./src/routes/simulations');
 
 // Handle uncaught exceptions and rejections
 handleUncaughtException();
@@ -44,7 +47,7 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Admin-Key']
 }));
 
 // Body parsing
@@ -145,6 +148,8 @@ app.get('/ready', asyncHandler(async (req, res) => {
 app.use('/api', fundsRoutes);
 app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/indices', indicesRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api', simulationRoutes);
 
 
 
@@ -165,6 +170,26 @@ cron.schedule('0 2 * * *', async () => {
   }
 });
 
+// Nightly NAV ingestion into schemes / nav_data (AMFI publishes the day's NAVs late in the evening IST)
+cron.schedule(navIngestionService.schedule, async () => {
+  const databaseEnabled = process.env.ENABLE_DATABASE === 'true';
+  if (!databaseEnabled || process.env.NAV_INGESTION_ENABLED === 'false') {
+    logger.info('Skipping NAV ingestion - database or ingestion disabled');
+    return;
+  }
+
+  if (navIngestionService.isRunning()) {
+    logger.warn('Skipping scheduled NAV ingestion - previous run still in progress');
+    return;
+  }
+
+  try {
+    await navIngestionService.run({ trigger: 'schedule' });
+  } catch (error) {
+    logger.error('Scheduled NAV ingestion failed', error);
+  }
+}, { timezone: navIngestionService.timezone });
+
 // Error handling middleware (must be last)
 app.use(notFoundHandler);
 app.use(errorHandler);
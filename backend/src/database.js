@@ -38,6 +38,23 @@ class Database {
     return await this.pool.connect();
   }
 
+  // Run callback(client) inside BEGIN/COMMIT, rolling back if it throws
+  async transaction(callback) {
+    const client = await this.getClient();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Transaction rolled back', { error: error.message });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   async close() {
     await this.pool.end();
     logger.info('Database pool closed');
@@ -150,36 +167,88 @@ class Database {
     }
   }
 
-  // NAV data management
-  async insertNavData(navDataArray) {
-    const client = await this.getClient();
-    try {
-      await client.query('BEGIN');
-      
-      for (const navData of navDataArray) {
+  // Bulk upsert of the scheme master, batched into multi-row inserts
+  async upsertSchemes(schemes, batchSize = 500) {
+    // A single INSERT cannot touch the same scheme twice, so keep the last entry per code
+    const uniqueSchemes = Array.from(
+      new Map(schemes.map(scheme => [String(scheme.scheme_code), scheme])).values()
+    );
+
+    await this.transaction(async (client) => {
+      for (let i = 0; i < uniqueSchemes.length; i += batchSize) {
+        const batch = uniqueSchemes.slice(i, i + batchSize);
+        const params = [];
+        const rows = batch.map((scheme, index) => {
+          params.push(
+            String(scheme.scheme_code),
+            scheme.scheme_name,
+            scheme.scheme_category,
+            scheme.fund_house,
+            scheme.scheme_type
+          );
+          const offset = index * 5;
+          return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5})`;
+        });
+
         await client.query(
-          `INSERT INTO nav_data (scheme_code, nav_date, nav_value)
-           VALUES ($1, $2, $3)
-           ON CONFLICT (scheme_code, nav_date)
-           DO UPDATE SET nav_value = $3`,
-          [navData.scheme_code, navData.nav_date, navData.nav_value]
+          `INSERT INTO schemes (scheme_code, scheme_name, scheme_category, fund_house, scheme_type)
+           VALUES ${rows.join(', ')}
+           ON CONFLICT (scheme_code)
+           DO UPDATE SET
+             scheme_name = EXCLUDED.scheme_name,
+             scheme_category = EXCLUDED.scheme_category,
+             fund_house = EXCLUDED.fund_house,
+             scheme_type = EXCLUDED.scheme_type,
+             updated_at = CURRENT_TIMESTAMP`,
+          params
         );
       }
-      
-      await client.query('COMMIT');
-      logger.info(`Inserted ${navDataArray.length} NAV records`);
+    });
+
+    logger.info(`Upserted ${uniqueSchemes.length} schemes`);
+    return uniqueSchemes.length;
+  }
+
+  // NAV data management
+  async insertNavData(navDataArray, batchSize = 1000) {
+    const uniqueRows = Array.from(
+      new Map(navDataArray.map(row => [`${row.scheme_code}|${row.nav_date}`, row])).values()
+    );
+
+    try {
+      await this.transaction(async (client) => {
+        for (let i = 0; i < uniqueRows.length; i += batchSize) {
+          const batch = uniqueRows.slice(i, i + batchSize);
+          const params = [];
+          const rows = batch.map((navData, index) => {
+            params.push(navData.scheme_code, navData.nav_date, navData.nav_value);
+            const offset = index * 3;
+            return `($${offset + 1}, $${offset + 2}, $${offset + 3})`;
+          });
+
+          await client.query(
+            `INSERT INTO nav_data (scheme_code, nav_date, nav_value)
+             VALUES ${rows.join(', ')}
+             ON CONFLICT (scheme_code, nav_date)
+             DO UPDATE SET nav_value = EXCLUDED.nav_value`,
+            params
+          );
+        }
+      });
+
+      logger.info(`Inserted ${uniqueRows.length} NAV records`);
+      return uniqueRows.length;
     } catch (error) {
-      await client.query('ROLLBACK');
       logger.error('Error inserting NAV data', error);
       throw error;
-    } finally {
-      client.release();
     }
   }
 
+  // Dates come back as YYYY-MM-DD strings so they don't shift with the server timezone
   async getNavData(schemeCode, fromDate = null, toDate = null) {
     try {
-      let query = 'SELECT nav_date, nav_value FROM nav_data WHERE scheme_code = $1';
+      let query = `SELECT to_char(nav_date, 'YYYY-MM-DD') AS nav_date, nav_value
+                   FROM nav_data WHERE scheme_code = $1`;
       const params = [schemeCode];
 
       if (fromDate) {
@@ -201,6 +270,150 @@ class Database {
       throw error;
     }
   }
+
+  // Scheme row including its nav_data coverage, or null
+  async getScheme(schemeCode) {
+    const result = await this.query(
+      `SELECT scheme_code, scheme_name, scheme_category, fund_house, scheme_type,
+              to_char(nav_history_start, 'YYYY-MM-DD') AS nav_history_start,
+              to_char(nav_history_end, 'YYYY-MM-DD') AS nav_history_end,
+              nav_synced_at
+       FROM schemes WHERE scheme_code = $1`,
+      [schemeCode]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Record a sync against upstream. Coverage only starts once stored rows reach upstream's first NAV date.
+  async updateNavCoverage(schemeCode, upstreamStartDate) {
+    await this.query(
+      `UPDATE schemes s SET
+         nav_history_start = CASE WHEN c.min_date <= $2::date THEN $2::date ELSE NULL END,
+         nav_history_end = c.max_date,
+         nav_synced_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT MIN(nav_date) AS min_date, MAX(nav_date) AS max_date
+         FROM nav_data WHERE scheme_code = $1
+       ) c
+       WHERE s.scheme_code = $1`,
+      [schemeCode, upstreamStartDate]
+    );
+  }
+
+  // Index price history
+  async upsertIndexPrices(indexKey, prices, source = 'yahoo', batchSize = 1000) {
+    const uniqueRows = Array.from(new Map(prices.map(row => [row.date, row])).values());
+
+    await this.transaction(async (client) => {
+      for (let i = 0; i < uniqueRows.length; i += batchSize) {
+        const batch = uniqueRows.slice(i, i + batchSize);
+        const params = [];
+        const rows = batch.map((price, index) => {
+          params.push(indexKey, price.date, price.open, price.high, price.low, price.close, price.volume, source);
+          const offset = index * 8;
+          return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8})`;
+        });
+
+        await client.query(
+          `INSERT INTO index_prices (index_key, price_date, open, high, low, close, volume, source)
+           VALUES ${rows.join(', ')}
+           ON CONFLICT (index_key, price_date)
+           DO UPDATE SET
+             open = EXCLUDED.open,
+             high = EXCLUDED.high,
+             low = EXCLUDED.low,
+             close = EXCLUDED.close,
+             volume = EXCLUDED.volume,
+             source = EXCLUDED.source`,
+          params
+        );
+      }
+    });
+
+    logger.info(`Stored ${uniqueRows.length} index prices`, { indexKey, source });
+    return uniqueRows.length;
+  }
+
+  // Ascending by date, with dates as YYYY-MM-DD strings
+  async getIndexPrices(indexKey, fromDate, toDate) {
+    const result = await this.query(
+      `SELECT to_char(price_date, 'YYYY-MM-DD') AS price_date, open, high, low, close, volume, source
+       FROM index_prices
+       WHERE index_key = $1 AND price_date >= $2 AND price_date <= $3
+       ORDER BY price_date`,
+      [indexKey, fromDate, toDate]
+    );
+    return result.rows;
+  }
+
+  // Scheme holdings; a disclosure is a full snapshot, so loading one replaces the scheme's rows for that date
+  async replaceSchemeHoldings(schemeCode, disclosureDate, holdings, sourceFile = null, batchSize = 500) {
+    await this.transaction(async (client) => {
+      await client.query(
+        'DELETE FROM scheme_holdings WHERE scheme_code = $1 AND disclosure_date = $2',
+        [schemeCode, disclosureDate]
+      );
+
+      for (let i = 0; i < holdings.length; i += batchSize) {
+        const batch = holdings.slice(i, i + batchSize);
+        const params = [];
+        const rows = batch.map((holding, index) => {
+          params.push(
+            schemeCode, disclosureDate, holding.key, holding.isin, holding.name,
+            holding.sector, holding.quantity, holding.marketValue, holding.weight, sourceFile
+          );
+          const offset = index * 10;
+          return `(${Array.from({ length: 10 }, (_, n) => `$${offset + n + 1}`).join(', ')})`;
+        });
+
+        await client.query(
+          `INSERT INTO scheme_holdings
+             (scheme_code, disclosure_date, holding_key, isin, instrument_name, sector, quantity, market_value, weight, source_file)
+           VALUES ${rows.join(', ')}`,
+          params
+        );
+      }
+    });
+
+    logger.info(`Stored ${holdings.length} holdings`, { schemeCode, disclosureDate });
+    return holdings.length;
+  }
+
+  // Each scheme's most recent disclosure on or before asOfDate (default: latest), ordered by weight
+  async getLatestSchemeHoldings(schemeCodes, asOfDate = null) {
+    const result = await this.query(
+      `SELECT h.scheme_code, to_char(h.disclosure_date, 'YYYY-MM-DD') AS disclosure_date,
+              h.holding_key, h.isin, h.instrument_name, h.sector, h.weight
+       FROM scheme_holdings h
+       JOIN (
+         SELECT scheme_code, MAX(disclosure_date) AS disclosure_date
+         FROM scheme_holdings
+         WHERE scheme_code = ANY($1) AND ($2::date IS NULL OR disclosure_date <= $2::date)
+         GROUP BY scheme_code
+       ) latest ON latest.scheme_code = h.scheme_code AND latest.disclosure_date = h.disclosure_date
+       ORDER BY h.scheme_code, h.weight DESC`,
+      [schemeCodes, asOfDate]
+    );
+    return result.rows;
+  }
+
+  // Monitoring
+  async recordMetrics(metrics) {
+    if (metrics.length === 0) return;
+
+    const params = [];
+    const rows = metrics.map((metric, index) => {
+      params.push(metric.name, metric.value, metric.unit || null, JSON.stringify(metric.tags || {}));
+      const offset = index * 4;
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4})`;
+    });
+
+    await this.query(
+      `INSERT INTO system_metrics (metric_name, metric_value, metric_unit, tags)
+       VALUES ${rows.join(', ')}`,
+      params
+    );
+  }
 }
 
 // Create singleton instance
@@ -1,6 +1,70 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
 
+const benchmarkIndexSchema = Joi.string().valid(
+  'nifty50', 'sensex', 'nifty500', 'niftymidcap', 'niftysmallcap', 'niftybank', 'niftyit',
+  'nifty50_tri', 'nifty500_tri', 'niftymidcap_tri', 'niftysmallcap_tri', 'niftybank_tri', 'niftyit_tri'
+);
+
+const taxFundTypeSchema = Joi.string().valid('equity', 'debt', 'other');
+
+// Exit load (%) charged on units redeemed within `withinDays` of purchase; an empty list means no load
+const exitLoadSlabsSchema = Joi.array().items(
+  Joi.object({
+    withinDays: Joi.number().integer().min(1).max(3650).required(),
+    rate: Joi.number().min(0).max(10).required()
+  })
+).max(10).unique('withinDays');
+
+// Step-up (top-up) SIP: the installment grows by a percentage or a fixed amount every year in `month`
+// (default: the SIP's start month), never above `cap`
+const stepUpSchema = Joi.object({
+  type: Joi.string().valid('percentage', 'amount').required(),
+  value: Joi.when('type', {
+    is: 'percentage',
+    then: Joi.number().positive().max(100),
+    otherwise: Joi.number().positive().max(1000000)
+  }).required(),
+  month: Joi.number().integer().min(1).max(12).optional(),
+  cap: Joi.number().positive().optional()
+});
+
+const portfolioFundSchema = Joi.object({
+  schemeCode: Joi.string().pattern(/^\d{6}$/).required(),
+  name: Joi.string().optional(),
+  category: Joi.string().optional(),
+  investmentType: Joi.string().valid('sip', 'lumpsum').required(),
+  amount: Joi.number().positive().required(),
+  startDate: Joi.date().iso().required(),
+  sipDuration: Joi.number().integer().min(12).max(600).allow(null).optional(),
+  stepUp: stepUpSchema.allow(null).optional(),
+  allocation: Joi.number().min(0.01).max(100).optional()
+});
+
+// Rebalancing back-test settings shared by ad-hoc and saved portfolios. Strategies default to no
+// rebalancing, monthly/quarterly/annual calendars and a ±5 percentage-point band.
+const rebalanceOptions = {
+  amount: Joi.number().positive().max(10000000000).required(),
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().greater(Joi.ref('startDate')).optional(),
+  strategies: Joi.array().items(
+    Joi.object({
+      type: Joi.string().valid('none', 'calendar', 'band').required(),
+      frequency: Joi.when('type', {
+        is: 'calendar',
+        then: Joi.string().valid('monthly', 'quarterly', 'annual').required(),
+        otherwise: Joi.forbidden()
+      }),
+      threshold: Joi.when('type', {
+        is: 'band',
+        then: Joi.number().min(0.5).max(50).default(5),
+        otherwise: Joi.forbidden()
+      })
+    })
+  ).min(1).max(8).optional(),
+  taxSlabRate: Joi.number().min(0).max(50).default(30)
+};
+
 // Validation schemas
 const schemas = {
   searchFunds: Joi.object({
@@ -20,37 +84,265 @@ const schemas = {
     investmentType: Joi.string().valid('sip', 'lump').required(),
     amount: Joi.number().positive().max(10000000).required(),
     startDate: Joi.date().iso().required(),
-    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+    benchmarkIndex: benchmarkIndexSchema.optional(),
+    // SIP only: amount is the first installment
+    stepUp: stepUpSchema.optional(),
+    // Investor's income tax slab (%) for slab-rate gains; fund types override the category-based guess
+    taxSlabRate: Joi.number().min(0).max(50).default(30),
+    currentFundTaxType: taxFundTypeSchema.optional(),
+    comparisonFundTaxType: taxFundTypeSchema.optional()
   }),
 
   portfolioCreate: Joi.object({
     name: Joi.string().min(3).max(100).required(),
+    funds: Joi.array().items(portfolioFundSchema).min(1).max(20).required(),
+    benchmarkIndex: benchmarkIndexSchema.optional(),
+    userId: Joi.string().optional()
+  }),
+
+  portfolioUpdate: Joi.object({
+    name: Joi.string().min(3).max(100).optional(),
+    funds: Joi.array().items(portfolioFundSchema).min(1).max(20).optional(),
+    benchmarkIndex: benchmarkIndexSchema.optional()
+  }).min(1),
+
+  multiSipCalculation: Joi.object({
+    funds: Joi.array().items(
+      Joi.object({
+        schemeCode: Joi.string().pattern(/^\d{6}$/).required(),
+        allocation: Joi.number().min(0.01).max(100).required()
+      })
+    ).min(2).max(10).required(),
+    monthlyAmount: Joi.number().positive().max(1000000).required(),
+    duration: Joi.number().integer().min(12).max(600).required(), // 1-50 years
+    startDate: Joi.date().iso().required(),
+    // Applies to the total monthly amount; each fund steps up in proportion to its allocation
+    stepUp: stepUpSchema.optional()
+  }),
+
+  portfolioPerformance: Joi.object({
+    period: Joi.string().valid('1mo', '3mo', '6mo', '1y', '2y', '3y', '5y', '10y', 'max').default('1y'),
+    interval: Joi.string().valid('daily', 'weekly', 'monthly').optional()
+  }),
+
+  indexHistory: Joi.object({
+    period: Joi.string().valid('1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y').optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+  }).with('to', 'from').oxor('period', 'from'),
+
+  rollingReturns: Joi.object({
+    // Comma-separated window lengths in years and return thresholds in %, e.g. windows=1,3,5&thresholds=0,10
+    windows: Joi.string().pattern(/^\d{1,2}(,\d{1,2})*$/).default('1,3,5'),
+    thresholds: Joi.string().pattern(/^-?\d+(\.\d+)?(,-?\d+(\.\d+)?)*$/).default('0,8,12'),
+    frequency: Joi.string().valid('daily', 'weekly', 'monthly').default('weekly'),
+    benchmarkIndex: benchmarkIndexSchema.optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+  }),
+
+  fundRisk: Joi.object({
+    period: Joi.string().valid('1y', '3y', '5y', '10y', 'max').default('3y'),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    benchmarkIndex: benchmarkIndexSchema.default('nifty50'),
+    frequency: Joi.string().valid('daily', 'weekly', 'monthly').default('daily'),
+    riskFreeRate: Joi.number().min(0).max(20).optional()
+  }).with('to', 'from'),
+
+  portfolioRisk: Joi.object({
+    funds: Joi.array().items(
+      Joi.object({
+        schemeCode: Joi.string().pattern(/^\d{6}$/).required(),
+        name: Joi.string().optional(),
+        // Relative weight: an allocation % or an amount, normalised across the portfolio
+        allocation: Joi.number().positive().required()
+      })
+    ).min(1).max(20).unique('schemeCode').required(),
+    period: Joi.string().valid('1y', '3y', '5y', '10y', 'max').default('3y'),
+    frequency: Joi.string().valid('daily', 'weekly', 'monthly').default('weekly')
+  }),
+
+  portfolioOptimization: Joi.object({
+    // min/max bound each fund's weight in %; allocation (relative) is the current mix, shown for comparison
     funds: Joi.array().items(
       Joi.object({
         schemeCode: Joi.string().pattern(/^\d{6}$/).required(),
         name: Joi.string().optional(),
         category: Joi.string().optional(),
-        investmentType: Joi.string().valid('sip', 'lumpsum').required(),
-        amount: Joi.number().positive().required(),
-        startDate: Joi.date().iso().required(),
-        sipDuration: Joi.number().integer().min(12).max(600).optional(),
-        allocation: Joi.number().min(0.01).max(100).optional()
+        allocation: Joi.number().min(0).optional(),
+        min: Joi.number().min(0).max(100).default(0),
+        max: Joi.number().min(Joi.ref('min')).max(100).default(100)
       })
-    ).min(1).max(20).required(),
-    benchmarkIndex: Joi.string().valid('nifty50', 'sensex', 'nifty500', 'niftymidcap', 'niftysmallcap', 'niftybank', 'niftyit').optional(),
-    userId: Joi.string().optional()
+    ).min(2).max(20).unique('schemeCode').required(),
+    categoryCaps: Joi.array().items(
+      Joi.object({
+        category: Joi.string().required(),
+        max: Joi.number().min(0).max(100).required()
+      })
+    ).unique('category').default([]),
+    period: Joi.string().valid('1y', '3y', '5y', '10y', 'max').default('3y'),
+    frequency: Joi.string().valid('daily', 'weekly', 'monthly').default('weekly'),
+    riskFreeRate: Joi.number().min(0).max(20).optional(),
+    frontierPoints: Joi.number().integer().min(5).max(50).default(20)
   }),
 
-  multiSipCalculation: Joi.object({
+  rebalanceBacktest: Joi.object({
     funds: Joi.array().items(
       Joi.object({
         schemeCode: Joi.string().pattern(/^\d{6}$/).required(),
         allocation: Joi.number().min(0.01).max(100).required()
       })
-    ).min(2).max(10).required(),
-    monthlyAmount: Joi.number().positive().max(1000000).required(),
-    duration: Joi.number().integer().min(12).max(600).required(), // 1-50 years
-    startDate: Joi.date().iso().required()
+    ).min(2).max(20).unique('schemeCode').required(),
+    ...rebalanceOptions
+  }),
+
+  savedPortfolioRebalance: Joi.object(rebalanceOptions),
+
+  portfolioOverlap: Joi.object({
+    funds: Joi.array().items(
+      Joi.object({
+        schemeCode: Joi.string().pattern(/^\d{6}$/).required(),
+        name: Joi.string().optional(),
+        // Relative weight: an allocation % or an amount, normalised across the portfolio
+        allocation: Joi.number().positive().required()
+      })
+    ).min(2).max(20).unique('schemeCode').required(),
+    // Use the latest disclosure on or before this date instead of the latest overall
+    asOfDate: Joi.date().iso().optional()
+  }),
+
+  savedPortfolioOverlap: Joi.object({
+    asOfDate: Joi.date().iso().optional()
+  }),
+
+  portfolioProjection: Joi.object({
+    // What goes into each fund: a monthly SIP, a lumpsum at the start, or both
+    funds: Joi.array().items(
+      Joi.object({
+        schemeCode: Joi.string().pattern(/^\d{6}$/).required(),
+        name: Joi.string().optional(),
+        monthlyAmount: Joi.number().positive().max(10000000).optional(),
+        lumpsum: Joi.number().positive().max(10000000000).optional(),
+        installments: Joi.number().integer().min(1).max(480).optional(),
+        stepUp: stepUpSchema.allow(null).optional()
+      }).or('monthlyAmount', 'lumpsum')
+    ).min(1).max(10).unique('schemeCode').required(),
+    months: Joi.number().integer().min(12).max(480).required(),
+    targetAmount: Joi.number().positive().optional(),
+    simulations: Joi.number().integer().min(500).max(10000).default(5000),
+    blockSize: Joi.number().integer().min(1).max(36).default(12),
+    period: Joi.string().valid('3y', '5y', '10y', 'max').default('max'),
+    seed: Joi.number().integer().min(0).optional(),
+    startDate: Joi.date().iso().optional()
+  }),
+
+  switchAnalysis: Joi.object({
+    sourceFundCode: Joi.string().pattern(/^\d{6}$/).required(),
+    targetFundCode: Joi.string().pattern(/^\d{6}$/).invalid(Joi.ref('sourceFundCode')).required(),
+    // Existing purchases in the source fund: an amount invested or a number of units on each date
+    purchases: Joi.array().items(
+      Joi.object({
+        date: Joi.date().iso().required(),
+        amount: Joi.number().positive().optional(),
+        units: Joi.number().positive().optional()
+      }).xor('amount', 'units')
+    ).min(1).max(600).required(),
+    switchDate: Joi.date().iso().required(),
+    evaluationDate: Joi.date().iso().min(Joi.ref('switchDate')).optional(),
+    exitLoad: exitLoadSlabsSchema.optional(),
+    taxSlabRate: Joi.number().min(0).max(50).default(30),
+    sourceFundTaxType: taxFundTypeSchema.optional(),
+    targetFundTaxType: taxFundTypeSchema.optional(),
+    breakEvenYears: Joi.number().min(0.25).max(30).optional()
+  }),
+
+  swp: Joi.object({
+    // One scheme, or a portfolio split by allocation
+    schemeCode: Joi.string().pattern(/^\d{6}$/),
+    funds: Joi.array().items(
+      Joi.object({
+        schemeCode: Joi.string().pattern(/^\d{6}$/).required(),
+        allocation: Joi.number().min(0.01).max(100).required()
+      })
+    ).min(1).max(10).unique('schemeCode'),
+    corpus: Joi.number().positive().max(10000000000).required(),
+    startDate: Joi.date().iso().required(),
+    withdrawalStartDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+    frequency: Joi.string().valid('monthly', 'quarterly').default('monthly'),
+    withdrawal: Joi.object({
+      type: Joi.string().valid('fixed', 'percentage', 'inflation-indexed').required(),
+      // Rupees per withdrawal for fixed and inflation-indexed plans
+      amount: Joi.when('type', {
+        is: 'percentage',
+        then: Joi.forbidden(),
+        otherwise: Joi.number().positive().required()
+      }),
+      // Percentage of the corpus withdrawn per year
+      rate: Joi.when('type', {
+        is: 'percentage',
+        then: Joi.number().positive().max(100).required(),
+        otherwise: Joi.forbidden()
+      }),
+      inflationRate: Joi.when('type', {
+        is: 'inflation-indexed',
+        then: Joi.number().min(0).max(30).default(6),
+        otherwise: Joi.forbidden()
+      })
+    }).required(),
+    taxSlabRate: Joi.number().min(0).max(50).default(30)
+  }).xor('schemeCode', 'funds'),
+
+  stp: Joi.object({
+    sourceFundCode: Joi.string().pattern(/^\d{6}$/).required(),
+    targetFundCode: Joi.string().pattern(/^\d{6}$/).invalid(Joi.ref('sourceFundCode')).required(),
+    // Corpus parked in the source fund on the start date
+    amount: Joi.number().positive().max(10000000000).required(),
+    startDate: Joi.date().iso().required(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+    frequency: Joi.string().valid('weekly', 'monthly', 'quarterly').default('monthly'),
+    transfer: Joi.object({
+      type: Joi.string().valid('fixed', 'capital-appreciation').required(),
+      // Rupees moved per transfer for a fixed plan
+      amount: Joi.when('type', {
+        is: 'fixed',
+        then: Joi.number().positive().required(),
+        otherwise: Joi.forbidden()
+      })
+    }).required(),
+    taxSlabRate: Joi.number().min(0).max(50).default(30),
+    sourceFundTaxType: taxFundTypeSchema.optional(),
+    targetFundTaxType: taxFundTypeSchema.optional()
+  }),
+
+  goalPlan: Joi.object({
+    // Goal in today's money; it is inflated over the horizon
+    targetAmount: Joi.number().positive().max(10000000000).required(),
+    horizonYears: Joi.number().min(1).max(40).required(),
+    inflationRate: Joi.number().min(0).max(20).default(6),
+    schemeCode: Joi.string().pattern(/^\d{6}$/),
+    funds: Joi.array().items(
+      Joi.object({
+        schemeCode: Joi.string().pattern(/^\d{6}$/).required(),
+        allocation: Joi.number().min(0.01).max(100).required()
+      })
+    ).min(1).max(10).unique('schemeCode'),
+    stepUp: stepUpSchema.optional(),
+    // Annual return (%) to plan with instead of the funds' historical CAGR
+    expectedReturn: Joi.number().min(0).max(50).optional(),
+    startDate: Joi.date().iso().optional()
+  }).xor('schemeCode', 'funds'),
+
+  costSchedule: Joi.object({
+    name: Joi.string().max(200).optional(),
+    exitLoad: exitLoadSlabsSchema.required()
+  }),
+
+  navIngestionRun: Joi.object({
+    scope: Joi.string().valid('tracked', 'all').optional(),
+    schemeCodes: Joi.array().items(Joi.string().pattern(/^\d{6}$/)).min(1).max(500).unique().optional()
   })
 };
 
@@ -176,7 +468,25 @@ const sanitizeRequest = (req, res, next) => {
 
 // New validation middlewares for portfolio features
 const validatePortfolioCreate = validate(schemas.portfolioCreate, 'body');
+const validatePortfolioUpdate = validate(schemas.portfolioUpdate, 'body');
 const validateMultiSipCalculation = validate(schemas.multiSipCalculation, 'body');
+const validatePortfolioPerformance = validate(schemas.portfolioPerformance, 'query');
+const validateNavIngestionRun = validate(schemas.navIngestionRun, 'body');
+const validateIndexHistory = validate(schemas.indexHistory, 'query');
+const validateRollingReturns = validate(schemas.rollingReturns, 'query');
+const validateFundRisk = validate(schemas.fundRisk, 'query');
+const validatePortfolioRisk = validate(schemas.portfolioRisk, 'body');
+const validatePortfolioOptimization = validate(schemas.portfolioOptimization, 'body');
+const validatePortfolioProjection = validate(schemas.portfolioProjection, 'body');
+const validateRebalanceBacktest = validate(schemas.rebalanceBacktest, 'body');
+const validateSavedPortfolioRebalance = validate(schemas.savedPortfolioRebalance, 'body');
+const validatePortfolioOverlap = validate(schemas.portfolioOverlap, 'body');
+const validateSavedPortfolioOverlap = validate(schemas.savedPortfolioOverlap, 'query');
+const validateSwitchAnalysis = validate(schemas.switchAnalysis, 'body');
+const validateCostSchedule = validate(schemas.costSchedule, 'body');
+const validateSwp = validate(schemas.swp, 'body');
+const validateStp = validate(schemas.stp, 'body');
+const validateGoalPlan = validate(schemas.goalPlan, 'body');
 
 module.exports = {
   validate,
@@ -184,7 +494,25 @@ module.exports = {
   validateGetNavData,
   validateComparePortfolios,
   validatePortfolioCreate,
+  validatePortfolioUpdate,
   validateMultiSipCalculation,
+  validatePortfolioPerformance,
+  validateNavIngestionRun,
+  validateIndexHistory,
+  validateRollingReturns,
+  validateFundRisk,
+  validatePortfolioRisk,
+  validatePortfolioOptimization,
+  validatePortfolioProjection,
+  validateRebalanceBacktest,
+  validateSavedPortfolioRebalance,
+  validatePortfolioOverlap,
+  validateSavedPortfolioOverlap,
+  validateSwitchAnalysis,
+  validateCostSchedule,
+  validateSwp,
+  validateStp,
+  validateGoalPlan,
   validateSchemeCode,
   validateDateRange,
   sanitizeRequest,
@@ -0,0 +1,129 @@
+const express = require('express');
+const crypto = require('crypto');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateNavIngestionRun, validateSchemeCode, validateCostSchedule } = require('../middleware/validation');
+const navIngestionService = require('../services/navIngestionService');
+const costScheduleService = require('../services/costScheduleService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Admin endpoints require X-Admin-Key matching ADMIN_API_KEY; without a key they stay closed unless
+// ADMIN_API_OPEN=true opts a local development setup out of the check
+function requireAdminKey(req, res, next) {
+  const expectedKey = process.env.ADMIN_API_KEY;
+
+  if (!expectedKey) {
+    if (process.env.ADMIN_API_OPEN === 'true') {
+      return next();
+    }
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_API_KEY to enable admin endpoints'
+    });
+  }
+
+  // Compare byte lengths: a non-ASCII header can match in characters but not in UTF-8 bytes
+  const providedKey = Buffer.from(req.get('X-Admin-Key') || '');
+  const expected = Buffer.from(expectedKey);
+  const matches = providedKey.length === expected.length && crypto.timingSafeEqual(providedKey, expected);
+
+  if (!matches) {
+    logger.warn('Rejected admin request', { url: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Missing or invalid X-Admin-Key header'
+    });
+  }
+
+  next();
+}
+
+router.use(requireAdminKey);
+
+// NAV ingestion job status, including recent runs
+router.get('/nav-ingestion', asyncHandler(async (req, res) => {
+  const status = await navIngestionService.getStatus();
+
+  res.json({
+    success: true,
+    ...status,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Trigger an ingestion run; it continues in the background and can be polled via GET
+router.post('/nav-ingestion/run', validateNavIngestionRun, asyncHandler(async (req, res) => {
+  const { scope, schemeCodes } = req.body;
+
+  if (process.env.ENABLE_DATABASE !== 'true') {
+    return res.status(501).json({
+      success: false,
+      error: 'NAV ingestion requires database integration',
+      message: 'This feature is available when database is enabled'
+    });
+  }
+
+  if (navIngestionService.isRunning()) {
+    return res.status(409).json({
+      success: false,
+      error: 'NAV ingestion already running',
+      currentRun: navIngestionService.currentRun
+    });
+  }
+
+  logger.info('Manual NAV ingestion requested', { scope, schemeCount: schemeCodes?.length });
+
+  navIngestionService.run({ trigger: 'admin', scope, schemeCodes })
+    .catch(error => logger.error('Manual NAV ingestion failed', { error: error.message }));
+
+  res.status(202).json({
+    success: true,
+    message: 'NAV ingestion started',
+    currentRun: navIngestionService.currentRun
+  });
+}));
+
+// Stamp duty, default exit-load slabs per fund type and per-scheme overrides used by every simulation
+router.get('/cost-schedules', (req, res) => {
+  res.json({
+    success: true,
+    ...costScheduleService.listSchedules(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Effective schedule for one scheme (its override, or the default for fundType)
+router.get('/cost-schedules/:schemeCode', validateSchemeCode, (req, res) => {
+  const fundType = ['equity', 'debt', 'other'].includes(req.query.fundType) ? req.query.fundType : 'equity';
+
+  res.json({
+    success: true,
+    schedule: costScheduleService.getSchedule(req.params.schemeCode, fundType),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.put('/cost-schedules/:schemeCode', validateSchemeCode, validateCostSchedule, asyncHandler(async (req, res) => {
+  const schedule = await costScheduleService.setSchemeSchedule(req.params.schemeCode, req.body);
+
+  res.json({
+    success: true,
+    schedule,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+router.delete('/cost-schedules/:schemeCode', validateSchemeCode, asyncHandler(async (req, res) => {
+  await costScheduleService.deleteSchemeSchedule(req.params.schemeCode);
+
+  res.json({
+    success: true,
+    message: `Cost schedule for ${req.params.schemeCode} removed`,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -3,8 +3,19 @@ const router = express.Router();
 const mfApiService = require('../services/mfApiService');
 const calculationService = require('../services/calculationService');
 const indexDataService = require('../services/indexDataService');
+const analyticsService = require('../services/analyticsService');
+const riskService = require('../services/riskService');
+const taxService = require('../services/taxService');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { validateSearchFunds, validateSchemeCode, validateDateRange, validateComparePortfolios } = require('../middleware/validation');
+const {
+  validateSearchFunds,
+  validateSchemeCode,
+  validateDateRange,
+  validateComparePortfolios,
+  validateRollingReturns,
+  validateFundRisk
+} = require('../middleware/validation');
+const { toISODate } = require('../utils/dateUtils');
 const logger = require('../utils/logger');
 
 // Get all mutual funds with optional search
@@ -37,7 +48,8 @@ router.get('/funds/:schemeCode/nav',
     
     logger.info('Fetching NAV data', { schemeCode, from, to });
     
-    const navData = await mfApiService.getFundNavData(schemeCode);
+    // Date window is applied by the service (SQL-side when served from nav_data)
+    const navData = await mfApiService.getFundNavData(schemeCode, true, { from, to });
     
     if (!navData || !navData.data) {
       return res.status(404).json({
@@ -47,16 +59,7 @@ router.get('/funds/:schemeCode/nav',
       });
     }
     
-    // Filter by date range if provided
-    let filteredNavData = navData.data;
-    if (from || to) {
-      filteredNavData = navData.data.filter(item => {
-        const itemDate = new Date(item.date.split('-').reverse().join('-'));
-        const fromDate = from ? new Date(from) : new Date('1900-01-01');
-        const toDate = to ? new Date(to) : new Date();
-        return itemDate >= fromDate && itemDate <= toDate;
-      });
-    }
+    const filteredNavData = navData.data;
     
     const result = {
       fundName: navData.meta.scheme_name,
@@ -70,6 +73,9 @@ router.get('/funds/:schemeCode/nav',
         from: from || (filteredNavData.length > 0 ? filteredNavData[filteredNavData.length - 1].date : null),
         to: to || (filteredNavData.length > 0 ? filteredNavData[0].date : null)
       },
+      metadata: {
+        source: navData.source
+      },
       timestamp: new Date().toISOString()
     };
     
@@ -79,6 +85,74 @@ router.get('/funds/:schemeCode/nav',
   })
 );
 
+// Rolling CAGR series and distribution stats over 1Y/3Y/5Y (configurable) windows
+router.get('/funds/:schemeCode/rolling-returns',
+  validateSchemeCode,
+  validateRollingReturns,
+  asyncHandler(async (req, res) => {
+    const { schemeCode } = req.params;
+    const { windows, thresholds, frequency, benchmarkIndex, from, to } = req.query;
+
+    logger.info('Calculating rolling returns', { schemeCode, windows, frequency, benchmarkIndex });
+
+    const rollingReturns = await analyticsService.getRollingReturns(schemeCode, {
+      windows: [...new Set(windows.split(',').map(Number))].filter(years => years > 0).sort((a, b) => a - b),
+      thresholds: thresholds.split(',').map(Number),
+      frequency,
+      benchmarkIndex,
+      from: from ? toISODate(from) : null,
+      to: to ? toISODate(to) : null
+    });
+
+    if (!rollingReturns) {
+      return res.status(404).json({
+        error: 'Fund not found',
+        message: `No data found for scheme code ${schemeCode}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      ...rollingReturns,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+// Risk metrics from the fund's own NAV series, relative to benchmarkIndex where available
+router.get('/funds/:schemeCode/risk',
+  validateSchemeCode,
+  validateFundRisk,
+  asyncHandler(async (req, res) => {
+    const { schemeCode } = req.params;
+    const { period, from, to, benchmarkIndex, frequency, riskFreeRate } = req.query;
+
+    logger.info('Calculating fund risk metrics', { schemeCode, period, from, to, benchmarkIndex, frequency });
+
+    const risk = await riskService.getFundRisk(schemeCode, {
+      period,
+      from,
+      to,
+      benchmarkIndex,
+      frequency,
+      riskFreeRate
+    });
+
+    if (!risk) {
+      return res.status(404).json({
+        error: 'Fund not found',
+        message: `No data found for scheme code ${schemeCode}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      ...risk,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 // Compare two portfolios
 router.post('/compare',
   validateComparePortfolios,
@@ -90,7 +164,11 @@ router.post('/compare',
       amount,
       startDate,
       endDate,
-      benchmarkIndex = 'nifty50' // Default to Nifty 50 if not specified
+      benchmarkIndex = 'nifty50', // Default to Nifty 50 if not specified
+      stepUp,
+      taxSlabRate,
+      currentFundTaxType,
+      comparisonFundTaxType
     } = req.body;
     
     logger.info('Comparing portfolios', {
@@ -101,9 +179,10 @@ router.post('/compare',
     });
     
     // Fetch NAV data for both funds
+    const navRange = { from: startDate, to: endDate };
     const [currentFundData, comparisonFundData] = await Promise.all([
-      mfApiService.getFundNavData(currentFundCode),
-      mfApiService.getFundNavData(comparisonFundCode)
+      mfApiService.getFundNavData(currentFundCode, true, navRange),
+      mfApiService.getFundNavData(comparisonFundCode, true, navRange)
     ]);
     
     if (!currentFundData?.data || !comparisonFundData?.data) {
@@ -138,6 +217,10 @@ router.post('/compare',
     const currentFundFormatted = {
       fundName: currentFundData.meta.scheme_name,
       schemeCode: currentFundData.meta.scheme_code,
+      fundType: currentFundTaxType || taxService.resolveFundType({
+        schemeCategory: currentFundData.meta.scheme_category,
+        schemeName: currentFundData.meta.scheme_name
+      }),
       navData: currentNavFiltered.map(item => ({
         date: item.date.split('-').reverse().join('-'),
         nav: parseFloat(item.nav)
@@ -147,6 +230,10 @@ router.post('/compare',
     const comparisonFundFormatted = {
       fundName: comparisonFundData.meta.scheme_name,
       schemeCode: comparisonFundData.meta.scheme_code,
+      fundType: comparisonFundTaxType || taxService.resolveFundType({
+        schemeCategory: comparisonFundData.meta.scheme_category,
+        schemeName: comparisonFundData.meta.scheme_name
+      }),
       navData: comparisonNavFiltered.map(item => ({
         date: item.date.split('-').reverse().join('-'),
         nav: parseFloat(item.nav)
@@ -160,23 +247,25 @@ router.post('/compare',
       investmentType,
       amount,
       startDate,
-      endDate
+      endDate,
+      { slabRate: taxSlabRate, stepUp }
     );
     
     // Calculate index comparison for 3-way comparison
     let indexComparison = null;
     let indexData = null;
     try {
-      const period = calculatePeriodFromDates(startDate, endDate);
-      indexData = await indexDataService.getIndexHistoricalData(benchmarkIndex, period);
+      // Benchmark exactly the investment window
+      indexData = await indexDataService.getIndexHistoricalData(benchmarkIndex, { from: startDate, to: endDate });
       
       // Calculate index returns for the same investment
-      indexComparison = calculateIndexReturnsForPeriod(
+      indexComparison = indexDataService.calculateReturnsForPeriod(
         indexData, 
         startDate, 
         endDate, 
         investmentType, 
-        amount
+        amount,
+        stepUp
       );
       
       logger.info('Index comparison calculated', {
@@ -197,18 +286,25 @@ router.post('/compare',
       ...comparison,
       index: indexComparison ? {
         benchmarkIndex,
-        name: indexData?.symbol || benchmarkIndex,
+        name: indexData?.name || benchmarkIndex,
+        returnType: indexData?.returnType,
+        source: indexData?.source,
         ...indexComparison
       } : null,
       metadata: {
         calculatedAt: new Date().toISOString(),
         investmentType,
         amount,
+        stepUp: investmentType === 'sip' ? stepUp || null : null,
         dateRange: { startDate, endDate },
         dataPoints: {
           current: currentNavFiltered.length,
           comparison: comparisonNavFiltered.length
         },
+        navSources: {
+          current: currentFundData.source,
+          comparison: comparisonFundData.source
+        },
         includesIndexComparison: indexComparison !== null
       }
     };
@@ -260,102 +356,6 @@ router.get('/funds/:schemeCode',
   })
 );
 
-// Helper functions for index calculations
-function calculatePeriodFromDates(startDate, endDate) {
-  if (!startDate || !endDate) return '1y';
-  
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  const diffTime = Math.abs(end - start);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  
-  if (diffDays <= 7) return '1w';
-  if (diffDays <= 30) return '1mo';
-  if (diffDays <= 90) return '3mo';
-  if (diffDays <= 180) return '6mo';
-  if (diffDays <= 365) return '1y';
-  if (diffDays <= 730) return '2y';
-  return '5y';
-}
-
-function calculateIndexReturnsForPeriod(indexData, startDate, endDate, investmentType, amount) {
-  const data = indexData.data;
-  if (!data || data.length === 0) {
-    throw new Error('No index data available for calculation');
-  }
-
-  // Find start and end prices
-  const startPrice = findPriceForDate(data, startDate);
-  const endPrice = data[data.length - 1].close;
-
-  if (investmentType === 'lump') {
-    // Lump sum calculation
-    const units = amount / startPrice;
-    const currentValue = units * endPrice;
-    const absoluteReturn = currentValue - amount;
-    const returnPercentage = (absoluteReturn / amount) * 100;
-
-    const days = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
-    const years = days / 365;
-    const annualizedReturn = Math.pow(currentValue / amount, 1 / years) - 1;
-
-    return {
-      invested: amount,
-      currentValue: Math.round(currentValue),
-      absoluteReturn: Math.round(absoluteReturn),
-      returnPercentage: Math.round(returnPercentage * 100) / 100,
-      annualizedReturn: Math.round(annualizedReturn * 100 * 100) / 100,
-      units: Math.round(units * 1000) / 1000
-    };
-  } else {
-    // SIP calculation for index
-    let totalInvested = 0;
-    let totalUnits = 0;
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    let current = new Date(start);
-    while (current <= end) {
-      const monthPrice = findPriceForDate(data, current.toISOString().split('T')[0]);
-      if (monthPrice) {
-        totalUnits += amount / monthPrice;
-        totalInvested += amount;
-      }
-      current.setMonth(current.getMonth() + 1);
-    }
-
-    const currentValue = totalUnits * endPrice;
-    const absoluteReturn = currentValue - totalInvested;
-    const returnPercentage = (absoluteReturn / totalInvested) * 100;
-
-    return {
-      invested: totalInvested,
-      currentValue: Math.round(currentValue),
-      absoluteReturn: Math.round(absoluteReturn),
-      returnPercentage: Math.round(returnPercentage * 100) / 100,
-      units: Math.round(totalUnits * 1000) / 1000
-    };
-  }
-}
-
-function findPriceForDate(data, targetDate) {
-  const target = new Date(targetDate);
-  
-  // Find exact match or closest date
-  let closest = data[0];
-  let minDiff = Math.abs(new Date(data[0].date) - target);
-
-  for (const item of data) {
-    const diff = Math.abs(new Date(item.date) - target);
-    if (diff < minDiff) {
-      minDiff = diff;
-      closest = item;
-    }
-  }
-
-  return closest.close;
-}
-
 // API documentation endpoint
 router.get('/', (req, res) => {
   res.json({
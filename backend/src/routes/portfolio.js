@@ -1,7 +1,26 @@
 const express = require('express');
-const { asyncHandler } = require('../middleware/errorHandler');
-const { validatePortfolioCreate } = require('../middleware/validation');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const {
+  validatePortfolioCreate,
+  validatePortfolioUpdate,
+  validateMultiSipCalculation,
+  validatePortfolioPerformance,
+  validatePortfolioRisk,
+  validatePortfolioOptimization,
+  validatePortfolioProjection,
+  validateRebalanceBacktest,
+  validateSavedPortfolioRebalance,
+  validatePortfolioOverlap,
+  validateSavedPortfolioOverlap
+} = require('../middleware/validation');
 const portfolioDbService = require('../services/portfolioDbService');
+const calculationService = require('../services/calculationService');
+const portfolioRiskService = require('../services/portfolioRiskService');
+const portfolioOptimizerService = require('../services/portfolioOptimizerService');
+const monteCarloService = require('../services/monteCarloService');
+const rebalanceService = require('../services/rebalanceService');
+const holdingsService = require('../services/holdingsService');
+const mfApiService = require('../services/mfApiService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -28,6 +47,209 @@ router.post('/create', validatePortfolioCreate, asyncHandler(async (req, res) =>
   res.json(result);
 }));
 
+// Multi-fund SIP calculator backed by real NAV history
+router.post('/sip-calculator', validateMultiSipCalculation, asyncHandler(async (req, res) => {
+  const { funds, monthlyAmount, duration, startDate, stepUp } = req.body;
+
+  const totalAllocation = funds.reduce((sum, fund) => sum + fund.allocation, 0);
+  if (Math.abs(totalAllocation - 100) > 0.01) {
+    return res.status(400).json({
+      success: false,
+      error: 'Fund allocations must total 100%',
+      totalAllocation
+    });
+  }
+
+  const schemeCodes = funds.map(fund => fund.schemeCode);
+  if (new Set(schemeCodes).size !== schemeCodes.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Each fund can only appear once in the SIP'
+    });
+  }
+
+  logger.info('Calculating multi-fund SIP', {
+    fundCount: funds.length,
+    monthlyAmount,
+    duration
+  });
+
+  const navResponses = await Promise.all(
+    funds.map(fund => mfApiService.getFundNavData(fund.schemeCode))
+  );
+
+  const missingFunds = funds
+    .filter((fund, index) => !navResponses[index]?.data?.length)
+    .map(fund => fund.schemeCode);
+
+  if (missingFunds.length > 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Fund data not found',
+      schemeCodes: missingFunds
+    });
+  }
+
+  const fundsWithNav = funds.map((fund, index) => {
+    const schemeName = navResponses[index].meta?.scheme_name || fund.schemeCode;
+    return {
+      schemeCode: fund.schemeCode,
+      allocation: fund.allocation,
+      name: schemeName,
+      category: mfApiService.categorizeScheme(schemeName),
+      navData: mfApiService.formatNavHistory(navResponses[index].data)
+    };
+  });
+
+  const result = calculationService.calculateMultiFundSIP({
+    funds: fundsWithNav,
+    monthlyAmount,
+    duration,
+    startDate,
+    stepUp
+  });
+
+  if (result.summary.totalInvested === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Insufficient data',
+      message: 'No NAV data available for any installment in the selected SIP period'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...result,
+    metadata: {
+      startDate,
+      duration,
+      monthlyAmount,
+      stepUp: stepUp || null,
+      calculatedAt: new Date().toISOString()
+    }
+  });
+}));
+
+// Covariance-based volatility, per-fund risk contributions and the correlation matrix for a set of funds
+router.post('/risk', validatePortfolioRisk, asyncHandler(async (req, res) => {
+  const { funds, period, frequency } = req.body;
+
+  logger.info('Calculating portfolio covariance risk', { fundCount: funds.length, period, frequency });
+
+  const risk = await portfolioRiskService.calculatePortfolioRisk(
+    funds.map(fund => ({ schemeCode: fund.schemeCode, weight: fund.allocation, name: fund.name })),
+    { period, frequency }
+  );
+
+  res.json({
+    success: true,
+    ...risk,
+    metadata: {
+      period,
+      calculatedAt: new Date().toISOString()
+    }
+  });
+}));
+
+// Efficient frontier plus min-variance, max-Sharpe and risk-parity weights within per-fund and category limits
+router.post('/optimize', validatePortfolioOptimization, asyncHandler(async (req, res) => {
+  const { funds, ...options } = req.body;
+
+  logger.info('Optimising portfolio weights', {
+    fundCount: funds.length,
+    categoryCaps: options.categoryCaps.length,
+    period: options.period,
+    frequency: options.frequency
+  });
+
+  const optimization = await portfolioOptimizerService.optimize(funds, options);
+
+  res.json({
+    success: true,
+    ...optimization,
+    metadata: {
+      period: options.period,
+      calculatedAt: new Date().toISOString()
+    }
+  });
+}));
+
+// Percentile bands of future value from block-bootstrapped historical monthly returns
+router.post('/projection', validatePortfolioProjection, asyncHandler(async (req, res) => {
+  const { funds, ...options } = req.body;
+
+  logger.info('Running Monte Carlo projection', {
+    fundCount: funds.length,
+    months: options.months,
+    simulations: options.simulations,
+    blockSize: options.blockSize
+  });
+
+  const projection = await monteCarloService.project(funds, options);
+
+  res.json({
+    success: true,
+    ...projection,
+    metadata: {
+      period: options.period,
+      seed: options.seed ?? null,
+      calculatedAt: new Date().toISOString()
+    }
+  });
+}));
+
+// Drift versus calendar and band rebalancing over history, with exit load and tax on every rebalance trade
+router.post('/rebalance-backtest', validateRebalanceBacktest, asyncHandler(async (req, res) => {
+  const { funds, amount, startDate, strategies } = req.body;
+
+  logger.info('Back-testing rebalancing strategies', {
+    fundCount: funds.length,
+    amount,
+    startDate,
+    strategies: strategies?.length
+  });
+
+  const backtest = await rebalanceService.backtest(req.body);
+
+  res.json({
+    success: true,
+    ...backtest,
+    metadata: {
+      calculatedAt: new Date().toISOString()
+    }
+  });
+}));
+
+// Common holdings between each pair of funds, look-through top holdings and sector concentration,
+// from the funds' latest monthly portfolio disclosures
+router.post('/overlap', validatePortfolioOverlap, asyncHandler(async (req, res) => {
+  const { funds, asOfDate } = req.body;
+
+  logger.info('Analysing portfolio holdings overlap', { fundCount: funds.length, asOfDate });
+
+  try {
+    const overlap = await holdingsService.analyzeOverlap(funds, { asOfDate });
+
+    res.json({
+      success: true,
+      ...overlap,
+      metadata: {
+        calculatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Database not enabled')) {
+      return res.status(501).json({
+        success: false,
+        error: 'Holdings overlap requires database integration',
+        message: 'Load monthly portfolio disclosures with npm run load-scheme-holdings once the database is enabled'
+      });
+    }
+    throw error;
+  }
+}));
+
 // Get portfolio by ID
 router.get('/:portfolioId', asyncHandler(async (req, res) => {
   const { portfolioId } = req.params;
@@ -39,7 +261,7 @@ router.get('/:portfolioId', asyncHandler(async (req, res) => {
 }));
 
 // Update portfolio
-router.put('/:portfolioId', asyncHandler(async (req, res) => {
+router.put('/:portfolioId', validatePortfolioUpdate, asyncHandler(async (req, res) => {
   const { portfolioId } = req.params;
   const updateData = req.body;
   
@@ -204,11 +426,11 @@ router.post('/compare', asyncHandler(async (req, res) => {
 }));
 
 // Get portfolio performance over time
-router.get('/:portfolioId/performance', asyncHandler(async (req, res) => {
+router.get('/:portfolioId/performance', validatePortfolioPerformance, asyncHandler(async (req, res) => {
   const { portfolioId } = req.params;
-  const { period = '1y' } = req.query;
+  const { period, interval } = req.query;
   
-  logger.info('Fetching portfolio performance', { portfolioId, period });
+  logger.info('Fetching portfolio performance', { portfolioId, period, interval });
 
   try {
     const portfolio = await portfolioDbService.getPortfolio(portfolioId);
@@ -221,10 +443,14 @@ router.get('/:portfolioId/performance', asyncHandler(async (req, res) => {
       });
     }
 
-    // Calculate real portfolio performance based on actual NAV data
+    // Replay the saved funds against actual NAV history
     const performanceData = await portfolioDbService.calculatePortfolioPerformance(
-      portfolio.data.funds, 
-      period
+      portfolio.portfolio.funds, 
+      period,
+      {
+        interval,
+        benchmarkIndex: portfolio.portfolio.benchmarkIndex || 'nifty50'
+      }
     );
 
     res.json({
@@ -233,12 +459,99 @@ router.get('/:portfolioId/performance', asyncHandler(async (req, res) => {
       metadata: {
         portfolioId,
         period,
-        generatedAt: new Date().toISOString(),
-        note: 'Simulated data - real implementation would track historical values'
+        interval: performanceData.interval,
+        dataPoints: performanceData.series.length,
+        includesBenchmark: performanceData.benchmark !== null,
+        generatedAt: new Date().toISOString()
       }
     });
 
   } catch (error) {
+    if (error.message.includes('Database not enabled')) {
+      return res.status(501).json({
+        success: false,
+        error: 'Portfolio performance requires database integration',
+        message: 'This feature is available when database is enabled',
+        portfolioId
+      });
+    }
+    throw error;
+  }
+}));
+
+// Rebalancing back-test of a saved portfolio's target allocations
+router.post('/:portfolioId/rebalance-backtest', validateSavedPortfolioRebalance, asyncHandler(async (req, res) => {
+  const { portfolioId } = req.params;
+
+  logger.info('Back-testing rebalancing for saved portfolio', { portfolioId, startDate: req.body.startDate });
+
+  try {
+    const { portfolio } = await portfolioDbService.getPortfolio(portfolioId);
+    const funds = portfolio.funds.map(fund => ({ schemeCode: fund.schemeCode, allocation: fund.allocation }));
+    if (funds.length < 2 || funds.some(fund => !(fund.allocation > 0))) {
+      throw new ValidationError('Rebalancing needs at least two funds with target allocations');
+    }
+
+    const backtest = await rebalanceService.backtest({ ...req.body, funds });
+
+    res.json({
+      success: true,
+      ...backtest,
+      metadata: {
+        portfolioId,
+        calculatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Database not enabled')) {
+      return res.status(501).json({
+        success: false,
+        error: 'Saved portfolio back-tests require database integration',
+        message: 'This feature is available when database is enabled',
+        portfolioId
+      });
+    }
+    throw error;
+  }
+}));
+
+// Holdings overlap of a saved portfolio's funds
+router.get('/:portfolioId/overlap', validateSavedPortfolioOverlap, asyncHandler(async (req, res) => {
+  const { portfolioId } = req.params;
+  const { asOfDate } = req.query;
+
+  logger.info('Analysing holdings overlap for saved portfolio', { portfolioId, asOfDate });
+
+  try {
+    const { portfolio } = await portfolioDbService.getPortfolio(portfolioId);
+    const funds = portfolio.funds
+      .filter(fund => fund.allocation > 0)
+      .map(fund => ({ schemeCode: fund.schemeCode, name: fund.name, allocation: fund.allocation }));
+    if (funds.length < 2) {
+      throw new ValidationError('Overlap needs at least two funds with allocations');
+    }
+
+    const overlap = await holdingsService.analyzeOverlap(funds, { asOfDate });
+
+    res.json({
+      success: true,
+      ...overlap,
+      metadata: {
+        portfolioId,
+        calculatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Database not enabled')) {
+      return res.status(501).json({
+        success: false,
+        error: 'Holdings overlap requires database integration',
+        message: 'This feature is available when database is enabled',
+        portfolioId
+      });
+    }
     throw error;
   }
 }));
@@ -0,0 +1,105 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateSwitchAnalysis, validateSwp, validateStp, validateGoalPlan } = require('../middleware/validation');
+const switchAnalysisService = require('../services/switchAnalysisService');
+const swpService = require('../services/swpService');
+const stpService = require('../services/stpService');
+const goalPlannerService = require('../services/goalPlannerService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Redeem existing holdings in one fund on a date, pay exit load and tax, reinvest in another and compare with staying put
+router.post('/switch-analysis', validateSwitchAnalysis, asyncHandler(async (req, res) => {
+  const { sourceFundCode, targetFundCode, purchases, switchDate } = req.body;
+
+  logger.info('Analysing fund switch', {
+    sourceFundCode,
+    targetFundCode,
+    purchases: purchases.length,
+    switchDate
+  });
+
+  const analysis = await switchAnalysisService.analyzeSwitch(req.body);
+
+  res.json({
+    success: true,
+    ...analysis,
+    metadata: {
+      calculatedAt: new Date().toISOString()
+    }
+  });
+}));
+
+// Systematic withdrawals from a scheme or portfolio corpus against real NAVs, with exit load and tax per redemption
+router.post('/swp', validateSwp, asyncHandler(async (req, res) => {
+  const { schemeCode, funds, corpus, startDate, frequency, withdrawal } = req.body;
+
+  logger.info('Simulating SWP', {
+    schemeCode,
+    funds: funds?.length,
+    corpus,
+    startDate,
+    frequency,
+    withdrawalType: withdrawal.type
+  });
+
+  const simulation = await swpService.simulate(req.body);
+
+  res.json({
+    success: true,
+    ...simulation,
+    metadata: {
+      calculatedAt: new Date().toISOString()
+    }
+  });
+}));
+
+// Park a corpus in one fund and transfer it into another on a schedule, compared with a lumpsum and a plain SIP
+router.post('/stp', validateStp, asyncHandler(async (req, res) => {
+  const { sourceFundCode, targetFundCode, amount, startDate, frequency, transfer } = req.body;
+
+  logger.info('Simulating STP', {
+    sourceFundCode,
+    targetFundCode,
+    amount,
+    startDate,
+    frequency,
+    transferType: transfer.type
+  });
+
+  const simulation = await stpService.simulate(req.body);
+
+  res.json({
+    success: true,
+    ...simulation,
+    metadata: {
+      calculatedAt: new Date().toISOString()
+    }
+  });
+}));
+
+// Monthly SIP needed for an inflation-adjusted goal, back-tested over every historical start month
+router.post('/goal-plan', validateGoalPlan, asyncHandler(async (req, res) => {
+  const { targetAmount, horizonYears, schemeCode, funds, stepUp } = req.body;
+
+  logger.info('Planning goal', {
+    targetAmount,
+    horizonYears,
+    schemeCode,
+    funds: funds?.length,
+    stepUp: !!stepUp
+  });
+
+  const plan = await goalPlannerService.plan(req.body);
+
+  res.json({
+    success: true,
+    ...plan,
+    metadata: {
+      calculatedAt: new Date().toISOString()
+    }
+  });
+}));
+
+module.exports = router;
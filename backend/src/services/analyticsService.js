@@ -0,0 +1,270 @@
+const logger = require('../utils/logger');
+const mfApiService = require('./mfApiService');
+const indexDataService = require('./indexDataService');
+const { toISODate, addMonths, daysBetween, monthKey } = require('../utils/dateUtils');
+const { mean, median } = require('../utils/statistics');
+
+// A window start may fall on a holiday; accept the last observation up to this many days earlier
+const MAX_START_GAP_DAYS = 7;
+
+// Return observations per year for each sampling frequency, used to annualise
+const PERIODS_PER_YEAR = { daily: 252, weekly: 52, monthly: 12 };
+
+const PERIOD_MONTHS = { '1y': 12, '3y': 36, '5y': 60, '10y': 120 };
+
+/**
+ * Return analytics computed from full NAV history rather than a single start/end pair.
+ *
+ * Series are ascending [{ date: 'YYYY-MM-DD', value }] so fund NAVs and index closes go through the same code.
+ */
+class AnalyticsService {
+  constructor() {
+    this.logger = logger;
+    this.periodsPerYear = PERIODS_PER_YEAR;
+  }
+
+  // Ascending NAV series for a scheme, or null when the scheme is unknown
+  async getNavSeries(schemeCode, range = {}) {
+    const navData = await mfApiService.getFundNavData(schemeCode, true, range);
+    if (!navData || !navData.data) return null;
+
+    return {
+      meta: navData.meta,
+      source: navData.source,
+      series: mfApiService.formatNavHistory(navData.data).map(item => ({ date: item.date, value: item.nav }))
+    };
+  }
+
+  async getBenchmarkSeries(benchmarkIndex, from, to) {
+    const indexData = await indexDataService.getIndexHistoricalData(benchmarkIndex, { from, to });
+    return {
+      indexData,
+      series: indexData.data.map(item => ({ date: item.date, value: item.close }))
+    };
+  }
+
+  /**
+   * Rolling CAGR (%) over `years`, one point per end date in the series.
+   * frequency thins the end dates: 'daily' keeps all, 'weekly' one every 7+ days, 'monthly' the first of each month.
+   */
+  calculateRollingReturns(series, years, frequency = 'weekly') {
+    const points = [];
+    let startIndex = 0;
+    let lastKept = null;
+
+    for (const end of series) {
+      if (frequency === 'weekly' && lastKept && daysBetween(lastKept, end.date) < 7) continue;
+      if (frequency === 'monthly' && lastKept && monthKey(lastKept) === monthKey(end.date)) continue;
+
+      const start = this.findValueOnOrBefore(series, addMonths(end.date, -12 * years), startIndex);
+      if (!start) continue;
+      startIndex = start.index;
+
+      const days = daysBetween(start.point.date, end.date);
+      const cagr = Math.pow(end.value / start.point.value, 365 / days) - 1;
+
+      points.push({
+        date: end.date,
+        startDate: start.point.date,
+        value: Math.round(cagr * 10000) / 100
+      });
+      lastKept = end.date;
+    }
+
+    return points;
+  }
+
+  // Last point on or before targetDate (within MAX_START_GAP_DAYS); scanning resumes from fromIndex
+  findValueOnOrBefore(series, targetDate, fromIndex = 0) {
+    const target = toISODate(targetDate);
+    let index = fromIndex;
+
+    while (index + 1 < series.length && series[index + 1].date <= target) {
+      index++;
+    }
+
+    const point = series[index];
+    if (!point || point.date > target || daysBetween(point.date, target) > MAX_START_GAP_DAYS) {
+      return null;
+    }
+
+    return { point, index };
+  }
+
+  // Explicit from/to wins; otherwise a preset ('3y') counted back from today, with 'max' leaving from open
+  resolvePeriodWindow({ period = '3y', from, to }) {
+    if (from) {
+      return { from: toISODate(from), to: toISODate(to || new Date()) };
+    }
+    const today = toISODate(new Date());
+    return {
+      from: PERIOD_MONTHS[period] ? toISODate(addMonths(today, -PERIOD_MONTHS[period])) : null,
+      to: today
+    };
+  }
+
+  // Thin an ascending series to one point per week (7+ days apart) or the first point of each month
+  samplePoints(series, frequency = 'daily') {
+    if (frequency === 'daily') return series;
+
+    const sampled = [];
+    for (const point of series) {
+      const last = sampled[sampled.length - 1];
+      if (last && frequency === 'weekly' && daysBetween(last.date, point.date) < 7) continue;
+      if (last && frequency === 'monthly' && monthKey(last.date) === monthKey(point.date)) continue;
+      sampled.push(point);
+    }
+    return sampled;
+  }
+
+  // Keep only dates present in every series: { dates, values: [[...series 0], [...series 1], ...] }
+  alignSeries(seriesList) {
+    const maps = seriesList.map(series => new Map(series.map(point => [point.date, point.value])));
+    const dates = seriesList[0]
+      .map(point => point.date)
+      .filter(date => maps.every(map => map.has(date)));
+
+    return {
+      dates,
+      values: maps.map(map => dates.map(date => map.get(date)))
+    };
+  }
+
+  // Align on the dates every series shares, then sample those common dates. Sampling each series first
+  // would start each weekly/monthly chain on its own first date, so the chains rarely meet.
+  alignAndSample(seriesList, frequency = 'daily') {
+    const aligned = this.alignSeries(seriesList);
+    const sampled = new Set(this.samplePoints(aligned.dates.map(date => ({ date })), frequency).map(point => point.date));
+    const keep = aligned.dates.map(date => sampled.has(date));
+
+    return {
+      dates: aligned.dates.filter((date, i) => keep[i]),
+      values: aligned.values.map(values => values.filter((value, i) => keep[i]))
+    };
+  }
+
+  // Simple period-on-period returns (fractions) of a value array
+  toReturns(values) {
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+      returns.push(values[i] / values[i - 1] - 1);
+    }
+    return returns;
+  }
+
+  // min/max/median/mean plus the share of windows above each threshold (all in %)
+  summarizeRollingReturns(points, thresholds = []) {
+    if (points.length === 0) {
+      return { count: 0 };
+    }
+
+    const values = points.map(point => point.value);
+    const round = value => Math.round(value * 100) / 100;
+    const share = count => round((count / values.length) * 100);
+    const minPoint = points.reduce((min, point) => point.value < min.value ? point : min);
+    const maxPoint = points.reduce((max, point) => point.value > max.value ? point : max);
+
+    return {
+      count: values.length,
+      min: { value: minPoint.value, startDate: minPoint.startDate, endDate: minPoint.date },
+      max: { value: maxPoint.value, startDate: maxPoint.startDate, endDate: maxPoint.date },
+      median: round(median(values)),
+      mean: round(mean(values)),
+      negativePercentage: share(values.filter(value => value < 0).length),
+      abovePercentage: thresholds.map(threshold => ({
+        threshold,
+        percentage: share(values.filter(value => value > threshold).length)
+      }))
+    };
+  }
+
+  /**
+   * Rolling returns for a scheme over each window (in years), optionally alongside a benchmark
+   * evaluated on the same end dates. Returns null when the scheme is unknown.
+   */
+  async getRollingReturns(schemeCode, options = {}) {
+    const {
+      windows = [1, 3, 5],
+      frequency = 'weekly',
+      thresholds = [0, 8, 12],
+      benchmarkIndex = null,
+      from = null,
+      to = null
+    } = options;
+
+    const nav = await this.getNavSeries(schemeCode);
+    if (!nav) return null;
+
+    // from/to limit the window end dates; starts may reach back before `from`
+    const inRange = point => (!from || point.date >= from) && (!to || point.date <= to);
+
+    let benchmark = null;
+    if (benchmarkIndex && nav.series.length > 0) {
+      try {
+        benchmark = await this.getBenchmarkSeries(benchmarkIndex, nav.series[0].date, nav.series[nav.series.length - 1].date);
+      } catch (error) {
+        this.logger.warn('Rolling returns benchmark unavailable', { benchmarkIndex, error: error.message });
+      }
+    }
+
+    const results = windows.map(years => {
+      const fundPoints = this.calculateRollingReturns(nav.series, years, frequency).filter(inRange);
+      const result = {
+        years,
+        stats: this.summarizeRollingReturns(fundPoints, thresholds),
+        points: fundPoints
+      };
+
+      if (benchmark) {
+        const benchmarkByDate = new Map(
+          this.calculateRollingReturns(benchmark.series, years, 'daily').map(point => [point.date, point.value])
+        );
+        const benchmarkDates = Array.from(benchmarkByDate.keys());
+        let cursor = 0;
+
+        // Index trading days don't always match NAV dates, so take the last benchmark value on or before
+        result.points = fundPoints.map(point => {
+          while (cursor + 1 < benchmarkDates.length && benchmarkDates[cursor + 1] <= point.date) cursor++;
+          const benchmarkDate = benchmarkDates[cursor];
+          const usable = benchmarkDate && benchmarkDate <= point.date && daysBetween(benchmarkDate, point.date) <= MAX_START_GAP_DAYS;
+          return { ...point, benchmark: usable ? benchmarkByDate.get(benchmarkDate) : null };
+        });
+
+        const paired = result.points.filter(point => point.benchmark !== null);
+        result.benchmarkStats = this.summarizeRollingReturns(
+          paired.map(point => ({ date: point.date, startDate: point.startDate, value: point.benchmark })),
+          thresholds
+        );
+        result.outperformancePercentage = paired.length > 0
+          ? Math.round((paired.filter(point => point.value > point.benchmark).length / paired.length) * 10000) / 100
+          : null;
+      }
+
+      return result;
+    });
+
+    return {
+      schemeCode: String(schemeCode),
+      fundName: nav.meta?.scheme_name,
+      frequency,
+      thresholds,
+      navSource: nav.source,
+      historyRange: {
+        from: nav.series[0]?.date || null,
+        to: nav.series[nav.series.length - 1]?.date || null
+      },
+      benchmark: benchmark ? {
+        indexKey: benchmarkIndex,
+        name: benchmark.indexData.name,
+        returnType: benchmark.indexData.returnType,
+        source: benchmark.indexData.source
+      } : null,
+      windows: results
+    };
+  }
+}
+
+// Create singleton instance
+const analyticsService = new AnalyticsService();
+
+module.exports = analyticsService;
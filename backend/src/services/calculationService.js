@@ -1,5 +1,12 @@
 const logger = require('../utils/logger');
 const indexDataService = require('./indexDataService');
+const portfolioRiskService = require('./portfolioRiskService');
+const taxService = require('./taxService');
+const costScheduleService = require('./costScheduleService');
+const { toDate, toISODate, addMonths, monthKey } = require('../utils/dateUtils');
+const { xirr, XirrError } = require('../utils/xirr');
+const { sipInstallmentAmount, scaleStepUp, summarizeInstallments } = require('../utils/sipSchedule');
+const { findNavOnOrAfter } = require('../utils/navSeries');
 
 class CalculationService {
   constructor() {
@@ -41,37 +48,17 @@ class CalculationService {
     return 'Very High';
   }
 
-  // Calculate portfolio volatility based on fund composition
+  // A fund's weight within a portfolio: invested amount where known, else its configured amount or allocation
+  getFundWeight(fund) {
+    return fund.totalInvested || fund.amount || fund.allocation || 0;
+  }
+
+  // Portfolio volatility, risk contributions and correlations from the covariance of the funds' own NAV
+  // returns, so correlation between similar funds is no longer assumed away
   async calculatePortfolioVolatility(funds) {
-    try {
-      const totalInvested = funds.reduce((sum, fund) => sum + fund.totalInvested, 0);
-      let portfolioVolatility = 0;
-      
-      for (const fund of funds) {
-        const weight = fund.totalInvested / totalInvested;
-        const fundCategory = fund.category || 'Unknown';
-        
-        // Get volatility for the fund's category from benchmark index
-        try {
-          const benchmarkIndex = this.getBenchmarkForCategory(fundCategory);
-          const indexData = await indexDataService.getIndexHistoricalData(benchmarkIndex, '1y');
-          const fundVolatility = indexData.metrics.volatility; // Use category benchmark volatility
-          if (!fundVolatility) {
-            throw new Error('Volatility data not available');
-          }
-          portfolioVolatility += (weight * weight * fundVolatility * fundVolatility);
-        } catch (error) {
-          this.logger.error('Failed to get real volatility for category', { fundCategory, error: error.message });
-          throw new Error(`Unable to calculate real volatility for category ${fundCategory}: ${error.message}`);
-        }
-      }
-      
-      return Math.sqrt(portfolioVolatility);
-    } catch (error) {
-      this.logger.error('Failed to calculate portfolio volatility', { error: error.message });
-      // Throw error instead of returning fake data
-      throw new Error(`Unable to calculate real portfolio volatility: ${error.message}`);
-    }
+    return portfolioRiskService.calculatePortfolioRisk(
+      funds.map(fund => ({ schemeCode: fund.schemeCode, weight: this.getFundWeight(fund), name: fund.schemeName || fund.name }))
+    );
   }
 
   // Helper method to map fund categories to benchmark indices
@@ -88,7 +75,11 @@ class CalculationService {
   }
 
 
-  calculatePortfolioComparison(currentFund, comparisonFund, investmentType, amount, startDate, endDate) {
+  // Funds are { fundName, schemeCode, fundType?, navData }; fundType ('equity' | 'debt' | 'other') picks the
+  // default cost schedule and tax rules. Purchases pay stamp duty; the exit load a redemption on the latest
+  // NAV date would incur is itemised under costs, and postTax assumes both holdings are redeemed then.
+  // stepUp (see utils/sipSchedule) raises SIP installments over time; amount is the first installment
+  calculatePortfolioComparison(currentFund, comparisonFund, investmentType, amount, startDate, endDate, { slabRate, stepUp } = {}) {
     try {
       this.logger.info('Starting portfolio comparison calculation', {
         currentFund: currentFund.fundName,
@@ -108,22 +99,31 @@ class CalculationService {
       let comparisonUnits = 0;
       let totalInvested = 0;
       let chartData = [];
+      let investments = [];
+      const schedules = {
+        current: costScheduleService.getSchedule(currentFund.schemeCode, currentFund.fundType),
+        comparison: costScheduleService.getSchedule(comparisonFund.schemeCode, comparisonFund.fundType)
+      };
 
       if (investmentType === 'sip') {
-        const result = this.calculateSIP(currentNav, comparisonNav, amount, startDate, endDate);
+        const result = this.calculateSIP(currentNav, comparisonNav, amount, startDate, endDate, schedules, stepUp);
         currentUnits = result.currentUnits;
         comparisonUnits = result.comparisonUnits;
         totalInvested = result.totalInvested;
         chartData = result.chartData;
+        investments = result.investments;
       } else {
-        const result = this.calculateLumpSum(currentNav, comparisonNav, amount, startDate);
+        const result = this.calculateLumpSum(currentNav, comparisonNav, amount, startDate, schedules);
         currentUnits = result.currentUnits;
         comparisonUnits = result.comparisonUnits;
         totalInvested = result.totalInvested;
+        investments = result.investments;
       }
 
-      const latestCurrentNav = currentNav[currentNav.length - 1]?.nav || 0;
-      const latestComparisonNav = comparisonNav[comparisonNav.length - 1]?.nav || 0;
+      const latestCurrent = currentNav[currentNav.length - 1];
+      const latestComparison = comparisonNav[comparisonNav.length - 1];
+      const latestCurrentNav = latestCurrent?.nav || 0;
+      const latestComparisonNav = latestComparison?.nav || 0;
 
       const currentValue = currentUnits * latestCurrentNav;
       const comparisonValue = comparisonUnits * latestComparisonNav;
@@ -131,22 +131,30 @@ class CalculationService {
       const result = {
         current: {
           value: Math.round(currentValue),
-          invested: totalInvested,
+          invested: Math.round(totalInvested * 100) / 100,
           fund: currentFund.fundName,
           units: parseFloat(currentUnits.toFixed(4)),
-          latestNav: latestCurrentNav
+          latestNav: latestCurrentNav,
+          xirr: this.calculateInvestmentXIRR(investments, currentValue, latestCurrent?.date),
+          costs: this.itemizeCosts(investments, 'current', latestCurrent, schedules.current)
         },
         comparison: {
           value: Math.round(comparisonValue),
-          invested: totalInvested,
+          invested: Math.round(totalInvested * 100) / 100,
           fund: comparisonFund.fundName,
           units: parseFloat(comparisonUnits.toFixed(4)),
-          latestNav: latestComparisonNav
+          latestNav: latestComparisonNav,
+          xirr: this.calculateInvestmentXIRR(investments, comparisonValue, latestComparison?.date),
+          costs: this.itemizeCosts(investments, 'comparison', latestComparison, schedules.comparison)
         },
         difference: Math.round(comparisonValue - currentValue),
         percentageDifference: totalInvested > 0 ? 
           parseFloat(((comparisonValue - currentValue) / totalInvested * 100).toFixed(2)) : 0,
-        chartData: chartData.length > 0 ? chartData.slice(-24) : [] // Last 24 months for SIP
+        chartData: chartData.length > 0 ? chartData.slice(-24) : [], // Last 24 months for SIP
+        installmentSchedule: investmentType === 'sip'
+          ? summarizeInstallments(investments.map(investment => ({ date: toISODate(investment.date), amount: investment.amount })))
+          : null,
+        postTax: this.calculateComparisonPostTax(currentFund, comparisonFund, investments, schedules, slabRate)
       };
 
       this.logger.info('Portfolio comparison calculation completed', {
@@ -167,7 +175,8 @@ class CalculationService {
     }
   }
 
-  calculateSIP(currentNav, comparisonNav, monthlyAmount, startDate, endDate) {
+  // schedules: { current, comparison } cost schedules; each installment pays stamp duty before units are allotted
+  calculateSIP(currentNav, comparisonNav, monthlyAmount, startDate, endDate, schedules, stepUp) {
     const start = new Date(startDate);
     const end = endDate ? new Date(endDate) : new Date();
     
@@ -178,6 +187,7 @@ class CalculationService {
     let comparisonUnits = 0;
     let totalInvested = 0;
     let chartData = [];
+    const investments = [];
     
     let current = new Date(start);
     while (current <= end) {
@@ -187,26 +197,35 @@ class CalculationService {
       const comparisonNavValue = comparisonNavByMonth[monthKey];
       
       if (currentNavValue && comparisonNavValue) {
-        currentUnits += monthlyAmount / currentNavValue;
-        comparisonUnits += monthlyAmount / comparisonNavValue;
-        totalInvested += monthlyAmount;
+        const installment = sipInstallmentAmount(monthlyAmount, start, current, stepUp);
+        const investment = {
+          amount: installment,
+          date: new Date(current),
+          current: this.purchase(installment, current, currentNavValue, schedules.current),
+          comparison: this.purchase(installment, current, comparisonNavValue, schedules.comparison)
+        };
+        currentUnits += investment.current.units;
+        comparisonUnits += investment.comparison.units;
+        totalInvested += installment;
+        investments.push(investment);
         
         // Calculate portfolio values for chart using current NAV values
         chartData.push({
           date: monthKey,
           current: Math.round(currentUnits * currentNavValue),
           comparison: Math.round(comparisonUnits * comparisonNavValue),
-          invested: totalInvested
+          invested: Math.round(totalInvested),
+          installment
         });
       }
       
       current.setMonth(current.getMonth() + 1);
     }
     
-    return { currentUnits, comparisonUnits, totalInvested, chartData };
+    return { currentUnits, comparisonUnits, totalInvested, chartData, investments };
   }
 
-  calculateLumpSum(currentNav, comparisonNav, amount, investmentDate) {
+  calculateLumpSum(currentNav, comparisonNav, amount, investmentDate, schedules) {
     const investDate = new Date(investmentDate);
     
     const currentNavOnDate = this.findNavOnDate(currentNav, investDate);
@@ -216,11 +235,91 @@ class CalculationService {
       throw new Error('NAV data not available for the specified investment date');
     }
     
-    const currentUnits = amount / currentNavOnDate;
-    const comparisonUnits = amount / comparisonNavOnDate;
+    const investment = {
+      amount,
+      date: investDate,
+      current: this.purchase(amount, investDate, currentNavOnDate, schedules.current),
+      comparison: this.purchase(amount, investDate, comparisonNavOnDate, schedules.comparison)
+    };
     const totalInvested = amount;
     
-    return { currentUnits, comparisonUnits, totalInvested };
+    return {
+      currentUnits: investment.current.units,
+      comparisonUnits: investment.comparison.units,
+      totalInvested,
+      investments: [investment]
+    };
+  }
+
+  // { nav, stampDuty, netAmount, units } for one simulated purchase
+  purchase(amount, date, nav, schedule) {
+    return { nav, ...costScheduleService.applyPurchase(amount, date, nav, schedule) };
+  }
+
+  // Purchase lots for one side of a comparison; the lot price includes stamp duty so it counts towards cost
+  toPurchaseLots(investments, side) {
+    return investments.map(investment => ({
+      date: investment.date,
+      units: investment[side].units,
+      nav: investment.amount / investment[side].units
+    }));
+  }
+
+  // Stamp duty paid on purchases and the exit load a full redemption at `valuation` would incur
+  itemizeCosts(investments, side, valuation, schedule) {
+    const stampDuty = investments.reduce((sum, investment) => sum + investment[side].stampDuty, 0);
+    const exitLoad = valuation
+      ? costScheduleService.exitLoadOnLots(this.toPurchaseLots(investments, side), valuation.date, valuation.nav, schedule)
+      : 0;
+
+    return {
+      stampDuty: Math.round(stampDuty * 100) / 100,
+      exitLoad: Math.round(exitLoad * 100) / 100,
+      total: Math.round((stampDuty + exitLoad) * 100) / 100,
+      schedule: schedule.source
+    };
+  }
+
+  // Exit load and capital gains tax on redeeming each side of a comparison, one purchase lot per investment
+  calculateComparisonPostTax(currentFund, comparisonFund, investments, schedules, slabRate) {
+    if (investments.length === 0) return null;
+
+    const redeem = (fund, side) => {
+      const latest = fund.navData[fund.navData.length - 1];
+      return {
+        fundType: fund.fundType || 'equity',
+        ...taxService.calculatePostTaxRedemption([{
+          schemeCode: fund.schemeCode,
+          name: fund.fundName,
+          fundType: fund.fundType || 'equity',
+          lots: this.toPurchaseLots(investments, side),
+          redemptionDate: latest.date,
+          redemptionNav: latest.nav,
+          navData: fund.navData,
+          costSchedule: schedules[side]
+        }], { slabRate })
+      };
+    };
+
+    const current = redeem(currentFund, 'current');
+    const comparison = redeem(comparisonFund, 'comparison');
+
+    return {
+      slabRate: current.slabRate,
+      assumption: 'Full redemption on the latest NAV date after exit load; 4% cess, no surcharge',
+      current,
+      comparison,
+      difference: comparison.postTaxValue - current.postTaxValue
+    };
+  }
+
+  // XIRR (%) of purchases [{ amount, date }] redeemed at finalValue on valuationDate
+  calculateInvestmentXIRR(investments, finalValue, valuationDate) {
+    if (investments.length === 0 || !valuationDate) return null;
+
+    const cashFlows = [...investments.map(investment => -investment.amount), finalValue];
+    const dates = [...investments.map(investment => toDate(investment.date)), toDate(valuationDate)];
+    return this.calculateXIRR(cashFlows, dates);
   }
 
   groupNavByMonth(navData) {
@@ -281,38 +380,18 @@ class CalculationService {
     return ((Math.pow(finalValue / initialValue, 1 / years) - 1) * 100);
   }
 
+  // Annualised return (%) of dated cash flows (purchases negative, final value positive), or null when the
+  // flows have no XIRR, e.g. a near-total loss or every flow on the same day
   calculateXIRR(cashFlows, dates) {
-    // Simple XIRR approximation - for production, consider using a proper financial library
-    if (cashFlows.length !== dates.length || cashFlows.length < 2) {
-      return 0;
-    }
-
-    // Newton-Raphson method for XIRR calculation
-    let rate = 0.1; // Initial guess
-    const tolerance = 0.0001;
-    const maxIterations = 100;
-
-    for (let i = 0; i < maxIterations; i++) {
-      let npv = 0;
-      let dnpv = 0;
-
-      for (let j = 0; j < cashFlows.length; j++) {
-        const daysDiff = (dates[j] - dates[0]) / (1000 * 60 * 60 * 24);
-        const yearsDiff = daysDiff / 365;
-        const factor = Math.pow(1 + rate, yearsDiff);
-        
-        npv += cashFlows[j] / factor;
-        dnpv -= cashFlows[j] * yearsDiff / factor / (1 + rate);
-      }
-
-      if (Math.abs(npv) < tolerance) {
-        return rate * 100; // Convert to percentage
-      }
-
-      rate = rate - npv / dnpv;
+    try {
+      const result = xirr(cashFlows.map((amount, i) => ({ amount, date: dates[i] })));
+      this.logger.debug('XIRR solved', { method: result.method, iterations: result.iterations });
+      return Math.round(result.rate * 100 * 100) / 100;
+    } catch (error) {
+      if (!(error instanceof XirrError)) throw error;
+      this.logger.warn('XIRR not available', { error: error.message, flows: cashFlows.length });
+      return null;
     }
-
-    return rate * 100;
   }
 
   validateCalculationInputs(currentFund, comparisonFund, investmentType, amount, startDate, endDate) {
@@ -383,66 +462,87 @@ class CalculationService {
     }
   }
 
-  calculateSIPReturns({ navData, monthlyAmount, duration, startDate }) {
+  // costSchedule defaults to the equity schedule; each installment pays stamp duty, and costs.exitLoad is
+  // what redeeming everything on the valuation date would cost. With stepUp, monthlyAmount is the first installment
+  calculateSIPReturns({ navData, monthlyAmount, duration, startDate, stepUp = null, costSchedule = costScheduleService.getSchedule(null) }) {
     try {
+      if (!navData?.length) {
+        throw new Error('NAV data is required for SIP calculation');
+      }
+
+      const firstNavDate = navData[0].date;
+      const lastNav = navData[navData.length - 1];
+
       let totalInvested = 0;
       let totalUnits = 0;
-      let monthlyData = [];
+      let totalStampDuty = 0;
+      let skippedInstallments = 0;
+      const monthlyData = [];
 
-      const start = new Date(startDate);
-      
       for (let month = 0; month < duration; month++) {
-        const currentDate = new Date(start);
-        currentDate.setMonth(currentDate.getMonth() + month);
-        
-        // Find NAV for this month (simplified - use first available NAV)
-        const monthNav = this.findNavForDate(navData, currentDate) || 100;
-        
-        const units = monthlyAmount / monthNav;
-        totalInvested += monthlyAmount;
+        const installmentDate = toISODate(addMonths(startDate, month));
+
+        // Stop once the schedule runs past the latest available NAV
+        if (installmentDate > lastNav.date) break;
+
+        // Installments before the scheme's first NAV can't be bought
+        if (installmentDate < firstNavDate) {
+          skippedInstallments++;
+          continue;
+        }
+
+        // SIPs are processed at the NAV of the installment date, or the next business day
+        const navPoint = this.findNavOnOrAfter(navData, installmentDate);
+        const amount = sipInstallmentAmount(monthlyAmount, startDate, installmentDate, stepUp);
+        const { stampDuty, units } = costScheduleService.applyPurchase(amount, navPoint.date, navPoint.nav, costSchedule);
+        totalInvested += amount;
         totalUnits += units;
+        totalStampDuty += stampDuty;
 
         monthlyData.push({
           month: month + 1,
-          date: currentDate.toISOString().split('T')[0],
-          amount: monthlyAmount,
-          nav: monthNav,
+          installmentDate,
+          date: navPoint.date,
+          amount,
+          nav: navPoint.nav,
+          stampDuty,
           units,
           totalInvested,
-          totalUnits
+          totalUnits,
+          value: totalUnits * navPoint.nav
         });
       }
 
-      // Current value calculation
-      const latestNav = navData[navData.length - 1]?.nav || 100;
-      const currentValue = totalUnits * latestNav;
+      const currentValue = totalUnits * lastNav.nav;
       const absoluteReturn = currentValue - totalInvested;
-      const years = duration / 12;
-      
-      // Calculate proper SIP annualized return using XIRR approach
-      const cashFlows = [];
-      const dates = [];
-      
-      // Add monthly investments as negative cash flows
-      monthlyData.forEach(data => {
-        cashFlows.push(-data.amount);
-        dates.push(new Date(data.date));
-      });
-      
-      // Add final value as positive cash flow
-      const endDate = new Date();
+
+      // Annualized return via XIRR: installments as outflows, current value as the final inflow
+      const cashFlows = monthlyData.map(data => -data.amount);
+      const dates = monthlyData.map(data => toDate(data.date));
       cashFlows.push(currentValue);
-      dates.push(endDate);
-      
-      const annualizedReturn = this.calculateXIRR(cashFlows, dates);
+      dates.push(toDate(lastNav.date));
+
+      const annualizedReturn = monthlyData.length > 0 ? this.calculateXIRR(cashFlows, dates) : null;
+      const exitLoad = costScheduleService.exitLoadOnLots(monthlyData, lastNav.date, lastNav.nav, costSchedule);
 
       return {
         totalInvested,
         currentValue: Math.round(currentValue),
         absoluteReturn: Math.round(absoluteReturn),
-        returnPercentage: Math.round((absoluteReturn / totalInvested) * 100 * 100) / 100,
-        annualizedReturn: Math.round(annualizedReturn * 100) / 100,
+        returnPercentage: totalInvested > 0 ? Math.round((absoluteReturn / totalInvested) * 100 * 100) / 100 : 0,
+        annualizedReturn,
         units: totalUnits,
+        latestNav: lastNav.nav,
+        valuationDate: lastNav.date,
+        installments: monthlyData.length,
+        skippedInstallments,
+        installmentSchedule: summarizeInstallments(monthlyData.map(data => ({ date: data.installmentDate, amount: data.amount }))),
+        costs: {
+          stampDuty: Math.round(totalStampDuty * 100) / 100,
+          exitLoad: Math.round(exitLoad * 100) / 100,
+          total: Math.round((totalStampDuty + exitLoad) * 100) / 100,
+          schedule: costSchedule.source
+        },
         monthlyData
       };
     } catch (error) {
@@ -451,65 +551,162 @@ class CalculationService {
     }
   }
 
-  generateMultiFundSIPChart({ funds, duration, startDate }) {
-    const chartData = [];
-    const start = new Date(startDate);
+  // Split one monthly SIP across several funds by allocation and replay it on each fund's NAV history.
+  // A step-up applies to the total SIP, so each fund steps up by its share of it
+  calculateMultiFundSIP({ funds, monthlyAmount, duration, startDate, stepUp = null }) {
+    const fundResults = funds.map(fund => {
+      const fundMonthlyAmount = (monthlyAmount * fund.allocation) / 100;
+      const sip = this.calculateSIPReturns({
+        navData: fund.navData,
+        monthlyAmount: fundMonthlyAmount,
+        duration,
+        startDate,
+        stepUp: scaleStepUp(stepUp, fund.allocation / 100),
+        costSchedule: costScheduleService.getSchedule(
+          fund.schemeCode,
+          fund.fundType || taxService.resolveFundType({ schemeName: fund.name || '' })
+        )
+      });
 
-    for (let month = 0; month <= duration; month++) {
-      const date = new Date(start);
-      date.setMonth(date.getMonth() + month);
-      
+      return {
+        schemeCode: fund.schemeCode,
+        name: fund.name,
+        category: fund.category,
+        allocation: fund.allocation,
+        monthlyAmount: Math.round(fundMonthlyAmount * 100) / 100,
+        totalInvested: Math.round(sip.totalInvested),
+        currentValue: sip.currentValue,
+        absoluteReturn: sip.absoluteReturn,
+        returnPercentage: sip.returnPercentage,
+        annualizedReturn: sip.annualizedReturn,
+        units: parseFloat(sip.units.toFixed(4)),
+        latestNav: sip.latestNav,
+        valuationDate: sip.valuationDate,
+        installments: sip.installments,
+        skippedInstallments: sip.skippedInstallments,
+        installmentSchedule: sip.installmentSchedule,
+        costs: sip.costs,
+        monthlyData: sip.monthlyData
+      };
+    });
+
+    const totalInvested = fundResults.reduce((sum, fund) => sum + fund.monthlyData.reduce((s, m) => s + m.amount, 0), 0);
+    const currentValue = fundResults.reduce((sum, fund) => sum + fund.units * fund.latestNav, 0);
+    const absoluteReturn = currentValue - totalInvested;
+
+    // Combined XIRR over every installment across all funds
+    const flowsByDate = {};
+    const installmentsByDate = {};
+    fundResults.forEach(fund => {
+      fund.monthlyData.forEach(entry => {
+        flowsByDate[entry.date] = (flowsByDate[entry.date] || 0) - entry.amount;
+        installmentsByDate[entry.installmentDate] = (installmentsByDate[entry.installmentDate] || 0) + entry.amount;
+      });
+    });
+    const valuationDate = fundResults.reduce((latest, fund) => (fund.valuationDate > latest ? fund.valuationDate : latest), '');
+    const flowDates = Object.keys(flowsByDate).sort();
+    const cashFlows = flowDates.map(date => flowsByDate[date]);
+    const dates = flowDates.map(date => toDate(date));
+    cashFlows.push(currentValue);
+    dates.push(toDate(valuationDate));
+    const annualizedReturn = flowDates.length > 0 ? this.calculateXIRR(cashFlows, dates) : null;
+
+    return {
+      summary: {
+        totalInvested: Math.round(totalInvested),
+        currentValue: Math.round(currentValue),
+        absoluteReturn: Math.round(absoluteReturn),
+        returnPercentage: totalInvested > 0 ? Math.round((absoluteReturn / totalInvested) * 100 * 100) / 100 : 0,
+        annualizedReturn,
+        monthlyAmount,
+        stepUp,
+        duration,
+        installmentsCompleted: Math.max(0, ...fundResults.map(fund => fund.installments)),
+        installmentSchedule: summarizeInstallments(
+          Object.keys(installmentsByDate).sort().map(date => ({ date, amount: installmentsByDate[date] }))
+        ),
+        valuationDate,
+        costs: ['stampDuty', 'exitLoad', 'total'].reduce((costs, key) => ({
+          ...costs,
+          [key]: Math.round(fundResults.reduce((sum, fund) => sum + fund.costs[key], 0) * 100) / 100
+        }), {})
+      },
+      funds: fundResults,
+      chartData: this.generateMultiFundSIPChart({ fundResults })
+    };
+  }
+
+  // Month-by-month portfolio value built from each fund's actual SIP replay
+  generateMultiFundSIPChart({ fundResults }) {
+    const months = new Set();
+    fundResults.forEach(fund => fund.monthlyData.forEach(entry => months.add(monthKey(entry.installmentDate))));
+    const valuationDate = fundResults.reduce((latest, fund) => (fund.valuationDate > latest ? fund.valuationDate : latest), '');
+    months.add(monthKey(valuationDate));
+
+    const sortedMonths = [...months].sort();
+    const lastMonth = sortedMonths[sortedMonths.length - 1];
+
+    return sortedMonths.map((month, index) => {
       const monthData = {
-        month,
-        date: date.toISOString().split('T')[0].slice(0, 7),
+        month: index,
+        date: month,
+        invested: 0,
         totalValue: 0
       };
 
-      funds.forEach((fund, index) => {
-        // Calculate proper SIP value progression for each fund
+      fundResults.forEach((fund, fundIndex) => {
         let fundValue = 0;
-        for (let m = 0; m < month; m++) {
-          const monthlyAmount = fund.monthlyAmount || (fund.totalInvested / duration);
-          const unitsThisMonth = monthlyAmount / (fund.averageNav || 100);
-          const currentNav = fund.latestNav || 100;
-          fundValue += unitsThisMonth * currentNav;
+        let invested = 0;
+
+        // Latest installment on or before this month carries the fund's value forward
+        for (const entry of fund.monthlyData) {
+          if (monthKey(entry.installmentDate) > month) break;
+          fundValue = entry.value;
+          invested = entry.totalInvested;
+        }
+
+        if (month === lastMonth) {
+          fundValue = fund.units * fund.latestNav;
         }
-        monthData[`fund${index + 1}`] = Math.round(fundValue);
+
+        monthData[`fund${fundIndex + 1}`] = Math.round(fundValue);
+        monthData.invested += invested;
         monthData.totalValue += fundValue;
       });
 
+      monthData.invested = Math.round(monthData.invested);
       monthData.totalValue = Math.round(monthData.totalValue);
-      chartData.push(monthData);
-    }
-
-    return chartData;
+      return monthData;
+    });
   }
 
   async calculatePortfolioRisk(funds) {
     try {
       let weightedRisk = 0;
-      const totalInvested = funds.reduce((sum, f) => sum + f.totalInvested, 0);
+      const totalInvested = funds.reduce((sum, f) => sum + this.getFundWeight(f), 0);
 
       for (const fund of funds) {
         const fundRisk = await this.getRiskScoreByCategory(fund.category);
-        const weight = fund.totalInvested / totalInvested;
+        const weight = this.getFundWeight(fund) / totalInvested;
         weightedRisk += (fundRisk * weight);
       }
 
       const riskLevel = this.mapRiskScoreToLevel(weightedRisk);
 
-      // Calculate approximate Sharpe ratio
-      const avgReturn = funds.reduce((sum, fund) => sum + fund.annualizedReturn, 0) / funds.length;
+      // Volatility and return from the funds' own NAV history (covariance of their returns)
+      const covarianceRisk = await this.calculatePortfolioVolatility(funds);
       const riskFreeRate = await this.getRiskFreeRate(); // Get real risk-free rate
-      // Calculate portfolio volatility from fund volatilities
-      const volatility = await this.calculatePortfolioVolatility(funds);
-      const sharpeRatio = (avgReturn - riskFreeRate) / volatility;
+      const volatility = covarianceRisk.volatility;
+      const sharpeRatio = (covarianceRisk.annualizedReturn - riskFreeRate) / volatility;
 
       return {
         riskLevel,
         riskScore: Math.round(weightedRisk * 100) / 100,
         volatility: Math.round(volatility * 100) / 100,
-        sharpeRatio: Math.round(sharpeRatio * 100) / 100
+        sharpeRatio: Math.round(sharpeRatio * 100) / 100,
+        diversificationRatio: covarianceRisk.diversificationRatio,
+        riskContributions: covarianceRisk.funds,
+        correlationMatrix: covarianceRisk.correlationMatrix
       };
     } catch (error) {
       this.logger.warn('Failed to calculate dynamic portfolio risk, using fallback', { error: error.message });
@@ -528,7 +725,7 @@ class CalculationService {
 
       const weightedRisk = funds.reduce((risk, fund) => {
         const fundRisk = riskScores[fund.category] || 3;
-        const weight = fund.totalInvested / funds.reduce((sum, f) => sum + f.totalInvested, 0);
+        const weight = this.getFundWeight(fund) / funds.reduce((sum, f) => sum + this.getFundWeight(f), 0);
         return risk + (fundRisk * weight);
       }, 0);
 
@@ -549,7 +746,8 @@ class CalculationService {
     }
   }
 
-  generatePortfolioRecommendations({ funds, riskMetrics, returnMetrics }) {
+  // overlap is holdingsService.analyzeOverlap output when the funds' portfolio disclosures are loaded
+  generatePortfolioRecommendations({ funds, riskMetrics, returnMetrics, overlap = null }) {
     const recommendations = [];
 
     // Risk-based recommendations
@@ -572,11 +770,20 @@ class CalculationService {
       recommendations.push('Consider diversifying across more fund categories (large-cap, mid-cap, debt)');
     }
 
-    // Fund-specific recommendations
-    if (funds.length > 7) {
+    // Fund-specific recommendations, from actual common holdings when they are known
+    const overlapPair = overlap?.pairs[0];
+    if (overlapPair && overlapPair.overlap >= overlap.highOverlapThreshold) {
+      recommendations.push(`${overlapPair.names.map((name, i) => name || overlapPair.schemeCodes[i]).join(' and ')} share ` +
+        `${Math.round(overlapPair.overlap)}% of their holdings - consider consolidating them`);
+    } else if (!overlap && funds.length > 7) {
       recommendations.push('You have many funds - consider consolidating similar funds to reduce overlap');
     }
 
+    if (overlap?.sectorConcentration.topSectorWeight > 35) {
+      recommendations.push(`${Math.round(overlap.sectorConcentration.topSectorWeight)}% of the portfolio is in ` +
+        `${overlap.sectorConcentration.topSector} across funds - check this concentration is intended`);
+    }
+
     return recommendations.length > 0 ? recommendations : 
            ['Your portfolio looks well-balanced. Continue monitoring and rebalance periodically.'];
   }
@@ -765,6 +972,11 @@ class CalculationService {
     return allocation;
   }
 
+  // First NAV on or after the target date in an ascending [{ date, nav }] series
+  findNavOnOrAfter(navData, targetDate) {
+    return findNavOnOrAfter(navData, targetDate);
+  }
+
   findNavForDate(navData, targetDate) {
     // Find closest NAV to the target date
     const target = targetDate.toISOString().split('T')[0];
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { toISODate, daysBetween } = require('../utils/dateUtils');
+
+const DEFAULT_SCHEDULE_FILE = path.join(__dirname, '../../data/cost-schedules.json');
+
+// Used when the schedule file is missing: 0.005% stamp duty on purchases from 1 Jul 2020 and the usual
+// 1% exit load within a year for equity and hybrid funds
+const BUILT_IN_SCHEDULES = {
+  stampDuty: { rate: 0.005, effectiveFrom: '2020-07-01' },
+  defaults: {
+    equity: { exitLoad: [{ withinDays: 365, rate: 1 }] },
+    debt: { exitLoad: [] },
+    other: { exitLoad: [{ withinDays: 365, rate: 1 }] }
+  },
+  schemes: {}
+};
+
+/**
+ * Transaction costs for simulated purchases and redemptions.
+ *
+ * Schedules live in COST_SCHEDULE_FILE (default backend/data/cost-schedules.json): a stamp duty rate, exit-load
+ * slabs per fund type, and per-scheme overrides keyed by scheme code. Exit-load slabs are
+ * [{ withinDays, rate }] in %, and the first slab whose withinDays exceeds the holding period applies.
+ */
+class CostScheduleService {
+  constructor() {
+    this.logger = logger;
+    this.filePath = process.env.COST_SCHEDULE_FILE || DEFAULT_SCHEDULE_FILE;
+    this.schedules = null;
+  }
+
+  load() {
+    if (this.schedules) return this.schedules;
+
+    if (!fs.existsSync(this.filePath)) {
+      this.logger.warn('Cost schedule file not found, using built-in defaults', { filePath: this.filePath });
+      this.schedules = JSON.parse(JSON.stringify(BUILT_IN_SCHEDULES));
+      return this.schedules;
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.schedules = {
+      stampDuty: { ...BUILT_IN_SCHEDULES.stampDuty, ...parsed.stampDuty },
+      defaults: { ...BUILT_IN_SCHEDULES.defaults, ...parsed.defaults },
+      schemes: parsed.schemes || {}
+    };
+    this.logger.info('Cost schedules loaded', {
+      filePath: this.filePath,
+      schemes: Object.keys(this.schedules.schemes).length
+    });
+    return this.schedules;
+  }
+
+  // Effective schedule for a scheme: its own exit-load slabs if configured, else the fund type default
+  getSchedule(schemeCode, fundType = 'equity') {
+    const schedules = this.load();
+    const override = schemeCode ? schedules.schemes[String(schemeCode)] : null;
+    const fallback = schedules.defaults[fundType] || schedules.defaults.equity;
+
+    return {
+      schemeCode: schemeCode ? String(schemeCode) : null,
+      source: override ? 'scheme' : `default:${fundType}`,
+      stampDuty: schedules.stampDuty,
+      exitLoad: this.sortSlabs((override || fallback).exitLoad || [])
+    };
+  }
+
+  listSchedules() {
+    return this.load();
+  }
+
+  // Create or replace a scheme's exit-load slabs and persist the file
+  async setSchemeSchedule(schemeCode, { name, exitLoad }) {
+    const schedules = this.load();
+    schedules.schemes[String(schemeCode)] = {
+      ...(name ? { name } : {}),
+      exitLoad: this.sortSlabs(exitLoad)
+    };
+    await this.save();
+    this.logger.info('Cost schedule updated', { schemeCode, slabs: exitLoad.length });
+    return this.getSchedule(schemeCode);
+  }
+
+  async deleteSchemeSchedule(schemeCode) {
+    const schedules = this.load();
+    if (!schedules.schemes[String(schemeCode)]) {
+      throw new NotFoundError(`No cost schedule configured for scheme ${schemeCode}`);
+    }
+    delete schedules.schemes[String(schemeCode)];
+    await this.save();
+    this.logger.info('Cost schedule removed', { schemeCode });
+  }
+
+  async save() {
+    // Write to a temp file first so a crash can't leave half a schedule behind
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, `${JSON.stringify(this.schedules, null, 2)}\n`);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  // { stampDuty, netAmount, units } for investing `amount` at `nav` on `date`
+  applyPurchase(amount, date, nav, schedule) {
+    const { rate, effectiveFrom } = schedule.stampDuty;
+    const stampDuty = toISODate(date) >= effectiveFrom ? amount * rate / 100 : 0;
+    const netAmount = amount - stampDuty;
+    return { stampDuty, netAmount, units: netAmount / nav };
+  }
+
+  // Exit load (%) on units bought on purchaseDate and redeemed on redemptionDate
+  exitLoadRate(schedule, purchaseDate, redemptionDate) {
+    const holdingDays = daysBetween(purchaseDate, redemptionDate);
+    const slab = schedule.exitLoad.find(entry => holdingDays < entry.withinDays);
+    return slab ? slab.rate : 0;
+  }
+
+  // Exit load amount for redeeming lots [{ date, units }] at `nav` on `date`
+  exitLoadOnLots(lots, date, nav, schedule) {
+    return lots.reduce((sum, lot) => sum + lot.units * nav * this.exitLoadRate(schedule, lot.date, date) / 100, 0);
+  }
+
+  sortSlabs(slabs) {
+    if (!Array.isArray(slabs) || slabs.some(slab => !(slab.withinDays >= 0) || !(slab.rate >= 0))) {
+      throw new ValidationError('Exit load must be a list of { withinDays, rate } slabs');
+    }
+    return [...slabs].sort((a, b) => a.withinDays - b.withinDays);
+  }
+}
+
+// Create singleton instance
+const costScheduleService = new CostScheduleService();
+
+module.exports = costScheduleService;
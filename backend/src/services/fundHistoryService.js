@@ -0,0 +1,43 @@
+const logger = require('../utils/logger');
+const mfApiService = require('./mfApiService');
+const taxService = require('./taxService');
+const costScheduleService = require('./costScheduleService');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Loads a scheme for the simulation services: its NAV history plus the tax type, cost schedule and
+ * 31 Jan 2018 grandfathering NAV needed to price purchases and redemptions on it.
+ */
+class FundHistoryService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  // taxTypeOverride ('equity' | 'debt' | 'other') replaces the type resolved from the scheme category
+  async loadFund(schemeCode, taxTypeOverride) {
+    const response = await mfApiService.getFundNavData(schemeCode);
+    const navData = mfApiService.formatNavHistory(response?.data);
+    if (navData.length === 0) {
+      throw new NotFoundError(`No NAV data found for scheme code ${schemeCode}`);
+    }
+
+    const fundType = taxTypeOverride || taxService.resolveFundType({
+      schemeCategory: response.meta?.scheme_category,
+      schemeName: response.meta?.scheme_name || ''
+    });
+
+    return {
+      schemeCode: String(schemeCode),
+      name: response.meta?.scheme_name || String(schemeCode),
+      fundType,
+      costSchedule: costScheduleService.getSchedule(schemeCode, fundType),
+      grandfatheringNav: taxService.findGrandfatheringNav(navData),
+      navData
+    };
+  }
+}
+
+// Create singleton instance
+const fundHistoryService = new FundHistoryService();
+
+module.exports = fundHistoryService;
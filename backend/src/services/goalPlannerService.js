@@ -0,0 +1,238 @@
+const logger = require('../utils/logger');
+const calculationService = require('./calculationService');
+const fundHistoryService = require('./fundHistoryService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { toISODate, addDays, addMonths, yearsBetween } = require('../utils/dateUtils');
+const { sipInstallmentAmount, scaleStepUp, summarizeInstallments } = require('../utils/sipSchedule');
+const { findNavOnOrAfter, round } = require('../utils/navSeries');
+
+const DEFAULT_INFLATION_RATE = 6;
+
+/**
+ * Goal-based SIP planning.
+ *
+ * The target is in today's money and is inflated over the horizon. The monthly SIP that reaches it is solved
+ * at an expected return (the fund or portfolio's own long-run CAGR unless one is given), flat or step-up.
+ * That plan is then replayed on every monthly start date the NAV history allows, to see how often the goal
+ * would actually have been met and by how much it was missed in the worst window.
+ */
+class GoalPlannerService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * params: { targetAmount, horizonYears, inflationRate?, schemeCode? | funds?: [{ schemeCode, allocation }],
+   *           stepUp?, expectedReturn?, startDate? }
+   * stepUp is a utils/sipSchedule step-up; startDate (default today) anchors its step-up months.
+   */
+  async plan(params) {
+    const { targetAmount, horizonYears, inflationRate = DEFAULT_INFLATION_RATE, stepUp = null } = params;
+    const allocations = params.schemeCode
+      ? [{ schemeCode: params.schemeCode, allocation: 100 }]
+      : params.funds;
+
+    const totalAllocation = allocations.reduce((sum, fund) => sum + fund.allocation, 0);
+    if (Math.abs(totalAllocation - 100) > 0.01) {
+      throw new ValidationError(`Fund allocations must total 100% (got ${round(totalAllocation)}%)`);
+    }
+
+    const funds = await Promise.all(allocations.map(async fund => ({
+      ...(await fundHistoryService.loadFund(fund.schemeCode)),
+      allocation: fund.allocation
+    })));
+
+    const months = Math.round(horizonYears * 12);
+    const futureTarget = targetAmount * Math.pow(1 + inflationRate / 100, months / 12);
+    const history = this.commonHistory(funds);
+
+    const expected = params.expectedReturn !== undefined
+      ? { expectedReturn: params.expectedReturn, source: 'request' }
+      : { expectedReturn: round(this.historicalReturn(funds, history)), source: 'history' };
+
+    const startDate = toISODate(params.startDate || new Date());
+    const monthlySip = this.solveMonthlySip(futureTarget, months, expected.expectedReturn, startDate, stepUp);
+    const installments = Array.from({ length: months }, (_, month) => {
+      const date = toISODate(addMonths(startDate, month));
+      return { date, amount: sipInstallmentAmount(monthlySip, startDate, date, stepUp) };
+    });
+
+    const backtest = this.backtest(funds, history, monthlySip, months, stepUp, futureTarget);
+
+    const result = {
+      goal: {
+        targetAmount,
+        horizonYears,
+        months,
+        inflationRate,
+        futureTarget: Math.round(futureTarget)
+      },
+      funds: funds.map(fund => ({
+        schemeCode: fund.schemeCode,
+        name: fund.name,
+        allocation: fund.allocation,
+        historyFrom: fund.navData[0].date,
+        historyTo: fund.navData[fund.navData.length - 1].date
+      })),
+      assumptions: {
+        ...expected,
+        historyFrom: history.from,
+        historyTo: history.to
+      },
+      plan: {
+        startDate,
+        monthlySip,
+        stepUp,
+        totalInvested: Math.round(installments.reduce((sum, installment) => sum + installment.amount, 0)),
+        installmentSchedule: summarizeInstallments(installments)
+      },
+      backtest
+    };
+
+    this.logger.info('Goal plan calculated', {
+      funds: funds.length,
+      futureTarget: result.goal.futureTarget,
+      monthlySip,
+      windows: backtest.windows,
+      successRate: backtest.successRate
+    });
+
+    return result;
+  }
+
+  /**
+   * Smallest first installment (whole rupees) whose schedule grows to the target at the expected annual
+   * return, installments compounding monthly from the day they are paid. Bisection, since caps and fixed
+   * step-ups make the future value non-linear in the first installment.
+   */
+  solveMonthlySip(futureTarget, months, expectedReturn, startDate, stepUp) {
+    const monthlyRate = Math.pow(1 + expectedReturn / 100, 1 / 12) - 1;
+    const futureValue = base => {
+      let value = 0;
+      for (let month = 0; month < months; month++) {
+        const amount = sipInstallmentAmount(base, startDate, addMonths(startDate, month), stepUp);
+        value += amount * Math.pow(1 + monthlyRate, months - month);
+      }
+      return value;
+    };
+
+    let low = 0;
+    let high = futureTarget / months;
+    while (futureValue(high) < futureTarget) high *= 2;
+
+    for (let i = 0; i < 60 && high - low > 0.01; i++) {
+      const mid = (low + high) / 2;
+      if (futureValue(mid) >= futureTarget) high = mid;
+      else low = mid;
+    }
+
+    return Math.ceil(high);
+  }
+
+  /**
+   * The plan started on the first of every month with enough history after it, each window valued at its
+   * last NAV on or before the horizon. Installments pay stamp duty; exit load and tax are left out, as the
+   * goal is the corpus built, not a redemption.
+   */
+  backtest(funds, history, monthlySip, months, stepUp, futureTarget) {
+    const windows = [];
+    // Windows start on the 1st, from the first month the history fully covers
+    const firstStart = history.from.endsWith('-01')
+      ? history.from
+      : toISODate(addMonths(`${history.from.slice(0, 7)}-01`, 1));
+
+    for (let start = firstStart; ; start = toISODate(addMonths(start, 1))) {
+      const end = toISODate(addMonths(start, months));
+      if (end > history.to) break;
+
+      const sips = funds.map(fund => {
+        const share = fund.allocation / 100;
+        return calculationService.calculateSIPReturns({
+          navData: this.navUpTo(fund.navData, end),
+          monthlyAmount: monthlySip * share,
+          duration: months,
+          startDate: start,
+          stepUp: scaleStepUp(stepUp, share),
+          costSchedule: fund.costSchedule
+        });
+      });
+
+      const invested = sips.reduce((sum, sip) => sum + sip.totalInvested, 0);
+      const value = sips.reduce((sum, sip) => sum + sip.units * sip.latestNav, 0);
+      windows.push({
+        startDate: start,
+        endDate: end,
+        invested: Math.round(invested),
+        value: Math.round(value),
+        met: value >= futureTarget,
+        shortfall: Math.round(Math.max(futureTarget - value, 0))
+      });
+    }
+
+    if (windows.length === 0) {
+      return {
+        windows: 0,
+        successful: 0,
+        successRate: null,
+        message: `NAV history from ${history.from} to ${history.to} is shorter than the ${months}-month horizon`,
+        worstWindow: null,
+        medianValue: null,
+        bestValue: null,
+        results: []
+      };
+    }
+
+    const successful = windows.filter(window => window.met).length;
+    const byValue = [...windows].sort((a, b) => a.value - b.value);
+    const worst = byValue[0];
+
+    return {
+      windows: windows.length,
+      successful,
+      successRate: round(successful / windows.length * 100),
+      worstWindow: {
+        ...worst,
+        shortfallPercentage: round(worst.shortfall / futureTarget * 100)
+      },
+      medianValue: byValue[Math.floor(byValue.length / 2)].value,
+      bestValue: byValue[byValue.length - 1].value,
+      results: windows
+    };
+  }
+
+  // Allocation-weighted CAGR (%) of the funds over the period they all have NAVs for
+  historicalReturn(funds, history) {
+    const years = yearsBetween(history.from, history.to);
+    if (!(years > 0)) {
+      throw new ValidationError('Not enough common NAV history to estimate a return; pass expectedReturn');
+    }
+
+    return funds.reduce((sum, fund) => {
+      const first = findNavOnOrAfter(fund.navData, history.from);
+      const last = this.navUpTo(fund.navData, history.to).slice(-1)[0];
+      return sum + calculationService.calculateCAGR(first.nav, last.nav, years) * fund.allocation / 100;
+    }, 0);
+  }
+
+  // Dates every fund has NAV history for
+  commonHistory(funds) {
+    const from = funds.map(fund => fund.navData[0].date).sort().pop();
+    const to = funds.map(fund => fund.navData[fund.navData.length - 1].date).sort()[0];
+    if (to < from) {
+      throw new ValidationError('The selected funds have no NAV history in common');
+    }
+    return { from, to };
+  }
+
+  // NAVs on or before the date
+  navUpTo(navData, date) {
+    const next = findNavOnOrAfter(navData, toISODate(addDays(date, 1)));
+    return next ? navData.slice(0, navData.indexOf(next)) : navData;
+  }
+
+}
+
+// Create singleton instance
+const goalPlannerService = new GoalPlannerService();
+
+module.exports = goalPlannerService;
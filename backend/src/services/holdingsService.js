@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const logger = require('../utils/logger');
+const database = require('../database');
+const { ValidationError } = require('../middleware/errorHandler');
+const { parseHoldingsRows, parseHoldingsCsv, worksheetCellValue } = require('../utils/holdingsFile');
+const { toISODate } = require('../utils/dateUtils');
+
+const TOP_HOLDINGS = 20;
+const TOP_COMMON_HOLDINGS = 5;
+
+// Pairs sharing at least this much (% of NAV, counted once) are flagged as largely duplicating each other
+const HIGH_OVERLAP_THRESHOLD = 50;
+
+const UNCLASSIFIED_SECTOR = 'Unclassified';
+
+/**
+ * Stock-level holdings from AMC monthly portfolio disclosures, and what they say about a portfolio.
+ *
+ * Disclosures are loaded from local CSV or XLSX files (scripts/load-scheme-holdings.js) into
+ * scheme_holdings. Overlap uses each scheme's latest disclosure: for a pair of funds it is the sum over
+ * shared securities of the smaller of the two weights, i.e. the % of either fund's NAV the other also
+ * holds. Look-through exposure weights every holding by the fund's allocation to give the portfolio's
+ * effective position in each security and sector.
+ */
+class HoldingsService {
+  constructor() {
+    this.logger = logger;
+    this.databaseEnabled = process.env.ENABLE_DATABASE === 'true';
+  }
+
+  // options: { disclosureDate?, sheet? }; the date falls back to the "as on" date in the file's title rows
+  async loadFromFile(schemeCode, filePath, { disclosureDate, sheet } = {}) {
+    const parsed = await this.parseFile(filePath, sheet);
+    const date = disclosureDate || parsed.disclosureDate;
+
+    if (!date) {
+      throw new Error(`No "as on" date found in ${path.basename(filePath)}; pass the disclosure date`);
+    }
+    if (parsed.holdings.length === 0) {
+      throw new Error(`No holdings found in ${path.basename(filePath)}`);
+    }
+
+    this.logger.info('Loading scheme holdings', { schemeCode, filePath, disclosureDate: date, rows: parsed.holdings.length });
+    const stored = await database.replaceSchemeHoldings(schemeCode, date, parsed.holdings, path.basename(filePath));
+
+    return {
+      schemeCode,
+      disclosureDate: date,
+      rows: stored,
+      totalWeight: this.round(parsed.holdings.reduce((sum, holding) => sum + holding.weight, 0))
+    };
+  }
+
+  // sheet picks the worksheet of an XLSX workbook by name (default: the first)
+  async parseFile(filePath, sheet) {
+    if (/\.csv$/i.test(filePath)) {
+      return parseHoldingsCsv(await fs.promises.readFile(filePath, 'utf8'));
+    }
+    if (!/\.xlsx$/i.test(filePath)) {
+      throw new Error(`${path.basename(filePath)} is not a CSV or XLSX file; save legacy .xls workbooks as XLSX first`);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+    if (!worksheet) {
+      throw new Error(`Sheet "${sheet}" not found. Available: ${workbook.worksheets.map(ws => ws.name).join(', ')}`);
+    }
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: true }, row => {
+      // row.values is 1-based and sparse
+      rows.push(Array.from(row.values.slice(1), worksheetCellValue));
+    });
+    return parseHoldingsRows(rows);
+  }
+
+  /**
+   * funds: [{ schemeCode, name?, allocation }] with allocation a relative weight, normalised across the funds.
+   * asOfDate picks the latest disclosure on or before it instead of the latest overall.
+   */
+  async analyzeOverlap(funds, { asOfDate = null } = {}) {
+    if (!this.databaseEnabled) {
+      throw new Error('Database not enabled');
+    }
+
+    const rows = await database.getLatestSchemeHoldings(
+      funds.map(fund => fund.schemeCode),
+      asOfDate ? toISODate(asOfDate) : null
+    );
+    const holdingsByScheme = {};
+    rows.forEach(row => {
+      const scheme = holdingsByScheme[row.scheme_code] || (holdingsByScheme[row.scheme_code] = {
+        disclosureDate: row.disclosure_date,
+        holdings: []
+      });
+      scheme.holdings.push({
+        key: row.holding_key,
+        isin: row.isin,
+        name: row.instrument_name,
+        sector: row.sector,
+        weight: parseFloat(row.weight)
+      });
+    });
+
+    return this.computeOverlap(funds, holdingsByScheme);
+  }
+
+  // holdingsByScheme: { [schemeCode]: { disclosureDate, holdings: [{ key, isin, name, sector, weight }] } }
+  computeOverlap(funds, holdingsByScheme) {
+    const covered = funds.filter(fund => holdingsByScheme[fund.schemeCode]?.holdings.length > 0);
+    if (covered.length === 0) {
+      throw new ValidationError('None of the funds have holdings loaded; load their monthly portfolio disclosures first');
+    }
+
+    const totalAllocation = funds.reduce((sum, fund) => sum + fund.allocation, 0);
+    const weightOf = fund => fund.allocation / totalAllocation;
+    const holdingMaps = new Map(covered.map(fund => [
+      fund.schemeCode,
+      new Map(holdingsByScheme[fund.schemeCode].holdings.map(holding => [holding.key, holding]))
+    ]));
+
+    const pairs = [];
+    for (let i = 0; i < covered.length; i++) {
+      for (let j = i + 1; j < covered.length; j++) {
+        pairs.push(this.comparePair(covered[i], covered[j], holdingMaps));
+      }
+    }
+    pairs.sort((a, b) => b.overlap - a.overlap);
+
+    const exposure = this.lookThrough(covered, holdingMaps, weightOf);
+    const topHoldings = exposure.holdings.slice(0, TOP_HOLDINGS);
+
+    return {
+      funds: funds.map(fund => {
+        const scheme = holdingsByScheme[fund.schemeCode];
+        return {
+          schemeCode: fund.schemeCode,
+          name: fund.name,
+          allocation: this.round(weightOf(fund) * 100),
+          disclosureDate: scheme?.disclosureDate || null,
+          holdings: scheme?.holdings.length || 0,
+          disclosedWeight: scheme ? this.round(scheme.holdings.reduce((sum, holding) => sum + holding.weight, 0)) : 0
+        };
+      }),
+      missing: funds.filter(fund => !covered.includes(fund)).map(fund => fund.schemeCode),
+      // Share of the portfolio the disclosures describe
+      coverage: this.round(covered.reduce((sum, fund) => sum + weightOf(fund), 0) * 100),
+      pairs,
+      highOverlapPairs: pairs.filter(pair => pair.overlap >= HIGH_OVERLAP_THRESHOLD).length,
+      highOverlapThreshold: HIGH_OVERLAP_THRESHOLD,
+      topHoldings,
+      top20Weight: this.round(topHoldings.reduce((sum, holding) => sum + holding.weight, 0)),
+      uniqueHoldings: exposure.holdings.length,
+      // 1 / Σ share², the number of equal positions with the same concentration
+      effectiveHoldings: this.round(this.effectiveCount(exposure.holdings)),
+      sectors: exposure.sectors,
+      sectorConcentration: {
+        topSector: exposure.sectors[0]?.sector || null,
+        topSectorWeight: exposure.sectors[0]?.weight || 0,
+        top3Weight: this.round(exposure.sectors.slice(0, 3).reduce((sum, sector) => sum + sector.weight, 0)),
+        // Herfindahl-Hirschman index on sector shares of the classified exposure: 10000 is a single sector
+        hhi: Math.round(this.herfindahl(exposure.sectors.filter(sector => sector.sector !== UNCLASSIFIED_SECTOR)))
+      }
+    };
+  }
+
+  comparePair(fundA, fundB, holdingMaps) {
+    const holdingsA = holdingMaps.get(fundA.schemeCode);
+    const holdingsB = holdingMaps.get(fundB.schemeCode);
+
+    const common = [];
+    holdingsA.forEach((holding, key) => {
+      const other = holdingsB.get(key);
+      if (other) {
+        common.push({
+          isin: holding.isin,
+          name: holding.name,
+          weightA: this.round(holding.weight),
+          weightB: this.round(other.weight),
+          overlap: Math.min(holding.weight, other.weight)
+        });
+      }
+    });
+    common.sort((a, b) => b.overlap - a.overlap);
+
+    return {
+      schemeCodes: [fundA.schemeCode, fundB.schemeCode],
+      names: [fundA.name, fundB.name],
+      overlap: this.round(common.reduce((sum, holding) => sum + Math.max(holding.overlap, 0), 0)),
+      commonHoldings: common.length,
+      // Share of each fund's holdings, by count, that the other fund also holds
+      commonShare: [
+        this.round(common.length / holdingsA.size * 100),
+        this.round(common.length / holdingsB.size * 100)
+      ],
+      topCommon: common.slice(0, TOP_COMMON_HOLDINGS).map(holding => ({ ...holding, overlap: this.round(holding.overlap) }))
+    };
+  }
+
+  // Portfolio-level weight (% of the whole portfolio) of every security and sector
+  lookThrough(funds, holdingMaps, weightOf) {
+    const holdings = new Map();
+    const sectors = new Map();
+
+    funds.forEach(fund => {
+      holdingMaps.get(fund.schemeCode).forEach(holding => {
+        const weight = weightOf(fund) * holding.weight;
+        const entry = holdings.get(holding.key) || { isin: holding.isin, name: holding.name, sector: holding.sector, weight: 0, funds: [] };
+        entry.weight += weight;
+        entry.funds.push({ schemeCode: fund.schemeCode, weight: this.round(holding.weight) });
+        holdings.set(holding.key, entry);
+
+        const sector = holding.sector || UNCLASSIFIED_SECTOR;
+        sectors.set(sector, (sectors.get(sector) || 0) + weight);
+      });
+    });
+
+    return {
+      holdings: Array.from(holdings.values())
+        .sort((a, b) => b.weight - a.weight)
+        .map(holding => ({ ...holding, weight: this.round(holding.weight) })),
+      sectors: Array.from(sectors, ([sector, weight]) => ({ sector, weight: this.round(weight) }))
+        .sort((a, b) => b.weight - a.weight)
+    };
+  }
+
+  effectiveCount(holdings) {
+    const positive = holdings.filter(holding => holding.weight > 0);
+    const total = positive.reduce((sum, holding) => sum + holding.weight, 0);
+    const sumOfSquares = positive.reduce((sum, holding) => sum + (holding.weight / total) ** 2, 0);
+    return sumOfSquares > 0 ? 1 / sumOfSquares : 0;
+  }
+
+  herfindahl(sectors) {
+    const positive = sectors.filter(sector => sector.weight > 0);
+    const total = positive.reduce((sum, sector) => sum + sector.weight, 0);
+    return total > 0 ? positive.reduce((sum, sector) => sum + (sector.weight / total * 100) ** 2, 0) : 0;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create singleton instance
+const holdingsService = new HoldingsService();
+
+module.exports = holdingsService;
@@ -1,9 +1,21 @@
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const logger = require('../utils/logger');
+const database = require('../database');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { parsePriceCsv } = require('../utils/priceCsv');
+const { xirr, XirrError } = require('../utils/xirr');
+const { sipInstallmentAmount } = require('../utils/sipSchedule');
+const { toDate, toISODate, addDays, addMonths, daysBetween, yearsBetween } = require('../utils/dateUtils');
+
+// Longest run of calendar days without a stored price that still counts as complete coverage
+const STORED_PRICE_MAX_GAP_DAYS = 7;
 
 class IndexDataService {
   constructor() {
     this.logger = logger;
+    this.databaseEnabled = process.env.ENABLE_DATABASE === 'true';
     this.memoryCache = new Map();
     this.cacheExpiry = new Map();
     this.cacheDuration = 5 * 60 * 1000; // 5 minutes cache
@@ -18,9 +30,96 @@ class IndexDataService {
       niftybank: '^NSEBANK',
       niftyit: '^CNXIT'
     };
+
+    // Every benchmark we can serve. Price return (PRI) indices come from Yahoo; total return (TRI)
+    // variants include reinvested dividends and are only available from NSE CSV downloads, either loaded
+    // into index_prices (scripts/load-index-prices.js) or read from INDEX_CSV_DIR/<key>.csv.
+    this.indexCatalog = {
+      nifty50: {
+        name: 'Nifty 50',
+        returnType: 'PRI',
+        description: 'Nifty 50 represents the top 50 companies based on free float market capitalization'
+      },
+      sensex: {
+        name: 'Sensex',
+        returnType: 'PRI',
+        description: 'BSE Sensex represents 30 well-established and financially sound companies'
+      },
+      nifty500: {
+        name: 'Nifty 500',
+        returnType: 'PRI',
+        description: 'Nifty 500 represents the top 500 companies based on full market capitalization'
+      },
+      niftymidcap: {
+        name: 'Nifty Midcap 50',
+        returnType: 'PRI',
+        description: 'Nifty Midcap 50 represents 50 midcap companies'
+      },
+      niftysmallcap: {
+        name: 'Nifty Smallcap 50',
+        returnType: 'PRI',
+        description: 'Nifty Smallcap 50 represents 50 smallcap companies'
+      },
+      niftybank: {
+        name: 'Nifty Bank',
+        returnType: 'PRI',
+        description: 'Nifty Bank represents the most liquid and large capitalized banking stocks'
+      },
+      niftyit: {
+        name: 'Nifty IT',
+        returnType: 'PRI',
+        description: 'Nifty IT represents the performance of the IT sector'
+      },
+      nifty50_tri: {
+        name: 'Nifty 50 TRI',
+        returnType: 'TRI',
+        description: 'Nifty 50 Total Return Index, including reinvested dividends (loaded from NSE CSV files)'
+      },
+      nifty500_tri: {
+        name: 'Nifty 500 TRI',
+        returnType: 'TRI',
+        description: 'Nifty 500 Total Return Index, including reinvested dividends (loaded from NSE CSV files)'
+      },
+      niftymidcap_tri: {
+        name: 'Nifty Midcap 50 TRI',
+        returnType: 'TRI',
+        description: 'Nifty Midcap 50 Total Return Index, including reinvested dividends (loaded from NSE CSV files)'
+      },
+      niftysmallcap_tri: {
+        name: 'Nifty Smallcap 50 TRI',
+        returnType: 'TRI',
+        description: 'Nifty Smallcap 50 Total Return Index, including reinvested dividends (loaded from NSE CSV files)'
+      },
+      niftybank_tri: {
+        name: 'Nifty Bank TRI',
+        returnType: 'TRI',
+        description: 'Nifty Bank Total Return Index, including reinvested dividends (loaded from NSE CSV files)'
+      },
+      niftyit_tri: {
+        name: 'Nifty IT TRI',
+        returnType: 'TRI',
+        description: 'Nifty IT Total Return Index, including reinvested dividends (loaded from NSE CSV files)'
+      }
+    };
+    this.csvDirectory = process.env.INDEX_CSV_DIR || null;
+  }
+
+  getIndexInfo(indexKey) {
+    const info = this.indexCatalog[indexKey];
+    if (!info) {
+      throw new Error(`Unknown index: ${indexKey}`);
+    }
+    return { key: indexKey, symbol: this.indexSymbols[indexKey] || null, ...info };
   }
 
   async getIndexQuote(indexKey) {
+    if (!this.indexCatalog[indexKey]) {
+      throw new NotFoundError(`Unknown index: ${indexKey}`);
+    }
+    if (!this.indexSymbols[indexKey]) {
+      return this.getLatestCloseQuote(indexKey);
+    }
+
     try {
       const cacheKey = `index_quote_${indexKey}`;
       
@@ -118,51 +217,98 @@ class IndexDataService {
     }
   }
 
-  async getIndexHistoricalData(indexKey, period = '1y') {
+  // TRI indices have no live quote, so quote the latest close from index_prices or the CSV file
+  async getLatestCloseQuote(indexKey) {
+    let history;
+    try {
+      history = await this.getIndexHistoricalData(indexKey, '1y');
+    } catch (error) {
+      throw new NotFoundError(error.message);
+    }
+
+    const rows = history.data;
+    const latest = rows[rows.length - 1];
+    const previous = rows.length > 1 ? rows[rows.length - 2] : null;
+    const closes = rows.map(row => row.close);
+    const change = previous ? latest.close - previous.close : null;
+
+    return {
+      symbol: null,
+      name: history.name,
+      returnType: history.returnType,
+      source: history.source,
+      asOf: latest.date,
+      price: latest.close,
+      change,
+      changePercent: previous ? (change / previous.close) * 100 : null,
+      previousClose: previous ? previous.close : null,
+      open: latest.open ?? null,
+      dayHigh: latest.high ?? null,
+      dayLow: latest.low ?? null,
+      fiftyTwoWeekHigh: Math.max(...closes),
+      fiftyTwoWeekLow: Math.min(...closes),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // periodOrRange is either a preset ('1y', '5y', ...) counted back from today or an explicit { from, to } window
+  async getIndexHistoricalData(indexKey, periodOrRange = '1y') {
+    const range = typeof periodOrRange === 'object' && periodOrRange !== null
+      ? this.normalizeRange(periodOrRange)
+      : null;
+    const period = range ? null : periodOrRange;
+
     try {
-      const cacheKey = `index_history_${indexKey}_${period}`;
+      const cacheKey = range
+        ? `index_history_${indexKey}_${range.from}_${range.to}`
+        : `index_history_${indexKey}_${period}`;
       
       // Check cache first
       if (this.isMemoryCacheValid(cacheKey)) {
         return this.memoryCache.get(cacheKey);
       }
 
-      const symbol = this.indexSymbols[indexKey];
-      if (!symbol) {
-        throw new Error(`Index symbol not found for: ${indexKey}`);
-      }
+      const info = this.getIndexInfo(indexKey);
+      const { symbol } = info;
 
-      this.logger.info('Fetching index historical data', { indexKey, symbol, period });
+      // Presets become a window ending today so both sources answer the same question
+      const window = range || {
+        from: toISODate(new Date(this.getStartDateForPeriod(period) * 1000)),
+        to: toISODate(new Date())
+      };
 
-      // Calculate date range based on period
-      const endDate = Math.floor(Date.now() / 1000);
-      const startDate = this.getStartDateForPeriod(period);
+      let historicalData = null;
+      let source = 'database';
 
-      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?period1=${startDate}&period2=${endDate}&interval=1d`;
-      
-      const response = await axios.get(url, {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      if (this.databaseEnabled) {
+        try {
+          // Without a Yahoo symbol there is nothing better to fall back to, so partial TRI coverage is used as-is
+          historicalData = await this.getStoredHistory(indexKey, window, { requireFullCoverage: Boolean(symbol) });
+        } catch (dbError) {
+          this.logger.warn('Stored index prices unavailable, falling back to Yahoo', { indexKey, error: dbError.message });
         }
-      });
+      }
 
-      if (!response.data?.chart?.result?.[0]) {
-        throw new Error(`No historical data received for index: ${indexKey}`);
+      if (!historicalData && !symbol) {
+        source = 'csv';
+        historicalData = await this.getCsvHistory(indexKey, window);
       }
 
-      const result = response.data.chart.result[0];
-      const timestamps = result.timestamp;
-      const prices = result.indicators.quote[0];
+      if (!historicalData) {
+        this.logger.info('Fetching index historical data', { indexKey, symbol, period, range });
+
+        source = 'yahoo';
+        historicalData = await this.fetchYahooHistory(indexKey, window);
 
-      const historicalData = timestamps.map((timestamp, index) => ({
-        date: new Date(timestamp * 1000).toISOString().split('T')[0],
-        open: prices.open[index],
-        high: prices.high[index],
-        low: prices.low[index],
-        close: prices.close[index],
-        volume: prices.volume[index]
-      })).filter(item => item.close !== null);
+        // Keep what we fetched so later reads (and restarts) don't depend on Yahoo
+        if (this.databaseEnabled && historicalData.length > 0) {
+          try {
+            await database.upsertIndexPrices(indexKey, historicalData, 'yahoo');
+          } catch (dbError) {
+            this.logger.warn('Failed to store index prices', { indexKey, error: dbError.message });
+          }
+        }
+      }
 
       // Calculate additional metrics
       const metrics = this.calculateIndexMetrics(historicalData);
@@ -170,7 +316,14 @@ class IndexDataService {
       const indexHistoricalData = {
         indexKey,
         symbol,
+        name: info.name,
+        returnType: info.returnType,
         period,
+        source,
+        range: range || {
+          from: historicalData[0]?.date || null,
+          to: historicalData[historicalData.length - 1]?.date || null
+        },
         data: historicalData,
         metrics,
         lastUpdated: new Date().toISOString()
@@ -184,6 +337,8 @@ class IndexDataService {
         indexKey, 
         dataPoints: historicalData.length,
         period,
+        range,
+        source,
         latestPrice: historicalData[historicalData.length - 1]?.close
       });
 
@@ -193,6 +348,7 @@ class IndexDataService {
       this.logger.error('Error fetching index historical data', { 
         indexKey, 
         period,
+        range,
         error: error.message 
       });
       
@@ -201,6 +357,90 @@ class IndexDataService {
     }
   }
 
+  // Daily OHLC rows from Yahoo for window { from, to } (inclusive, YYYY-MM-DD), ascending
+  async fetchYahooHistory(indexKey, window) {
+    const symbol = this.indexSymbols[indexKey];
+    if (!symbol) {
+      throw new Error(`Index symbol not found for: ${indexKey}`);
+    }
+
+    // Yahoo takes unix seconds; period2 is exclusive so the window runs to the end of its `to` day
+    const startDate = Math.floor(toDate(window.from).getTime() / 1000);
+    const endDate = Math.floor(addDays(window.to, 1).getTime() / 1000);
+
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?period1=${startDate}&period2=${endDate}&interval=1d`;
+    
+    const response = await axios.get(url, {
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      }
+    });
+
+    if (!response.data?.chart?.result?.[0]) {
+      throw new Error(`No historical data received for index: ${indexKey}`);
+    }
+
+    const result = response.data.chart.result[0];
+    const timestamps = result.timestamp || [];
+    const prices = result.indicators.quote[0];
+
+    return timestamps.map((timestamp, index) => ({
+      date: new Date(timestamp * 1000).toISOString().split('T')[0],
+      open: prices.open[index],
+      high: prices.high[index],
+      low: prices.low[index],
+      close: prices.close[index],
+      volume: prices.volume[index]
+    })).filter(item => item.close !== null && item.date >= window.from && item.date <= window.to);
+  }
+
+  // Stored rows for the window, or null unless they cover it without gaps
+  // (edges and holes up to STORED_PRICE_MAX_GAP_DAYS are allowed for weekends and market holidays)
+  async getStoredHistory(indexKey, window, { requireFullCoverage = true } = {}) {
+    const rows = await database.getIndexPrices(indexKey, window.from, window.to);
+    if (rows.length === 0) return null;
+
+    const dates = [window.from, ...rows.map(row => row.price_date), window.to];
+    for (let i = 1; requireFullCoverage && i < dates.length; i++) {
+      if (daysBetween(dates[i - 1], dates[i]) > STORED_PRICE_MAX_GAP_DAYS) {
+        return null;
+      }
+    }
+
+    const toNumber = value => (value === null ? null : parseFloat(value));
+
+    return rows.map(row => ({
+      date: row.price_date,
+      open: toNumber(row.open),
+      high: toNumber(row.high),
+      low: toNumber(row.low),
+      close: parseFloat(row.close),
+      volume: row.volume === null ? null : parseInt(row.volume)
+    }));
+  }
+
+  // Rows within the window from INDEX_CSV_DIR/<indexKey>.csv (NSE TRI downloads)
+  async getCsvHistory(indexKey, window) {
+    const filePath = this.csvDirectory && path.join(this.csvDirectory, `${indexKey}.csv`);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new Error(
+        `No price data for ${indexKey}. Load the NSE CSV with "npm run load-index-prices -- --index ${indexKey} --csv <file>" ` +
+        'or place it at INDEX_CSV_DIR/<index>.csv'
+      );
+    }
+
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const prices = parsePriceCsv(content).filter(item => item.date >= window.from && item.date <= window.to);
+
+    if (prices.length === 0) {
+      throw new Error(`${filePath} has no prices between ${window.from} and ${window.to}`);
+    }
+
+    return prices;
+  }
+
   async getAllIndexQuotes() {
     try {
       this.logger.info('Fetching all index quotes');
@@ -238,9 +478,9 @@ class IndexDataService {
 
     // Calculate returns
     const totalReturn = ((latest - oldest) / oldest) * 100;
-    const days = historicalData.length;
-    const years = days / 365;
-    const annualizedReturn = Math.pow((latest / oldest), (1 / years)) - 1;
+    // Annualise over calendar time, not the number of trading-day rows
+    const years = yearsBetween(historicalData[0].date, historicalData[historicalData.length - 1].date);
+    const annualizedReturn = years > 0 ? Math.pow((latest / oldest), (1 / years)) - 1 : 0;
 
     // Calculate volatility (standard deviation of daily returns)
     const dailyReturns = [];
@@ -296,6 +536,117 @@ class IndexDataService {
     }
   }
 
+  // { from, to } as YYYY-MM-DD; `to` defaults to today
+  normalizeRange({ from, to }) {
+    if (!from) {
+      throw new Error('Index history range requires a from date');
+    }
+
+    const range = {
+      from: toISODate(from),
+      to: toISODate(to || new Date())
+    };
+
+    if (range.from > range.to) {
+      throw new Error(`Invalid index history range: ${range.from} is after ${range.to}`);
+    }
+
+    return range;
+  }
+
+  // Returns from investing `amount` in the index between startDate and endDate, as a lump sum
+  // ('lump') or monthly SIP. Expects indexData fetched for that window.
+  // For SIPs, amount is the first installment and stepUp (see utils/sipSchedule) raises later ones
+  calculateReturnsForPeriod(indexData, startDate, endDate, investmentType, amount, stepUp = null) {
+    const data = indexData.data;
+    if (!data || data.length === 0) {
+      throw new Error('No index data available for calculation');
+    }
+
+    // Value at the end of the window (the last trading day on or before endDate)
+    const endPrice = data[data.length - 1].close;
+    const end = endDate ? toDate(endDate) : toDate(data[data.length - 1].date);
+
+    if (investmentType === 'lump') {
+      // Lump sum calculation
+      const startPrice = this.findPriceForDate(data, startDate);
+      const units = amount / startPrice;
+      const currentValue = units * endPrice;
+      const absoluteReturn = currentValue - amount;
+      const returnPercentage = (absoluteReturn / amount) * 100;
+      const annualizedReturn = this.calculateXirr([{ amount: -amount, date: startDate }, { amount: currentValue, date: end }]);
+
+      return {
+        invested: amount,
+        currentValue: Math.round(currentValue),
+        absoluteReturn: Math.round(absoluteReturn),
+        returnPercentage: Math.round(returnPercentage * 100) / 100,
+        // A single purchase's XIRR is its CAGR
+        annualizedReturn,
+        xirr: annualizedReturn,
+        units: Math.round(units * 1000) / 1000
+      };
+    }
+
+    // SIP calculation for index
+    let totalInvested = 0;
+    let totalUnits = 0;
+    const cashFlows = [];
+
+    for (let month = 0; addMonths(startDate, month) <= end; month++) {
+      const installmentDate = addMonths(startDate, month);
+      const monthPrice = this.findPriceForDate(data, installmentDate);
+      if (monthPrice) {
+        const installment = sipInstallmentAmount(amount, startDate, installmentDate, stepUp);
+        totalUnits += installment / monthPrice;
+        totalInvested += installment;
+        cashFlows.push({ amount: -installment, date: installmentDate });
+      }
+    }
+
+    const currentValue = totalUnits * endPrice;
+    const absoluteReturn = currentValue - totalInvested;
+    const returnPercentage = totalInvested > 0 ? (absoluteReturn / totalInvested) * 100 : 0;
+
+    return {
+      invested: Math.round(totalInvested * 100) / 100,
+      currentValue: Math.round(currentValue),
+      absoluteReturn: Math.round(absoluteReturn),
+      returnPercentage: Math.round(returnPercentage * 100) / 100,
+      xirr: cashFlows.length > 0 ? this.calculateXirr([...cashFlows, { amount: currentValue, date: end }]) : null,
+      units: Math.round(totalUnits * 1000) / 1000
+    };
+  }
+
+  // XIRR (%) rounded to 2 decimals, or null when the flows have none
+  calculateXirr(cashFlows) {
+    try {
+      return Math.round(xirr(cashFlows).rate * 100 * 100) / 100;
+    } catch (error) {
+      if (!(error instanceof XirrError)) throw error;
+      this.logger.warn('Index XIRR not available', { error: error.message });
+      return null;
+    }
+  }
+
+  // Close on the trading day nearest to targetDate
+  findPriceForDate(data, targetDate) {
+    const target = toDate(targetDate);
+
+    let closest = data[0];
+    let minDiff = Math.abs(toDate(data[0].date) - target);
+
+    for (const item of data) {
+      const diff = Math.abs(toDate(item.date) - target);
+      if (diff < minDiff) {
+        minDiff = diff;
+        closest = item;
+      }
+    }
+
+    return closest.close;
+  }
+
   isMemoryCacheValid(key) {
     if (!this.memoryCache.has(key) || !this.cacheExpiry.has(key)) {
       return false;
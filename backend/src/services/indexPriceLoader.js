@@ -0,0 +1,52 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const database = require('../database');
+const indexDataService = require('./indexDataService');
+const { parsePriceCsv } = require('../utils/priceCsv');
+
+/**
+ * Backfills index_prices either from Yahoo Finance or from a local CSV export.
+ * Used by scripts/load-index-prices.js.
+ */
+class IndexPriceLoader {
+  async loadFromYahoo(indexKey, { from, to } = {}) {
+    const window = indexDataService.normalizeRange({ from, to });
+
+    logger.info('Backfilling index prices from Yahoo', { indexKey, ...window });
+    const prices = await indexDataService.fetchYahooHistory(indexKey, window);
+
+    return this.store(indexKey, prices, 'yahoo');
+  }
+
+  async loadFromCsv(indexKey, filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const prices = parsePriceCsv(content);
+
+    logger.info('Loading index prices from CSV', { indexKey, filePath, rows: prices.length });
+    return this.store(indexKey, prices, 'csv');
+  }
+
+  async store(indexKey, prices, source) {
+    if (prices.length === 0) {
+      throw new Error(`No ${indexKey} prices to store`);
+    }
+
+    const stored = await database.upsertIndexPrices(indexKey, prices, source);
+
+    // Drop cached windows so the next read picks up the new rows
+    indexDataService.clearCache();
+
+    return {
+      indexKey,
+      source,
+      rows: stored,
+      from: prices[0].date,
+      to: prices[prices.length - 1].date
+    };
+  }
+}
+
+// Create singleton instance
+const indexPriceLoader = new IndexPriceLoader();
+
+module.exports = indexPriceLoader;
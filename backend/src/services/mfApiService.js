@@ -1,75 +1,21 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
 const database = require('../database');
+const { createNavProvider } = require('./navProviders');
+const { toISODate } = require('../utils/dateUtils');
 
 class MutualFundApiService {
-  constructor() {
-    this.baseURL = process.env.MF_API_BASE_URL || 'https://api.mfapi.in';
-    this.timeout = parseInt(process.env.API_REQUEST_TIMEOUT) || 30000;
+  constructor(provider = createNavProvider()) {
+    // Where scheme lists and NAV history come from (mfapi.in by default, see NAV_PROVIDER)
+    this.provider = provider;
     this.databaseEnabled = process.env.ENABLE_DATABASE === 'true';
     
     // In-memory cache
     this.memoryCache = new Map();
     this.cacheExpiry = new Map();
     this.DEFAULT_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
-    
-    this.client = axios.create({
-      baseURL: this.baseURL,
-      timeout: this.timeout,
-      headers: {
-        'User-Agent': 'MutualFundComparison/1.0',
-        'Accept': 'application/json'
-      }
-    });
-
-    // Request interceptor for logging
-    this.client.interceptors.request.use(
-      (config) => {
-        logger.debug('MF API Request', { 
-          url: config.url, 
-          method: config.method?.toUpperCase() 
-        });
-        return config;
-      },
-      (error) => {
-        logger.error('MF API Request Error', error);
-        return Promise.reject(error);
-      }
-    );
-
-    // Response interceptor for logging and error handling
-    this.client.interceptors.response.use(
-      (response) => {
-        logger.debug('MF API Response', { 
-          url: response.config.url, 
-          status: response.status,
-          dataSize: JSON.stringify(response.data).length 
-        });
-        return response;
-      },
-      (error) => {
-        logger.error('MF API Response Error', {
-          url: error.config?.url,
-          status: error.response?.status,
-          message: error.message
-        });
-        return Promise.reject(this.handleApiError(error));
-      }
-    );
-  }
 
-  handleApiError(error) {
-    if (error.response) {
-      // Server responded with error status
-      const { status, data } = error.response;
-      return new Error(`MF API Error (${status}): ${data?.message || 'Unknown error'}`);
-    } else if (error.request) {
-      // Request was made but no response received
-      return new Error('MF API Error: No response received from server');
-    } else {
-      // Something else happened
-      return new Error(`MF API Error: ${error.message}`);
-    }
+    // How long nav_data counts as current after its last upstream sync
+    this.navDataMaxAge = (parseInt(process.env.NAV_DB_MAX_AGE_HOURS) || 36) * 60 * 60 * 1000;
   }
 
   async getAllFunds(useCache = true) {
@@ -96,11 +42,10 @@ class MutualFundApiService {
         }
       }
 
-      logger.info('Fetching all funds from MF API');
+      logger.info('Fetching all funds from NAV provider', { provider: this.provider.name });
       const startTime = Date.now();
       
-      const response = await this.client.get('/mf');
-      const funds = response.data;
+      const funds = await this.provider.listSchemes();
 
       logger.performance('getAllFunds', startTime);
       
@@ -128,37 +73,56 @@ class MutualFundApiService {
     }
   }
 
-  async getFundNavData(schemeCode, useCache = true) {
+  // NAV history in the provider shape, optionally limited to range { from, to }.
+  // The result carries `source`: memory-cache, database (nav_data), database-cache (api_cache) or upstream.
+  async getFundNavData(schemeCode, useCache = true, range = {}) {
     const cacheKey = `mf_nav_${schemeCode}`;
+    const from = range.from ? toISODate(range.from) : null;
+    const to = range.to ? toISODate(range.to) : null;
     
     try {
       // Try memory cache first
       if (useCache && this.isMemoryCacheValid(cacheKey)) {
         logger.debug('Retrieved NAV data from memory cache', { schemeCode });
-        return this.memoryCache.get(cacheKey);
+        return this.withNavSource(this.memoryCache.get(cacheKey), 'memory-cache', from, to);
       }
 
-      // Try database cache if enabled
       if (useCache && this.databaseEnabled) {
+        // nav_data, when it fully covers the requested window
+        try {
+          const storedData = await this.getNavDataFromDatabase(schemeCode, from, to);
+          if (storedData) {
+            logger.debug('Retrieved NAV data from nav_data', { schemeCode, from, to, records: storedData.data.length });
+            return storedData;
+          }
+        } catch (dbError) {
+          logger.warn('nav_data read failed, continuing with cache/API', { schemeCode, error: dbError.message });
+        }
+
+        // Try database cache
         try {
           const cachedData = await database.getCache(cacheKey);
           if (cachedData) {
             logger.debug('Retrieved NAV data from database cache', { schemeCode });
             this.setMemoryCache(cacheKey, cachedData);
-            return cachedData;
+            return this.withNavSource(cachedData, 'database-cache', from, to);
           }
         } catch (dbError) {
           logger.warn('Database cache failed for NAV data', { schemeCode, error: dbError.message });
         }
       }
 
-      logger.info('Fetching NAV data from MF API', { schemeCode });
+      logger.info('Fetching NAV data from NAV provider', { schemeCode, provider: this.provider.name });
       const startTime = Date.now();
       
-      const response = await this.client.get(`/mf/${schemeCode}`);
-      const navData = response.data;
+      const navData = await this.provider.getNavHistory(schemeCode);
 
       logger.performance('getFundNavData', startTime);
+
+      // Unknown scheme - let the caller decide, and don't cache the miss
+      if (!navData) {
+        return null;
+      }
       
       // Cache in memory
       this.setMemoryCache(cacheKey, navData);
@@ -174,16 +138,63 @@ class MutualFundApiService {
 
       // Store NAV data in database if enabled
       if (this.databaseEnabled && navData.data && Array.isArray(navData.data)) {
-        await this.storeNavDataInDatabase(schemeCode, navData.data);
+        await this.storeNavDataInDatabase(schemeCode, navData.data, navData.meta);
       }
 
-      return navData;
+      return this.withNavSource(navData, 'upstream', from, to);
     } catch (error) {
       logger.error('Error fetching NAV data', { schemeCode, error: error.message });
       throw error;
     }
   }
 
+  // Serve from nav_data only when coverage is complete: history reaches back to upstream's first NAV
+  // and either ends after `to` or was synced recently enough that upstream has nothing newer.
+  async getNavDataFromDatabase(schemeCode, from, to) {
+    const scheme = await database.getScheme(schemeCode);
+    if (!scheme || !scheme.nav_history_start || !scheme.nav_history_end) {
+      return null;
+    }
+
+    const coversWindowEnd = to !== null && to <= scheme.nav_history_end;
+    const recentlySynced = scheme.nav_synced_at &&
+      Date.now() - new Date(scheme.nav_synced_at).getTime() < this.navDataMaxAge;
+
+    if (!coversWindowEnd && !recentlySynced) {
+      return null;
+    }
+
+    const rows = await database.getNavData(schemeCode, from, to);
+
+    return {
+      meta: {
+        fund_house: scheme.fund_house,
+        scheme_type: scheme.scheme_type,
+        scheme_category: scheme.scheme_category,
+        scheme_code: Number(scheme.scheme_code),
+        scheme_name: scheme.scheme_name
+      },
+      data: rows.map(row => ({
+        date: this.toApiDateFormat(row.nav_date),
+        nav: row.nav_value
+      })),
+      status: 'SUCCESS',
+      source: 'database'
+    };
+  }
+
+  // Copy of a full provider response limited to [from, to] and tagged with where it came from
+  withNavSource(navData, source, from = null, to = null) {
+    let data = navData.data;
+    if (Array.isArray(data) && (from || to)) {
+      data = data.filter(item => {
+        const date = this.convertDateFormat(item.date);
+        return (!from || date >= from) && (!to || date <= to);
+      });
+    }
+    return { ...navData, data, source };
+  }
+
   async searchFunds(searchTerm, limit = 50) {
     try {
       if (!searchTerm || searchTerm.length < 2) {
@@ -270,17 +281,7 @@ class MutualFundApiService {
     try {
       logger.info('Storing funds in database', { count: funds.length });
       
-      for (const fund of funds.slice(0, 1000)) { // Limit to prevent overwhelming the DB
-        const schemeData = {
-          scheme_code: fund.schemeCode,
-          scheme_name: fund.schemeName,
-          scheme_category: this.categorizeScheme(fund.schemeName),
-          fund_house: this.extractFundHouse(fund.schemeName),
-          scheme_type: 'Open Ended'
-        };
-        
-        await database.upsertScheme(schemeData);
-      }
+      await database.upsertSchemes(funds.map(fund => this.toSchemeRecord(fund)));
       
       logger.info('Successfully stored funds in database');
     } catch (error) {
@@ -289,7 +290,18 @@ class MutualFundApiService {
     }
   }
 
-  async storeNavDataInDatabase(schemeCode, navDataArray) {
+  // Map a provider scheme list entry onto the schemes table columns
+  toSchemeRecord(fund) {
+    return {
+      scheme_code: String(fund.schemeCode),
+      scheme_name: fund.schemeName,
+      scheme_category: this.categorizeScheme(fund.schemeName),
+      fund_house: this.extractFundHouse(fund.schemeName),
+      scheme_type: 'Open Ended'
+    };
+  }
+
+  async storeNavDataInDatabase(schemeCode, navDataArray, meta = {}) {
     if (!this.databaseEnabled) return;
     
     try {
@@ -300,7 +312,18 @@ class MutualFundApiService {
       })).filter(item => !isNaN(item.nav_value));
 
       if (formattedNavData.length > 0) {
+        // nav_data references schemes, so make sure the scheme exists first
+        if (meta.scheme_name) {
+          await database.upsertScheme(this.toSchemeRecord({ schemeCode, schemeName: meta.scheme_name }));
+        }
+
         await database.insertNavData(formattedNavData);
+
+        const upstreamStart = formattedNavData.reduce(
+          (earliest, item) => (item.nav_date < earliest ? item.nav_date : earliest),
+          formattedNavData[0].nav_date
+        );
+        await database.updateNavCoverage(schemeCode, upstreamStart);
       }
     } catch (error) {
       logger.error('Error storing NAV data in database', { schemeCode, error: error.message });
@@ -360,6 +383,12 @@ class MutualFundApiService {
     return 'Others';
   }
 
+  // Convert YYYY-MM-DD to DD-MM-YYYY (the provider format)
+  toApiDateFormat(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}-${month}-${year}`;
+  }
+
   convertDateFormat(dateString) {
     // Convert DD-MM-YYYY to YYYY-MM-DD
     const parts = dateString.split('-');
@@ -369,21 +398,23 @@ class MutualFundApiService {
     return dateString;
   }
 
+  // Convert raw API NAV rows (DD-MM-YYYY, newest first) into an ascending [{ date, nav }] series
+  formatNavHistory(navDataArray = []) {
+    return navDataArray
+      .map(item => ({
+        date: this.convertDateFormat(item.date),
+        nav: parseFloat(item.nav)
+      }))
+      .filter(item => !isNaN(item.nav) && item.nav > 0)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async getLatestNav(schemeCode) {
+    return this.provider.getLatestNav(schemeCode);
+  }
+
   async getHealthStatus() {
-    try {
-      const response = await this.client.get('/mf', { timeout: 5000 });
-      return {
-        status: 'healthy',
-        responseTime: response.headers['x-response-time'] || 'unknown',
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      return {
-        status: 'unhealthy',
-        error: error.message,
-        timestamp: new Date().toISOString()
-      };
-    }
+    return this.provider.healthCheck();
   }
 }
 
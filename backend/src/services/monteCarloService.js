@@ -0,0 +1,198 @@
+const logger = require('../utils/logger');
+const analyticsService = require('./analyticsService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { toISODate, addMonths } = require('../utils/dateUtils');
+const { mean, percentile } = require('../utils/statistics');
+const { sipInstallmentAmount } = require('../utils/sipSchedule');
+
+// Fewer common monthly returns than this can't support a meaningful bootstrap
+const MIN_OBSERVATIONS = 24;
+
+// Horizons up to this many months get a band point every month; longer ones one a year
+const MONTHLY_POINTS_UP_TO = 60;
+
+// mulberry32: small seeded generator so a projection can be reproduced
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Monte Carlo projection of future SIP and lumpsum outcomes from the funds' own history.
+ *
+ * Monthly returns of all funds are aligned on common dates and resampled with a circular block bootstrap:
+ * each path strings together blocks of consecutive historical months, picked at random, for every fund at
+ * once. Blocks keep short-term momentum and drawdowns intact and resampling whole months keeps the funds'
+ * correlation. Contributions go in at the start of each month and are compounded by that month's return.
+ */
+class MonteCarloService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * funds: [{ schemeCode, name?, monthlyAmount?, lumpsum?, installments?, stepUp? }]
+   *   installments limits the number of SIP installments (default: the whole horizon)
+   * options: { months, targetAmount?, simulations = 5000, blockSize = 12, period = 'max', seed?, startDate? }
+   */
+  async project(funds, options) {
+    const { months, targetAmount = null, simulations = 5000, blockSize = 12, period = 'max' } = options;
+    const history = await this.loadMonthlyReturns(funds, period);
+    if (history.returns[0].length < Math.max(MIN_OBSERVATIONS, blockSize * 2)) {
+      throw new ValidationError(
+        `Only ${history.returns[0].length} months of common NAV history across these funds; ` +
+        `need at least ${Math.max(MIN_OBSERVATIONS, blockSize * 2)} for a ${blockSize}-month block bootstrap`
+      );
+    }
+
+    // First installment on the 1st of next month unless a start date is given
+    const startDate = toISODate(options.startDate || addMonths(`${toISODate(new Date()).slice(0, 7)}-01`, 1));
+    const contributions = this.buildContributions(funds, months, startDate);
+    const pointMonths = this.pointMonths(months);
+
+    const random = options.seed !== undefined ? seededRandom(options.seed) : Math.random;
+    const observations = history.returns[0].length;
+    const values = pointMonths.map(() => new Float64Array(simulations));
+
+    for (let sim = 0; sim < simulations; sim++) {
+      const holdings = new Float64Array(funds.length);
+      let blockStart = 0;
+      let point = 0;
+
+      for (let month = 0; month < months; month++) {
+        // Circular block bootstrap: a fresh random block every blockSize months, wrapping past the last month
+        if (month % blockSize === 0) {
+          blockStart = Math.floor(random() * observations);
+        }
+        const index = (blockStart + month % blockSize) % observations;
+
+        for (let f = 0; f < funds.length; f++) {
+          holdings[f] = (holdings[f] + contributions[f][month]) * (1 + history.returns[f][index]);
+        }
+
+        if (month + 1 === pointMonths[point]) {
+          values[point][sim] = holdings.reduce((sum, value) => sum + value, 0);
+          point++;
+        }
+      }
+    }
+
+    const investedBy = month => contributions.reduce(
+      (sum, fund) => sum + fund.slice(0, month).reduce((total, amount) => total + amount, 0),
+      0
+    );
+
+    const bands = pointMonths.map((month, i) => {
+      const outcomes = Array.from(values[i]);
+      return {
+        month,
+        date: toISODate(addMonths(startDate, month)),
+        invested: Math.round(investedBy(month)),
+        p10: Math.round(percentile(outcomes, 10)),
+        p50: Math.round(percentile(outcomes, 50)),
+        p90: Math.round(percentile(outcomes, 90))
+      };
+    });
+
+    const terminal = Array.from(values[values.length - 1]);
+    const invested = investedBy(months);
+    const share = count => this.round(count / simulations * 100);
+
+    const result = {
+      months,
+      startDate,
+      simulations,
+      blockSize,
+      history: {
+        from: history.dates[0],
+        to: history.dates[history.dates.length - 1],
+        observations
+      },
+      funds: funds.map((fund, f) => ({
+        schemeCode: String(fund.schemeCode),
+        name: fund.name || history.names[f],
+        monthlyAmount: fund.monthlyAmount || 0,
+        lumpsum: fund.lumpsum || 0,
+        invested: Math.round(contributions[f].reduce((sum, amount) => sum + amount, 0)),
+        historicalMonthlyReturn: this.round(mean(history.returns[f]) * 100)
+      })),
+      bands,
+      terminal: {
+        invested: Math.round(invested),
+        p10: bands[bands.length - 1].p10,
+        p50: bands[bands.length - 1].p50,
+        p90: bands[bands.length - 1].p90,
+        mean: Math.round(mean(terminal))
+      },
+      probabilityOfLoss: share(terminal.filter(value => value < invested).length),
+      targetAmount,
+      probabilityOfTarget: targetAmount ? share(terminal.filter(value => value >= targetAmount).length) : null
+    };
+
+    this.logger.info('Monte Carlo projection completed', {
+      funds: funds.length,
+      months,
+      simulations,
+      observations,
+      medianValue: result.terminal.p50
+    });
+
+    return result;
+  }
+
+  // Common-date monthly returns per fund: { dates, names, returns: [[fund 0], [fund 1], ...] }
+  async loadMonthlyReturns(funds, period) {
+    const window = analyticsService.resolvePeriodWindow({ period });
+    const navSeries = await Promise.all(funds.map(fund => analyticsService.getNavSeries(fund.schemeCode, window)));
+
+    const missing = funds.filter((fund, i) => !navSeries[i]?.series.length).map(fund => fund.schemeCode);
+    if (missing.length > 0) {
+      throw new NotFoundError(`No NAV data found for scheme codes: ${missing.join(', ')}`);
+    }
+
+    const aligned = analyticsService.alignAndSample(navSeries.map(nav => nav.series), 'monthly');
+
+    return {
+      dates: aligned.dates,
+      names: navSeries.map((nav, i) => nav.meta?.scheme_name || String(funds[i].schemeCode)),
+      returns: aligned.values.map(values => analyticsService.toReturns(values))
+    };
+  }
+
+  // Amount each fund receives at the start of every month of the horizon
+  buildContributions(funds, months, startDate) {
+    return funds.map(fund => {
+      const installments = Math.min(fund.installments || months, months);
+      return Array.from({ length: months }, (_, month) => {
+        const sip = fund.monthlyAmount && month < installments
+          ? sipInstallmentAmount(fund.monthlyAmount, startDate, addMonths(startDate, month), fund.stepUp)
+          : 0;
+        return sip + (month === 0 ? fund.lumpsum || 0 : 0);
+      });
+    });
+  }
+
+  // Month-ends (1-based) that get a percentile band, always including the horizon
+  pointMonths(months) {
+    const step = months <= MONTHLY_POINTS_UP_TO ? 1 : 12;
+    const points = [];
+    for (let month = step; month < months; month += step) points.push(month);
+    points.push(months);
+    return points;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create singleton instance
+const monteCarloService = new MonteCarloService();
+
+module.exports = monteCarloService;
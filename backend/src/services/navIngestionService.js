@@ -0,0 +1,261 @@
+const logger = require('../utils/logger');
+const database = require('../database');
+const mfApiService = require('./mfApiService');
+
+const METRIC_PREFIX = 'nav_ingestion';
+const MAX_RECORDED_ERRORS = 20;
+
+/**
+ * Nightly sync of the scheme master and NAV history into our own tables.
+ *
+ * Each run upserts every scheme the provider lists, then for each target scheme fetches its history
+ * and inserts only rows newer than the latest nav_date we already hold.
+ * Scope 'tracked' (default) limits NAV fetches to schemes that already have NAV rows or sit in a
+ * saved portfolio; 'all' walks the whole master, which is what a first backfill needs.
+ */
+class NavIngestionService {
+  constructor() {
+    this.databaseEnabled = process.env.ENABLE_DATABASE === 'true';
+    this.schedule = process.env.NAV_INGESTION_CRON || '0 1 * * *';
+    this.timezone = process.env.NAV_INGESTION_TIMEZONE || 'Asia/Kolkata';
+    this.defaultScope = process.env.NAV_INGESTION_SCOPE || 'tracked';
+    this.concurrency = parseInt(process.env.NAV_INGESTION_CONCURRENCY) || 4;
+
+    this.currentRun = null;
+    this.lastRun = null;
+  }
+
+  isRunning() {
+    return this.currentRun !== null;
+  }
+
+  // Starts a run and resolves with its stats; throws if one is already in progress
+  async run(options = {}) {
+    const { trigger = 'manual', scope = this.defaultScope, schemeCodes = null } = options;
+
+    if (!this.databaseEnabled) {
+      throw new Error('Database not enabled');
+    }
+
+    if (this.isRunning()) {
+      throw new Error('NAV ingestion already running');
+    }
+
+    const stats = {
+      trigger,
+      scope: schemeCodes ? 'selected' : scope,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      schemesSynced: 0,
+      schemesTotal: 0,
+      schemesChecked: 0,
+      schemesUpdated: 0,
+      schemesFailed: 0,
+      navRowsInserted: 0,
+      errors: []
+    };
+    this.currentRun = stats;
+    const startTime = Date.now();
+
+    logger.info('NAV ingestion started', { trigger, scope: stats.scope });
+
+    try {
+      stats.schemesSynced = await this.syncSchemeMaster();
+
+      const targets = await this.getSyncTargets(scope, schemeCodes);
+      stats.schemesTotal = targets.length;
+
+      await this.processInParallel(targets, async (target) => {
+        try {
+          const inserted = await this.syncScheme(target.schemeCode, target.lastNavDate);
+          stats.navRowsInserted += inserted;
+          if (inserted > 0) stats.schemesUpdated += 1;
+        } catch (error) {
+          stats.schemesFailed += 1;
+          if (stats.errors.length < MAX_RECORDED_ERRORS) {
+            stats.errors.push({ schemeCode: target.schemeCode, error: error.message });
+          }
+          logger.warn('NAV ingestion failed for scheme', { schemeCode: target.schemeCode, error: error.message });
+        } finally {
+          stats.schemesChecked += 1;
+        }
+      });
+
+      stats.status = stats.schemesFailed > 0 ? 'completed_with_errors' : 'completed';
+    } catch (error) {
+      stats.status = 'failed';
+      stats.errors.push({ error: error.message });
+      logger.error('NAV ingestion failed', { error: error.message });
+    } finally {
+      stats.finishedAt = new Date().toISOString();
+      stats.durationMs = Date.now() - startTime;
+      this.currentRun = null;
+      this.lastRun = stats;
+      await this.recordRunMetrics(stats);
+    }
+
+    logger.info('NAV ingestion finished', {
+      status: stats.status,
+      schemesChecked: stats.schemesChecked,
+      schemesUpdated: stats.schemesUpdated,
+      navRowsInserted: stats.navRowsInserted,
+      duration: `${stats.durationMs}ms`
+    });
+
+    return stats;
+  }
+
+  // Upsert the provider's full scheme list (no cap) into schemes
+  async syncSchemeMaster() {
+    const funds = await mfApiService.provider.listSchemes();
+    return database.upsertSchemes(funds.map(fund => mfApiService.toSchemeRecord(fund)));
+  }
+
+  // [{ schemeCode, lastNavDate }] where lastNavDate is YYYY-MM-DD or null when nothing is stored yet
+  async getSyncTargets(scope, schemeCodes = null) {
+    const params = [];
+    let filter = '';
+
+    if (schemeCodes) {
+      params.push(schemeCodes.map(String));
+      filter = 'WHERE s.scheme_code = ANY($1)';
+    } else if (scope === 'tracked') {
+      filter = `WHERE EXISTS (SELECT 1 FROM nav_data n2 WHERE n2.scheme_code = s.scheme_code)
+                 OR EXISTS (SELECT 1 FROM portfolio_funds pf WHERE pf.scheme_code = s.scheme_code)`;
+    }
+
+    const result = await database.query(
+      `SELECT s.scheme_code, to_char(MAX(n.nav_date), 'YYYY-MM-DD') AS last_nav_date
+       FROM schemes s
+       LEFT JOIN nav_data n ON n.scheme_code = s.scheme_code
+       ${filter}
+       GROUP BY s.scheme_code
+       ORDER BY s.scheme_code`,
+      params
+    );
+
+    return result.rows.map(row => ({
+      schemeCode: row.scheme_code,
+      lastNavDate: row.last_nav_date
+    }));
+  }
+
+  // Fetch one scheme's history straight from the provider and store rows after lastNavDate
+  async syncScheme(schemeCode, lastNavDate) {
+    const navResponse = await mfApiService.provider.getNavHistory(schemeCode);
+    const history = mfApiService.formatNavHistory(navResponse?.data);
+
+    const newRows = history
+      .filter(item => !lastNavDate || item.date > lastNavDate)
+      .map(item => ({
+        scheme_code: schemeCode,
+        nav_date: item.date,
+        nav_value: item.nav
+      }));
+
+    const inserted = newRows.length > 0 ? await database.insertNavData(newRows) : 0;
+
+    // Mark the scheme as synced even when nothing was new, so reads keep trusting nav_data
+    if (history.length > 0) {
+      await database.updateNavCoverage(schemeCode, history[0].date);
+    }
+
+    return inserted;
+  }
+
+  // Run worker over items with at most `concurrency` calls in flight
+  async processInParallel(items, worker) {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(this.concurrency, items.length) }, async () => {
+      while (nextIndex < items.length) {
+        const item = items[nextIndex++];
+        await worker(item);
+      }
+    });
+    await Promise.all(runners);
+  }
+
+  async recordRunMetrics(stats) {
+    const tags = { trigger: stats.trigger, scope: stats.scope, status: stats.status, run_started_at: stats.startedAt };
+    const metric = (name, value, unit = 'count') => ({ name: `${METRIC_PREFIX}.${name}`, value, unit, tags });
+
+    try {
+      await database.recordMetrics([
+        metric('schemes_synced', stats.schemesSynced),
+        metric('schemes_checked', stats.schemesChecked),
+        metric('schemes_updated', stats.schemesUpdated),
+        metric('schemes_failed', stats.schemesFailed),
+        metric('nav_rows_inserted', stats.navRowsInserted),
+        metric('duration', stats.durationMs, 'ms')
+      ]);
+    } catch (error) {
+      logger.warn('Failed to record NAV ingestion metrics', { error: error.message });
+    }
+  }
+
+  // Recent runs rebuilt from system_metrics, so history survives restarts
+  async getRunHistory(limit = 10) {
+    const result = await database.query(
+      `SELECT metric_name, metric_value, tags, recorded_at
+       FROM system_metrics
+       WHERE metric_name LIKE $1
+         AND tags->>'run_started_at' IN (
+           SELECT DISTINCT tags->>'run_started_at'
+           FROM system_metrics
+           WHERE metric_name = $2
+           ORDER BY tags->>'run_started_at' DESC
+           LIMIT $3
+         )
+       ORDER BY recorded_at DESC`,
+      [`${METRIC_PREFIX}.%`, `${METRIC_PREFIX}.duration`, limit]
+    );
+
+    const runs = new Map();
+    for (const row of result.rows) {
+      const startedAt = row.tags.run_started_at;
+      if (!runs.has(startedAt)) {
+        runs.set(startedAt, {
+          startedAt,
+          trigger: row.tags.trigger,
+          scope: row.tags.scope,
+          status: row.tags.status,
+          recordedAt: row.recorded_at
+        });
+      }
+      const key = row.metric_name.slice(METRIC_PREFIX.length + 1);
+      runs.get(startedAt)[key] = parseFloat(row.metric_value);
+    }
+
+    return Array.from(runs.values()).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  async getStatus() {
+    let history = [];
+    if (this.databaseEnabled) {
+      try {
+        history = await this.getRunHistory();
+      } catch (error) {
+        logger.warn('Failed to load NAV ingestion history', { error: error.message });
+      }
+    }
+
+    return {
+      enabled: this.databaseEnabled && process.env.NAV_INGESTION_ENABLED !== 'false',
+      schedule: this.schedule,
+      timezone: this.timezone,
+      defaultScope: this.defaultScope,
+      provider: mfApiService.provider.name,
+      running: this.isRunning(),
+      currentRun: this.currentRun,
+      lastRun: this.lastRun,
+      history
+    };
+  }
+}
+
+// Create singleton instance
+const navIngestionService = new NavIngestionService();
+
+module.exports = navIngestionService;
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const MONTHS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+
+// Header labels used by NAVAll.txt and the historical NAV report, mapped to our field names
+const COLUMN_ALIASES = {
+  'scheme code': 'schemeCode',
+  'scheme name': 'schemeName',
+  'isin div payout/ isin growth': 'isinGrowth',
+  'isin div payout/isin growth': 'isinGrowth',
+  'isin div reinvestment': 'isinDivReinvestment',
+  'net asset value': 'nav',
+  'date': 'date'
+};
+
+/**
+ * NAV provider that reads AMFI's semicolon-separated text downloads from disk:
+ * - NAVAll.txt (latest NAV for every scheme)
+ * - the historical NAV report (one row per scheme per day)
+ *
+ * Both interleave data rows with section lines ("Open Ended Schemes(Equity Scheme - Large Cap Fund)")
+ * and fund house names, which are carried forward onto the rows beneath them.
+ * `navPath` may point to a single file or a directory of .txt files, which are merged.
+ */
+class AmfiFileNavProvider {
+  constructor(options = {}) {
+    this.name = 'amfi-file';
+    this.navPath = options.path || process.env.AMFI_NAV_PATH;
+    this.schemes = null;
+    this.loadedSignature = null;
+
+    if (!this.navPath) {
+      throw new Error('AMFI_NAV_PATH must be set to use the amfi-file NAV provider');
+    }
+  }
+
+  listFiles() {
+    const stats = fs.statSync(this.navPath);
+    if (!stats.isDirectory()) {
+      return [this.navPath];
+    }
+
+    return fs.readdirSync(this.navPath)
+      .filter(file => file.toLowerCase().endsWith('.txt'))
+      .sort()
+      .map(file => path.join(this.navPath, file));
+  }
+
+  // Reload only when a file is added, removed or modified
+  async load() {
+    const files = this.listFiles();
+    const signature = files
+      .map(file => `${file}:${fs.statSync(file).mtimeMs}`)
+      .join('|');
+
+    if (this.schemes && signature === this.loadedSignature) {
+      return this.schemes;
+    }
+
+    const startTime = Date.now();
+    const schemes = new Map();
+
+    for (const file of files) {
+      const content = await fs.promises.readFile(file, 'utf8');
+      this.parse(content, schemes);
+    }
+
+    this.schemes = schemes;
+    this.loadedSignature = signature;
+    logger.info('Loaded AMFI NAV files', {
+      files: files.length,
+      schemes: schemes.size,
+      duration: `${Date.now() - startTime}ms`
+    });
+
+    return schemes;
+  }
+
+  // Parse one AMFI text file into the schemes map (schemeCode -> scheme with a date -> nav map)
+  parse(content, schemes = new Map()) {
+    let columns = null;
+    let schemeType = null;
+    let schemeCategory = null;
+    let fundHouse = null;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      if (!line.includes(';')) {
+        const section = line.match(/^(.*?Schemes?)\s*\(\s*(.*?)\s*\)$/i);
+        if (section) {
+          schemeType = section[1].replace(/\s+Schemes?$/i, '').trim();
+          schemeCategory = section[2];
+        } else {
+          fundHouse = line;
+        }
+        continue;
+      }
+
+      const fields = line.split(';').map(field => field.trim());
+
+      if (/^scheme code$/i.test(fields[0])) {
+        columns = this.mapColumns(fields);
+        continue;
+      }
+
+      if (!columns || !/^\d+$/.test(fields[columns.schemeCode])) continue;
+
+      const nav = parseFloat(fields[columns.nav]);
+      const date = this.parseDate(fields[columns.date]);
+      if (isNaN(nav) || nav <= 0 || !date) continue;
+
+      const schemeCode = fields[columns.schemeCode];
+      let scheme = schemes.get(schemeCode);
+      if (!scheme) {
+        scheme = {
+          schemeCode,
+          schemeName: fields[columns.schemeName],
+          fundHouse,
+          schemeType,
+          schemeCategory,
+          isinGrowth: this.cleanIsin(fields[columns.isinGrowth]),
+          isinDivReinvestment: this.cleanIsin(fields[columns.isinDivReinvestment]),
+          navs: new Map()
+        };
+        schemes.set(schemeCode, scheme);
+      }
+
+      scheme.navs.set(date, nav);
+    }
+
+    if (!columns) {
+      logger.warn('AMFI file has no "Scheme Code" header row; nothing parsed');
+    }
+
+    return schemes;
+  }
+
+  mapColumns(headerFields) {
+    const columns = {};
+    headerFields.forEach((label, index) => {
+      const key = COLUMN_ALIASES[label.toLowerCase().replace(/\s+/g, ' ')];
+      if (key) columns[key] = index;
+    });
+
+    const missing = ['schemeCode', 'schemeName', 'nav', 'date'].filter(key => columns[key] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Unrecognised AMFI NAV header, missing columns: ${missing.join(', ')}`);
+    }
+
+    return columns;
+  }
+
+  // AMFI dates look like 17-Oct-2025; returns YYYY-MM-DD or null
+  parseDate(value) {
+    const match = /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/.exec(value || '');
+    if (!match) return null;
+
+    const month = MONTHS[match[2].toLowerCase()];
+    if (!month) return null;
+
+    return `${match[3]}-${month}-${match[1].padStart(2, '0')}`;
+  }
+
+  cleanIsin(value) {
+    return value && value !== '-' ? value : null;
+  }
+
+  toApiDate(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}-${month}-${year}`;
+  }
+
+  // Same shape as the mfapi.in response so callers don't care where the data came from
+  formatScheme(scheme, navEntries) {
+    return {
+      meta: {
+        fund_house: scheme.fundHouse,
+        scheme_type: scheme.schemeType,
+        scheme_category: scheme.schemeCategory,
+        scheme_code: Number(scheme.schemeCode),
+        scheme_name: scheme.schemeName,
+        isin_growth: scheme.isinGrowth,
+        isin_div_reinvestment: scheme.isinDivReinvestment
+      },
+      data: navEntries.map(([date, nav]) => ({
+        date: this.toApiDate(date),
+        nav: nav.toFixed(5)
+      })),
+      status: 'SUCCESS'
+    };
+  }
+
+  async listSchemes() {
+    const schemes = await this.load();
+    return Array.from(schemes.values()).map(scheme => ({
+      schemeCode: Number(scheme.schemeCode),
+      schemeName: scheme.schemeName,
+      isinGrowth: scheme.isinGrowth,
+      isinDivReinvestment: scheme.isinDivReinvestment
+    }));
+  }
+
+  // Returns null for schemes not present in the files
+  async getNavHistory(schemeCode) {
+    const schemes = await this.load();
+    const scheme = schemes.get(String(schemeCode));
+    if (!scheme) return null;
+
+    // Newest first, like mfapi.in
+    const navEntries = Array.from(scheme.navs.entries())
+      .sort((a, b) => b[0].localeCompare(a[0]));
+
+    return this.formatScheme(scheme, navEntries);
+  }
+
+  async getLatestNav(schemeCode) {
+    const history = await this.getNavHistory(schemeCode);
+    if (!history) return null;
+
+    return { ...history, data: history.data.slice(0, 1) };
+  }
+
+  async healthCheck() {
+    try {
+      const schemes = await this.load();
+      return {
+        status: schemes.size > 0 ? 'healthy' : 'unhealthy',
+        provider: this.name,
+        schemes: schemes.size,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        provider: this.name,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+module.exports = AmfiFileNavProvider;
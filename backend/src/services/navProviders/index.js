@@ -0,0 +1,28 @@
+const MfApiNavProvider = require('./mfApiProvider');
+const AmfiFileNavProvider = require('./amfiFileProvider');
+
+/**
+ * NAV providers share one interface:
+ *   listSchemes()             -> [{ schemeCode, schemeName }]
+ *   getNavHistory(schemeCode) -> { meta, data: [{ date: 'DD-MM-YYYY', nav }] } newest first, or null
+ *   getLatestNav(schemeCode)  -> same shape with only the latest row
+ *   healthCheck()             -> { status, provider, ... }
+ */
+const PROVIDERS = {
+  mfapi: MfApiNavProvider,
+  'amfi-file': AmfiFileNavProvider
+};
+
+function createNavProvider(name = process.env.NAV_PROVIDER || 'mfapi', options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown NAV provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createNavProvider,
+  MfApiNavProvider,
+  AmfiFileNavProvider
+};
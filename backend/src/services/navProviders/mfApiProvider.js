@@ -0,0 +1,108 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+// NAV provider backed by the public mfapi.in JSON API
+class MfApiNavProvider {
+  constructor(options = {}) {
+    this.name = 'mfapi';
+    this.baseURL = options.baseURL || process.env.MF_API_BASE_URL || 'https://api.mfapi.in';
+    this.timeout = options.timeout || parseInt(process.env.API_REQUEST_TIMEOUT) || 30000;
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': 'MutualFundComparison/1.0',
+        'Accept': 'application/json'
+      }
+    });
+
+    // Request interceptor for logging
+    this.client.interceptors.request.use(
+      (config) => {
+        logger.debug('MF API Request', {
+          url: config.url,
+          method: config.method?.toUpperCase()
+        });
+        return config;
+      },
+      (error) => {
+        logger.error('MF API Request Error', error);
+        return Promise.reject(error);
+      }
+    );
+
+    // Response interceptor for logging and error handling
+    this.client.interceptors.response.use(
+      (response) => {
+        logger.debug('MF API Response', {
+          url: response.config.url,
+          status: response.status,
+          dataSize: JSON.stringify(response.data).length
+        });
+        return response;
+      },
+      (error) => {
+        logger.error('MF API Response Error', {
+          url: error.config?.url,
+          status: error.response?.status,
+          message: error.message
+        });
+        return Promise.reject(this.handleApiError(error));
+      }
+    );
+  }
+
+  handleApiError(error) {
+    if (error.response) {
+      // Server responded with error status
+      const { status, data } = error.response;
+      return new Error(`MF API Error (${status}): ${data?.message || 'Unknown error'}`);
+    } else if (error.request) {
+      // Request was made but no response received
+      return new Error('MF API Error: No response received from server');
+    } else {
+      // Something else happened
+      return new Error(`MF API Error: ${error.message}`);
+    }
+  }
+
+  // [{ schemeCode, schemeName, ... }]
+  async listSchemes() {
+    const response = await this.client.get('/mf');
+    return response.data;
+  }
+
+  // { meta: { scheme_code, scheme_name, ... }, data: [{ date: 'DD-MM-YYYY', nav: '123.4500' }] } newest first
+  async getNavHistory(schemeCode) {
+    const response = await this.client.get(`/mf/${schemeCode}`);
+    return response.data;
+  }
+
+  // Same shape as getNavHistory with a single data row
+  async getLatestNav(schemeCode) {
+    const response = await this.client.get(`/mf/${schemeCode}/latest`);
+    return response.data;
+  }
+
+  async healthCheck() {
+    try {
+      const response = await this.client.get('/mf', { timeout: 5000 });
+      return {
+        status: 'healthy',
+        provider: this.name,
+        responseTime: response.headers['x-response-time'] || 'unknown',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        provider: this.name,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+module.exports = MfApiNavProvider;
@@ -1,8 +1,25 @@
 const database = require('../database');
 const logger = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const calculationService = require('./calculationService');
 const indexDataService = require('./indexDataService');
 const mfApiService = require('./mfApiService');
+const taxService = require('./taxService');
+const costScheduleService = require('./costScheduleService');
+const holdingsService = require('./holdingsService');
+const { toDate, toISODate, addDays, addMonths, daysBetween } = require('../utils/dateUtils');
+const { sipInstallmentAmount } = require('../utils/sipSchedule');
+
+const PERFORMANCE_PERIOD_DAYS = {
+  '1mo': 30,
+  '3mo': 90,
+  '6mo': 180,
+  '1y': 365,
+  '2y': 730,
+  '3y': 1095,
+  '5y': 1825,
+  '10y': 3650
+};
 
 class PortfolioDbService {
   constructor() {
@@ -29,38 +46,46 @@ class PortfolioDbService {
       // Validate portfolio data
       const validationErrors = this.validatePortfolioData(portfolioData);
       if (validationErrors.length > 0) {
-        throw new Error(`Portfolio validation failed: ${validationErrors.join(', ')}`);
+        throw new ValidationError(`Portfolio validation failed: ${validationErrors.join(', ')}`);
       }
 
       // Calculate portfolio metrics
       const portfolioMetrics = await this.calculatePortfolioMetrics(funds, benchmarkIndex);
 
-      // Insert portfolio into database
-      const portfolioId = await this.insertPortfolio({
-        name,
-        userId,
-        benchmarkIndex,
-        totalFunds: funds.length,
-        totalInvestment: this.calculateTotalInvestment(funds),
-        expectedReturn: portfolioMetrics.expectedAnnualReturn,
-        riskLevel: portfolioMetrics.riskLevel,
-        diversificationScore: portfolioMetrics.diversificationScore,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+      // Insert the portfolio and its funds atomically
+      const portfolioId = await database.transaction(async (client) => {
+        const id = await this.insertPortfolio({
+          name,
+          userId,
+          benchmarkIndex,
+          totalFunds: funds.length,
+          totalInvestment: this.calculateTotalInvestment(funds),
+          expectedReturn: portfolioMetrics.expectedAnnualReturn,
+          riskLevel: portfolioMetrics.riskLevel,
+          diversificationScore: portfolioMetrics.diversificationScore
+        }, client);
+
+        await this.insertPortfolioFunds(id, funds, client);
+        return id;
       });
 
-      // Insert portfolio funds
-      await this.insertPortfolioFunds(portfolioId, funds);
-
-      // Calculate and store portfolio analysis
-      const analysis = await this.generatePortfolioAnalysis(portfolioId, funds, benchmarkIndex);
+      // Analysis depends on external data, so a failure here must not lose the saved portfolio
+      let analysis = null;
+      try {
+        analysis = await this.generatePortfolioAnalysis(portfolioId, funds, benchmarkIndex);
+      } catch (error) {
+        this.logger.warn('Portfolio saved but analysis failed', { portfolioId, error: error.message });
+      }
 
       const result = {
         success: true,
         portfolio: {
           id: portfolioId,
           name,
-          funds: funds.length,
+          benchmarkIndex,
+          funds,
+          totalFunds: funds.length,
+          totalInvestment: this.calculateTotalInvestment(funds),
           metrics: portfolioMetrics,
           analysis,
           createdAt: new Date().toISOString()
@@ -82,11 +107,13 @@ class PortfolioDbService {
         throw new Error('Database not enabled - portfolio retrieval not available');
       }
 
+      this.assertValidPortfolioId(portfolioId);
+
       this.logger.info('Retrieving portfolio', { portfolioId });
 
       const portfolio = await this.fetchPortfolioById(portfolioId);
       if (!portfolio) {
-        throw new Error(`Portfolio with ID ${portfolioId} not found`);
+        throw new NotFoundError(`Portfolio with ID ${portfolioId} not found`);
       }
 
       const portfolioFunds = await this.fetchPortfolioFunds(portfolioId);
@@ -113,26 +140,32 @@ class PortfolioDbService {
         throw new Error('Database not enabled - portfolio updates not available');
       }
 
+      this.assertValidPortfolioId(portfolioId);
+
       this.logger.info('Updating portfolio', { portfolioId, updateData });
 
+      const changes = { ...updateData };
+
       // Recalculate metrics if funds are updated
-      if (updateData.funds) {
+      if (changes.funds) {
         const portfolioMetrics = await this.calculatePortfolioMetrics(
-          updateData.funds, 
-          updateData.benchmarkIndex
+          changes.funds, 
+          changes.benchmarkIndex
         );
-        updateData.expectedReturn = portfolioMetrics.expectedAnnualReturn;
-        updateData.riskLevel = portfolioMetrics.riskLevel;
-        updateData.diversificationScore = portfolioMetrics.diversificationScore;
+        changes.expectedReturn = portfolioMetrics.expectedAnnualReturn;
+        changes.riskLevel = portfolioMetrics.riskLevel;
+        changes.diversificationScore = portfolioMetrics.diversificationScore;
+        changes.totalFunds = changes.funds.length;
+        changes.totalInvestment = this.calculateTotalInvestment(changes.funds);
       }
 
-      updateData.updatedAt = new Date().toISOString();
-
-      await this.updatePortfolioInDb(portfolioId, updateData);
+      await database.transaction(async (client) => {
+        await this.updatePortfolioInDb(portfolioId, changes, client);
 
-      if (updateData.funds) {
-        await this.updatePortfolioFunds(portfolioId, updateData.funds);
-      }
+        if (changes.funds) {
+          await this.updatePortfolioFunds(portfolioId, changes.funds, client);
+        }
+      });
 
       this.logger.info('Portfolio updated successfully', { portfolioId });
       return { success: true, portfolioId };
@@ -149,6 +182,8 @@ class PortfolioDbService {
         throw new Error('Database not enabled - portfolio deletion not available');
       }
 
+      this.assertValidPortfolioId(portfolioId);
+
       this.logger.info('Deleting portfolio', { portfolioId });
 
       await this.deletePortfolioFromDb(portfolioId);
@@ -188,22 +223,29 @@ class PortfolioDbService {
     try {
       this.logger.info('Generating portfolio analysis', { portfolioId, benchmarkIndex });
 
-      // Get enhanced fund data from real API
+      // Get enhanced fund data from real API; NAV histories are kept aside for the tax calculation
+      const navHistories = [];
       const enhancedFunds = await Promise.all(
-        funds.map(async (fund) => {
+        funds.map(async (fund, index) => {
           try {
             const fundData = await mfApiService.getFundNavData(fund.schemeCode);
             const category = mfApiService.categorizeScheme(fundData?.meta?.scheme_name || '');
             const fundHouse = mfApiService.extractFundHouse(fundData?.meta?.scheme_name || '');
+            navHistories[index] = mfApiService.formatNavHistory(fundData?.data);
             
             return {
               ...fund,
               category: category || 'Unknown',
               fundHouse: fundHouse || 'Unknown',
-              schemeName: fundData?.meta?.scheme_name || fund.name || 'Unknown Fund'
+              schemeName: fundData?.meta?.scheme_name || fund.name || 'Unknown Fund',
+              fundType: taxService.resolveFundType({
+                schemeCategory: fundData?.meta?.scheme_category,
+                schemeName: fundData?.meta?.scheme_name || fund.name || ''
+              })
             };
           } catch (error) {
             this.logger.warn('Failed to get fund details', { schemeCode: fund.schemeCode, error: error.message });
+            navHistories[index] = [];
             return {
               ...fund,
               category: 'Unknown',
@@ -226,11 +268,15 @@ class PortfolioDbService {
       // Get benchmark comparison
       const benchmarkReturn = await calculationService.getBenchmarkReturns(benchmarkIndex);
 
+      // Holdings overlap, when the funds' portfolio disclosures have been loaded
+      const overlap = await this.getHoldingsOverlap(enhancedFunds);
+
       // Generate recommendations
       const recommendations = calculationService.generatePortfolioRecommendations({
         funds: enhancedFunds,
         riskMetrics,
-        returnMetrics: portfolioMetrics
+        returnMetrics: portfolioMetrics,
+        overlap
       });
 
       const analysis = {
@@ -255,6 +301,8 @@ class PortfolioDbService {
           costEfficiencyScore: this.calculateCostEfficiencyScore(enhancedFunds)
         },
         recommendations,
+        overlap,
+        postTax: this.calculatePortfolioPostTax(enhancedFunds, navHistories),
         generatedAt: new Date().toISOString()
       };
 
@@ -271,16 +319,340 @@ class PortfolioDbService {
     }
   }
 
+  // Replay each saved fund (SIP or lump sum) against daily NAVs and return a value-vs-invested series
+  async calculatePortfolioPerformance(funds, period = '1y', options = {}) {
+    try {
+      const { interval, benchmarkIndex = 'nifty50' } = options;
+
+      if (!funds || funds.length === 0) {
+        throw new ValidationError('Portfolio has no funds to track');
+      }
+
+      this.logger.info('Calculating portfolio performance', { fundCount: funds.length, period, interval });
+
+      const normalizedFunds = funds.map(fund => this.normalizePortfolioFund(fund));
+
+      const fundSeries = await Promise.all(
+        normalizedFunds.map(async (fund) => {
+          const navResponse = await mfApiService.getFundNavData(fund.schemeCode);
+          const navData = mfApiService.formatNavHistory(navResponse?.data);
+          if (navData.length === 0) {
+            throw new NotFoundError(`No NAV data available for scheme ${fund.schemeCode}`);
+          }
+          return {
+            ...fund,
+            name: navResponse.meta?.scheme_name || fund.name,
+            navData,
+            transactions: this.buildFundTransactions(fund, navData)
+          };
+        })
+      );
+
+      const allTransactions = fundSeries.flatMap(fund => fund.transactions);
+      if (allTransactions.length === 0) {
+        throw new ValidationError('No portfolio transactions fall within the available NAV history');
+      }
+
+      const firstTransactionDate = allTransactions.reduce((min, txn) => (txn.date < min ? txn.date : min), allTransactions[0].date);
+      const dailySeries = this.replayPortfolio(fundSeries, firstTransactionDate);
+      const endDate = dailySeries[dailySeries.length - 1].date;
+
+      const windowStart = period === 'max'
+        ? firstTransactionDate
+        : toISODate(addDays(endDate, -PERFORMANCE_PERIOD_DAYS[period]));
+      const windowSeries = dailySeries.filter(point => point.date >= windowStart);
+      const resolvedInterval = interval || this.getDefaultPerformanceInterval(windowSeries);
+      const series = this.samplePerformanceSeries(windowSeries, resolvedInterval);
+
+      let benchmark = null;
+      try {
+        benchmark = await this.buildBenchmarkSeries(benchmarkIndex, series);
+      } catch (error) {
+        this.logger.warn('Failed to build benchmark series for portfolio performance', {
+          benchmarkIndex,
+          error: error.message
+        });
+      }
+
+      // XIRR over the full cash-flow history, valued at the latest NAV date
+      const cashFlows = allTransactions.map(txn => -txn.amount);
+      const dates = allTransactions.map(txn => toDate(txn.date));
+      const latest = dailySeries[dailySeries.length - 1];
+      cashFlows.push(latest.value);
+      dates.push(toDate(latest.date));
+
+      const startPoint = windowSeries[0];
+      const contributionsInPeriod = latest.invested - startPoint.invested;
+
+      return {
+        period,
+        interval: resolvedInterval,
+        startDate: startPoint.date,
+        endDate,
+        summary: {
+          totalInvested: Math.round(latest.invested),
+          currentValue: Math.round(latest.value),
+          totalGain: Math.round(latest.value - latest.invested),
+          xirr: calculationService.calculateXIRR(cashFlows, dates),
+          periodStartValue: Math.round(startPoint.value),
+          periodContributions: Math.round(contributionsInPeriod),
+          periodGain: Math.round(latest.value - startPoint.value - contributionsInPeriod)
+        },
+        funds: fundSeries.map(fund => ({
+          schemeCode: fund.schemeCode,
+          name: fund.name,
+          investmentType: fund.investmentType,
+          transactions: fund.transactions.length,
+          invested: Math.round(fund.transactions.reduce((sum, txn) => sum + txn.amount, 0)),
+          stampDuty: Math.round(fund.transactions.reduce((sum, txn) => sum + txn.stampDuty, 0) * 100) / 100
+        })),
+        series,
+        benchmark
+      };
+    } catch (error) {
+      this.logger.error('Error calculating portfolio performance', { period, error: error.message });
+      throw error;
+    }
+  }
+
+  // Overlap from the funds' latest holdings disclosures; null when there are fewer than two funds or no
+  // holdings loaded, so recommendations fall back to the fund count
+  async getHoldingsOverlap(funds) {
+    const weighted = funds.filter(fund => fund.allocation > 0);
+    if (weighted.length < 2) {
+      return null;
+    }
+
+    try {
+      return await holdingsService.analyzeOverlap(weighted.map(fund => ({
+        schemeCode: fund.schemeCode,
+        name: fund.schemeName,
+        allocation: fund.allocation
+      })));
+    } catch (error) {
+      this.logger.warn('Holdings overlap unavailable for portfolio analysis', { error: error.message });
+      return null;
+    }
+  }
+
+  // Tax on redeeming the whole portfolio at the latest NAVs, with loss set-off and the LTCG exemption shared
+  // across funds. Returns null when no fund has purchases inside its NAV history.
+  calculatePortfolioPostTax(funds, navHistories) {
+    try {
+      const holdings = funds.map((fund, index) => {
+        const navData = navHistories[index] || [];
+        if (navData.length === 0 || !fund.fundType) return null;
+
+        const costSchedule = costScheduleService.getSchedule(fund.schemeCode, fund.fundType);
+        // Lot price includes the stamp duty paid, which counts towards the cost of acquisition
+        const lots = this.buildFundTransactions(this.normalizePortfolioFund(fund), navData, costSchedule)
+          .map(txn => ({ date: txn.date, units: txn.units, nav: txn.amount / txn.units }));
+        if (lots.length === 0) return null;
+
+        const latest = navData[navData.length - 1];
+        return {
+          schemeCode: String(fund.schemeCode),
+          name: fund.schemeName,
+          fundType: fund.fundType,
+          lots,
+          redemptionDate: latest.date,
+          redemptionNav: latest.nav,
+          navData,
+          costSchedule
+        };
+      }).filter(Boolean);
+
+      if (holdings.length === 0) return null;
+
+      return {
+        assumption: 'Full redemption on each fund\'s latest NAV date after exit load; 4% cess, no surcharge',
+        ...taxService.calculatePostTaxRedemption(holdings)
+      };
+    } catch (error) {
+      this.logger.warn('Post-tax portfolio value unavailable', { error: error.message });
+      return null;
+    }
+  }
+
+  normalizePortfolioFund(fund) {
+    return {
+      schemeCode: String(fund.schemeCode),
+      name: fund.name,
+      investmentType: fund.investmentType,
+      amount: parseFloat(fund.amount),
+      startDate: toISODate(fund.startDate),
+      sipDuration: parseInt(fund.sipDuration) || 12,
+      stepUp: fund.investmentType === 'sip' ? fund.stepUp || null : null
+    };
+  }
+
+  // Scheduled purchases inside the NAV history; SIP installments follow the fund's step-up, and stamp duty
+  // comes out of each amount before units are allotted
+  buildFundTransactions(fund, navData, costSchedule = costScheduleService.getSchedule(fund.schemeCode)) {
+    const firstNavDate = navData[0].date;
+    const lastNavDate = navData[navData.length - 1].date;
+    const installmentCount = fund.investmentType === 'sip' ? fund.sipDuration : 1;
+    const transactions = [];
+
+    for (let month = 0; month < installmentCount; month++) {
+      const scheduledDate = toISODate(addMonths(fund.startDate, month));
+      if (scheduledDate > lastNavDate) break;
+      if (scheduledDate < firstNavDate) continue;
+
+      const navPoint = calculationService.findNavOnOrAfter(navData, scheduledDate);
+      const amount = sipInstallmentAmount(fund.amount, fund.startDate, scheduledDate, fund.stepUp);
+      const { stampDuty, units } = costScheduleService.applyPurchase(amount, navPoint.date, navPoint.nav, costSchedule);
+      transactions.push({
+        date: navPoint.date,
+        amount,
+        nav: navPoint.nav,
+        stampDuty,
+        units
+      });
+    }
+
+    return transactions;
+  }
+
+  // Walk every NAV date from the first purchase, carrying forward each fund's last known NAV
+  replayPortfolio(fundSeries, fromDate) {
+    const dateSet = new Set();
+    fundSeries.forEach(fund => {
+      fund.navData.forEach(point => {
+        if (point.date >= fromDate) dateSet.add(point.date);
+      });
+    });
+    const dates = [...dateSet].sort();
+
+    const state = fundSeries.map(() => ({ navIndex: 0, txnIndex: 0, units: 0, invested: 0, nav: null }));
+
+    return dates.map(date => {
+      let value = 0;
+      let invested = 0;
+
+      fundSeries.forEach((fund, index) => {
+        const fundState = state[index];
+
+        while (fundState.navIndex < fund.navData.length && fund.navData[fundState.navIndex].date <= date) {
+          fundState.nav = fund.navData[fundState.navIndex].nav;
+          fundState.navIndex++;
+        }
+
+        while (fundState.txnIndex < fund.transactions.length && fund.transactions[fundState.txnIndex].date <= date) {
+          fundState.units += fund.transactions[fundState.txnIndex].units;
+          fundState.invested += fund.transactions[fundState.txnIndex].amount;
+          fundState.txnIndex++;
+        }
+
+        if (fundState.nav !== null) {
+          value += fundState.units * fundState.nav;
+        }
+        invested += fundState.invested;
+      });
+
+      return { date, value, invested };
+    });
+  }
+
+  getDefaultPerformanceInterval(series) {
+    const days = series.length > 1 ? daysBetween(series[0].date, series[series.length - 1].date) : 0;
+    if (days <= 180) return 'daily';
+    if (days <= 730) return 'weekly';
+    return 'monthly';
+  }
+
+  // Keep the last data point of each week/month (and always the latest point)
+  samplePerformanceSeries(series, interval) {
+    const bucketOf = (date) => {
+      if (interval === 'monthly') return date.slice(0, 7);
+      if (interval === 'weekly') {
+        const day = toDate(date);
+        const weekStart = addDays(day, -((day.getUTCDay() + 6) % 7));
+        return toISODate(weekStart);
+      }
+      return date;
+    };
+
+    const sampled = [];
+    series.forEach((point, index) => {
+      const next = series[index + 1];
+      if (!next || bucketOf(next.date) !== bucketOf(point.date)) {
+        sampled.push({
+          date: point.date,
+          value: Math.round(point.value),
+          invested: Math.round(point.invested),
+          gain: Math.round(point.value - point.invested),
+          returnPercentage: point.invested > 0
+            ? Math.round(((point.value - point.invested) / point.invested) * 100 * 100) / 100
+            : 0
+        });
+      }
+    });
+
+    return sampled;
+  }
+
+  // Benchmark index levels on the same dates, plus the value of the same money invested in the index
+  async buildBenchmarkSeries(benchmarkIndex, series) {
+    if (series.length === 0) return null;
+
+    // Start a week early so the first point has a prior close even across holidays
+    const indexData = await indexDataService.getIndexHistoricalData(benchmarkIndex, {
+      from: addDays(series[0].date, -7),
+      to: series[series.length - 1].date
+    });
+    const prices = indexData.data;
+
+    if (!prices?.length) {
+      throw new Error(`No benchmark data available for ${benchmarkIndex}`);
+    }
+
+    let priceIndex = 0;
+    let close = null;
+    let units = 0;
+    let previousInvested = null;
+
+    const points = series.map(point => {
+      while (priceIndex < prices.length && prices[priceIndex].date <= point.date) {
+        close = prices[priceIndex].close;
+        priceIndex++;
+      }
+      const levelOnDate = close || prices[0].close;
+
+      // Seed with the portfolio's value at the window start, then buy index units with each new contribution
+      if (previousInvested === null) {
+        units = point.value / levelOnDate;
+      } else if (point.invested > previousInvested) {
+        units += (point.invested - previousInvested) / levelOnDate;
+      }
+      previousInvested = point.invested;
+
+      return {
+        date: point.date,
+        close: Math.round(levelOnDate * 100) / 100,
+        value: Math.round(units * levelOnDate)
+      };
+    });
+
+    return {
+      index: benchmarkIndex,
+      name: indexData.name,
+      returnType: indexData.returnType,
+      points
+    };
+  }
+
   // Database operation methods
-  async insertPortfolio(portfolioData) {
+  async insertPortfolio(portfolioData, client = database) {
     if (!this.databaseEnabled) {
       throw new Error('Database not enabled');
     }
 
     const query = `
       INSERT INTO portfolios (name, user_id, benchmark_index, total_funds, total_investment, 
-                             expected_return, risk_level, diversification_score, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                             expected_return, risk_level, diversification_score)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
     `;
 
     const values = [
@@ -291,24 +663,22 @@ class PortfolioDbService {
       portfolioData.totalInvestment,
       portfolioData.expectedReturn,
       portfolioData.riskLevel,
-      portfolioData.diversificationScore,
-      portfolioData.createdAt,
-      portfolioData.updatedAt
+      portfolioData.diversificationScore
     ];
 
-    const result = await database.query(query, values);
-    return result.insertId;
+    const result = await client.query(query, values);
+    return result.rows[0].id;
   }
 
-  async insertPortfolioFunds(portfolioId, funds) {
+  async insertPortfolioFunds(portfolioId, funds, client = database) {
     if (!this.databaseEnabled) {
       throw new Error('Database not enabled');
     }
 
     const query = `
       INSERT INTO portfolio_funds (portfolio_id, scheme_code, fund_name, category, 
-                                  investment_type, amount, start_date, allocation_percentage)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                                  investment_type, amount, start_date, sip_duration, step_up, allocation_percentage)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
     `;
 
     for (const fund of funds) {
@@ -319,11 +689,13 @@ class PortfolioDbService {
         fund.category,
         fund.investmentType,
         fund.amount,
-        fund.startDate,
+        toISODate(fund.startDate),
+        fund.investmentType === 'sip' ? (fund.sipDuration || 12) : null,
+        fund.investmentType === 'sip' && fund.stepUp ? JSON.stringify(fund.stepUp) : null,
         fund.allocation || 0
       ];
 
-      await database.query(query, values);
+      await client.query(query, values);
     }
   }
 
@@ -334,10 +706,11 @@ class PortfolioDbService {
 
     const query = `
       INSERT INTO portfolio_analysis (portfolio_id, analysis_data, generated_at)
-      VALUES (?, ?, ?)
-      ON DUPLICATE KEY UPDATE 
-        analysis_data = VALUES(analysis_data),
-        generated_at = VALUES(generated_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (portfolio_id)
+      DO UPDATE SET 
+        analysis_data = EXCLUDED.analysis_data,
+        generated_at = EXCLUDED.generated_at
     `;
 
     const values = [
@@ -383,7 +756,11 @@ class PortfolioDbService {
   calculateTotalInvestment(funds) {
     return funds.reduce((total, fund) => {
       if (fund.investmentType === 'sip') {
-        return total + (fund.amount * (fund.sipDuration || 12));
+        let invested = 0;
+        for (let month = 0; month < (fund.sipDuration || 12); month++) {
+          invested += sipInstallmentAmount(fund.amount, fund.startDate, addMonths(fund.startDate, month), fund.stepUp);
+        }
+        return total + invested;
       }
       return total + fund.amount;
     }, 0);
@@ -496,59 +873,140 @@ class PortfolioDbService {
     };
   }
 
-  // Database fetch methods (placeholder implementations)
+  // Database fetch methods
   async fetchPortfolioById(portfolioId) {
     if (!this.databaseEnabled) return null;
-    // Implementation would query the portfolios table
-    const query = 'SELECT * FROM portfolios WHERE id = ?';
-    const results = await database.query(query, [portfolioId]);
-    return results[0] || null;
+
+    const result = await database.query('SELECT * FROM portfolios WHERE id = $1', [portfolioId]);
+    return result.rows[0] ? this.formatPortfolioRow(result.rows[0]) : null;
   }
 
   async fetchPortfolioFunds(portfolioId) {
     if (!this.databaseEnabled) return [];
-    // Implementation would query the portfolio_funds table
-    const query = 'SELECT * FROM portfolio_funds WHERE portfolio_id = ?';
-    return await database.query(query, [portfolioId]);
+
+    // Format DATE in SQL so the server timezone can't shift it by a day
+    const query = `
+      SELECT id, scheme_code, fund_name, category, investment_type, amount,
+             to_char(start_date, 'YYYY-MM-DD') AS start_date, sip_duration, step_up, allocation_percentage
+      FROM portfolio_funds
+      WHERE portfolio_id = $1
+      ORDER BY id
+    `;
+    const result = await database.query(query, [portfolioId]);
+    return result.rows.map(row => this.formatPortfolioFundRow(row));
   }
 
   async fetchPortfolioAnalysis(portfolioId) {
     if (!this.databaseEnabled) return null;
-    // Implementation would query the portfolio_analysis table
-    const query = 'SELECT analysis_data FROM portfolio_analysis WHERE portfolio_id = ? ORDER BY generated_at DESC LIMIT 1';
-    const results = await database.query(query, [portfolioId]);
-    return results[0] ? JSON.parse(results[0].analysis_data) : null;
+
+    const result = await database.query(
+      'SELECT analysis_data FROM portfolio_analysis WHERE portfolio_id = $1',
+      [portfolioId]
+    );
+    // JSONB columns come back already parsed
+    return result.rows[0] ? result.rows[0].analysis_data : null;
   }
 
   async fetchUserPortfolios(userId) {
     if (!this.databaseEnabled) return [];
-    // Implementation would query user's portfolios
-    const query = 'SELECT * FROM portfolios WHERE user_id = ? ORDER BY updated_at DESC';
-    return await database.query(query, [userId]);
+
+    const result = await database.query(
+      'SELECT * FROM portfolios WHERE user_id = $1 ORDER BY updated_at DESC',
+      [userId]
+    );
+    return result.rows.map(row => this.formatPortfolioRow(row));
   }
 
-  async updatePortfolioInDb(portfolioId, updateData) {
+  async updatePortfolioInDb(portfolioId, updateData, client = database) {
     if (!this.databaseEnabled) return;
-    // Implementation would update the portfolios table
-    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
-    const values = Object.values(updateData);
-    const query = `UPDATE portfolios SET ${fields} WHERE id = ?`;
-    await database.query(query, [...values, portfolioId]);
+
+    // Only whitelisted columns can be updated
+    const columnMap = {
+      name: 'name',
+      benchmarkIndex: 'benchmark_index',
+      totalFunds: 'total_funds',
+      totalInvestment: 'total_investment',
+      expectedReturn: 'expected_return',
+      riskLevel: 'risk_level',
+      diversificationScore: 'diversification_score'
+    };
+
+    const assignments = [];
+    const values = [];
+    Object.entries(columnMap).forEach(([key, column]) => {
+      if (updateData[key] !== undefined) {
+        values.push(updateData[key]);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    });
+
+    // Touch the row even when only funds changed so the trigger bumps updated_at
+    if (assignments.length === 0) {
+      assignments.push('updated_at = CURRENT_TIMESTAMP');
+    }
+
+    values.push(portfolioId);
+    const query = `UPDATE portfolios SET ${assignments.join(', ')} WHERE id = $${values.length}`;
+    const result = await client.query(query, values);
+
+    if (result.rowCount === 0) {
+      throw new NotFoundError(`Portfolio with ID ${portfolioId} not found`);
+    }
   }
 
-  async updatePortfolioFunds(portfolioId, funds) {
+  async updatePortfolioFunds(portfolioId, funds, client = database) {
     if (!this.databaseEnabled) return;
     // Delete existing funds and insert new ones
-    await database.query('DELETE FROM portfolio_funds WHERE portfolio_id = ?', [portfolioId]);
-    await this.insertPortfolioFunds(portfolioId, funds);
+    await client.query('DELETE FROM portfolio_funds WHERE portfolio_id = $1', [portfolioId]);
+    await this.insertPortfolioFunds(portfolioId, funds, client);
   }
 
   async deletePortfolioFromDb(portfolioId) {
     if (!this.databaseEnabled) return;
-    // Delete portfolio and related records
-    await database.query('DELETE FROM portfolio_analysis WHERE portfolio_id = ?', [portfolioId]);
-    await database.query('DELETE FROM portfolio_funds WHERE portfolio_id = ?', [portfolioId]);
-    await database.query('DELETE FROM portfolios WHERE id = ?', [portfolioId]);
+    // portfolio_funds and portfolio_analysis rows are removed by ON DELETE CASCADE
+    const result = await database.query('DELETE FROM portfolios WHERE id = $1', [portfolioId]);
+
+    if (result.rowCount === 0) {
+      throw new NotFoundError(`Portfolio with ID ${portfolioId} not found`);
+    }
+  }
+
+  // Database ids are integers; anything else can't exist (and would make Postgres reject the query)
+  assertValidPortfolioId(portfolioId) {
+    if (!/^\d+$/.test(String(portfolioId))) {
+      throw new NotFoundError(`Portfolio with ID ${portfolioId} not found`);
+    }
+  }
+
+  formatPortfolioRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      userId: row.user_id,
+      benchmarkIndex: row.benchmark_index,
+      totalFunds: row.total_funds,
+      totalInvestment: parseFloat(row.total_investment),
+      expectedReturn: row.expected_return !== null ? parseFloat(row.expected_return) : null,
+      riskLevel: row.risk_level,
+      diversificationScore: row.diversification_score !== null ? parseFloat(row.diversification_score) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatPortfolioFundRow(row) {
+    return {
+      id: row.id,
+      schemeCode: row.scheme_code,
+      name: row.fund_name,
+      category: row.category,
+      investmentType: row.investment_type,
+      amount: parseFloat(row.amount),
+      startDate: row.start_date,
+      sipDuration: row.sip_duration,
+      stepUp: row.step_up || null,
+      allocation: parseFloat(row.allocation_percentage)
+    };
   }
 }
 
@@ -0,0 +1,442 @@
+const logger = require('../utils/logger');
+const analyticsService = require('./analyticsService');
+const calculationService = require('./calculationService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { mean, covariance } = require('../utils/statistics');
+
+// Fewer common return observations than this and the covariance estimate is unreliable
+const MIN_OBSERVATIONS = 20;
+
+const MAX_ITERATIONS = 3000;
+const MAX_ACTIVE_SET_ITERATIONS = 500;
+const TOLERANCE = 1e-10;
+
+/**
+ * Mean-variance optimisation over a set of schemes.
+ *
+ * Expected returns are the annualised mean of the schemes' periodic NAV returns and risk their annualised
+ * covariance, on the dates all schemes share. Weights are long-only, add up to 100% and respect per-fund
+ * min/max and per-category caps. Each constrained problem is a small quadratic programme, solved exactly
+ * with an active-set method.
+ */
+class PortfolioOptimizerService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * funds: [{ schemeCode, name?, category?, min?, max?, allocation? }] with min/max in % of the portfolio;
+   *   allocation (relative) places the current mix next to the suggestions
+   * options: { period = '3y', frequency = 'weekly', categoryCaps = [{ category, max }], riskFreeRate?, frontierPoints = 20 }
+   */
+  async optimize(funds, options = {}) {
+    const { frequency = 'weekly', categoryCaps = [], frontierPoints = 20 } = options;
+    const window = analyticsService.resolvePeriodWindow(options);
+
+    const navSeries = await Promise.all(funds.map(fund => analyticsService.getNavSeries(fund.schemeCode, window)));
+    const missing = funds.filter((fund, i) => !navSeries[i]).map(fund => fund.schemeCode);
+    if (missing.length > 0) {
+      throw new NotFoundError(`No NAV data found for scheme codes: ${missing.join(', ')}`);
+    }
+
+    const aligned = analyticsService.alignAndSample(navSeries.map(nav => nav.series), frequency);
+    if (aligned.dates.length <= MIN_OBSERVATIONS) {
+      throw new ValidationError(
+        `Only ${aligned.dates.length} common NAV dates across these funds; pick a longer period or funds with more history`
+      );
+    }
+
+    const periodsPerYear = analyticsService.periodsPerYear[frequency];
+    const returns = aligned.values.map(values => analyticsService.toReturns(values));
+    const expectedReturns = returns.map(series => mean(series) * periodsPerYear);
+    const covarianceMatrix = returns.map(a => returns.map(b => covariance(a, b) * periodsPerYear));
+
+    const schemes = funds.map((fund, i) => ({
+      schemeCode: String(fund.schemeCode),
+      name: fund.name || navSeries[i].meta?.scheme_name || String(fund.schemeCode),
+      category: fund.category || navSeries[i].meta?.scheme_category || 'Uncategorised'
+    }));
+    const constraints = this.buildConstraints(funds, schemes, categoryCaps);
+
+    const riskFreeRate = options.riskFreeRate ?? await calculationService.getRiskFreeRate();
+    const model = { expectedReturns, covarianceMatrix, riskFreeRate: riskFreeRate / 100, constraints };
+
+    const minVariance = this.minimizeVariance(model);
+    const highestReturn = this.maximizeReturn(model);
+    const minVarianceReturn = this.portfolioReturn(model, minVariance);
+    const maxReturn = this.portfolioReturn(model, highestReturn);
+
+    // Frontier: minimum variance for evenly spaced target returns up to the highest feasible one
+    const spread = maxReturn - minVarianceReturn;
+    const frontierWeights = spread > 1e-6
+      ? Array.from({ length: frontierPoints }, (_, i) => (i === frontierPoints - 1
+        ? highestReturn
+        : this.minimizeVariance(model, minVarianceReturn + spread * i / (frontierPoints - 1))))
+      : [minVariance];
+
+    const maxSharpe = spread > 1e-6 ? this.maximizeSharpe(model, minVarianceReturn, maxReturn) : minVariance;
+    const riskParity = this.riskParity(model);
+
+    const result = {
+      frequency,
+      range: { from: aligned.dates[0], to: aligned.dates[aligned.dates.length - 1] },
+      observations: aligned.dates.length - 1,
+      riskFreeRate,
+      funds: schemes.map((scheme, i) => ({
+        ...scheme,
+        expectedReturn: this.round(expectedReturns[i] * 100),
+        volatility: this.round(Math.sqrt(covarianceMatrix[i][i]) * 100),
+        min: this.round(constraints.lower[i] * 100),
+        max: this.round(constraints.upper[i] * 100)
+      })),
+      categoryCaps: constraints.groups.map(group => ({
+        category: group.category,
+        max: this.round(group.cap * 100),
+        schemeCodes: group.members.map(i => schemes[i].schemeCode)
+      })),
+      frontier: frontierWeights.map(weights => {
+        const stats = this.describe(model, weights);
+        return {
+          expectedReturn: stats.expectedReturn,
+          volatility: stats.volatility,
+          sharpeRatio: stats.sharpeRatio,
+          weights: this.toPercentages(weights)
+        };
+      }),
+      portfolios: {
+        minVariance: this.describe(model, minVariance),
+        maxSharpe: this.describe(model, maxSharpe),
+        riskParity: { ...this.describe(model, riskParity.weights), constrained: riskParity.constrained }
+      },
+      current: this.describeCurrent(model, funds)
+    };
+
+    this.logger.info('Portfolio optimisation completed', {
+      funds: funds.length,
+      observations: result.observations,
+      categoryCaps: constraints.groups.length,
+      maxSharpeRatio: result.portfolios.maxSharpe.sharpeRatio
+    });
+
+    return result;
+  }
+
+  // Bounds as fractions plus category groups; rejects constraint sets no portfolio can meet
+  buildConstraints(funds, schemes, categoryCaps) {
+    const lower = funds.map(fund => (fund.min || 0) / 100);
+    const upper = funds.map(fund => (fund.max ?? 100) / 100);
+    const sum = values => values.reduce((total, value) => total + value, 0);
+
+    const groups = categoryCaps.map(({ category, max }) => {
+      const key = category.trim().toLowerCase();
+      const members = schemes
+        .map((scheme, i) => (scheme.category.trim().toLowerCase() === key ? i : -1))
+        .filter(i => i >= 0);
+      if (members.length === 0) {
+        throw new ValidationError(`Category cap "${category}" matches none of the selected funds`);
+      }
+      return { category, cap: max / 100, members };
+    });
+
+    if (sum(lower) > 1 + 1e-9) {
+      throw new ValidationError(`Fund minimums add up to ${this.round(sum(lower) * 100)}%, more than 100%`);
+    }
+
+    const capped = new Set();
+    let reachable = 0;
+    groups.forEach(group => {
+      const floor = sum(group.members.map(i => lower[i]));
+      if (floor > group.cap + 1e-9) {
+        throw new ValidationError(
+          `Fund minimums in ${group.category} add up to ${this.round(floor * 100)}%, above its ${this.round(group.cap * 100)}% cap`
+        );
+      }
+      group.members.forEach(i => capped.add(i));
+      reachable += Math.min(group.cap, sum(group.members.map(i => upper[i])));
+    });
+    reachable += sum(upper.filter((_, i) => !capped.has(i)));
+    if (reachable < 1 - 1e-9) {
+      throw new ValidationError(
+        `Fund maximums and category caps only allow ${this.round(reachable * 100)}% to be invested`
+      );
+    }
+
+    return { lower, upper, groups };
+  }
+
+  // Minimum variance, optionally with a floor on the expected return
+  minimizeVariance(model, targetReturn = null) {
+    const { covarianceMatrix: sigma } = model;
+    // A tiny ridge keeps the problem strictly convex when funds are (nearly) collinear
+    const ridge = 1e-10 * Math.max(...sigma.map((row, i) => row[i]), 1e-12);
+    const hessian = sigma.map((row, i) => row.map((value, j) => 2 * value + (i === j ? ridge : 0)));
+    const extra = targetReturn === null
+      ? []
+      : [{ normal: model.expectedReturns.map(value => -value), offset: -targetReturn }];
+    return this.solveQuadratic(model, hessian, Array(sigma.length).fill(0), extra);
+  }
+
+  // Nearest portfolio (least squares) that meets the constraints
+  project(model, point) {
+    const identity = point.map((_, i) => point.map((__, j) => (i === j ? 1 : 0)));
+    return this.solveQuadratic(model, identity, point.map(value => -value), []);
+  }
+
+  /**
+   * Primal active-set method for min ½xᵀHx + cᵀx over the budget, bounds, category caps and any extra
+   * halfspaces (normal · x ≤ offset). Starts from the highest-return portfolio, which meets them all, and
+   * adds a blocking constraint or drops one with a negative multiplier per step. Exact, and quick at 20 funds.
+   */
+  solveQuadratic(model, hessian, linear, extra) {
+    const { lower, upper, groups } = model.constraints;
+    const n = linear.length;
+    const unit = i => Array.from({ length: n }, (_, j) => (j === i ? 1 : 0));
+
+    const inequalities = [
+      ...lower.map((bound, i) => ({ normal: unit(i).map(value => -value), offset: -bound })),
+      ...upper
+        .map((bound, i) => ({ normal: unit(i), offset: bound }))
+        .filter(constraint => constraint.offset < 1),
+      ...groups.map(group => ({
+        normal: Array.from({ length: n }, (_, i) => (group.members.includes(i) ? 1 : 0)),
+        offset: group.cap
+      })),
+      ...extra
+    ];
+    const budget = { normal: Array(n).fill(1), offset: 1 };
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+    let x = this.maximizeReturn(model);
+    let working = [];
+
+    for (let iteration = 0; iteration < MAX_ACTIVE_SET_ITERATIONS; iteration++) {
+      const rows = [budget, ...working.map(k => inequalities[k])];
+      const gradient = this.multiply(hessian, x).map((value, i) => value + linear[i]);
+      const { step, multipliers } = this.solveKkt(hessian, rows.map(row => row.normal), gradient);
+
+      if (Math.sqrt(dot(step, step)) < 1e-12) {
+        // Stationary on the working set: done unless an active inequality is pulling the wrong way
+        let drop = -1;
+        multipliers.slice(1).forEach((multiplier, k) => {
+          if (multiplier < -1e-12 && (drop < 0 || multiplier < multipliers[drop + 1])) drop = k;
+        });
+        if (drop < 0) break;
+        working = working.filter((_, k) => k !== drop);
+        continue;
+      }
+
+      let length = 1;
+      let blocking = -1;
+      inequalities.forEach((constraint, k) => {
+        if (working.includes(k)) return;
+        const rate = dot(constraint.normal, step);
+        if (rate <= 1e-15) return;
+        const room = Math.max(constraint.offset - dot(constraint.normal, x), 0) / rate;
+        if (room < length) {
+          length = room;
+          blocking = k;
+        }
+      });
+
+      x = x.map((value, i) => value + length * step[i]);
+      if (blocking >= 0) working = [...working, blocking];
+    }
+
+    return x;
+  }
+
+  // [H Aᵀ; A 0][p; λ] = [−g; 0] by Gaussian elimination with partial pivoting
+  solveKkt(hessian, rows, gradient) {
+    const n = gradient.length;
+    const size = n + rows.length;
+    const matrix = Array.from({ length: size }, (_, i) => {
+      const row = Array(size + 1).fill(0);
+      if (i < n) {
+        hessian[i].forEach((value, j) => { row[j] = value; });
+        rows.forEach((constraint, k) => { row[n + k] = constraint[i]; });
+        row[size] = -gradient[i];
+      } else {
+        rows[i - n].forEach((value, j) => { row[j] = value; });
+      }
+      return row;
+    });
+
+    for (let col = 0; col < size; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < size; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+      }
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+      if (Math.abs(matrix[col][col]) < 1e-18) continue;
+
+      for (let row = 0; row < size; row++) {
+        if (row === col) continue;
+        const factor = matrix[row][col] / matrix[col][col];
+        if (factor === 0) continue;
+        for (let k = col; k <= size; k++) matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+
+    const solution = matrix.map((row, i) => (Math.abs(row[i]) < 1e-18 ? 0 : row[size] / row[i]));
+    return { step: solution.slice(0, n), multipliers: solution.slice(n) };
+  }
+
+  /**
+   * Highest expected return within the constraints. Filling the funds from the best expected return down,
+   * each up to its maximum and its category's remaining room, is optimal for box, budget and disjoint caps.
+   */
+  maximizeReturn(model) {
+    const { lower, upper, groups } = model.constraints;
+    const weights = [...lower];
+    const groupOf = new Map();
+    const room = groups.map(group => group.cap - group.members.reduce((sum, i) => sum + lower[i], 0));
+    groups.forEach((group, g) => group.members.forEach(i => groupOf.set(i, g)));
+
+    let remaining = 1 - lower.reduce((sum, value) => sum + value, 0);
+    const order = model.expectedReturns.map((_, i) => i).sort((a, b) => model.expectedReturns[b] - model.expectedReturns[a]);
+    for (const i of order) {
+      const g = groupOf.get(i);
+      const amount = Math.min(upper[i] - lower[i], remaining, g === undefined ? Infinity : room[g]);
+      if (amount <= 0) continue;
+      weights[i] += amount;
+      remaining -= amount;
+      if (g !== undefined) room[g] -= amount;
+    }
+
+    return weights;
+  }
+
+  // Golden-section search along the frontier for the best Sharpe ratio, which is unimodal in the target return
+  maximizeSharpe(model, lowReturn, highReturn) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    const evaluate = target => {
+      const weights = this.minimizeVariance(model, target);
+      return { weights, sharpe: this.sharpe(model, weights) };
+    };
+
+    let low = lowReturn;
+    let high = highReturn;
+    let leftTarget = high - ratio * (high - low);
+    let rightTarget = low + ratio * (high - low);
+    let left = evaluate(leftTarget);
+    let right = evaluate(rightTarget);
+
+    for (let i = 0; i < 30 && high - low > 1e-5; i++) {
+      if (left.sharpe < right.sharpe) {
+        low = leftTarget;
+        leftTarget = rightTarget;
+        left = right;
+        rightTarget = low + ratio * (high - low);
+        right = evaluate(rightTarget);
+      } else {
+        high = rightTarget;
+        rightTarget = leftTarget;
+        right = left;
+        leftTarget = high - ratio * (high - low);
+        left = evaluate(leftTarget);
+      }
+    }
+
+    // The ends of the frontier can beat every interior point
+    const candidates = [left, right, evaluate(lowReturn), { weights: this.maximizeReturn(model) }];
+    return candidates
+      .map(candidate => ({ ...candidate, sharpe: this.sharpe(model, candidate.weights) }))
+      .sort((a, b) => b.sharpe - a.sharpe)[0].weights;
+  }
+
+  /**
+   * Equal risk contribution by cyclical coordinate descent on ½yᵀΣy − (1/n)Σ ln yᵢ, normalised to a budget of 1.
+   * When that mix breaks a bound or cap it is replaced by the nearest portfolio that doesn't.
+   */
+  riskParity(model) {
+    const { covarianceMatrix: sigma } = model;
+    const n = sigma.length;
+    const budget = 1 / n;
+    // Inverse-volatility start
+    const y = sigma.map((row, i) => (row[i] > 0 ? 1 / Math.sqrt(row[i]) : 0));
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      let change = 0;
+      for (let i = 0; i < n; i++) {
+        if (!(sigma[i][i] > 0)) continue;
+        const cross = sigma[i].reduce((sum, value, j) => (j === i ? sum : sum + value * y[j]), 0);
+        const next = (-cross + Math.sqrt(cross * cross + 4 * sigma[i][i] * budget)) / (2 * sigma[i][i]);
+        change = Math.max(change, Math.abs(next - y[i]));
+        y[i] = next;
+      }
+      if (change < TOLERANCE) break;
+    }
+
+    const total = y.reduce((sum, value) => sum + value, 0);
+    const weights = y.map(value => value / total);
+    if (this.isFeasible(model, weights)) {
+      return { weights, constrained: false };
+    }
+    return { weights: this.project(model, weights), constrained: true };
+  }
+
+  isFeasible(model, weights) {
+    const { lower, upper, groups } = model.constraints;
+    const epsilon = 1e-6;
+    return weights.every((weight, i) => weight >= lower[i] - epsilon && weight <= upper[i] + epsilon) &&
+      groups.every(group => group.members.reduce((sum, i) => sum + weights[i], 0) <= group.cap + epsilon);
+  }
+
+  // The caller's own mix, when every fund has an allocation
+  describeCurrent(model, funds) {
+    if (!funds.every(fund => fund.allocation > 0)) return null;
+    const total = funds.reduce((sum, fund) => sum + fund.allocation, 0);
+    return this.describe(model, funds.map(fund => fund.allocation / total));
+  }
+
+  // Return, volatility, Sharpe and each fund's weight and share of the risk, in %
+  describe(model, weights) {
+    const sigmaW = this.multiply(model.covarianceMatrix, weights);
+    const variance = weights.reduce((sum, weight, i) => sum + weight * sigmaW[i], 0);
+    const percentages = this.toPercentages(weights);
+
+    return {
+      expectedReturn: this.round(this.portfolioReturn(model, weights) * 100),
+      volatility: this.round(Math.sqrt(variance) * 100),
+      sharpeRatio: this.round(this.sharpe(model, weights)),
+      allocations: weights.map((weight, i) => ({
+        weight: percentages[i],
+        riskContribution: variance > 0 ? this.round(weight * sigmaW[i] / variance * 100) : 0
+      }))
+    };
+  }
+
+  portfolioReturn(model, weights) {
+    return weights.reduce((sum, weight, i) => sum + weight * model.expectedReturns[i], 0);
+  }
+
+  sharpe(model, weights) {
+    const sigmaW = this.multiply(model.covarianceMatrix, weights);
+    const volatility = Math.sqrt(weights.reduce((sum, weight, i) => sum + weight * sigmaW[i], 0));
+    return volatility > 0 ? (this.portfolioReturn(model, weights) - model.riskFreeRate) / volatility : 0;
+  }
+
+  multiply(matrix, vector) {
+    return matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+  }
+
+  // Weights in % to two decimals, with the rounding remainder on the largest so they add up to exactly 100
+  toPercentages(weights) {
+    const percentages = weights.map(weight => this.round(Math.max(weight, 0) * 100));
+    const remainder = this.round(100 - percentages.reduce((sum, value) => sum + value, 0));
+    if (remainder !== 0) {
+      const largest = percentages.indexOf(Math.max(...percentages));
+      percentages[largest] = this.round(percentages[largest] + remainder);
+    }
+    return percentages;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create singleton instance
+const portfolioOptimizerService = new PortfolioOptimizerService();
+
+module.exports = portfolioOptimizerService;
@@ -0,0 +1,118 @@
+const logger = require('../utils/logger');
+const analyticsService = require('./analyticsService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { daysBetween } = require('../utils/dateUtils');
+const { covariance } = require('../utils/statistics');
+
+// Fewer common return observations than this and the covariance estimate is unreliable
+const MIN_OBSERVATIONS = 20;
+
+/**
+ * Portfolio volatility from the covariance of the schemes' own NAV returns.
+ *
+ * All schemes are aligned on the dates they share, so the window is limited by the youngest fund.
+ * Volatility is σp = √(wᵀΣw); each fund's component contribution w_i (Σw)_i / σp sums to σp.
+ */
+class PortfolioRiskService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * holdings: [{ schemeCode, weight, name? }] where weights are relative (normalised here).
+   * options: { period = '3y', from, to, frequency = 'weekly' }
+   */
+  async calculatePortfolioRisk(holdings, options = {}) {
+    const { frequency = 'weekly' } = options;
+    const window = analyticsService.resolvePeriodWindow(options);
+
+    const totalWeight = holdings.reduce((sum, holding) => sum + holding.weight, 0);
+    if (!(totalWeight > 0)) {
+      throw new ValidationError('Portfolio weights must add up to more than zero');
+    }
+
+    const navSeries = await Promise.all(holdings.map(holding => analyticsService.getNavSeries(holding.schemeCode, window)));
+
+    const missing = holdings.filter((holding, i) => !navSeries[i]).map(holding => holding.schemeCode);
+    if (missing.length > 0) {
+      throw new NotFoundError(`No NAV data found for scheme codes: ${missing.join(', ')}`);
+    }
+
+    const aligned = analyticsService.alignAndSample(navSeries.map(nav => nav.series), frequency);
+    if (aligned.dates.length <= MIN_OBSERVATIONS) {
+      throw new ValidationError(
+        `Only ${aligned.dates.length} common NAV dates across these funds; pick a longer period or funds with more history`
+      );
+    }
+
+    const periodsPerYear = analyticsService.periodsPerYear[frequency];
+    const weights = holdings.map(holding => holding.weight / totalWeight);
+    const returns = aligned.values.map(values => analyticsService.toReturns(values));
+
+    // Annualised covariance matrix
+    const covarianceMatrix = returns.map(a => returns.map(b => covariance(a, b) * periodsPerYear));
+    const sigmaW = covarianceMatrix.map(row => row.reduce((sum, value, j) => sum + value * weights[j], 0));
+    const variance = weights.reduce((sum, weight, i) => sum + weight * sigmaW[i], 0);
+    const volatility = Math.sqrt(variance);
+
+    const fundVolatilities = covarianceMatrix.map((row, i) => Math.sqrt(row[i]));
+    const undiversifiedVolatility = weights.reduce((sum, weight, i) => sum + weight * fundVolatilities[i], 0);
+    const zeroCorrelationVolatility = Math.sqrt(
+      weights.reduce((sum, weight, i) => sum + (weight * fundVolatilities[i]) ** 2, 0)
+    );
+
+    const years = daysBetween(aligned.dates[0], aligned.dates[aligned.dates.length - 1]) / 365;
+    const annualizedReturns = aligned.values.map(values =>
+      years > 0 ? Math.pow(values[values.length - 1] / values[0], 1 / years) - 1 : 0
+    );
+
+    const funds = holdings.map((holding, i) => {
+      const marginal = volatility > 0 ? sigmaW[i] / volatility : 0;
+      const component = weights[i] * marginal;
+      return {
+        schemeCode: String(holding.schemeCode),
+        name: holding.name || navSeries[i].meta?.scheme_name || String(holding.schemeCode),
+        weight: this.round(weights[i] * 100),
+        volatility: this.round(fundVolatilities[i] * 100),
+        annualizedReturn: this.round(annualizedReturns[i] * 100),
+        marginalContribution: this.round(marginal * 100),
+        componentContribution: this.round(component * 100),
+        contributionPercentage: volatility > 0 ? this.round((component / volatility) * 100) : 0
+      };
+    });
+
+    this.logger.info('Portfolio covariance risk calculated', {
+      funds: holdings.length,
+      observations: aligned.dates.length - 1,
+      volatility: this.round(volatility * 100)
+    });
+
+    return {
+      frequency,
+      range: { from: aligned.dates[0], to: aligned.dates[aligned.dates.length - 1] },
+      observations: aligned.dates.length - 1,
+      volatility: this.round(volatility * 100),
+      annualizedReturn: this.round(weights.reduce((sum, weight, i) => sum + weight * annualizedReturns[i], 0) * 100),
+      undiversifiedVolatility: this.round(undiversifiedVolatility * 100),
+      zeroCorrelationVolatility: this.round(zeroCorrelationVolatility * 100),
+      diversificationRatio: volatility > 0 ? this.round(undiversifiedVolatility / volatility) : null,
+      funds,
+      correlationMatrix: {
+        schemeCodes: funds.map(fund => fund.schemeCode),
+        values: covarianceMatrix.map((row, i) => row.map((value, j) => {
+          const denominator = fundVolatilities[i] * fundVolatilities[j];
+          return denominator > 0 ? this.round(value / denominator) : null;
+        }))
+      }
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create singleton instance
+const portfolioRiskService = new PortfolioRiskService();
+
+module.exports = portfolioRiskService;
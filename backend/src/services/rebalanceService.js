@@ -0,0 +1,329 @@
+const logger = require('../utils/logger');
+const calculationService = require('./calculationService');
+const riskService = require('./riskService');
+const taxService = require('./taxService');
+const costScheduleService = require('./costScheduleService');
+const fundHistoryService = require('./fundHistoryService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { toISODate, addMonths, yearsBetween, monthKey } = require('../utils/dateUtils');
+const { standardDeviation } = require('../utils/statistics');
+const { round } = require('../utils/navSeries');
+
+const MONTHS_PER_REBALANCE = { monthly: 1, quarterly: 3, annual: 12 };
+const TRADING_DAYS_PER_YEAR = 252;
+
+const DEFAULT_STRATEGIES = [
+  { type: 'none' },
+  { type: 'calendar', frequency: 'monthly' },
+  { type: 'calendar', frequency: 'quarterly' },
+  { type: 'calendar', frequency: 'annual' },
+  { type: 'band', threshold: 5 }
+];
+
+/**
+ * Rebalancing back-test of a lumpsum portfolio on real NAV history.
+ *
+ * The amount is split by target allocation on the start date and the portfolio is then walked day by day
+ * over the dates every fund has a NAV, once per strategy: left to drift, brought back to target on a
+ * calendar (first NAV date on or after each month, quarter or year), or brought back whenever any fund
+ * drifts more than the band (percentage points) from its target. Rebalance sales pay exit load on the
+ * FIFO lots they redeem and the capital gains tax they add to their financial year, both out of the
+ * proceeds; purchases pay stamp duty. Each strategy also reports its value after exiting on the end date.
+ */
+class RebalanceService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * params: { funds: [{ schemeCode, allocation }], amount, startDate, endDate?, taxSlabRate?,
+   *           strategies?: [{ type: 'none' } | { type: 'calendar', frequency } | { type: 'band', threshold }] }
+   */
+  async backtest(params) {
+    const { amount, taxSlabRate } = params;
+    const totalAllocation = params.funds.reduce((sum, fund) => sum + fund.allocation, 0);
+    if (Math.abs(totalAllocation - 100) > 0.01) {
+      throw new ValidationError(`Fund allocations must total 100% (got ${round(totalAllocation)}%)`);
+    }
+
+    const funds = await Promise.all(params.funds.map(fund => fundHistoryService.loadFund(fund.schemeCode)));
+    const targets = params.funds.map(fund => fund.allocation / 100);
+    const timeline = this.commonTimeline(funds, toISODate(params.startDate), params.endDate && toISODate(params.endDate));
+
+    // One run per distinct strategy
+    const strategies = [...new Map(
+      (params.strategies || DEFAULT_STRATEGIES).map(strategy => [this.strategyKey(strategy), strategy])
+    ).values()];
+    const runs = strategies.map(strategy => this.run(strategy, funds, targets, timeline, amount, { slabRate: taxSlabRate }));
+
+    const best = (metric, pick) => runs.reduce((winner, run) => (pick(run[metric], winner[metric]) ? run : winner)).key;
+    const startDate = timeline[0].date;
+    const endDate = timeline[timeline.length - 1].date;
+
+    const result = {
+      funds: funds.map((fund, i) => ({
+        schemeCode: fund.schemeCode,
+        name: fund.name,
+        fundType: fund.fundType,
+        targetAllocation: params.funds[i].allocation
+      })),
+      amount,
+      startDate,
+      endDate,
+      taxSlabRate: taxSlabRate ?? taxService.defaultSlabRate,
+      strategies: runs.map(({ series, ...run }) => run),
+      best: {
+        terminalValue: best('terminalValue', (a, b) => a > b),
+        postTaxValue: best('postTaxValue', (a, b) => a > b),
+        volatility: best('volatility', (a, b) => a < b),
+        maxDrawdown: best('maxDrawdown', (a, b) => a.value > b.value)
+      },
+      chartData: this.buildChart(runs)
+    };
+
+    this.logger.info('Rebalancing back-test completed', {
+      funds: funds.length,
+      strategies: runs.length,
+      startDate,
+      endDate,
+      bestPostTax: result.best.postTaxValue
+    });
+
+    return result;
+  }
+
+  // Walks one strategy over the timeline and summarises it
+  run(strategy, funds, targets, timeline, amount, taxOptions) {
+    const key = this.strategyKey(strategy);
+    const holdings = funds.map(fund => ({ fund, units: 0, lots: [], transactions: [] }));
+    const costs = { exitLoad: 0, tax: 0, stampDuty: 0, traded: 0 };
+    const events = [];
+    const series = [];
+    let maxDrift = 0;
+
+    const first = timeline[0];
+    holdings.forEach((holding, i) => {
+      costs.stampDuty += this.buy(holding, amount * targets[i], first.date, first.navs[i]);
+    });
+
+    const months = strategy.type === 'calendar' ? MONTHS_PER_REBALANCE[strategy.frequency] : null;
+    let periods = 0;
+    let nextRebalance = months ? toISODate(addMonths(first.date, months)) : null;
+
+    timeline.forEach(({ date, navs }, day) => {
+      const weights = this.weights(holdings, navs);
+      const drift = Math.max(...weights.map((weight, i) => Math.abs(weight - targets[i]))) * 100;
+
+      let due = false;
+      if (day > 0 && strategy.type === 'calendar' && date >= nextRebalance) {
+        due = true;
+        // A date missing from the timeline can't make the next rebalance fire twice
+        while (nextRebalance <= date) {
+          periods++;
+          nextRebalance = toISODate(addMonths(first.date, months * (periods + 1)));
+        }
+      } else if (day > 0 && strategy.type === 'band') {
+        due = drift > strategy.threshold;
+      }
+
+      if (due) {
+        const trade = this.rebalance(holdings, targets, date, navs, taxOptions);
+        costs.exitLoad += trade.exitLoad;
+        costs.tax += trade.tax;
+        costs.stampDuty += trade.stampDuty;
+        costs.traded += trade.sold + trade.bought;
+        events.push({
+          date,
+          drift: round(drift),
+          sold: Math.round(trade.sold),
+          bought: Math.round(trade.bought),
+          exitLoad: round(trade.exitLoad),
+          tax: round(trade.tax)
+        });
+      }
+
+      maxDrift = Math.max(maxDrift, drift);
+      series.push({ date, value: this.value(holdings, navs) });
+    });
+
+    const last = timeline[timeline.length - 1];
+    const terminalValue = series[series.length - 1].value;
+    const finalWeights = this.weights(holdings, last.navs);
+    const exit = this.liquidate(holdings, last.date, last.navs, taxOptions);
+    const postTaxValue = terminalValue - exit.exitLoad - exit.tax;
+    const years = yearsBetween(first.date, last.date);
+    const returns = series.slice(1).map((point, i) => point.value / series[i].value - 1);
+    const volatility = returns.length > 1 ? standardDeviation(returns) * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100 : 0;
+
+    return {
+      key,
+      label: this.strategyLabel(strategy),
+      strategy,
+      terminalValue: Math.round(terminalValue),
+      cagr: round(calculationService.calculateCAGR(amount, terminalValue, years)),
+      postTaxValue: Math.round(postTaxValue),
+      postTaxCagr: round(calculationService.calculateCAGR(amount, postTaxValue, years)),
+      volatility: round(volatility),
+      maxDrawdown: riskService.calculateMaxDrawdown(series),
+      maxDrift: round(maxDrift),
+      rebalances: events.length,
+      traded: Math.round(costs.traded),
+      costs: {
+        exitLoad: round(costs.exitLoad),
+        tax: round(costs.tax),
+        stampDuty: round(costs.stampDuty),
+        exitOnEndDate: { exitLoad: round(exit.exitLoad), tax: round(exit.tax) }
+      },
+      finalWeights: finalWeights.map(weight => round(weight * 100)),
+      events,
+      series
+    };
+  }
+
+  /**
+   * Sells the overweight funds down to target and spreads what is left after exit load and tax across the
+   * underweight funds in proportion to their shortfall, so costs leave those slightly short of target.
+   */
+  rebalance(holdings, targets, date, navs, taxOptions) {
+    const total = this.value(holdings, navs);
+    const gaps = holdings.map((holding, i) => targets[i] * total - holding.units * navs[i]);
+
+    let sold = 0;
+    let exitLoad = 0;
+    holdings.forEach((holding, i) => {
+      if (gaps[i] >= 0) return;
+      sold += -gaps[i];
+      exitLoad += this.sell(holding, -gaps[i] / navs[i], date, navs[i]);
+    });
+    const tax = sold > 0 ? this.taxOnSales(holdings, date, taxOptions) : 0;
+
+    const cash = sold - exitLoad - tax;
+    const shortfall = gaps.reduce((sum, gap) => sum + Math.max(gap, 0), 0);
+    let stampDuty = 0;
+    if (cash > 0 && shortfall > 0) {
+      holdings.forEach((holding, i) => {
+        if (gaps[i] > 0) stampDuty += this.buy(holding, cash * gaps[i] / shortfall, date, navs[i]);
+      });
+    }
+
+    return { sold, bought: Math.max(cash, 0), exitLoad, tax, stampDuty };
+  }
+
+  // Exit load and tax of redeeming everything on the end date
+  liquidate(holdings, date, navs, taxOptions) {
+    const exitLoad = holdings.reduce((sum, holding, i) => sum + this.sell(holding, holding.units, date, navs[i]), 0);
+    return { exitLoad, tax: this.taxOnSales(holdings, date, taxOptions) };
+  }
+
+  // Invests `amount` net of stamp duty; lots carry the price paid per unit so stamp duty counts as cost
+  buy(holding, amount, date, nav) {
+    const { stampDuty, units } = costScheduleService.applyPurchase(amount, date, nav, holding.fund.costSchedule);
+    const cost = amount / units;
+    holding.units += units;
+    holding.lots.push({ date, units, nav: cost });
+    holding.transactions.push({ type: 'buy', date, units, nav: cost });
+    return stampDuty;
+  }
+
+  // Redeems units FIFO, one sale per lot at the NAV net of that lot's exit load; returns the exit load
+  sell(holding, units, date, nav) {
+    let remaining = Math.min(units, holding.units);
+    let exitLoad = 0;
+    holding.units -= remaining;
+
+    while (remaining > 1e-9 && holding.lots.length > 0) {
+      const lot = holding.lots[0];
+      const slice = Math.min(lot.units, remaining);
+      const loadRate = costScheduleService.exitLoadRate(holding.fund.costSchedule, lot.date, date) / 100;
+      exitLoad += slice * nav * loadRate;
+      holding.transactions.push({ type: 'sell', date, units: slice, nav: nav * (1 - loadRate) });
+
+      lot.units -= slice;
+      remaining -= slice;
+      if (lot.units <= 1e-9) holding.lots.shift();
+    }
+
+    return exitLoad;
+  }
+
+  // How much the sales on `date` add to their financial year's tax over the sales before them
+  taxOnSales(holdings, date, taxOptions) {
+    const result = taxService.calculateCapitalGains(holdings.map(holding => ({
+      schemeCode: holding.fund.schemeCode,
+      name: holding.fund.name,
+      fundType: holding.fund.fundType,
+      grandfatheringNav: holding.fund.grandfatheringNav,
+      transactions: holding.transactions
+    })), taxOptions);
+
+    const gains = result.gains.filter(gain => gain.saleDate <= date);
+    const years = new Set(gains.filter(gain => gain.saleDate === date).map(gain => gain.financialYear));
+    const taxOf = (year, list) => {
+      const yearGains = list.filter(gain => gain.financialYear === year);
+      return yearGains.length > 0 ? taxService.assessFinancialYear(year, yearGains, result.slabRate).tax : 0;
+    };
+
+    return [...years].reduce(
+      (sum, year) => sum + taxOf(year, gains) - taxOf(year, gains.filter(gain => gain.saleDate < date)),
+      0
+    );
+  }
+
+  value(holdings, navs) {
+    return holdings.reduce((sum, holding, i) => sum + holding.units * navs[i], 0);
+  }
+
+  weights(holdings, navs) {
+    const total = this.value(holdings, navs);
+    return holdings.map((holding, i) => (total > 0 ? holding.units * navs[i] / total : 0));
+  }
+
+  // Dates from the start every fund has a NAV for: [{ date, navs: [fund 0, fund 1, ...] }]
+  commonTimeline(funds, startDate, endDate) {
+    const navMaps = funds.map(fund => new Map(fund.navData.map(point => [point.date, point.nav])));
+    const timeline = funds[0].navData
+      .filter(point => point.date >= startDate && (!endDate || point.date <= endDate))
+      .filter(point => navMaps.every(navs => navs.has(point.date)))
+      .map(point => ({ date: point.date, navs: navMaps.map(navs => navs.get(point.date)) }));
+
+    if (timeline.length < 2) {
+      throw new ValidationError(
+        `The selected funds share ${timeline.length === 0 ? 'no' : 'only one'} NAV date from ${startDate}; pick an earlier start date or other funds`
+      );
+    }
+    return timeline;
+  }
+
+  // First value of every month (and the last day) per strategy: [{ date, none, 'calendar-annual', ... }]
+  buildChart(runs) {
+    const { series } = runs[0];
+    return series
+      .map((point, day) => ({ point, day }))
+      .filter(({ point, day }) => day === 0 || day === series.length - 1 ||
+        monthKey(point.date) !== monthKey(series[day - 1].date))
+      .map(({ point, day }) => ({
+        date: point.date,
+        ...Object.fromEntries(runs.map(run => [run.key, Math.round(run.series[day].value)]))
+      }));
+  }
+
+  strategyKey(strategy) {
+    if (strategy.type === 'calendar') return `calendar-${strategy.frequency}`;
+    if (strategy.type === 'band') return `band-${strategy.threshold}`;
+    return 'none';
+  }
+
+  strategyLabel(strategy) {
+    if (strategy.type === 'calendar') {
+      return `${strategy.frequency.charAt(0).toUpperCase()}${strategy.frequency.slice(1)} rebalancing`;
+    }
+    if (strategy.type === 'band') return `±${strategy.threshold}% band`;
+    return 'No rebalancing';
+  }
+
+}
+
+// Create singleton instance
+const rebalanceService = new RebalanceService();
+
+module.exports = rebalanceService;
@@ -0,0 +1,200 @@
+const logger = require('../utils/logger');
+const analyticsService = require('./analyticsService');
+const calculationService = require('./calculationService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { daysBetween } = require('../utils/dateUtils');
+const { standardDeviation, covariance, correlation } = require('../utils/statistics');
+
+// Fewer aligned returns than this and the ratios are mostly noise
+const MIN_OBSERVATIONS = 20;
+
+/**
+ * Risk metrics for a scheme measured from its own NAV series, optionally relative to a benchmark index.
+ *
+ * Returns are simple period returns at the requested frequency; the fund and benchmark are aligned on
+ * common dates first so beta, capture ratios and tracking error compare like with like.
+ * Rates come back in % and ratios as plain numbers, both rounded to 2 decimals.
+ */
+class RiskService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  // Returns null when the scheme is unknown
+  async getFundRisk(schemeCode, options = {}) {
+    const { benchmarkIndex = null, frequency = 'daily' } = options;
+    const window = analyticsService.resolvePeriodWindow(options);
+
+    const nav = await analyticsService.getNavSeries(schemeCode, window);
+    if (!nav) return null;
+
+    const fundSeries = analyticsService.samplePoints(nav.series, frequency);
+    if (fundSeries.length <= MIN_OBSERVATIONS) {
+      throw new ValidationError(`Not enough NAV history for scheme ${schemeCode} in this window (${fundSeries.length} points)`);
+    }
+
+    const riskFreeRate = options.riskFreeRate ?? await calculationService.getRiskFreeRate();
+    const periodsPerYear = analyticsService.periodsPerYear[frequency];
+    const range = { from: fundSeries[0].date, to: fundSeries[fundSeries.length - 1].date };
+
+    const result = {
+      schemeCode: String(schemeCode),
+      fundName: nav.meta?.scheme_name,
+      frequency,
+      range,
+      riskFreeRate,
+      navSource: nav.source,
+      observations: fundSeries.length - 1,
+      ...this.calculateAbsoluteMetrics(fundSeries, riskFreeRate, periodsPerYear),
+      benchmark: null
+    };
+
+    if (benchmarkIndex) {
+      try {
+        const benchmark = await analyticsService.getBenchmarkSeries(benchmarkIndex, range.from, range.to);
+        const aligned = analyticsService.alignAndSample([nav.series, benchmark.series], frequency);
+
+        if (aligned.dates.length <= MIN_OBSERVATIONS) {
+          throw new Error(`only ${aligned.dates.length} dates overlap with the fund`);
+        }
+
+        result.benchmark = {
+          indexKey: benchmarkIndex,
+          name: benchmark.indexData.name,
+          returnType: benchmark.indexData.returnType,
+          observations: aligned.dates.length - 1,
+          ...this.calculateRelativeMetrics(aligned, riskFreeRate, periodsPerYear)
+        };
+      } catch (error) {
+        this.logger.warn('Benchmark-relative risk metrics unavailable', { schemeCode, benchmarkIndex, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  // Volatility, downside deviation, Sharpe, Sortino and drawdown from the fund alone
+  calculateAbsoluteMetrics(series, riskFreeRate, periodsPerYear) {
+    const values = series.map(point => point.value);
+    const returns = analyticsService.toReturns(values);
+    const annualizedReturn = this.annualizedReturn(series);
+
+    const rfPerPeriod = Math.pow(1 + riskFreeRate / 100, 1 / periodsPerYear) - 1;
+    const volatility = standardDeviation(returns) * Math.sqrt(periodsPerYear) * 100;
+    // Downside deviation against the risk-free rate as the minimum acceptable return
+    const downsideDeviation = Math.sqrt(
+      returns.reduce((sum, r) => sum + Math.min(r - rfPerPeriod, 0) ** 2, 0) / returns.length
+    ) * Math.sqrt(periodsPerYear) * 100;
+
+    return {
+      annualizedReturn: this.round(annualizedReturn),
+      volatility: this.round(volatility),
+      downsideDeviation: this.round(downsideDeviation),
+      sharpeRatio: this.ratio(annualizedReturn - riskFreeRate, volatility),
+      sortinoRatio: this.ratio(annualizedReturn - riskFreeRate, downsideDeviation),
+      maxDrawdown: this.calculateMaxDrawdown(series)
+    };
+  }
+
+  // Beta, Jensen's alpha, R², tracking error, information ratio and capture ratios vs the benchmark
+  calculateRelativeMetrics(aligned, riskFreeRate, periodsPerYear) {
+    const [fundValues, benchmarkValues] = aligned.values;
+    const fundReturns = analyticsService.toReturns(fundValues);
+    const benchmarkReturns = analyticsService.toReturns(benchmarkValues);
+
+    const toSeries = values => values.map((value, i) => ({ date: aligned.dates[i], value }));
+    const fundReturn = this.annualizedReturn(toSeries(fundValues));
+    const benchmarkReturn = this.annualizedReturn(toSeries(benchmarkValues));
+
+    const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+    const beta = benchmarkVariance ? covariance(fundReturns, benchmarkReturns) / benchmarkVariance : null;
+    const corr = correlation(fundReturns, benchmarkReturns);
+    const activeReturns = fundReturns.map((r, i) => r - benchmarkReturns[i]);
+    const trackingError = standardDeviation(activeReturns) * Math.sqrt(periodsPerYear) * 100;
+
+    return {
+      annualizedReturn: this.round(benchmarkReturn),
+      fundAnnualizedReturn: this.round(fundReturn),
+      beta: beta === null ? null : this.round(beta),
+      // Jensen's alpha: return above what beta exposure to the benchmark alone would have earned
+      alpha: beta === null ? null : this.round((fundReturn - riskFreeRate) - beta * (benchmarkReturn - riskFreeRate)),
+      rSquared: corr === null ? null : this.round(corr * corr),
+      correlation: corr === null ? null : this.round(corr),
+      trackingError: this.round(trackingError),
+      informationRatio: this.ratio(fundReturn - benchmarkReturn, trackingError),
+      upCaptureRatio: this.captureRatio(fundReturns, benchmarkReturns, r => r > 0, periodsPerYear),
+      downCaptureRatio: this.captureRatio(fundReturns, benchmarkReturns, r => r < 0, periodsPerYear)
+    };
+  }
+
+  // Annualised geometric fund return over the selected benchmark periods relative to the benchmark's, x100
+  captureRatio(fundReturns, benchmarkReturns, selectPeriod, periodsPerYear) {
+    const indices = benchmarkReturns
+      .map((r, i) => (selectPeriod(r) ? i : -1))
+      .filter(i => i !== -1);
+    if (indices.length === 0) return null;
+
+    const annualize = returns => Math.pow(
+      returns.reduce((growth, r) => growth * (1 + r), 1),
+      periodsPerYear / returns.length
+    ) - 1;
+
+    const fund = annualize(indices.map(i => fundReturns[i]));
+    const benchmark = annualize(indices.map(i => benchmarkReturns[i]));
+    return benchmark === 0 ? null : this.round((fund / benchmark) * 100);
+  }
+
+  // Deepest peak-to-trough fall, with how long it took to get back to the peak (null if it hasn't yet)
+  calculateMaxDrawdown(series) {
+    let peak = series[0];
+    let worst = { drawdown: 0, peak: series[0], trough: series[0] };
+
+    for (const point of series) {
+      if (point.value > peak.value) {
+        peak = point;
+      }
+      const drawdown = point.value / peak.value - 1;
+      if (drawdown < worst.drawdown) {
+        worst = { drawdown, peak, trough: point };
+      }
+    }
+
+    if (worst.drawdown === 0) {
+      return { value: 0, peakDate: null, troughDate: null, recoveryDate: null, durationDays: 0, recovered: true };
+    }
+
+    const recovery = series.find(point => point.date > worst.trough.date && point.value >= worst.peak.value);
+    const endDate = recovery ? recovery.date : series[series.length - 1].date;
+
+    return {
+      value: this.round(worst.drawdown * 100),
+      peakDate: worst.peak.date,
+      troughDate: worst.trough.date,
+      recoveryDate: recovery ? recovery.date : null,
+      durationDays: daysBetween(worst.peak.date, endDate),
+      recovered: Boolean(recovery)
+    };
+  }
+
+  // CAGR (%) between the first and last point
+  annualizedReturn(series) {
+    const first = series[0];
+    const last = series[series.length - 1];
+    const years = daysBetween(first.date, last.date) / 365;
+    if (years <= 0) return 0;
+    return (Math.pow(last.value / first.value, 1 / years) - 1) * 100;
+  }
+
+  ratio(numerator, denominator) {
+    return denominator ? this.round(numerator / denominator) : null;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create singleton instance
+const riskService = new RiskService();
+
+module.exports = riskService;
@@ -0,0 +1,332 @@
+const logger = require('../utils/logger');
+const calculationService = require('./calculationService');
+const taxService = require('./taxService');
+const costScheduleService = require('./costScheduleService');
+const fundHistoryService = require('./fundHistoryService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { toDate, toISODate, addDays, addMonths } = require('../utils/dateUtils');
+const { findNavOnOrAfter, navOnOrAfter, navOnOrBefore, resolveEndDate, round } = require('../utils/navSeries');
+
+// Date of the nth transfer after the start; counted from the start so month ends don't drift
+const TRANSFER_DATES = {
+  weekly: (start, n) => addDays(start, 7 * n),
+  monthly: (start, n) => addMonths(start, n),
+  quarterly: (start, n) => addMonths(start, 3 * n)
+};
+
+/**
+ * Systematic Transfer Plan replayed on real NAV history, against two ways of deploying the same corpus.
+ *
+ * The corpus is parked in the source scheme (usually a liquid or debt fund) on the start date. On each
+ * transfer date units are redeemed from the source at the first NAV on or after it, paying exit load, and the
+ * proceeds buy the target scheme less stamp duty. A fixed plan moves the same amount until the source runs
+ * out; a capital-appreciation plan moves only what the source has earned above the amount parked.
+ *
+ * The alternatives are a lumpsum into the target on the start date and a plain SIP into the target that
+ * invests the corpus in equal installments on the transfer dates, the money waiting uninvested until then.
+ * Each strategy is valued on the end date before and after fully redeeming it; for the STP, capital gains
+ * tax on the transfers is charged in the same financial years as that final redemption.
+ */
+class StpService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * params: { sourceFundCode, targetFundCode, amount, startDate, endDate?, frequency: 'weekly' | 'monthly' | 'quarterly',
+   *           transfer: { type: 'fixed' | 'capital-appreciation', amount? }, taxSlabRate?,
+   *           sourceFundTaxType?, targetFundTaxType? }
+   */
+  async simulate(params) {
+    const { sourceFundCode, targetFundCode, amount: corpus, transfer, frequency = 'monthly', taxSlabRate } = params;
+
+    const [source, target] = await Promise.all([
+      fundHistoryService.loadFund(sourceFundCode, params.sourceFundTaxType),
+      fundHistoryService.loadFund(targetFundCode, params.targetFundTaxType)
+    ]);
+
+    const startDate = toISODate(params.startDate);
+    const endDate = resolveEndDate(params.endDate, [source, target]);
+    if (endDate < startDate) {
+      throw new ValidationError(`NAV history ends on ${endDate}, before the start date ${startDate}`);
+    }
+
+    const parkNav = navOnOrAfter(source, startDate, 'purchase');
+    const parked = costScheduleService.applyPurchase(corpus, parkNav.date, parkNav.nav, source.costSchedule);
+    const parkLot = { date: parkNav.date, units: parked.units, nav: corpus / parked.units, stampDuty: parked.stampDuty };
+
+    const transfers = this.runTransfers(source, target, parkLot, transfer, TRANSFER_DATES[frequency], endDate);
+    if (transfers.length === 0) {
+      throw new ValidationError(`No transfer dates between ${parkNav.date} and ${endDate}`);
+    }
+
+    const sourceEnd = navOnOrBefore(source, endDate);
+    const targetEnd = navOnOrBefore(target, endDate);
+    const taxOptions = { slabRate: taxSlabRate };
+
+    const stp = this.valueStp(source, target, parkLot, transfers, sourceEnd, targetEnd, taxOptions);
+    stp.xirr = this.xirr([{ amount: corpus, date: parkLot.date }], stp.value, endDate);
+
+    const lumpsum = this.valueTargetPurchases(target, [{ date: parkNav.date, amount: corpus }], targetEnd, endDate, taxOptions);
+
+    // The SIP invests the whole corpus in equal installments on the transfer dates; its XIRR counts each
+    // installment when it is paid, so it doesn't charge the SIP for the money waiting to be invested
+    const installment = corpus / transfers.length;
+    const sip = {
+      installment: round(installment),
+      ...this.valueTargetPurchases(
+        target,
+        transfers.map(entry => ({ date: entry.scheduledDate, amount: installment })),
+        targetEnd,
+        endDate,
+        taxOptions
+      )
+    };
+
+    const strategies = { stp, lumpsum, sip };
+    const best = Object.keys(strategies)
+      .reduce((a, b) => (strategies[b].postTaxValue > strategies[a].postTaxValue ? b : a));
+
+    const result = {
+      sourceFund: { schemeCode: source.schemeCode, name: source.name, fundType: source.fundType },
+      targetFund: { schemeCode: target.schemeCode, name: target.name, fundType: target.fundType },
+      amount: corpus,
+      startDate: parkNav.date,
+      endDate,
+      frequency,
+      transfer,
+      taxSlabRate: stp.slabRate,
+      transfers: transfers.map(entry => ({
+        scheduledDate: entry.scheduledDate,
+        date: entry.date,
+        amount: round(entry.amount),
+        exitLoad: round(entry.exitLoad),
+        stampDuty: round(entry.stampDuty),
+        sourceNav: entry.sourceNav,
+        sourceUnits: round(entry.sourceUnits, 4),
+        targetNav: entry.targetNav,
+        targetUnits: round(entry.targetUnits, 4),
+        sourceValue: Math.round(entry.sourceValue),
+        targetValue: Math.round(entry.targetValue)
+      })),
+      stp,
+      lumpsum,
+      sip,
+      outcome: {
+        best,
+        stpVsLumpsum: stp.postTaxValue - lumpsum.postTaxValue,
+        stpVsSip: stp.postTaxValue - sip.postTaxValue
+      },
+      chartData: [
+        ...this.buildChart(target, transfers, lumpsum, installment),
+        { date: endDate, stp: stp.value, lumpsum: lumpsum.value, sip: sip.value }
+      ]
+    };
+
+    this.logger.info('STP simulation completed', {
+      sourceFundCode,
+      targetFundCode,
+      transfers: transfers.length,
+      best
+    });
+
+    return result;
+  }
+
+  // Transfers on schedule until the end date, or until a fixed plan has emptied the source
+  runTransfers(source, target, parkLot, transfer, transferDate, endDate) {
+    const transfers = [];
+    let sourceUnits = parkLot.units;
+    let targetUnits = 0;
+
+    for (let n = 1; ; n++) {
+      const scheduledDate = toISODate(transferDate(parkLot.date, n));
+      if (scheduledDate > endDate) break;
+
+      const sourceNav = findNavOnOrAfter(source.navData, scheduledDate);
+      const targetNav = findNavOnOrAfter(target.navData, scheduledDate);
+      if (!sourceNav || !targetNav || sourceNav.date > endDate || targetNav.date > endDate) break;
+
+      const sourceValue = sourceUnits * sourceNav.nav;
+      let amount = transfer.type === 'capital-appreciation'
+        ? sourceValue - parkLot.units * parkLot.nav
+        : Math.min(transfer.amount, sourceValue);
+
+      // Nothing earned since the last transfer: a capital-appreciation plan skips this date
+      if (!(amount > 0.01)) continue;
+
+      // Sweep the rounding residue with the last fixed transfer
+      const emptied = transfer.type === 'fixed' && amount >= sourceValue - 0.01;
+      if (emptied) amount = sourceValue;
+
+      const units = emptied ? sourceUnits : amount / sourceNav.nav;
+      const loadRate = costScheduleService.exitLoadRate(source.costSchedule, parkLot.date, sourceNav.date);
+      const exitLoad = amount * loadRate / 100;
+      const purchase = costScheduleService.applyPurchase(amount - exitLoad, targetNav.date, targetNav.nav, target.costSchedule);
+
+      sourceUnits -= units;
+      targetUnits += purchase.units;
+
+      transfers.push({
+        scheduledDate,
+        date: sourceNav.date > targetNav.date ? sourceNav.date : targetNav.date,
+        amount,
+        exitLoad,
+        stampDuty: purchase.stampDuty,
+        sourceNav: sourceNav.nav,
+        sourceSaleDate: sourceNav.date,
+        sourceSaleNav: sourceNav.nav * (1 - loadRate / 100),
+        sourceUnits: units,
+        targetNav: targetNav.nav,
+        targetPurchaseDate: targetNav.date,
+        targetUnits: purchase.units,
+        transferredCost: amount - exitLoad,
+        sourceValue: sourceUnits * sourceNav.nav,
+        targetValue: targetUnits * targetNav.nav
+      });
+
+      if (emptied) break;
+    }
+
+    return transfers;
+  }
+
+  /**
+   * STP value on the end date and after redeeming both legs there. Transfers are redemptions too, so their
+   * capital gains go through the same FIFO and financial-year assessment as the final sale.
+   */
+  valueStp(source, target, parkLot, transfers, sourceEnd, targetEnd, taxOptions) {
+    const sourceTransactions = [
+      { type: 'buy', date: parkLot.date, units: parkLot.units, nav: parkLot.nav },
+      ...transfers.map(entry => ({ type: 'sell', date: entry.sourceSaleDate, units: entry.sourceUnits, nav: entry.sourceSaleNav }))
+    ];
+    const targetLots = transfers.map(entry => ({
+      date: entry.targetPurchaseDate,
+      units: entry.targetUnits,
+      nav: entry.transferredCost / entry.targetUnits
+    }));
+
+    const transferTax = taxService.calculateCapitalGains([
+      this.taxScheme(source, sourceTransactions)
+    ], taxOptions);
+
+    // Final redemption: whatever is still parked plus every target lot, each with its own exit load
+    const sourceUnits = parkLot.units - transfers.reduce((sum, entry) => sum + entry.sourceUnits, 0);
+    const finalSells = (fund, lots, navPoint) => lots
+      .filter(lot => lot.units > 1e-9)
+      .map(lot => {
+        const loadRate = costScheduleService.exitLoadRate(fund.costSchedule, lot.date, navPoint.date);
+        return { type: 'sell', date: navPoint.date, units: lot.units, nav: navPoint.nav * (1 - loadRate / 100), exitLoad: lot.units * navPoint.nav * loadRate / 100 };
+      });
+    const sourceSells = finalSells(source, [{ date: parkLot.date, units: sourceUnits }], sourceEnd);
+    const targetSells = finalSells(target, targetLots, targetEnd);
+
+    const full = taxService.calculateCapitalGains([
+      this.taxScheme(source, [...sourceTransactions, ...sourceSells]),
+      this.taxScheme(target, [...targetLots.map(lot => ({ type: 'buy', ...lot })), ...targetSells])
+    ], taxOptions);
+
+    const sourceValue = Math.max(sourceUnits, 0) * sourceEnd.nav;
+    const targetUnits = targetLots.reduce((sum, lot) => sum + lot.units, 0);
+    const targetValue = targetUnits * targetEnd.nav;
+    const finalExitLoad = [...sourceSells, ...targetSells].reduce((sum, sell) => sum + sell.exitLoad, 0);
+    const transferExitLoad = transfers.reduce((sum, entry) => sum + entry.exitLoad, 0);
+    const value = sourceValue + targetValue;
+
+    return {
+      slabRate: full.slabRate,
+      value: Math.round(value),
+      sourceValue: Math.round(sourceValue),
+      targetValue: Math.round(targetValue),
+      sourceUnits: round(Math.max(sourceUnits, 0), 4),
+      targetUnits: round(targetUnits, 4),
+      transfers: transfers.length,
+      transferred: Math.round(transfers.reduce((sum, entry) => sum + entry.amount, 0)),
+      costs: {
+        stampDuty: round(parkLot.stampDuty + transfers.reduce((sum, entry) => sum + entry.stampDuty, 0)),
+        transferExitLoad: round(transferExitLoad),
+        transferTax: round(transferTax.totals.tax),
+        exitLoad: round(finalExitLoad),
+        tax: round(full.totals.tax)
+      },
+      postTaxValue: Math.round(value - finalExitLoad - full.totals.tax),
+      financialYears: full.financialYears
+    };
+  }
+
+  // Purchases [{ date, amount }] into the target, valued and fully redeemed on the end date
+  valueTargetPurchases(target, purchases, targetEnd, endDate, taxOptions) {
+    const lots = purchases.map(purchase => {
+      const navPoint = navOnOrAfter(target, purchase.date, 'purchase');
+      const { stampDuty, units } = costScheduleService.applyPurchase(purchase.amount, navPoint.date, navPoint.nav, target.costSchedule);
+      return { date: navPoint.date, units, nav: purchase.amount / units, amount: purchase.amount, stampDuty };
+    });
+
+    const redemption = taxService.calculatePostTaxRedemption([{
+      schemeCode: target.schemeCode,
+      name: target.name,
+      fundType: target.fundType,
+      lots: lots.map(({ date, units, nav }) => ({ date, units, nav })),
+      redemptionDate: targetEnd.date,
+      redemptionNav: targetEnd.nav,
+      navData: target.navData,
+      costSchedule: target.costSchedule
+    }], taxOptions);
+
+    return {
+      value: redemption.grossValue,
+      units: round(lots.reduce((sum, lot) => sum + lot.units, 0), 4),
+      installments: lots.length,
+      costs: {
+        stampDuty: round(lots.reduce((sum, lot) => sum + lot.stampDuty, 0)),
+        exitLoad: redemption.exitLoad,
+        tax: redemption.tax
+      },
+      postTaxValue: redemption.postTaxValue,
+      xirr: this.xirr(lots, redemption.grossValue, endDate)
+    };
+  }
+
+  // Value of each strategy on every transfer date
+  buildChart(target, transfers, lumpsum, installment) {
+    const lumpsumUnits = lumpsum.units;
+    let sipUnits = 0;
+
+    return transfers.map((entry, index) => {
+      const sipPurchase = costScheduleService.applyPurchase(installment, entry.targetPurchaseDate, entry.targetNav, target.costSchedule);
+      sipUnits += sipPurchase.units;
+      const waiting = installment * (transfers.length - index - 1);
+
+      return {
+        date: entry.date,
+        stp: Math.round(entry.sourceValue + entry.targetValue),
+        lumpsum: Math.round(lumpsumUnits * entry.targetNav),
+        sip: Math.round(sipUnits * entry.targetNav + waiting)
+      };
+    });
+  }
+
+  taxScheme(fund, transactions) {
+    return {
+      schemeCode: fund.schemeCode,
+      name: fund.name,
+      fundType: fund.fundType,
+      grandfatheringNav: fund.grandfatheringNav,
+      transactions: transactions.map(({ exitLoad: _exitLoad, ...txn }) => txn)
+    };
+  }
+
+  // XIRR (%) of outflows [{ amount, date }] redeemed at finalValue on the end date
+  xirr(outflows, finalValue, endDate) {
+    return calculationService.calculateXIRR(
+      [...outflows.map(flow => -flow.amount), finalValue],
+      [...outflows.map(flow => toDate(flow.date)), toDate(endDate)]
+    );
+  }
+
+}
+
+// Create singleton instance
+const stpService = new StpService();
+
+module.exports = stpService;
@@ -0,0 +1,221 @@
+const logger = require('../utils/logger');
+const taxService = require('./taxService');
+const costScheduleService = require('./costScheduleService');
+const fundHistoryService = require('./fundHistoryService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { toISODate, daysBetween } = require('../utils/dateUtils');
+const { navOnOrAfter, navOnOrBefore, resolveEndDate, round } = require('../utils/navSeries');
+
+// Horizon for the break-even figure when the switch is evaluated on the switch date itself
+const DEFAULT_BREAK_EVEN_YEARS = 3;
+
+/**
+ * "Should I move from fund A to fund B on this date?"
+ *
+ * The existing fund A lots are redeemed on the switch date (first NAV on or after it), paying exit load from
+ * the scheme's cost schedule and capital gains tax on the FIFO gains. What is left is bought into fund B the
+ * same day, less stamp duty. Both paths are then valued on the evaluation date, before and after the tax a full
+ * redemption would trigger there; the switched money starts a fresh holding period in fund B.
+ */
+class SwitchAnalysisService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * params: { sourceFundCode, targetFundCode, purchases: [{ date, amount? | units? }], switchDate,
+   *           evaluationDate?, exitLoad?: [{ withinDays, rate }], taxSlabRate?, sourceFundTaxType?,
+   *           targetFundTaxType?, breakEvenYears? }
+   * exitLoad overrides the source fund's configured exit-load slabs.
+   */
+  async analyzeSwitch(params) {
+    const {
+      sourceFundCode,
+      targetFundCode,
+      purchases,
+      exitLoad,
+      taxSlabRate
+    } = params;
+
+    const [source, target] = await Promise.all([
+      fundHistoryService.loadFund(sourceFundCode, params.sourceFundTaxType),
+      fundHistoryService.loadFund(targetFundCode, params.targetFundTaxType)
+    ]);
+    if (exitLoad) {
+      source.costSchedule = { ...source.costSchedule, source: 'request', exitLoad: costScheduleService.sortSlabs(exitLoad) };
+    }
+
+    const lots = this.buildLots(source, purchases);
+    const switchDate = toISODate(params.switchDate);
+    if (switchDate < lots[lots.length - 1].date) {
+      throw new ValidationError(`Switch date ${switchDate} is before the last purchase on ${lots[lots.length - 1].date}`);
+    }
+
+    const sourceSwitchNav = navOnOrAfter(source, switchDate, 'switch');
+    const targetSwitchNav = navOnOrAfter(target, switchDate, 'switch');
+
+    const evaluationDate = this.resolveEvaluationDate(params.evaluationDate, source, target, switchDate);
+    const sourceEndNav = navOnOrBefore(source, evaluationDate);
+    const targetEndNav = navOnOrBefore(target, evaluationDate);
+
+    const taxOptions = { slabRate: taxSlabRate };
+    const redemption = this.redeemLots(source, lots, sourceSwitchNav, taxOptions);
+
+    const reinvestment = costScheduleService.applyPurchase(
+      redemption.postTaxValue, targetSwitchNav.date, targetSwitchNav.nav, target.costSchedule
+    );
+    const switchLot = {
+      date: targetSwitchNav.date,
+      units: reinvestment.units,
+      nav: redemption.postTaxValue / reinvestment.units
+    };
+    const sourceUnits = lots.reduce((sum, lot) => sum + lot.units, 0);
+
+    const stay = this.valueScenario(source, lots, sourceEndNav, taxOptions);
+    const switched = this.valueScenario(target, [switchLot], targetEndNav, taxOptions);
+    const reinvested = reinvestment.netAmount;
+
+    const horizonYears = daysBetween(sourceSwitchNav.date, evaluationDate) / 365;
+    const result = {
+      sourceFund: { schemeCode: source.schemeCode, name: source.name, fundType: source.fundType },
+      targetFund: { schemeCode: target.schemeCode, name: target.name, fundType: target.fundType },
+      switchDate: sourceSwitchNav.date,
+      evaluationDate,
+      exitLoadSchedule: { source: source.costSchedule.source, slabs: source.costSchedule.exitLoad },
+      taxSlabRate: redemption.slabRate,
+      holdings: {
+        purchases: lots.length,
+        invested: Math.round(lots.reduce((sum, lot) => sum + lot.units * lot.nav, 0)),
+        stampDuty: round(lots.reduce((sum, lot) => sum + lot.stampDuty, 0)),
+        units: round(sourceUnits, 4)
+      },
+      switch: {
+        sourceNav: sourceSwitchNav.nav,
+        targetNav: targetSwitchNav.nav,
+        grossValue: redemption.grossValue,
+        unitsUnderExitLoad: round(redemption.unitsUnderExitLoad, 4),
+        shortTermGain: redemption.shortTermGain,
+        longTermGain: redemption.longTermGain,
+        costs: {
+          exitLoad: redemption.exitLoad,
+          capitalGainsTax: redemption.tax,
+          stampDuty: round(reinvestment.stampDuty),
+          total: Math.round(redemption.exitLoad + redemption.tax + reinvestment.stampDuty)
+        },
+        netProceeds: redemption.postTaxValue,
+        reinvested: Math.round(reinvested),
+        frictionPercentage: round((1 - reinvested / redemption.grossValue) * 100),
+        targetUnits: round(reinvestment.units, 4)
+      },
+      stay,
+      switched,
+      outcome: {
+        difference: switched.value - stay.value,
+        postTaxDifference: switched.postTaxValue - stay.postTaxValue,
+        better: switched.postTaxValue > stay.postTaxValue ? 'switch' : 'stay'
+      },
+      realizedReturns: horizonYears > 0 ? {
+        horizonYears: round(horizonYears),
+        source: round(this.annualizedReturn(sourceSwitchNav.nav, sourceEndNav.nav, horizonYears)),
+        target: round(this.annualizedReturn(targetSwitchNav.nav, targetEndNav.nav, horizonYears))
+      } : null,
+      breakEven: this.calculateBreakEven(
+        redemption.grossValue,
+        reinvested,
+        horizonYears > 0 ? horizonYears : (params.breakEvenYears || DEFAULT_BREAK_EVEN_YEARS)
+      )
+    };
+
+    this.logger.info('Switch analysis completed', {
+      sourceFundCode,
+      targetFundCode,
+      switchDate: result.switchDate,
+      friction: result.switch.frictionPercentage,
+      better: result.outcome.better
+    });
+
+    return result;
+  }
+
+  // Purchases as lots at the first NAV on or after each date. Amounts pay stamp duty (included in the lot's
+  // cost); purchases given in units are taken at that NAV as they are.
+  buildLots(fund, purchases) {
+    return purchases
+      .map(purchase => {
+        const navPoint = navOnOrAfter(fund, purchase.date, 'purchase');
+        if (purchase.units) {
+          return { date: navPoint.date, units: purchase.units, nav: navPoint.nav, stampDuty: 0 };
+        }
+        const { stampDuty, units } = costScheduleService.applyPurchase(purchase.amount, navPoint.date, navPoint.nav, fund.costSchedule);
+        return { date: navPoint.date, units, nav: purchase.amount / units, stampDuty };
+      })
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Exit load from the fund's cost schedule, then FIFO capital gains on the load-adjusted proceeds
+  redeemLots(fund, lots, navPoint, taxOptions) {
+    const redemption = taxService.calculatePostTaxRedemption([{
+      schemeCode: fund.schemeCode,
+      name: fund.name,
+      fundType: fund.fundType,
+      lots: lots.map(({ date, units, nav }) => ({ date, units, nav })),
+      redemptionDate: navPoint.date,
+      redemptionNav: navPoint.nav,
+      navData: fund.navData,
+      costSchedule: fund.costSchedule
+    }], taxOptions);
+
+    return {
+      ...redemption,
+      unitsUnderExitLoad: lots
+        .filter(lot => costScheduleService.exitLoadRate(fund.costSchedule, lot.date, navPoint.date) > 0)
+        .reduce((sum, lot) => sum + lot.units, 0)
+    };
+  }
+
+  // Market value on the evaluation date and what full redemption there would leave after load and tax
+  valueScenario(fund, lots, navPoint, taxOptions) {
+    const redemption = this.redeemLots(fund, lots, navPoint, taxOptions);
+    return {
+      schemeCode: fund.schemeCode,
+      nav: navPoint.nav,
+      units: round(lots.reduce((sum, lot) => sum + lot.units, 0), 4),
+      value: redemption.grossValue,
+      exitLoad: redemption.exitLoad,
+      capitalGainsTax: redemption.tax,
+      postTaxValue: redemption.postTaxValue
+    };
+  }
+
+  /**
+   * Annual outperformance fund B needs over fund A for the smaller switched amount to catch up with staying
+   * invested: (gross / net)^(1 / years) - 1. Terminal tax differences are left out.
+   */
+  calculateBreakEven(grossValue, netProceeds, years) {
+    if (!(netProceeds > 0)) {
+      return { horizonYears: round(years), requiredAnnualOutperformance: null };
+    }
+    return {
+      horizonYears: round(years),
+      requiredAnnualOutperformance: round((Math.pow(grossValue / netProceeds, 1 / years) - 1) * 100)
+    };
+  }
+
+  // Defaults to the latest date both funds have a NAV for
+  resolveEvaluationDate(requested, source, target, switchDate) {
+    if (requested && toISODate(requested) < switchDate) {
+      throw new ValidationError(`Evaluation date ${toISODate(requested)} is before the switch date ${switchDate}`);
+    }
+    return resolveEndDate(requested, [source, target]);
+  }
+
+  annualizedReturn(startValue, endValue, years) {
+    return (Math.pow(endValue / startValue, 1 / years) - 1) * 100;
+  }
+
+}
+
+// Create singleton instance
+const switchAnalysisService = new SwitchAnalysisService();
+
+module.exports = switchAnalysisService;
@@ -0,0 +1,241 @@
+const logger = require('../utils/logger');
+const calculationService = require('./calculationService');
+const taxService = require('./taxService');
+const costScheduleService = require('./costScheduleService');
+const fundHistoryService = require('./fundHistoryService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { toDate, toISODate, addMonths } = require('../utils/dateUtils');
+const { findNavOnOrAfter, navOnOrAfter, navOnOrBefore, resolveEndDate, round } = require('../utils/navSeries');
+
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3 };
+const DEFAULT_INFLATION_RATE = 6;
+
+/**
+ * Systematic Withdrawal Plan replayed on real NAV history.
+ *
+ * The corpus is invested on the start date (split by allocation for a portfolio) and withdrawals are then
+ * redeemed on schedule at the first NAV on or after each date, drawn from each fund in proportion to its
+ * current value. Every redemption pays exit load from the scheme's cost schedule; capital gains tax is the
+ * extra tax each redemption adds to its financial year, so set-off and the LTCG exemption are shared the
+ * way they would be on a real return.
+ */
+class SwpService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * params: { schemeCode? | funds?: [{ schemeCode, allocation }], corpus, startDate, withdrawalStartDate?,
+   *           endDate?, frequency: 'monthly' | 'quarterly',
+   *           withdrawal: { type: 'fixed' | 'percentage' | 'inflation-indexed', amount?, rate?, inflationRate? },
+   *           taxSlabRate? }
+   * percentage withdraws rate% a year of the corpus value at each withdrawal; inflation-indexed raises the
+   * amount by inflationRate every twelve months.
+   */
+  async simulate(params) {
+    const { corpus, withdrawal, frequency = 'monthly', taxSlabRate } = params;
+    const allocations = params.schemeCode
+      ? [{ schemeCode: params.schemeCode, allocation: 100 }]
+      : params.funds;
+
+    const totalAllocation = allocations.reduce((sum, fund) => sum + fund.allocation, 0);
+    if (Math.abs(totalAllocation - 100) > 0.01) {
+      throw new ValidationError(`Fund allocations must total 100% (got ${round(totalAllocation)}%)`);
+    }
+
+    const funds = await Promise.all(allocations.map(fund => fundHistoryService.loadFund(fund.schemeCode)));
+    const startDate = toISODate(params.startDate);
+    const endDate = resolveEndDate(params.endDate, funds);
+    if (endDate < startDate) {
+      throw new ValidationError(`NAV history ends on ${endDate}, before the start date ${startDate}`);
+    }
+
+    const holdings = funds.map((fund, index) => {
+      const navPoint = navOnOrAfter(fund, startDate, 'purchase');
+      const amount = corpus * allocations[index].allocation / 100;
+      const { stampDuty, units } = costScheduleService.applyPurchase(amount, navPoint.date, navPoint.nav, fund.costSchedule);
+      return {
+        fund,
+        allocation: allocations[index].allocation,
+        purchase: { date: navPoint.date, amount, units, nav: amount / units, stampDuty },
+        units,
+        sells: []
+      };
+    });
+
+    const monthsPerPeriod = MONTHS_PER_PERIOD[frequency];
+    const firstWithdrawal = toISODate(params.withdrawalStartDate || addMonths(startDate, monthsPerPeriod));
+    const withdrawals = this.runWithdrawals(holdings, withdrawal, monthsPerPeriod, firstWithdrawal, endDate);
+
+    const taxes = this.taxWithdrawals(holdings, withdrawals, { slabRate: taxSlabRate });
+
+    const valuation = holdings.map(holding => ({
+      holding,
+      navPoint: navOnOrBefore(holding.fund, endDate)
+    }));
+    const remainingValue = valuation.reduce((sum, { holding, navPoint }) => sum + holding.units * navPoint.nav, 0);
+    const depleted = withdrawals.length > 0 && withdrawals[withdrawals.length - 1].depleted;
+
+    const totals = withdrawals.reduce((sum, entry) => ({
+      amount: sum.amount + entry.amount,
+      exitLoad: sum.exitLoad + entry.exitLoad,
+      tax: sum.tax + entry.tax
+    }), { amount: 0, exitLoad: 0, tax: 0 });
+
+    // Corpus out, withdrawals (after exit load) and what is left back in
+    const cashFlows = [
+      { amount: -corpus, date: holdings[0].purchase.date },
+      ...withdrawals.map(entry => ({ amount: entry.amount - entry.exitLoad, date: entry.date })),
+      ...(remainingValue > 0 ? [{ amount: remainingValue, date: endDate }] : [])
+    ];
+
+    const result = {
+      funds: holdings.map(holding => ({
+        schemeCode: holding.fund.schemeCode,
+        name: holding.fund.name,
+        fundType: holding.fund.fundType,
+        allocation: holding.allocation,
+        purchaseDate: holding.purchase.date,
+        purchaseNav: holding.purchase.nav,
+        stampDuty: round(holding.purchase.stampDuty),
+        unitsPurchased: round(holding.purchase.units, 4),
+        unitsRemaining: round(holding.units, 4)
+      })),
+      frequency,
+      withdrawal,
+      taxSlabRate: taxes.slabRate,
+      summary: {
+        corpus,
+        withdrawals: withdrawals.length,
+        totalWithdrawn: Math.round(totals.amount),
+        exitLoad: round(totals.exitLoad),
+        tax: round(totals.tax),
+        netReceived: Math.round(totals.amount - totals.exitLoad - totals.tax),
+        remainingValue: Math.round(remainingValue),
+        valuationDate: endDate,
+        depleted,
+        depletionDate: depleted ? withdrawals[withdrawals.length - 1].date : null,
+        lastedMonths: withdrawals.length * monthsPerPeriod,
+        xirr: withdrawals.length > 0
+          ? calculationService.calculateXIRR(cashFlows.map(flow => flow.amount), cashFlows.map(flow => toDate(flow.date)))
+          : null
+      },
+      withdrawals: withdrawals.map(({ depleted: _depleted, ...entry }) => ({
+        ...entry,
+        amount: round(entry.amount),
+        exitLoad: round(entry.exitLoad),
+        tax: round(entry.tax),
+        netAmount: round(entry.amount - entry.exitLoad - entry.tax),
+        remainingValue: Math.round(entry.remainingValue)
+      })),
+      financialYears: taxes.financialYears
+    };
+
+    this.logger.info('SWP simulation completed', {
+      funds: result.funds.length,
+      withdrawals: withdrawals.length,
+      depleted,
+      remainingValue: result.summary.remainingValue
+    });
+
+    return result;
+  }
+
+  // Redeem each scheduled withdrawal until the end date or until the corpus runs out
+  runWithdrawals(holdings, withdrawal, monthsPerPeriod, firstWithdrawal, endDate) {
+    const withdrawals = [];
+
+    for (let index = 0; ; index++) {
+      const scheduledDate = toISODate(addMonths(firstWithdrawal, index * monthsPerPeriod));
+      if (scheduledDate > endDate) break;
+
+      const navPoints = holdings.map(holding => findNavOnOrAfter(holding.fund.navData, scheduledDate));
+      if (navPoints.some(navPoint => !navPoint || navPoint.date > endDate)) break;
+
+      const value = holdings.reduce((sum, holding, i) => sum + holding.units * navPoints[i].nav, 0);
+      let amount = this.withdrawalAmount(withdrawal, index, monthsPerPeriod, value);
+      const depleted = amount >= value - 0.01;
+      if (depleted) amount = value;
+
+      let exitLoad = 0;
+      const redemptions = holdings.map((holding, i) => {
+        const { nav, date } = navPoints[i];
+        const gross = value > 0 ? amount * holding.units * nav / value : 0;
+        const units = depleted ? holding.units : gross / nav;
+        const loadRate = costScheduleService.exitLoadRate(holding.fund.costSchedule, holding.purchase.date, date);
+
+        exitLoad += gross * loadRate / 100;
+        holding.units -= units;
+        if (units > 0) {
+          holding.sells.push({ type: 'sell', date, units, nav: nav * (1 - loadRate / 100) });
+        }
+        return { schemeCode: holding.fund.schemeCode, date, nav, units: round(units, 4) };
+      });
+
+      withdrawals.push({
+        scheduledDate,
+        date: navPoints.map(navPoint => navPoint.date).sort().pop(),
+        amount,
+        exitLoad,
+        redemptions,
+        remainingValue: holdings.reduce((sum, holding, i) => sum + holding.units * navPoints[i].nav, 0),
+        depleted
+      });
+
+      if (depleted) break;
+    }
+
+    return withdrawals;
+  }
+
+  withdrawalAmount(withdrawal, index, monthsPerPeriod, value) {
+    if (withdrawal.type === 'percentage') {
+      return value * withdrawal.rate / 100 * monthsPerPeriod / 12;
+    }
+    if (withdrawal.type === 'inflation-indexed') {
+      const years = Math.floor(index * monthsPerPeriod / 12);
+      return withdrawal.amount * Math.pow(1 + (withdrawal.inflationRate ?? DEFAULT_INFLATION_RATE) / 100, years);
+    }
+    return withdrawal.amount;
+  }
+
+  // Sets each withdrawal's tax to how much it raises its financial year's bill over the redemptions before it
+  taxWithdrawals(holdings, withdrawals, taxOptions) {
+    const result = taxService.calculateCapitalGains(holdings.map(holding => ({
+      schemeCode: holding.fund.schemeCode,
+      name: holding.fund.name,
+      fundType: holding.fund.fundType,
+      grandfatheringNav: holding.fund.grandfatheringNav,
+      transactions: [
+        { type: 'buy', date: holding.purchase.date, units: holding.purchase.units, nav: holding.purchase.nav },
+        ...holding.sells
+      ]
+    })), taxOptions);
+
+    const taxUpTo = (financialYear, date) => {
+      const gains = result.gains.filter(gain => gain.financialYear === financialYear && gain.saleDate <= date);
+      return gains.length > 0 ? taxService.assessFinancialYear(financialYear, gains, result.slabRate).tax : 0;
+    };
+
+    let previousDate = '';
+    for (const entry of withdrawals) {
+      const years = new Set(result.gains
+        .filter(gain => gain.saleDate > previousDate && gain.saleDate <= entry.date)
+        .map(gain => gain.financialYear));
+
+      entry.tax = [...years].reduce(
+        (sum, year) => sum + taxUpTo(year, entry.date) - (previousDate ? taxUpTo(year, previousDate) : 0),
+        0
+      );
+      previousDate = entry.date;
+    }
+
+    return result;
+  }
+
+}
+
+// Create singleton instance
+const swpService = new SwpService();
+
+module.exports = swpService;
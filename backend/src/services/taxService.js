@@ -0,0 +1,386 @@
+const logger = require('../utils/logger');
+const mfApiService = require('./mfApiService');
+const costScheduleService = require('./costScheduleService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { toISODate, addMonths } = require('../utils/dateUtils');
+
+// Finance Act 2018: equity LTCG taxable for transfers from this date, with cost grandfathered to the 31 Jan 2018 NAV
+const EQUITY_LTCG_START = '2018-04-01';
+const GRANDFATHERING_DATE = '2018-01-31';
+// Section 50AA: debt ("specified") fund units bought from this date are always short-term
+const SPECIFIED_FUND_START = '2023-04-01';
+// Finance (No. 2) Act 2024: new rates and holding periods for transfers on or after this date
+const BUDGET_2024_DATE = '2024-07-23';
+
+const HEALTH_AND_EDUCATION_CESS = 0.04;
+
+// Cost Inflation Index by financial year start (base 2001-02 = 100)
+const COST_INFLATION_INDEX = {
+  2001: 100, 2002: 105, 2003: 109, 2004: 113, 2005: 117, 2006: 122, 2007: 129, 2008: 137,
+  2009: 148, 2010: 167, 2011: 184, 2012: 200, 2013: 220, 2014: 240, 2015: 254, 2016: 264,
+  2017: 272, 2018: 280, 2019: 289, 2020: 301, 2021: 317, 2022: 331, 2023: 348, 2024: 363,
+  2025: 376
+};
+
+const FUND_TYPES = ['equity', 'debt', 'other'];
+
+// Financial year (April-March) a date falls in, as its starting calendar year
+function financialYearOf(date) {
+  const iso = toISODate(date);
+  const year = Number(iso.slice(0, 4));
+  return iso.slice(5) >= '04-01' ? year : year - 1;
+}
+
+function financialYearLabel(startYear) {
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Indian capital gains tax on mutual fund redemptions.
+ *
+ * Purchases are kept as lots per scheme and sales consume them FIFO. Each realised slice is classified by
+ * fund type, purchase date and sale date:
+ *  - equity: long-term after 12 months; STCG 15% (20% from 23 Jul 2024), LTCG 10% (12.5%) above the
+ *    annual exemption, cost grandfathered to the 31 Jan 2018 NAV for older units
+ *  - debt: units bought from 1 Apr 2023 are always short-term; older units long-term after 36 months
+ *    (24 from 23 Jul 2024), LTCG 20% with indexation (12.5% without from 23 Jul 2024)
+ *  - other (hybrid, FoF, gold): as debt, but never under the specified-fund rule
+ * Short-term non-equity gains are taxed at the investor's slab rate. Tax adds 4% cess; surcharge and
+ * loss carry-forward to later years are not modelled.
+ */
+class TaxService {
+  constructor() {
+    this.logger = logger;
+    this.fundTypes = FUND_TYPES;
+    this.defaultSlabRate = 30;
+  }
+
+  // 'equity' | 'debt' | 'other' from the AMFI scheme category where known, else from the scheme name
+  resolveFundType({ schemeCategory, schemeName = '' } = {}) {
+    const category = (schemeCategory || '').toLowerCase();
+    const name = schemeName.toLowerCase();
+    const debtLike = /gilt|bond|debt|liquid|g-sec|gsec|sdl|money market|overnight|treasury/.test(name);
+
+    if (category) {
+      if (category.startsWith('equity scheme')) return 'equity';
+      if (category.startsWith('debt scheme')) return 'debt';
+      if (/aggressive hybrid|arbitrage|equity savings/.test(category)) return 'equity';
+      if (category.includes('conservative hybrid')) return 'debt';
+      if (/index funds|etf/.test(category)) return debtLike ? 'debt' : 'equity';
+      return 'other';
+    }
+
+    if (debtLike) return 'debt';
+    const derived = mfApiService.categorizeScheme(schemeName);
+    if (derived === 'Debt') return 'debt';
+    if (derived === 'Hybrid') return 'other';
+    return 'equity';
+  }
+
+  /**
+   * Realised gains and tax across schemes, sharing set-off and the LTCG exemption per financial year.
+   *
+   * schemes: [{ schemeCode, name?, fundType, transactions: [{ type: 'buy' | 'sell', date, nav, units? | amount? }],
+   *             grandfatheringNav? }]
+   * A sell without units redeems the whole holding. grandfatheringNav is the scheme's 31 Jan 2018 NAV.
+   */
+  calculateCapitalGains(schemes, { slabRate = this.defaultSlabRate } = {}) {
+    const schemeResults = schemes.map(scheme => this.realizeScheme(scheme));
+    const gains = schemeResults.flatMap(result => result.gains);
+
+    const years = [...new Set(gains.map(gain => gain.financialYear))]
+      .sort((a, b) => a - b)
+      .map(year => this.assessFinancialYear(year, gains.filter(gain => gain.financialYear === year), slabRate));
+
+    return {
+      slabRate,
+      schemes: schemeResults.map(result => ({
+        schemeCode: result.schemeCode,
+        name: result.name,
+        fundType: result.fundType,
+        realizedGain: this.round(result.gains.reduce((sum, gain) => sum + gain.gain, 0)),
+        shortTermGain: this.round(this.sumGains(result.gains, 'short')),
+        longTermGain: this.round(this.sumGains(result.gains, 'long')),
+        remainingLots: result.lots
+      })),
+      gains,
+      financialYears: years,
+      totals: {
+        shortTermGain: this.round(this.sumGains(gains, 'short')),
+        longTermGain: this.round(this.sumGains(gains, 'long')),
+        exemptionUsed: this.round(years.reduce((sum, year) => sum + year.exemptionUsed, 0)),
+        unabsorbedLoss: this.round(years.reduce((sum, year) => sum + year.unabsorbedLoss, 0)),
+        tax: this.round(years.reduce((sum, year) => sum + year.tax, 0))
+      }
+    };
+  }
+
+  /**
+   * Exit load, tax and post-tax value of redeeming every unit of one or more holdings on their valuation dates.
+   * holdings: [{ schemeCode, name?, fundType, lots: [{ date, units, nav }], redemptionDate, redemptionNav,
+   *              navData?, costSchedule? }]
+   * navData (ascending [{ date, nav }]) supplies the grandfathering NAV when a lot predates 1 Feb 2018;
+   * costSchedule (from costScheduleService) adds exit load, which also reduces the taxable sale value.
+   * A lot's nav is the price paid per unit, so stamp duty paid on purchase counts towards its cost.
+   */
+  calculatePostTaxRedemption(holdings, options = {}) {
+    let exitLoad = 0;
+
+    const result = this.calculateCapitalGains(holdings.map(holding => {
+      // One sale per lot, in lot order, so FIFO matches each sale to the lot whose exit load it carries
+      const sales = [...holding.lots]
+        .sort((a, b) => toISODate(a.date).localeCompare(toISODate(b.date)))
+        .map(lot => {
+          const loadRate = holding.costSchedule
+            ? costScheduleService.exitLoadRate(holding.costSchedule, lot.date, holding.redemptionDate) / 100
+            : 0;
+          exitLoad += lot.units * holding.redemptionNav * loadRate;
+          return { type: 'sell', date: holding.redemptionDate, units: lot.units, nav: holding.redemptionNav * (1 - loadRate) };
+        });
+
+      return {
+        schemeCode: holding.schemeCode,
+        name: holding.name,
+        fundType: holding.fundType,
+        grandfatheringNav: holding.navData ? this.findGrandfatheringNav(holding.navData) : null,
+        transactions: [...holding.lots.map(lot => ({ type: 'buy', ...lot })), ...sales]
+      };
+    }), options);
+
+    const grossValue = holdings.reduce(
+      (sum, holding) => sum + holding.lots.reduce((units, lot) => units + lot.units, 0) * holding.redemptionNav,
+      0
+    );
+    const invested = holdings.reduce(
+      (sum, holding) => sum + holding.lots.reduce((cost, lot) => cost + lot.units * lot.nav, 0),
+      0
+    );
+    const netValue = grossValue - exitLoad - result.totals.tax;
+
+    return {
+      slabRate: result.slabRate,
+      grossValue: Math.round(grossValue),
+      invested: Math.round(invested),
+      exitLoad: Math.round(exitLoad),
+      shortTermGain: Math.round(result.totals.shortTermGain),
+      longTermGain: Math.round(result.totals.longTermGain),
+      exemptionUsed: Math.round(result.totals.exemptionUsed),
+      tax: Math.round(result.totals.tax),
+      postTaxValue: Math.round(netValue),
+      postTaxGain: Math.round(netValue - invested),
+      funds: result.schemes.map(({ remainingLots, ...scheme }) => scheme),
+      financialYears: result.financialYears
+    };
+  }
+
+  // FIFO replay of one scheme's transactions into realised gain slices
+  realizeScheme(scheme) {
+    const fundType = scheme.fundType || 'equity';
+    if (!FUND_TYPES.includes(fundType)) {
+      throw new ValidationError(`Unknown fund type for tax: ${fundType}`);
+    }
+
+    const transactions = [...scheme.transactions]
+      .map(txn => ({ ...txn, date: toISODate(txn.date) }))
+      // Same-day buys settle before sells
+      .sort((a, b) => {
+        if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+        return a.type === b.type ? 0 : a.type === 'buy' ? -1 : 1;
+      });
+
+    const lots = [];
+    const gains = [];
+
+    for (const txn of transactions) {
+      if (!(txn.nav > 0)) {
+        throw new ValidationError(`Transaction on ${txn.date} for scheme ${scheme.schemeCode} needs a positive NAV`);
+      }
+
+      if (txn.type === 'buy') {
+        const units = txn.units ?? txn.amount / txn.nav;
+        if (units > 0) lots.push({ date: txn.date, units, nav: txn.nav });
+        continue;
+      }
+
+      const held = lots.reduce((sum, lot) => sum + lot.units, 0);
+      let remaining = txn.units ?? held;
+      if (remaining > held + 1e-6) {
+        throw new ValidationError(
+          `Cannot sell ${remaining.toFixed(4)} units of scheme ${scheme.schemeCode} on ${txn.date}; only ${held.toFixed(4)} held`
+        );
+      }
+
+      while (remaining > 1e-9 && lots.length > 0) {
+        const lot = lots[0];
+        const units = Math.min(lot.units, remaining);
+        gains.push(this.classifyGain({ ...scheme, fundType }, lot, units, txn));
+
+        lot.units -= units;
+        remaining -= units;
+        if (lot.units <= 1e-9) lots.shift();
+      }
+    }
+
+    return { schemeCode: scheme.schemeCode, name: scheme.name, fundType, gains, lots };
+  }
+
+  // One FIFO slice: holding period, term, taxable cost (grandfathered or indexed) and the rate that applies
+  classifyGain(scheme, lot, units, sale) {
+    const saleValue = units * sale.nav;
+    const cost = units * lot.nav;
+    const afterBudget2024 = sale.date >= BUDGET_2024_DATE;
+    let term;
+    let taxableCost = cost;
+    let rate;
+    let rule;
+
+    if (scheme.fundType === 'equity') {
+      term = toISODate(addMonths(lot.date, 12)) < sale.date ? 'long' : 'short';
+      if (term === 'short') {
+        rate = afterBudget2024 ? 20 : 15;
+        rule = 'equity-stcg';
+      } else if (sale.date < EQUITY_LTCG_START) {
+        rate = 0;
+        rule = 'equity-ltcg-exempt';
+      } else {
+        rate = afterBudget2024 ? 12.5 : 10;
+        rule = 'equity-ltcg';
+        if (lot.date <= GRANDFATHERING_DATE && scheme.grandfatheringNav) {
+          // Cost is the higher of actual cost and the 31 Jan 2018 value capped at the sale value
+          taxableCost = Math.max(cost, Math.min(units * scheme.grandfatheringNav, saleValue));
+          rule = 'equity-ltcg-grandfathered';
+        }
+      }
+    } else if (scheme.fundType === 'debt' && lot.date >= SPECIFIED_FUND_START) {
+      term = 'short';
+      rate = 'slab';
+      rule = 'specified-fund';
+    } else {
+      const holdingMonths = afterBudget2024 ? 24 : 36;
+      term = toISODate(addMonths(lot.date, holdingMonths)) < sale.date ? 'long' : 'short';
+      if (term === 'short') {
+        rate = 'slab';
+        rule = 'non-equity-stcg';
+      } else if (afterBudget2024) {
+        rate = 12.5;
+        rule = 'non-equity-ltcg';
+      } else {
+        rate = 20;
+        rule = 'non-equity-ltcg-indexed';
+        taxableCost = cost * this.getCostInflationIndex(financialYearOf(sale.date)) /
+          this.getCostInflationIndex(financialYearOf(lot.date));
+      }
+    }
+
+    return {
+      schemeCode: scheme.schemeCode,
+      purchaseDate: lot.date,
+      saleDate: sale.date,
+      units,
+      cost: this.round(cost),
+      taxableCost: this.round(taxableCost),
+      saleValue: this.round(saleValue),
+      gain: this.round(saleValue - taxableCost),
+      term,
+      rate,
+      rule,
+      equity: scheme.fundType === 'equity',
+      financialYear: financialYearOf(sale.date)
+    };
+  }
+
+  // Nets losses, applies the equity LTCG exemption and prices one financial year's gains
+  assessFinancialYear(year, gains, slabRate) {
+    // Bucket by term and effective rate; slab-rate gains use the investor's rate
+    const buckets = new Map();
+    for (const gain of gains) {
+      const rate = gain.rate === 'slab' ? slabRate : gain.rate;
+      const key = `${gain.term}:${rate}:${gain.equity && gain.term === 'long'}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, { term: gain.term, rate, equityLongTerm: gain.equity && gain.term === 'long', amount: 0 });
+      }
+      buckets.get(key).amount += gain.gain;
+    }
+    const list = [...buckets.values()].sort((a, b) => b.rate - a.rate);
+
+    // Short-term losses offset any gains, long-term losses only long-term gains; highest rate first
+    const absorb = (loss, targets) => {
+      for (const bucket of targets) {
+        if (loss <= 0) break;
+        const used = Math.min(loss, Math.max(bucket.amount, 0));
+        bucket.amount -= used;
+        loss -= used;
+      }
+      return loss;
+    };
+    const takeLosses = term => list
+      .filter(bucket => bucket.term === term && bucket.amount < 0)
+      .reduce((loss, bucket) => {
+        const amount = -bucket.amount;
+        bucket.amount = 0;
+        return loss + amount;
+      }, 0);
+
+    const shortTermLoss = takeLosses('short');
+    const longTermLoss = takeLosses('long');
+    const unabsorbedShort = absorb(absorb(shortTermLoss, list.filter(b => b.term === 'short')), list.filter(b => b.term === 'long'));
+    const unabsorbedLong = absorb(longTermLoss, list.filter(b => b.term === 'long'));
+
+    let exemptionLeft = this.getEquityLtcgExemption(year);
+    let exemptionUsed = 0;
+    for (const bucket of list.filter(b => b.equityLongTerm && b.rate > 0)) {
+      const used = Math.min(exemptionLeft, bucket.amount);
+      bucket.amount -= used;
+      exemptionLeft -= used;
+      exemptionUsed += used;
+    }
+
+    const baseTax = list.reduce((sum, bucket) => sum + bucket.amount * bucket.rate / 100, 0);
+
+    return {
+      financialYear: financialYearLabel(year),
+      shortTermGain: this.round(this.sumGains(gains, 'short')),
+      longTermGain: this.round(this.sumGains(gains, 'long')),
+      exemptionUsed: this.round(exemptionUsed),
+      unabsorbedLoss: this.round(unabsorbedShort + unabsorbedLong),
+      taxableByRate: list
+        .filter(bucket => bucket.amount > 0)
+        .map(bucket => ({ term: bucket.term, rate: bucket.rate, amount: this.round(bucket.amount) })),
+      tax: this.round(baseTax * (1 + HEALTH_AND_EDUCATION_CESS))
+    };
+  }
+
+  getEquityLtcgExemption(financialYear) {
+    return financialYear >= 2024 ? 125000 : 100000;
+  }
+
+  // Years outside the table use the nearest published index
+  getCostInflationIndex(financialYear) {
+    const years = Object.keys(COST_INFLATION_INDEX).map(Number);
+    const clamped = Math.min(Math.max(financialYear, years[0]), years[years.length - 1]);
+    return COST_INFLATION_INDEX[clamped];
+  }
+
+  // NAV on (or the last trading day before) 31 Jan 2018 from an ascending series, or null if it starts later
+  findGrandfatheringNav(navData) {
+    let match = null;
+    for (const point of navData) {
+      if (toISODate(point.date) > GRANDFATHERING_DATE) break;
+      match = point;
+    }
+    return match ? match.nav : null;
+  }
+
+  sumGains(gains, term) {
+    return gains.filter(gain => gain.term === term).reduce((sum, gain) => sum + gain.gain, 0);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create singleton instance
+const taxService = new TaxService();
+
+module.exports = taxService;
@@ -0,0 +1,58 @@
+// Date helpers shared by the calculation services.
+// All dates are handled as UTC calendar days so results don't shift with the server timezone.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function toDate(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (typeof value === 'string' && /^\d{2}-\d{2}-\d{4}$/.test(value)) {
+    // DD-MM-YYYY (mfapi.in format)
+    const [day, month, year] = value.split('-');
+    return new Date(`${year}-${month}-${day}T00:00:00Z`);
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00Z`);
+  }
+  return new Date(value);
+}
+
+function toISODate(value) {
+  return toDate(value).toISOString().split('T')[0];
+}
+
+// Adds calendar months, clamping to the last day of the target month (31 Jan + 1 month = 28/29 Feb)
+function addMonths(value, months) {
+  const date = toDate(value);
+  const day = date.getUTCDate();
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target;
+}
+
+function addDays(value, days) {
+  return new Date(toDate(value).getTime() + days * MS_PER_DAY);
+}
+
+function daysBetween(from, to) {
+  return Math.round((toDate(to) - toDate(from)) / MS_PER_DAY);
+}
+
+function yearsBetween(from, to) {
+  return daysBetween(from, to) / 365;
+}
+
+function monthKey(value) {
+  return toISODate(value).slice(0, 7);
+}
+
+module.exports = {
+  MS_PER_DAY,
+  toDate,
+  toISODate,
+  addMonths,
+  addDays,
+  daysBetween,
+  yearsBetween,
+  monthKey
+};
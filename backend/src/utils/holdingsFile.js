@@ -0,0 +1,163 @@
+// Parsing for AMC monthly portfolio disclosures (one scheme per sheet or CSV), as rows of cell values
+
+const { splitCsvLine, parseNumber, parseDate } = require('./priceCsv');
+const { toISODate } = require('./dateUtils');
+
+const MONTHS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+
+// Header labels vary by AMC and carry units ("Market value (Rs. in Lakhs)", "% to NAV^"), so match on patterns
+const COLUMN_PATTERNS = [
+  ['isin', /^isin( code| no\.?| number)?$/],
+  ['name', /^(name of (the )?(instrument|security|issuer)|instrument( name)?|security( name)?|company( name)?|issuer( name)?)\b/],
+  ['sector', /^(industry|sector|rating \/ industry|rating\/industry)\b/],
+  ['quantity', /^(quantity|qty|no\.? of (shares|units))\b/],
+  ['marketValue', /^(market ?\/ ?fair value|market value|fair value)\b/],
+  ['weight', /^(% ?(to|of) ?(nav|net assets?|aum)|percentage (to|of) (nav|net assets?)|weight(age)?)\b/]
+];
+
+// Headings only appear within the first rows of a disclosure
+const HEADER_SEARCH_ROWS = 40;
+
+const ISIN_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}\d$/;
+
+// Without an ISIN column these rows can't be told apart from holdings by shape alone
+const NON_HOLDING_NAMES = /^(sub ?-?total|grand total|total|net assets|net current assets|net receivables?|cash|treps|tri-?party repo|reverse repo)\b/i;
+
+const normalizeLabel = (label) => String(label ?? '')
+  .toLowerCase()
+  .replace(/[*^#$@]+/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const normalizeName = (name) => String(name).toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+
+// Map a header row to column indexes, or null if it lacks an instrument and a weight column
+function matchColumns(row) {
+  const columns = {};
+  row.forEach((cell, index) => {
+    const label = normalizeLabel(cell);
+    for (const [key, pattern] of COLUMN_PATTERNS) {
+      if (columns[key] === undefined && pattern.test(label)) {
+        columns[key] = index;
+        break;
+      }
+    }
+  });
+  return columns.name !== undefined && columns.weight !== undefined ? columns : null;
+}
+
+/**
+ * Holdings from the rows of a disclosure sheet: [{ key, isin, name, sector, quantity, marketValue, weight }]
+ * with weight in % of net assets, plus the "as on" date from the title rows when there is one.
+ * With an ISIN column only rows carrying an ISIN count (section headings, totals, cash and TREPS
+ * lines don't have one); a security listed in two sections is merged.
+ */
+function parseHoldingsRows(rows) {
+  const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row => matchColumns(row));
+  if (headerIndex === -1) {
+    throw new Error('Could not find a header row with instrument name and % to NAV columns');
+  }
+
+  const columns = matchColumns(rows[headerIndex]);
+  const holdings = new Map();
+
+  for (const row of rows.slice(headerIndex + 1)) {
+    const name = String(row[columns.name] ?? '').trim();
+    const weight = parseNumber(row[columns.weight]);
+    const isin = columns.isin !== undefined ? String(row[columns.isin] ?? '').trim().toUpperCase() : null;
+
+    if (!name || weight === null) continue;
+    if (columns.isin !== undefined ? !ISIN_PATTERN.test(isin) : NON_HOLDING_NAMES.test(name)) continue;
+
+    const key = isin || normalizeName(name);
+    const existing = holdings.get(key);
+    const quantity = parseNumber(row[columns.quantity]);
+    const marketValue = parseNumber(row[columns.marketValue]);
+
+    if (existing) {
+      existing.weight += weight;
+      existing.quantity = existing.quantity === null || quantity === null ? null : existing.quantity + quantity;
+      existing.marketValue = existing.marketValue === null || marketValue === null ? null : existing.marketValue + marketValue;
+      continue;
+    }
+
+    holdings.set(key, {
+      key,
+      isin: isin || null,
+      name,
+      sector: columns.sector !== undefined ? String(row[columns.sector] ?? '').trim() || null : null,
+      quantity,
+      marketValue,
+      weight
+    });
+  }
+
+  const parsed = Array.from(holdings.values());
+
+  // Spreadsheets formatted as % store fractions (0.0523 for 5.23%)
+  const totalWeight = parsed.reduce((sum, holding) => sum + holding.weight, 0);
+  if (totalWeight > 0 && totalWeight <= 1.5) {
+    parsed.forEach(holding => { holding.weight *= 100; });
+  }
+
+  return {
+    disclosureDate: findDisclosureDate(rows.slice(0, headerIndex)),
+    holdings: parsed.sort((a, b) => b.weight - a.weight)
+  };
+}
+
+function parseHoldingsCsv(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  return parseHoldingsRows(lines.map(splitCsvLine));
+}
+
+// A worksheet cell as a plain value: exceljs gives rich text, formulas, hyperlinks and dates as objects
+function worksheetCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return toISODate(value);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return worksheetCellValue(value.result);
+    if ('text' in value) return worksheetCellValue(value.text);
+    return '';
+  }
+  return value;
+}
+
+// "Portfolio as on 30-Sep-2024", "as at September 30, 2024" or "as on 30th September 2024"
+function findDisclosureDate(titleRows) {
+  for (const row of titleRows) {
+    for (const cell of row) {
+      const match = /\bas (?:on|at)\s*:?\s*(.+)$/i.exec(String(cell ?? ''));
+      const date = match && parseDisclosureDate(match[1]);
+      if (date) return date;
+    }
+  }
+  return null;
+}
+
+function parseDisclosureDate(text) {
+  const value = text.trim().replace(/(\d)(st|nd|rd|th)\b/i, '$1').replace(/[.,]/g, ' ').replace(/\s+/g, ' ');
+  let match;
+
+  if ((match = /^(\d{1,2}) ([A-Za-z]{3})[A-Za-z]* (\d{4})/.exec(value))) {
+    const month = MONTHS[match[2].toLowerCase()];
+    return month ? `${match[3]}-${month}-${match[1].padStart(2, '0')}` : null;
+  }
+  if ((match = /^([A-Za-z]{3})[A-Za-z]* (\d{1,2}) (\d{4})/.exec(value))) {
+    const month = MONTHS[match[1].toLowerCase()];
+    return month ? `${match[3]}-${month}-${match[2].padStart(2, '0')}` : null;
+  }
+
+  return parseDate(value.split(' ')[0]);
+}
+
+module.exports = {
+  parseHoldingsRows,
+  parseHoldingsCsv,
+  worksheetCellValue,
+  parseDisclosureDate
+};
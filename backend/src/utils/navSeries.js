@@ -0,0 +1,63 @@
+// Lookups on ascending [{ date, nav }] NAV histories, shared by the simulation services
+// (switch analysis, SWP, STP, goal planner, rebalancing). fund is { schemeCode, navData }.
+
+const { ValidationError } = require('../middleware/errorHandler');
+const { toISODate, addDays } = require('./dateUtils');
+
+// First NAV on or after the target date, or null
+function findNavOnOrAfter(navData, targetDate) {
+  const target = toISODate(targetDate);
+  let low = 0;
+  let high = navData.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (navData[mid].date >= target) {
+      found = navData[mid];
+      high = mid - 1;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  return found;
+}
+
+// As findNavOnOrAfter, but a missing NAV is a ValidationError naming what it was needed for
+function navOnOrAfter(fund, date, label) {
+  const navPoint = findNavOnOrAfter(fund.navData, date);
+  if (!navPoint) {
+    throw new ValidationError(`No ${label} NAV for scheme ${fund.schemeCode} on or after ${toISODate(date)}`);
+  }
+  return navPoint;
+}
+
+// Last NAV on or before the date (an end date may fall on a holiday)
+function navOnOrBefore(fund, date) {
+  const navPoint = findNavOnOrAfter(fund.navData, toISODate(addDays(date, 1)));
+  const index = navPoint ? fund.navData.indexOf(navPoint) - 1 : fund.navData.length - 1;
+  return fund.navData[Math.max(index, 0)];
+}
+
+// Requested end date (default: latest) capped at the latest date every fund has a NAV for
+function resolveEndDate(requested, funds) {
+  const latestCommon = funds
+    .map(fund => fund.navData[fund.navData.length - 1].date)
+    .sort()[0];
+  const endDate = requested ? toISODate(requested) : latestCommon;
+  return endDate > latestCommon ? latestCommon : endDate;
+}
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  findNavOnOrAfter,
+  navOnOrAfter,
+  navOnOrBefore,
+  resolveEndDate,
+  round
+};
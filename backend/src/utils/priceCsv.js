@@ -0,0 +1,116 @@
+// Parsing for daily index price CSVs (Yahoo Finance and NSE / niftyindices.com downloads, including TRI files)
+
+const MONTHS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+
+// Header labels seen in Yahoo and NSE (niftyindices.com) CSV downloads
+const COLUMN_ALIASES = {
+  date: 'date',
+  'index date': 'date',
+  open: 'open',
+  high: 'high',
+  low: 'low',
+  close: 'close',
+  'closing index value': 'close',
+  'total returns index': 'close',
+  'total return index': 'close',
+  'tri': 'close',
+  volume: 'volume',
+  'shares traded': 'volume'
+};
+
+// Parse a price CSV into ascending [{ date, open, high, low, close, volume }]
+function parsePriceCsv(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) {
+    return [];
+  }
+
+  const header = splitCsvLine(lines[0]).map(label => label.trim().toLowerCase().replace(/\s+/g, ' '));
+  const columns = {};
+  header.forEach((label, index) => {
+    const key = COLUMN_ALIASES[label];
+    if (key && columns[key] === undefined) columns[key] = index;
+  });
+
+  if (columns.date === undefined || columns.close === undefined) {
+    throw new Error(`CSV needs Date and Close columns, found: ${header.join(', ')}`);
+  }
+
+  const prices = [];
+  for (const line of lines.slice(1)) {
+    const fields = splitCsvLine(line);
+    const date = parseDate(fields[columns.date]);
+    const close = parseNumber(fields[columns.close]);
+    const volume = parseNumber(fields[columns.volume]);
+
+    if (!date || !close || close <= 0) continue;
+
+    prices.push({
+      date,
+      open: parseNumber(fields[columns.open]),
+      high: parseNumber(fields[columns.high]),
+      low: parseNumber(fields[columns.low]),
+      close,
+      volume: volume === null ? null : Math.round(volume)
+    });
+  }
+
+  return prices.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Split on commas outside double quotes
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+
+  return fields.map(field => field.trim());
+}
+
+// Accepts "12,345.60", "-" and "null"
+function parseNumber(value) {
+  if (value === undefined || value === null) return null;
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+// YYYY-MM-DD, DD-MM-YYYY, DD/MM/YYYY, DD-Mon-YYYY or "DD Mon YYYY"; returns YYYY-MM-DD or null
+function parseDate(value) {
+  const text = (value || '').trim();
+  let match;
+
+  if ((match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text))) {
+    return text;
+  }
+  if ((match = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(text))) {
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  if ((match = /^(\d{1,2})[- ]([A-Za-z]{3})[A-Za-z]*[- ](\d{4})$/.exec(text))) {
+    const month = MONTHS[match[2].toLowerCase()];
+    return month ? `${match[3]}-${month}-${match[1].padStart(2, '0')}` : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parsePriceCsv,
+  splitCsvLine,
+  parseNumber,
+  parseDate
+};
@@ -0,0 +1,70 @@
+// Installment amounts for step-up (top-up) SIPs.
+//
+// stepUp: { type: 'percentage' | 'amount', value, month?, cap? }
+//   percentage - the installment grows by value% at each step-up
+//   amount     - the installment grows by a fixed value (in rupees) at each step-up
+//   month      - calendar month (1-12) the increase takes effect; defaults to the SIP's start month,
+//                i.e. every anniversary. The first installment never steps up.
+//   cap        - ceiling on the monthly installment
+// Without a stepUp every installment is the base amount.
+
+const { toDate } = require('./dateUtils');
+
+function monthIndex(value) {
+  const date = toDate(value);
+  return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+// Number of step-ups that have taken effect by the installment on `date`
+function stepUpCount(startDate, date, stepUp) {
+  const start = monthIndex(startDate);
+  const elapsed = monthIndex(date) - start;
+  const stepMonth = stepUp.month ? stepUp.month - 1 : start % 12;
+
+  // Months from the start to the first step-up month after it (a full year when they coincide)
+  const firstStep = ((stepMonth - (start % 12)) + 12) % 12 || 12;
+  return elapsed < firstStep ? 0 : Math.floor((elapsed - firstStep) / 12) + 1;
+}
+
+function sipInstallmentAmount(baseAmount, startDate, date, stepUp) {
+  if (!stepUp || !(stepUp.value > 0)) return baseAmount;
+
+  const steps = stepUpCount(startDate, date, stepUp);
+  const amount = stepUp.type === 'amount'
+    ? baseAmount + stepUp.value * steps
+    : baseAmount * Math.pow(1 + stepUp.value / 100, steps);
+  const capped = stepUp.cap ? Math.min(amount, Math.max(stepUp.cap, baseAmount)) : amount;
+
+  return Math.round(capped * 100) / 100;
+}
+
+// The same step-up for a share of the SIP: fixed increments and the cap scale with the share
+function scaleStepUp(stepUp, fraction) {
+  if (!stepUp) return stepUp;
+  return {
+    ...stepUp,
+    value: stepUp.type === 'amount' ? stepUp.value * fraction : stepUp.value,
+    cap: stepUp.cap ? stepUp.cap * fraction : stepUp.cap
+  };
+}
+
+// [{ date, amount }] in date order -> [{ from, to, amount, installments }], one entry per installment level
+function summarizeInstallments(installments) {
+  return installments.reduce((schedule, { date, amount }) => {
+    const last = schedule[schedule.length - 1];
+    const rounded = Math.round(amount * 100) / 100;
+    if (last && last.amount === rounded) {
+      last.to = date;
+      last.installments++;
+    } else {
+      schedule.push({ from: date, to: date, amount: rounded, installments: 1 });
+    }
+    return schedule;
+  }, []);
+}
+
+module.exports = {
+  sipInstallmentAmount,
+  scaleStepUp,
+  summarizeInstallments
+};
@@ -0,0 +1,58 @@
+// Small descriptive statistics helpers shared by the analytics services.
+// All functions take plain arrays of numbers and return null for empty input.
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Sample standard deviation (n - 1)
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+// Linear interpolation between closest ranks; p in [0, 100]
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function median(values) {
+  return percentile(values, 50);
+}
+
+// Sample covariance of two equal-length arrays (n - 1)
+function covariance(a, b) {
+  if (a.length < 2 || a.length !== b.length) return null;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - meanA) * (b[i] - meanB);
+  }
+  return sum / (a.length - 1);
+}
+
+function correlation(a, b) {
+  const cov = covariance(a, b);
+  const sdA = standardDeviation(a);
+  const sdB = standardDeviation(b);
+  if (cov === null || !sdA || !sdB) return null;
+  return cov / (sdA * sdB);
+}
+
+module.exports = {
+  mean,
+  standardDeviation,
+  covariance,
+  correlation,
+  percentile,
+  median
+};
@@ -0,0 +1,186 @@
+// XIRR for irregular, dated cash flows.
+// Flows use the investor's point of view: purchases are negative, redemptions and the final value positive.
+//
+// Newton-Raphson is tried first from the guess; if it fails to converge, leaves the valid domain (rate <= -100%)
+// or hits a flat derivative, the NPV is scanned for a sign change and Brent's method (bisection-safe) finishes.
+
+const { toDate, MS_PER_DAY } = require('./dateUtils');
+
+const DEFAULT_OPTIONS = {
+  guess: 0.1,
+  tolerance: 1e-7, // on |NPV| relative to the largest flow
+  maxIterations: 100
+};
+
+// Rates tried, in order, when looking for an interval where the NPV changes sign
+const BRACKET_GRID = [-0.9999, -0.999, -0.99, -0.95, -0.9, -0.75, -0.5, -0.25, -0.1, 0, 0.1, 0.25, 0.5, 1, 2, 5, 10, 100, 1000];
+
+class XirrError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XirrError';
+  }
+}
+
+// [{ amount, date }] -> flows sorted by date with year offsets from the first
+function normalizeFlows(flows) {
+  if (!Array.isArray(flows) || flows.length < 2) {
+    throw new XirrError('XIRR needs at least two cash flows');
+  }
+
+  const normalized = flows
+    .map(flow => ({ amount: Number(flow.amount), time: toDate(flow.date).getTime() }))
+    .sort((a, b) => a.time - b.time);
+
+  if (normalized.some(flow => !isFinite(flow.amount) || isNaN(flow.time))) {
+    throw new XirrError('Every cash flow needs a numeric amount and a valid date');
+  }
+  if (!normalized.some(flow => flow.amount > 0) || !normalized.some(flow => flow.amount < 0)) {
+    throw new XirrError('XIRR needs at least one positive and one negative cash flow');
+  }
+
+  const start = normalized[0].time;
+  return normalized.map(flow => ({ amount: flow.amount, years: (flow.time - start) / MS_PER_DAY / 365 }));
+}
+
+function npv(flows, rate) {
+  return flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+}
+
+function npvDerivative(flows, rate) {
+  return flows.reduce((sum, flow) => sum - flow.years * flow.amount / Math.pow(1 + rate, flow.years + 1), 0);
+}
+
+function newton(flows, { guess, tolerance, maxIterations }, scale) {
+  let rate = guess;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const value = npv(flows, rate);
+    if (Math.abs(value) <= tolerance * scale) {
+      return { rate, iterations: iteration };
+    }
+
+    const derivative = npvDerivative(flows, rate);
+    if (!isFinite(derivative) || derivative === 0) return null;
+
+    const next = rate - value / derivative;
+    if (!isFinite(next) || next <= -1) return null;
+    rate = next;
+  }
+
+  return null;
+}
+
+function findBracket(flows) {
+  let previousRate = BRACKET_GRID[0];
+  let previousValue = npv(flows, previousRate);
+
+  for (const rate of BRACKET_GRID.slice(1)) {
+    const value = npv(flows, rate);
+    if (isFinite(previousValue) && isFinite(value) && Math.sign(value) !== Math.sign(previousValue)) {
+      return [previousRate, rate];
+    }
+    previousRate = rate;
+    previousValue = value;
+  }
+
+  return null;
+}
+
+// Brent's method on [a, b] where f(a) and f(b) have opposite signs
+function brent(flows, [a, b], { tolerance, maxIterations }, scale) {
+  let fa = npv(flows, a);
+  let fb = npv(flows, b);
+  let c = a;
+  let fc = fa;
+  let d = b - a;
+  let e = d;
+
+  for (let iteration = 1; iteration <= maxIterations * 2; iteration++) {
+    if (Math.sign(fb) === Math.sign(fc)) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b; b = c; c = a;
+      fa = fb; fb = fc; fc = fa;
+    }
+
+    const step = 2 * Number.EPSILON * Math.abs(b) + 1e-12;
+    const midpoint = (c - b) / 2;
+    if (Math.abs(fb) <= tolerance * scale || Math.abs(midpoint) <= step) {
+      return { rate: b, iterations: iteration };
+    }
+
+    if (Math.abs(e) >= step && Math.abs(fa) > Math.abs(fb)) {
+      // Inverse quadratic interpolation (secant when only two points differ)
+      const s = fb / fa;
+      let p;
+      let q;
+      if (a === c) {
+        p = 2 * midpoint * s;
+        q = 1 - s;
+      } else {
+        const r = fb / fc;
+        const t = fa / fc;
+        p = s * (2 * midpoint * t * (t - r) - (b - a) * (r - 1));
+        q = (t - 1) * (r - 1) * (s - 1);
+      }
+      if (p > 0) q = -q;
+      p = Math.abs(p);
+
+      if (2 * p < Math.min(3 * midpoint * q - Math.abs(step * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = midpoint;
+        e = d;
+      }
+    } else {
+      // Bisection
+      d = midpoint;
+      e = d;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > step ? d : (midpoint > 0 ? step : -step);
+    fb = npv(flows, b);
+  }
+
+  return null;
+}
+
+/**
+ * Solve for the annual rate (as a fraction, 0.12 = 12%) at which the NPV of flows [{ amount, date }] is zero.
+ * Returns { rate, method: 'newton' | 'brent', iterations }; throws XirrError when no root exists.
+ */
+function xirr(cashFlows, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const flows = normalizeFlows(cashFlows);
+  const scale = Math.max(...flows.map(flow => Math.abs(flow.amount)));
+
+  const newtonResult = newton(flows, settings, scale);
+  if (newtonResult) {
+    return { ...newtonResult, method: 'newton' };
+  }
+
+  const bracket = findBracket(flows);
+  if (!bracket) {
+    throw new XirrError(`No XIRR between ${BRACKET_GRID[0] * 100}% and ${BRACKET_GRID[BRACKET_GRID.length - 1] * 100}% for these cash flows`);
+  }
+
+  const brentResult = brent(flows, bracket, settings, scale);
+  if (!brentResult) {
+    throw new XirrError('XIRR did not converge');
+  }
+
+  return { ...brentResult, method: 'brent' };
+}
+
+module.exports = {
+  xirr,
+  XirrError
+};
@@ -0,0 +1,15 @@
+-- Rollback: 001_initial_schema.sql
+-- schema_migrations is owned by the migration runner and is left in place
+
+DROP FUNCTION IF EXISTS get_database_stats();
+DROP FUNCTION IF EXISTS cleanup_old_logs();
+DROP FUNCTION IF EXISTS cleanup_expired_cache();
+
+DROP TABLE IF EXISTS system_metrics;
+DROP TABLE IF EXISTS app_logs;
+DROP TABLE IF EXISTS api_cache;
+DROP TABLE IF EXISTS user_portfolios;
+DROP TABLE IF EXISTS nav_data;
+DROP TABLE IF EXISTS schemes;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
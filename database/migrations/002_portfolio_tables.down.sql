@@ -0,0 +1,5 @@
+-- Rollback: 002_portfolio_tables.sql
+
+DROP TABLE IF EXISTS portfolio_analysis;
+DROP TABLE IF EXISTS portfolio_funds;
+DROP TABLE IF EXISTS portfolios;
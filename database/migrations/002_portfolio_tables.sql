@@ -0,0 +1,60 @@
+-- Migration: 002_portfolio_tables.sql
+-- Description: Multi-fund portfolios, their funds and stored analysis
+-- Created: 2025-02-10
+
+-- 1. Portfolios (one row per saved multi-fund portfolio)
+CREATE TABLE IF NOT EXISTS portfolios (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    user_id VARCHAR(100) NOT NULL DEFAULT 'anonymous',
+    benchmark_index VARCHAR(50) NOT NULL DEFAULT 'nifty50',
+    total_funds INTEGER NOT NULL DEFAULT 0,
+    total_investment DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    expected_return DECIMAL(8, 4),
+    risk_level VARCHAR(20),
+    diversification_score DECIMAL(6, 2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Portfolio funds (SIP or lump sum configuration per scheme)
+CREATE TABLE IF NOT EXISTS portfolio_funds (
+    id SERIAL PRIMARY KEY,
+    portfolio_id INTEGER NOT NULL,
+    scheme_code VARCHAR(10) NOT NULL,
+    fund_name VARCHAR(500),
+    category VARCHAR(100),
+    investment_type VARCHAR(20) NOT NULL,
+    amount DECIMAL(15, 2) NOT NULL,
+    start_date DATE NOT NULL,
+    sip_duration INTEGER,
+    allocation_percentage DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+    CONSTRAINT portfolio_funds_investment_type_check CHECK (investment_type IN ('sip', 'lumpsum')),
+    CONSTRAINT portfolio_funds_amount_check CHECK (amount > 0),
+    CONSTRAINT portfolio_funds_sip_duration_check CHECK (sip_duration IS NULL OR sip_duration > 0)
+);
+
+-- 3. Portfolio analysis (latest generated analysis per portfolio)
+CREATE TABLE IF NOT EXISTS portfolio_analysis (
+    portfolio_id INTEGER PRIMARY KEY,
+    analysis_data JSONB NOT NULL,
+    generated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_portfolios_user_updated ON portfolios(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_portfolio_funds_portfolio_id ON portfolio_funds(portfolio_id);
+CREATE INDEX IF NOT EXISTS idx_portfolio_funds_scheme_code ON portfolio_funds(scheme_code);
+
+-- Keep updated_at current on portfolio edits
+DROP TRIGGER IF EXISTS update_portfolios_updated_at ON portfolios;
+CREATE TRIGGER update_portfolios_updated_at
+    BEFORE UPDATE ON portfolios
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO schema_migrations (version) VALUES ('002_portfolio_tables')
+ON CONFLICT (version) DO NOTHING;
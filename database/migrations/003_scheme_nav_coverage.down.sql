@@ -0,0 +1,7 @@
+-- Rollback: 003_scheme_nav_coverage.sql
+
+DROP INDEX IF EXISTS idx_schemes_nav_synced_at;
+
+ALTER TABLE schemes DROP COLUMN IF EXISTS nav_synced_at;
+ALTER TABLE schemes DROP COLUMN IF EXISTS nav_history_end;
+ALTER TABLE schemes DROP COLUMN IF EXISTS nav_history_start;
@@ -0,0 +1,11 @@
+-- Migration: 003_scheme_nav_coverage.sql
+-- Description: Track how much NAV history nav_data holds per scheme so reads can skip the upstream API
+-- Created: 2025-02-24
+
+-- nav_history_start is only set once nav_data reaches back to the first NAV upstream has for the scheme;
+-- nav_history_end is the latest stored nav_date and nav_synced_at the last time we checked upstream
+ALTER TABLE schemes ADD COLUMN IF NOT EXISTS nav_history_start DATE;
+ALTER TABLE schemes ADD COLUMN IF NOT EXISTS nav_history_end DATE;
+ALTER TABLE schemes ADD COLUMN IF NOT EXISTS nav_synced_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_schemes_nav_synced_at ON schemes(nav_synced_at);
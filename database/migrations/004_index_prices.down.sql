@@ -0,0 +1,3 @@
+-- Rollback: 004_index_prices.sql
+
+DROP TABLE IF EXISTS index_prices;
@@ -0,0 +1,27 @@
+-- Migration: 004_index_prices.sql
+-- Description: Daily index price history so benchmark comparisons don't depend on Yahoo being reachable
+-- Created: 2025-03-03
+
+CREATE TABLE IF NOT EXISTS index_prices (
+    id SERIAL PRIMARY KEY,
+    index_key VARCHAR(50) NOT NULL,
+    price_date DATE NOT NULL,
+    open DECIMAL(14, 4),
+    high DECIMAL(14, 4),
+    low DECIMAL(14, 4),
+    close DECIMAL(14, 4) NOT NULL,
+    volume BIGINT,
+    source VARCHAR(20) NOT NULL DEFAULT 'yahoo',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(index_key, price_date),
+    CONSTRAINT index_prices_close_check CHECK (close > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_index_prices_key_date ON index_prices(index_key, price_date);
+
+DROP TRIGGER IF EXISTS update_index_prices_updated_at ON index_prices;
+CREATE TRIGGER update_index_prices_updated_at
+    BEFORE UPDATE ON index_prices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
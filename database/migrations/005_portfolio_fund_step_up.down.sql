@@ -0,0 +1,3 @@
+-- Rollback: 005_portfolio_fund_step_up.sql
+
+ALTER TABLE portfolio_funds DROP COLUMN IF EXISTS step_up;
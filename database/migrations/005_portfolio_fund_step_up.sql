@@ -0,0 +1,6 @@
+-- Migration: 005_portfolio_fund_step_up.sql
+-- Description: Step-up (top-up) settings for SIP funds in saved portfolios
+-- Created: 2025-03-17
+
+-- { type: 'percentage' | 'amount', value, month?, cap? }; NULL for flat SIPs and lumpsum funds
+ALTER TABLE portfolio_funds ADD COLUMN IF NOT EXISTS step_up JSONB;
@@ -0,0 +1,3 @@
+-- Rollback: 006_scheme_holdings.sql
+
+DROP TABLE IF EXISTS scheme_holdings;
@@ -0,0 +1,31 @@
+-- Migration: 006_scheme_holdings.sql
+-- Description: Stock-level holdings from AMC monthly portfolio disclosures, for overlap and look-through exposure
+-- Created: 2025-03-24
+
+CREATE TABLE IF NOT EXISTS scheme_holdings (
+    id SERIAL PRIMARY KEY,
+    scheme_code VARCHAR(10) NOT NULL,
+    disclosure_date DATE NOT NULL,
+    -- ISIN where the disclosure has one, otherwise the normalised instrument name
+    holding_key VARCHAR(200) NOT NULL,
+    isin VARCHAR(12),
+    instrument_name VARCHAR(300) NOT NULL,
+    sector VARCHAR(200),
+    quantity DECIMAL(20, 4),
+    market_value DECIMAL(20, 4),
+    weight DECIMAL(8, 4) NOT NULL,
+    source_file VARCHAR(300),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scheme_code, disclosure_date, holding_key),
+    CONSTRAINT scheme_holdings_weight_check CHECK (weight >= -100 AND weight <= 100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheme_holdings_scheme_date ON scheme_holdings(scheme_code, disclosure_date);
+CREATE INDEX IF NOT EXISTS idx_scheme_holdings_isin ON scheme_holdings(isin);
+
+DROP TRIGGER IF EXISTS update_scheme_holdings_updated_at ON scheme_holdings;
+CREATE TRIGGER update_scheme_holdings_updated_at
+    BEFORE UPDATE ON scheme_holdings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
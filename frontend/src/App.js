@@ -1,17 +1,19 @@
 import React, { useState } from 'react';
-import { AlertCircle, BarChart3, Calculator, TrendingUp, PieChart, CheckCircle, Target, Briefcase } from 'lucide-react';
+import { AlertCircle, BarChart3, Calculator, TrendingUp, PieChart, CheckCircle, Target, Briefcase, Wallet, Flag } from 'lucide-react';
 import InvestmentForm from './components/InvestmentForm';
 import ResultsDisplay from './components/ResultsDisplay';
 import PortfolioBuilder from './components/PortfolioBuilder';
 import MultiSipCalculator from './components/MultiSipCalculator';
 import FundAnalysis from './components/FundAnalysis';
+import SwpCalculator from './components/SwpCalculator';
+import GoalPlanner from './components/GoalPlanner';
 import { apiService } from './services/api';
 
 const App = () => {
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [activeTab, setActiveTab] = useState('fund-analysis'); // fund-analysis, portfolio, multisip
+  const [activeTab, setActiveTab] = useState('fund-analysis'); // fund-analysis, portfolio, multisip, swp, goal
   const [portfolioSuccess, setPortfolioSuccess] = useState(null);
 
   const calculateComparison = async (params) => {
@@ -21,17 +23,9 @@ const App = () => {
     try {
       const results = await apiService.comparePortfolios(params);
       
-      // Add additional calculations for display
-      const years = params.investmentType === 'sip' 
-        ? (new Date(params.endDate) - new Date(params.startDate)) / (1000 * 60 * 60 * 24 * 365)
-        : 4;
-      
-      const currentCAGR = results.current.value > 0 
-        ? ((results.current.value / results.current.invested) ** (1/years) - 1) * 100 
-        : 0;
-      const comparisonCAGR = results.comparison.value > 0 
-        ? ((results.comparison.value / results.comparison.invested) ** (1/years) - 1) * 100 
-        : 0;
+      // Annualised returns come from the backend's XIRR of the actual dated cash flows
+      const endDate = params.endDate ? new Date(params.endDate) : new Date();
+      const years = (endDate - new Date(params.startDate)) / (1000 * 60 * 60 * 24 * 365);
       
       const formattedResults = {
         ...results,
@@ -39,8 +33,8 @@ const App = () => {
           type: params.investmentType === 'sip' ? 'SIP (Monthly)' : 'Lump Sum',
           duration: `${Math.round(years * 10) / 10} years`,
           totalInvested: results.current.invested,
-          currentCAGR: Math.round(currentCAGR * 100) / 100,
-          alternativeCAGR: Math.round(comparisonCAGR * 100) / 100
+          currentXirr: results.current.xirr,
+          alternativeXirr: results.comparison.xirr
         }
       };
       
@@ -80,8 +74,8 @@ const App = () => {
 
         {/* Enhanced Tab Navigation */}
         <div className="mb-8">
-          <div className="bg-white rounded-xl shadow-lg p-2 max-w-4xl mx-auto">
-            <div className="grid md:grid-cols-3 gap-2">
+          <div className="bg-white rounded-xl shadow-lg p-2 max-w-5xl mx-auto">
+            <div className="grid md:grid-cols-5 gap-2">
               <button
                 onClick={() => handleTabChange('fund-analysis')}
                 className={`p-4 rounded-lg font-medium transition-all duration-200 flex flex-col items-center space-y-2 ${
@@ -126,6 +120,36 @@ const App = () => {
                   <div className="text-xs opacity-75">Plan SIP across funds</div>
                 </div>
               </button>
+
+              <button
+                onClick={() => handleTabChange('swp')}
+                className={`p-4 rounded-lg font-medium transition-all duration-200 flex flex-col items-center space-y-2 ${
+                  activeTab === 'swp' 
+                    ? 'bg-gradient-to-r from-orange-500 to-orange-600 text-white shadow-lg transform scale-105' 
+                    : 'text-gray-600 hover:bg-orange-50 hover:text-orange-700 hover:scale-102'
+                }`}
+              >
+                <Wallet className="h-6 w-6" />
+                <div>
+                  <div className="font-semibold">SWP Simulator</div>
+                  <div className="text-xs opacity-75">Test withdrawals on real NAVs</div>
+                </div>
+              </button>
+
+              <button
+                onClick={() => handleTabChange('goal')}
+                className={`p-4 rounded-lg font-medium transition-all duration-200 flex flex-col items-center space-y-2 ${
+                  activeTab === 'goal' 
+                    ? 'bg-gradient-to-r from-teal-500 to-teal-600 text-white shadow-lg transform scale-105' 
+                    : 'text-gray-600 hover:bg-teal-50 hover:text-teal-700 hover:scale-102'
+                }`}
+              >
+                <Flag className="h-6 w-6" />
+                <div>
+                  <div className="font-semibold">Goal Planner</div>
+                  <div className="text-xs opacity-75">SIP needed for a target</div>
+                </div>
+              </button>
             </div>
           </div>
         </div>
@@ -200,6 +224,14 @@ const App = () => {
           }} />
         )}
         
+        {activeTab === 'swp' && (
+          <SwpCalculator />
+        )}
+        
+        {activeTab === 'goal' && (
+          <GoalPlanner />
+        )}
+        
         {/* Footer */}
         <div className="mt-12 text-center text-gray-500 text-sm">
           <p>© 2025 Mutual Fund Comparison Tool. Data sourced from MFApi.in</p>
@@ -0,0 +1,100 @@
+import React from 'react';
+import { Trash2, AlertTriangle, CheckCircle } from 'lucide-react';
+import FundSearchDropdown from './FundSearchDropdown';
+
+const MAX_FUNDS = 10;
+
+// One fund needs no allocation; several must add up to 100%
+export const isAllocationComplete = (funds) => {
+  const total = funds.reduce((sum, fund) => sum + fund.allocation, 0);
+  return funds.length === 1 || (funds.length > 1 && Math.abs(total - 100) < 0.01);
+};
+
+// Pick one fund, or several with an allocation each; funds is [{ schemeCode, name, category, allocation }]
+const FundAllocationPicker = ({ funds, onChange, label = 'Funds *' }) => {
+  const addFund = (fund) => {
+    if (!fund || funds.find(f => f.schemeCode === fund.schemeCode)) return;
+    if (funds.length >= MAX_FUNDS) {
+      alert(`Maximum ${MAX_FUNDS} funds allowed`);
+      return;
+    }
+    // New funds split the amount equally until allocations are edited
+    const next = [...funds, fund];
+    const equal = Math.round((100 / next.length) * 100) / 100;
+    onChange(next.map(f => ({ ...f, allocation: equal })));
+  };
+
+  const removeFund = (schemeCode) => {
+    onChange(funds.filter(f => f.schemeCode !== schemeCode));
+  };
+
+  const updateAllocation = (schemeCode, allocation) => {
+    onChange(funds.map(fund =>
+      fund.schemeCode === schemeCode ? { ...fund, allocation: parseFloat(allocation) || 0 } : fund
+    ));
+  };
+
+  const totalAllocation = funds.reduce((sum, fund) => sum + fund.allocation, 0);
+  const isValidAllocation = isAllocationComplete(funds);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        {label}
+      </label>
+      <FundSearchDropdown
+        value={null}
+        onChange={addFund}
+        placeholder="Search and add a fund..."
+      />
+
+      {funds.length > 0 && (
+        <div className="space-y-3 mt-4">
+          {funds.map(fund => (
+            <div key={fund.schemeCode} className="flex items-center gap-4 p-3 bg-gray-50 rounded-lg">
+              <div className="flex-1">
+                <div className="font-medium text-gray-900 text-sm">{fund.name}</div>
+                <div className="text-xs text-gray-500">{fund.category}</div>
+              </div>
+              {funds.length > 1 && (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    value={fund.allocation}
+                    onChange={(e) => updateAllocation(fund.schemeCode, e.target.value)}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded text-center"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                  />
+                  <span className="text-sm text-gray-500">%</span>
+                </div>
+              )}
+              <button
+                onClick={() => removeFund(fund.schemeCode)}
+                className="p-1 text-red-500 hover:bg-red-50 rounded"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          {funds.length > 1 && (
+            <div className="flex items-center justify-end gap-2 text-sm">
+              <span className="text-gray-700">Total Allocation:</span>
+              <span className={`font-semibold ${isValidAllocation ? 'text-green-600' : 'text-red-600'}`}>
+                {totalAllocation.toFixed(2)}%
+              </span>
+              {isValidAllocation ? (
+                <CheckCircle className="h-4 w-4 text-green-600" />
+              ) : (
+                <AlertTriangle className="h-4 w-4 text-red-600" />
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FundAllocationPicker;
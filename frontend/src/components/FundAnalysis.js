@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Calendar, DollarSign, BarChart3, Target, AlertCircle, TrendingUp, Activity } from 'lucide-react';
 import FundSearchDropdown from './FundSearchDropdown';
+import RollingReturnsChart from './RollingReturnsChart';
+import RiskMetricsPanel from './RiskMetricsPanel';
 import { apiService } from '../services/api';
 import { 
   getDefaultSipAmount, 
@@ -26,16 +28,28 @@ const FundAnalysis = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // PRI = price return; TRI = total return (dividends reinvested), the fairer benchmark for a fund's NAV
   const availableIndices = {
-    nifty50: { name: 'Nifty 50', description: 'Top 50 companies by market cap' },
-    sensex: { name: 'Sensex', description: 'BSE 30 stock index' },
-    nifty500: { name: 'Nifty 500', description: 'Top 500 companies' },
-    niftymidcap: { name: 'Nifty Midcap 50', description: 'Mid-cap companies' },
-    niftysmallcap: { name: 'Nifty Smallcap 50', description: 'Small-cap companies' },
-    niftybank: { name: 'Nifty Bank', description: 'Banking sector index' },
-    niftyit: { name: 'Nifty IT', description: 'IT sector index' }
+    nifty50: { name: 'Nifty 50', description: 'Top 50 companies by market cap', returnType: 'PRI' },
+    sensex: { name: 'Sensex', description: 'BSE 30 stock index', returnType: 'PRI' },
+    nifty500: { name: 'Nifty 500', description: 'Top 500 companies', returnType: 'PRI' },
+    niftymidcap: { name: 'Nifty Midcap 50', description: 'Mid-cap companies', returnType: 'PRI' },
+    niftysmallcap: { name: 'Nifty Smallcap 50', description: 'Small-cap companies', returnType: 'PRI' },
+    niftybank: { name: 'Nifty Bank', description: 'Banking sector index', returnType: 'PRI' },
+    niftyit: { name: 'Nifty IT', description: 'IT sector index', returnType: 'PRI' },
+    nifty50_tri: { name: 'Nifty 50 TRI', description: 'Top 50 companies, dividends reinvested', returnType: 'TRI' },
+    nifty500_tri: { name: 'Nifty 500 TRI', description: 'Top 500 companies, dividends reinvested', returnType: 'TRI' },
+    niftymidcap_tri: { name: 'Nifty Midcap 50 TRI', description: 'Mid-cap companies, dividends reinvested', returnType: 'TRI' },
+    niftysmallcap_tri: { name: 'Nifty Smallcap 50 TRI', description: 'Small-cap companies, dividends reinvested', returnType: 'TRI' },
+    niftybank_tri: { name: 'Nifty Bank TRI', description: 'Banking sector, dividends reinvested', returnType: 'TRI' },
+    niftyit_tri: { name: 'Nifty IT TRI', description: 'IT sector, dividends reinvested', returnType: 'TRI' }
   };
 
+  const indexGroups = [
+    { label: 'Price Return (PRI)', returnType: 'PRI' },
+    { label: 'Total Return (TRI)', returnType: 'TRI' }
+  ];
+
   const validateForm = () => {
     if (!selectedFund1) {
       setError('Please select Fund 1 to analyze');
@@ -99,7 +113,10 @@ const FundAnalysis = () => {
       const [fund1Details, fund2Details, indexQuote] = await Promise.all([
         apiService.getFundDetails(selectedFund1.schemeCode).catch(() => null),
         apiService.getFundDetails(selectedFund2.schemeCode).catch(() => null),
-        apiService.getIndexQuote(benchmarkIndex).catch(() => null)
+        // TRI indices have no live quote
+        availableIndices[benchmarkIndex].returnType === 'PRI'
+          ? apiService.getIndexQuote(benchmarkIndex).catch(() => null)
+          : null
       ]);
 
       setResults({
@@ -109,6 +126,11 @@ const FundAnalysis = () => {
         fund1Details,
         fund2Details,
         indexQuote,
+        analyzedFunds: [
+          { schemeCode: selectedFund1.schemeCode, name: selectedFund1.name },
+          { schemeCode: selectedFund2.schemeCode, name: selectedFund2.name }
+        ],
+        benchmarkIndex,
         comparison: {
           fund1VsFund2: ((response.current.value - response.comparison.value) / response.comparison.value * 100),
           fund1VsIndex: response.index ? 
@@ -202,10 +224,16 @@ const FundAnalysis = () => {
               onChange={(e) => setBenchmarkIndex(e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
             >
-              {Object.entries(availableIndices).map(([key, index]) => (
-                <option key={key} value={key}>
-                  {index.name} - {index.description}
-                </option>
+              {indexGroups.map(group => (
+                <optgroup key={group.returnType} label={group.label}>
+                  {Object.entries(availableIndices)
+                    .filter(([, index]) => index.returnType === group.returnType)
+                    .map(([key, index]) => (
+                      <option key={key} value={key}>
+                        {index.name} - {index.description}
+                      </option>
+                    ))}
+                </optgroup>
               ))}
             </select>
           </div>
@@ -435,8 +463,20 @@ const FundAnalysis = () => {
                 <div className="p-4 bg-gray-50 rounded-lg">
                   <h4 className="font-semibold text-gray-900 mb-3 flex items-center">
                     <Activity className="mr-2 h-4 w-4" />
-                    {availableIndices[benchmarkIndex].name}
+                    {results.index.name || availableIndices[benchmarkIndex].name}
+                    {results.index.returnType && (
+                      <span className={`ml-2 text-xs px-2 py-0.5 rounded ${
+                        results.index.returnType === 'TRI' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {results.index.returnType}
+                      </span>
+                    )}
                   </h4>
+                  {results.index.returnType === 'PRI' && (
+                    <p className="text-xs text-gray-500 mb-2">
+                      Price return excludes dividends, so it understates the index against a fund's NAV.
+                    </p>
+                  )}
                   <div className="space-y-2 text-sm">
                     <div className="flex justify-between">
                       <span className="text-gray-700">Investment:</span>
@@ -511,6 +551,12 @@ const FundAnalysis = () => {
               </div>
             </div>
           )}
+
+          {/* Rolling Returns */}
+          <RollingReturnsChart funds={results.analyzedFunds} benchmarkIndex={results.benchmarkIndex} />
+
+          {/* Risk Metrics */}
+          <RiskMetricsPanel funds={results.analyzedFunds} benchmarkIndex={results.benchmarkIndex} />
         </div>
       )}
     </div>
@@ -0,0 +1,292 @@
+import React, { useState } from 'react';
+import { Flag, CheckCircle, AlertTriangle } from 'lucide-react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import FundAllocationPicker, { isAllocationComplete } from './FundAllocationPicker';
+import StepUpFields from './StepUpFields';
+import { apiService } from '../services/api';
+import { getDefaultStepUp, toStepUpPayload } from '../utils/stepUp';
+
+const formatCurrency = (value) => `₹${Math.round(value).toLocaleString()}`;
+
+const formatLakhs = (value) => (value >= 10000000
+  ? `₹${(value / 10000000).toFixed(2)}Cr`
+  : `₹${(value / 100000).toFixed(1)}L`);
+
+const GoalPlanner = () => {
+  const [funds, setFunds] = useState([]);
+  const [targetAmount, setTargetAmount] = useState('10000000');
+  const [horizonYears, setHorizonYears] = useState('15');
+  const [inflationRate, setInflationRate] = useState('6');
+  const [expectedReturn, setExpectedReturn] = useState('');
+  const [stepUp, setStepUp] = useState(getDefaultStepUp());
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [results, setResults] = useState(null);
+
+  const isValidAllocation = isAllocationComplete(funds);
+
+  const planGoal = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const goalData = {
+        targetAmount: parseFloat(targetAmount),
+        horizonYears: parseFloat(horizonYears),
+        inflationRate: parseFloat(inflationRate)
+      };
+      if (expectedReturn !== '') {
+        goalData.expectedReturn = parseFloat(expectedReturn);
+      }
+      const stepUpPayload = toStepUpPayload(stepUp);
+      if (stepUpPayload) {
+        goalData.stepUp = stepUpPayload;
+      }
+      if (funds.length === 1) {
+        goalData.schemeCode = funds[0].schemeCode;
+      } else {
+        goalData.funds = funds.map(fund => ({ schemeCode: fund.schemeCode, allocation: fund.allocation }));
+      }
+
+      setResults(await apiService.planGoal(goalData));
+    } catch (err) {
+      console.error('Goal planning error:', err);
+      setError(err.message || 'Failed to plan the goal');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const backtest = results?.backtest;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+          <Flag className="mr-2 h-6 w-6 text-teal-600" />
+          Goal Planner
+        </h2>
+        <p className="text-gray-600 mb-6">
+          Work out the monthly SIP for a goal in today's money, then see how that plan would have done from every past start month.
+        </p>
+
+        <div className="grid md:grid-cols-4 gap-6 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Goal (today's value)
+            </label>
+            <div className="relative">
+              <span className="absolute left-3 top-2 text-gray-500">₹</span>
+              <input
+                type="number"
+                value={targetAmount}
+                onChange={(e) => setTargetAmount(e.target.value)}
+                className="w-full pl-8 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Horizon
+            </label>
+            <div className="relative">
+              <input
+                type="number"
+                value={horizonYears}
+                onChange={(e) => setHorizonYears(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500"
+                min="1"
+                max="40"
+              />
+              <span className="absolute right-3 top-2 text-gray-500 text-sm">years</span>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Inflation
+            </label>
+            <div className="relative">
+              <input
+                type="number"
+                value={inflationRate}
+                onChange={(e) => setInflationRate(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500"
+                min="0"
+                max="20"
+                step="0.5"
+              />
+              <span className="absolute right-3 top-2 text-gray-500 text-sm">%</span>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Expected Return (optional)
+            </label>
+            <div className="relative">
+              <input
+                type="number"
+                value={expectedReturn}
+                onChange={(e) => setExpectedReturn(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500"
+                placeholder="Historical CAGR"
+                min="0"
+                max="50"
+              />
+              <span className="absolute right-3 top-2 text-gray-500 text-sm">%</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="mb-6">
+          <FundAllocationPicker funds={funds} onChange={setFunds} />
+        </div>
+
+        <div className="mb-6">
+          <StepUpFields value={stepUp} onChange={setStepUp} />
+        </div>
+
+        <button
+          onClick={planGoal}
+          disabled={!isValidAllocation || loading}
+          className="w-full bg-teal-600 text-white py-3 px-6 rounded-lg hover:bg-teal-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium flex items-center justify-center"
+        >
+          {loading ? (
+            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+          ) : (
+            <Flag className="mr-2 h-5 w-5" />
+          )}
+          {loading ? 'Planning...' : 'Plan My Goal'}
+        </button>
+
+        {error && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {error}
+          </div>
+        )}
+      </div>
+
+      {results && (
+        <div className="space-y-6">
+          {/* Summary Cards */}
+          <div className="grid md:grid-cols-4 gap-4">
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-sm font-medium text-gray-500 mb-2">Goal in {results.goal.horizonYears} Years</h3>
+              <div className="text-2xl font-bold text-blue-600">
+                {formatCurrency(results.goal.futureTarget)}
+              </div>
+              <div className="text-sm text-gray-500">
+                {formatCurrency(results.goal.targetAmount)} at {results.goal.inflationRate}% inflation
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-sm font-medium text-gray-500 mb-2">Required Monthly SIP</h3>
+              <div className="text-2xl font-bold text-teal-600">
+                {formatCurrency(results.plan.monthlySip)}
+              </div>
+              <div className="text-sm text-gray-500">
+                {results.plan.stepUp ? 'First installment, ' : ''}at {results.assumptions.expectedReturn}% a year
+                {results.assumptions.source === 'history' ? ' (historical)' : ''}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-sm font-medium text-gray-500 mb-2">Historical Success Rate</h3>
+              <div className={`text-2xl font-bold ${backtest.successRate === null ? 'text-gray-400' : backtest.successRate >= 75 ? 'text-green-600' : 'text-orange-600'}`}>
+                {backtest.successRate !== null ? `${backtest.successRate}%` : 'N/A'}
+              </div>
+              <div className="text-sm text-gray-500">
+                {backtest.windows > 0
+                  ? `${backtest.successful} of ${backtest.windows} start months`
+                  : 'History shorter than the horizon'}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-sm font-medium text-gray-500 mb-2">Worst-case Shortfall</h3>
+              <div className={`text-2xl font-bold ${backtest.worstWindow?.shortfall > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {backtest.worstWindow ? formatCurrency(backtest.worstWindow.shortfall) : 'N/A'}
+              </div>
+              <div className="text-sm text-gray-500">
+                {backtest.worstWindow
+                  ? `${backtest.worstWindow.shortfallPercentage}% short, started ${backtest.worstWindow.startDate}`
+                  : '—'}
+              </div>
+            </div>
+          </div>
+
+          {/* Back-test windows */}
+          {backtest.windows > 0 ? (
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-1">Corpus by Start Month</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                What {formatCurrency(results.plan.monthlySip)} a month would have grown to over {results.goal.months} months, for each start month in the history
+              </p>
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={backtest.results}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="startDate" tick={{ fontSize: 12 }} />
+                    <YAxis tickFormatter={formatLakhs} />
+                    <Tooltip
+                      formatter={(value, name) => [formatCurrency(value), name === 'value' ? 'Corpus' : name]}
+                      labelFormatter={(label) => `Started ${label}`}
+                    />
+                    <ReferenceLine y={results.goal.futureTarget} stroke="#dc2626" strokeDasharray="6 3" label="Goal" />
+                    <Bar dataKey="value">
+                      {backtest.results.map(window => (
+                        <Cell key={window.startDate} fill={window.met ? '#0d9488' : '#f97316'} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="flex items-center gap-6 mt-3 text-sm text-gray-600">
+                <span className="flex items-center"><CheckCircle className="h-4 w-4 text-teal-600 mr-1" /> Goal met</span>
+                <span className="flex items-center"><AlertTriangle className="h-4 w-4 text-orange-500 mr-1" /> Fell short</span>
+                <span>Median corpus {formatCurrency(backtest.medianValue)}</span>
+              </div>
+            </div>
+          ) : (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              {backtest.message}
+            </div>
+          )}
+
+          {/* Installment plan */}
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">Your SIP Plan</h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-2 px-3 font-medium text-gray-700">From</th>
+                  <th className="text-left py-2 px-3 font-medium text-gray-700">To</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-700">Monthly SIP</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-700">Installments</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.plan.installmentSchedule.map(level => (
+                  <tr key={level.from} className="border-b border-gray-100">
+                    <td className="py-2 px-3">{level.from}</td>
+                    <td className="py-2 px-3">{level.to}</td>
+                    <td className="py-2 px-3 text-right font-medium">{formatCurrency(level.amount)}</td>
+                    <td className="py-2 px-3 text-right">{level.installments}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-3">
+              Total invested {formatCurrency(results.plan.totalInvested)}. Back-test values include stamp duty but not exit load or tax.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GoalPlanner;
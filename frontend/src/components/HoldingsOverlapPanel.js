@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { Layers, AlertCircle } from 'lucide-react';
+import { apiService } from '../services/api';
+
+const shortName = (name) => (name.length > 24 ? `${name.substring(0, 24)}...` : name);
+
+// Amber from 25% shared, red from the backend's high-overlap threshold
+const overlapColor = (value, threshold) => {
+  if (value >= threshold) return 'text-red-600';
+  if (value >= 25) return 'text-orange-600';
+  return 'text-green-600';
+};
+
+// Stock-level overlap for the funds being configured, from their latest monthly portfolio disclosures
+const HoldingsOverlapPanel = ({ funds }) => {
+  const [overlap, setOverlap] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const analyzeOverlap = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.getPortfolioOverlap({
+        funds: funds.map(fund => ({
+          schemeCode: fund.schemeCode,
+          name: fund.name,
+          allocation: parseFloat(fund.amount) || 0
+        }))
+      });
+      setOverlap(response);
+    } catch (err) {
+      setError(err.message || 'Failed to analyse holdings overlap');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canAnalyze = funds.length >= 2 && funds.every(fund => parseFloat(fund.amount) > 0);
+  const nameFor = (schemeCode) => overlap.funds.find(fund => fund.schemeCode === schemeCode)?.name || schemeCode;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Layers className="mr-2 h-5 w-5 text-teal-600" />
+          Holdings Overlap
+        </h3>
+        <button
+          onClick={analyzeOverlap}
+          disabled={!canAnalyze || loading}
+          className="px-4 py-2 bg-teal-100 text-teal-700 rounded-lg hover:bg-teal-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
+        >
+          {loading ? 'Analyzing...' : 'Check Overlap'}
+        </button>
+      </div>
+
+      {!overlap && !error && (
+        <p className="text-sm text-gray-500">
+          Compares the stocks each fund actually holds, from AMC monthly portfolio disclosures, to show how much
+          the funds duplicate each other and where the combined money ends up.
+        </p>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-5 w-5 text-red-600 mr-2" />
+          <span className="text-sm text-red-700">{error}</span>
+        </div>
+      )}
+
+      {overlap && !error && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="p-3 bg-teal-50 rounded-lg">
+              <div className="text-xs text-gray-600">Top 20 Holdings</div>
+              <div className="text-lg font-bold text-teal-700">{overlap.top20Weight.toFixed(1)}%</div>
+              <div className="text-xs text-gray-500">of the portfolio</div>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="text-xs text-gray-600">Distinct Holdings</div>
+              <div className="text-lg font-bold text-gray-800">{overlap.uniqueHoldings}</div>
+              <div className="text-xs text-gray-500">Effectively {overlap.effectiveHoldings.toFixed(0)} equal positions</div>
+            </div>
+            <div className="p-3 bg-orange-50 rounded-lg">
+              <div className="text-xs text-gray-600">Largest Sector</div>
+              <div className="text-sm font-bold text-orange-700 truncate" title={overlap.sectorConcentration.topSector || ''}>
+                {overlap.sectorConcentration.topSector || '—'}
+              </div>
+              <div className="text-xs text-gray-500">{overlap.sectorConcentration.topSectorWeight.toFixed(1)}% of the portfolio</div>
+            </div>
+            <div className="p-3 bg-red-50 rounded-lg">
+              <div className="text-xs text-gray-600">High-overlap Pairs</div>
+              <div className="text-lg font-bold text-red-600">{overlap.highOverlapPairs}</div>
+              <div className="text-xs text-gray-500">Sharing {overlap.highOverlapThreshold}% or more</div>
+            </div>
+          </div>
+
+          {/* Pairwise common holdings */}
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Pairwise Overlap</h4>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-gray-700">
+                    <th className="text-left py-2 pr-4 font-medium">Funds</th>
+                    <th className="text-right py-2 pr-4 font-medium">Overlap</th>
+                    <th className="text-right py-2 pr-4 font-medium">Common Stocks</th>
+                    <th className="text-left py-2 font-medium">Largest Common</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {overlap.pairs.map(pair => (
+                    <tr key={pair.schemeCodes.join('-')} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 text-gray-900">
+                        {pair.schemeCodes.map(code => shortName(nameFor(code))).join(' + ')}
+                      </td>
+                      <td className={`py-2 pr-4 text-right font-medium ${overlapColor(pair.overlap, overlap.highOverlapThreshold)}`}>
+                        {pair.overlap.toFixed(1)}%
+                      </td>
+                      <td className="py-2 pr-4 text-right">{pair.commonHoldings}</td>
+                      <td className="py-2 text-gray-600">
+                        {pair.topCommon.slice(0, 3).map(holding => holding.name).join(', ') || '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            {/* Look-through top holdings */}
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Combined Top 20 Holdings</h4>
+              <div className="space-y-1 text-sm">
+                {overlap.topHoldings.map(holding => (
+                  <div key={holding.isin || holding.name} className="flex justify-between">
+                    <span className="text-gray-700 truncate mr-2" title={holding.name}>
+                      {shortName(holding.name)}
+                      {holding.funds.length > 1 && (
+                        <span className="ml-1 text-xs text-gray-400">({holding.funds.length} funds)</span>
+                      )}
+                    </span>
+                    <span className="font-medium">{holding.weight.toFixed(2)}%</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Sector concentration */}
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Sector Exposure</h4>
+              <div className="space-y-2 text-sm">
+                {overlap.sectors.slice(0, 10).map(sector => (
+                  <div key={sector.sector}>
+                    <div className="flex justify-between">
+                      <span className="text-gray-700 truncate mr-2" title={sector.sector}>{sector.sector}</span>
+                      <span className="font-medium">{sector.weight.toFixed(1)}%</span>
+                    </div>
+                    <div className="h-1.5 bg-gray-100 rounded">
+                      <div
+                        className="h-1.5 bg-teal-500 rounded"
+                        style={{ width: `${Math.min(sector.weight / overlap.sectors[0].weight * 100, 100)}%` }}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Sector HHI {overlap.sectorConcentration.hhi.toLocaleString()} (10,000 is a single sector)
+              </p>
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Weights are % of the whole portfolio, from each fund's latest disclosure
+            {overlap.missing.length > 0 && `; no holdings loaded for ${overlap.missing.map(nameFor).join(', ')}, so only ${overlap.coverage}% of the portfolio is covered`}.
+            Overlap counts each shared stock at the smaller of its two weights.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HoldingsOverlapPanel;
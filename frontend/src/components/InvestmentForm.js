@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Calendar, DollarSign, BarChart3, PieChart, AlertCircle } from 'lucide-react';
 import FundSearchDropdown from './FundSearchDropdown';
+import StepUpFields from './StepUpFields';
+import { getDefaultStepUp, toStepUpPayload, getSipTotal } from '../utils/stepUp';
 import { 
   getDefaultSipAmount, 
   getDefaultLumpAmount, 
@@ -19,6 +21,7 @@ const InvestmentForm = ({ onCalculate, loading = false }) => {
   const [startDate, setStartDate] = useState(getDefaultStartDate());
   const [endDate, setEndDate] = useState(getDefaultEndDate());
   const [lumpDate, setLumpDate] = useState(getDefaultLumpDate());
+  const [stepUp, setStepUp] = useState(getDefaultStepUp());
   const [errors, setErrors] = useState({});
 
   // Validation
@@ -59,6 +62,12 @@ const InvestmentForm = ({ onCalculate, loading = false }) => {
         newErrors.endDate = 'End date must be after start date';
       }
 
+      if (stepUp.enabled && toStepUpPayload(stepUp) === null) {
+        newErrors.stepUp = 'Please enter a yearly increase';
+      } else if (stepUp.enabled && stepUp.type === 'percentage' && parseFloat(stepUp.value) > 100) {
+        newErrors.stepUp = 'Yearly increase cannot exceed 100%';
+      }
+
       if (startDate && endDate) {
         const start = new Date(startDate);
         const end = new Date(endDate);
@@ -116,6 +125,11 @@ const InvestmentForm = ({ onCalculate, loading = false }) => {
       endDate: investmentType === 'sip' ? endDate : lumpDate
     };
 
+    const stepUpPayload = investmentType === 'sip' ? toStepUpPayload(stepUp) : null;
+    if (stepUpPayload) {
+      params.stepUp = stepUpPayload;
+    }
+
     onCalculate(params);
   };
 
@@ -150,7 +164,7 @@ const InvestmentForm = ({ onCalculate, loading = false }) => {
       const start = new Date(startDate);
       const end = new Date(endDate);
       const months = Math.max(0, (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth()));
-      const totalInvestment = parseFloat(sipAmount) * months;
+      const totalInvestment = getSipTotal(parseFloat(sipAmount), months, startDate, toStepUpPayload(stepUp));
       
       return {
         months,
@@ -251,71 +265,91 @@ const InvestmentForm = ({ onCalculate, loading = false }) => {
 
       {/* Investment Details */}
       {investmentType === 'sip' ? (
-        <div className="grid md:grid-cols-3 gap-4 mb-6">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Monthly SIP Amount *
-            </label>
-            <div className="relative">
-              <span className="absolute left-3 top-2 text-gray-500">�</span>
+        <>
+          <div className="grid md:grid-cols-3 gap-4 mb-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Monthly SIP Amount *
+              </label>
+              <div className="relative">
+                <span className="absolute left-3 top-2 text-gray-500">�</span>
+                <input
+                  type="number"
+                  value={sipAmount}
+                  onChange={(e) => handleAmountChange(e.target.value, setSipAmount, 'sipAmount')}
+                  className={`w-full pl-8 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 ${
+                    errors.sipAmount ? 'border-red-300' : 'border-gray-300'
+                  }`}
+                  placeholder={getDefaultSipAmount()}
+                  min="500"
+                  max="1000000"
+                />
+              </div>
+              {errors.sipAmount && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="h-4 w-4 mr-1" />
+                  {errors.sipAmount}
+                </p>
+              )}
+            </div>
+          
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Start Date *</label>
               <input
-                type="number"
-                value={sipAmount}
-                onChange={(e) => handleAmountChange(e.target.value, setSipAmount, 'sipAmount')}
-                className={`w-full pl-8 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 ${
-                  errors.sipAmount ? 'border-red-300' : 'border-gray-300'
+                type="date"
+                value={startDate}
+                onChange={(e) => handleDateChange(e.target.value, setStartDate, 'startDate')}
+                className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 ${
+                  errors.startDate ? 'border-red-300' : 'border-gray-300'
                 }`}
-                placeholder={getDefaultSipAmount()}
-                min="500"
-                max="1000000"
+                max={new Date().toISOString().split('T')[0]}
               />
+              {errors.startDate && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="h-4 w-4 mr-1" />
+                  {errors.startDate}
+                </p>
+              )}
             </div>
-            {errors.sipAmount && (
-              <p className="mt-1 text-sm text-red-600 flex items-center">
-                <AlertCircle className="h-4 w-4 mr-1" />
-                {errors.sipAmount}
-              </p>
-            )}
-          </div>
           
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Start Date *</label>
-            <input
-              type="date"
-              value={startDate}
-              onChange={(e) => handleDateChange(e.target.value, setStartDate, 'startDate')}
-              className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 ${
-                errors.startDate ? 'border-red-300' : 'border-gray-300'
-              }`}
-              max={new Date().toISOString().split('T')[0]}
-            />
-            {errors.startDate && (
-              <p className="mt-1 text-sm text-red-600 flex items-center">
-                <AlertCircle className="h-4 w-4 mr-1" />
-                {errors.startDate}
-              </p>
-            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">End Date *</label>
+              <input
+                type="date"
+                value={endDate}
+                onChange={(e) => handleDateChange(e.target.value, setEndDate, 'endDate')}
+                className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 ${
+                  errors.endDate ? 'border-red-300' : 'border-gray-300'
+                }`}
+                max={new Date().toISOString().split('T')[0]}
+              />
+              {errors.endDate && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="h-4 w-4 mr-1" />
+                  {errors.endDate}
+                </p>
+              )}
+            </div>
           </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">End Date *</label>
-            <input
-              type="date"
-              value={endDate}
-              onChange={(e) => handleDateChange(e.target.value, setEndDate, 'endDate')}
-              className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 ${
-                errors.endDate ? 'border-red-300' : 'border-gray-300'
-              }`}
-              max={new Date().toISOString().split('T')[0]}
+
+          <div className="mb-6">
+            <StepUpFields
+              value={stepUp}
+              onChange={(value) => {
+                setStepUp(value);
+                if (errors.stepUp) {
+                  setErrors(prev => ({ ...prev, stepUp: null }));
+                }
+              }}
             />
-            {errors.endDate && (
+            {errors.stepUp && (
               <p className="mt-1 text-sm text-red-600 flex items-center">
                 <AlertCircle className="h-4 w-4 mr-1" />
-                {errors.endDate}
+                {errors.stepUp}
               </p>
             )}
           </div>
-        </div>
+        </>
       ) : (
         <div className="grid md:grid-cols-2 gap-4 mb-6">
           <div>
@@ -385,7 +419,7 @@ const InvestmentForm = ({ onCalculate, loading = false }) => {
               <div className="font-medium">�{summary.totalInvestment.toLocaleString()}</div>
             </div>
             <div>
-              <span className="text-gray-500">Amount:</span>
+              <span className="text-gray-500">{investmentType === 'sip' && toStepUpPayload(stepUp) ? 'First Installment:' : 'Amount:'}</span>
               <div className="font-medium">
                 �{investmentType === 'sip' ? parseFloat(sipAmount).toLocaleString() : parseFloat(lumpAmount).toLocaleString()}
               </div>
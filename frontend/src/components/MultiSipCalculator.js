@@ -2,6 +2,10 @@ import React, { useState } from 'react';
 import { Plus, Trash2, Calculator, TrendingUp, AlertTriangle, CheckCircle, Calendar } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, AreaChart, Area } from 'recharts';
 import { apiService } from '../services/api';
+import StepUpFields from './StepUpFields';
+import PortfolioOptimizerPanel from './PortfolioOptimizerPanel';
+import ProjectionFanChart from './ProjectionFanChart';
+import { getDefaultStepUp, toStepUpPayload, scaleStepUp } from '../utils/stepUp';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D'];
 
@@ -84,6 +88,7 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
   const [monthlyAmount, setMonthlyAmount] = useState('10000');
   const [duration, setDuration] = useState('60'); // months
   const [startDate, setStartDate] = useState('2020-01-01');
+  const [stepUp, setStepUp] = useState(getDefaultStepUp());
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState(null);
 
@@ -125,9 +130,18 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
     })));
   };
 
+  const applyOptimizedWeights = (weights) => {
+    setSelectedFunds(selectedFunds.map(fund => ({
+      ...fund,
+      allocation: weights[fund.schemeCode] || 0
+    })));
+  };
+
   const calculateSIP = async () => {
-    if (selectedFunds.length < 2) {
-      alert('Please add at least 2 funds');
+    // Optimised weights can leave a fund at 0%; it simply isn't invested in
+    const investedFunds = selectedFunds.filter(fund => fund.allocation > 0);
+    if (investedFunds.length < 2) {
+      alert('Please add at least 2 funds with an allocation');
       return;
     }
 
@@ -140,7 +154,7 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
     setLoading(true);
     try {
       const sipData = {
-        funds: selectedFunds.map(fund => ({
+        funds: investedFunds.map(fund => ({
           schemeCode: fund.schemeCode,
           allocation: fund.allocation
         })),
@@ -148,25 +162,19 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
         duration: parseInt(duration),
         startDate
       };
-
-      const response = await fetch('/api/portfolio/sip-calculator', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(sipData)
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to calculate SIP');
+      const stepUpPayload = toStepUpPayload(stepUp);
+      if (stepUpPayload) {
+        sipData.stepUp = stepUpPayload;
       }
 
-      const result = await response.json();
+      const result = await apiService.calculateMultiFundSip(sipData);
       setResults(result);
       if (onCalculationComplete) {
         onCalculationComplete(result);
       }
     } catch (error) {
       console.error('Error calculating SIP:', error);
-      alert('Failed to calculate SIP');
+      alert(error.message || 'Failed to calculate SIP');
     } finally {
       setLoading(false);
     }
@@ -237,6 +245,11 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
           </div>
         </div>
 
+        {/* Step-up applies to the total SIP and is shared by allocation */}
+        <div className="mb-6">
+          <StepUpFields value={stepUp} onChange={setStepUp} />
+        </div>
+
         {/* Add Funds */}
         <div className="mb-6">
           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -341,6 +354,11 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
         </button>
       </div>
 
+      {/* Mean-variance suggestions for the allocation */}
+      {selectedFunds.length >= 2 && (
+        <PortfolioOptimizerPanel funds={selectedFunds} onApply={applyOptimizedWeights} />
+      )}
+
       {/* Results */}
       {results && (
         <div className="space-y-6">
@@ -352,7 +370,9 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
                 ₹{results.summary.totalInvested.toLocaleString()}
               </div>
               <div className="text-sm text-gray-500">
-                ₹{monthlyAmount}/month × {duration} months
+                {results.summary.installmentSchedule?.length > 1
+                  ? `Stepped up ${results.summary.installmentSchedule.length - 1} times over ${results.summary.installmentsCompleted} months`
+                  : <>₹{monthlyAmount}/month × {results.summary.installmentsCompleted} months</>}
               </div>
             </div>
 
@@ -362,7 +382,7 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
                 ₹{results.summary.currentValue.toLocaleString()}
               </div>
               <div className="text-sm text-gray-500">
-                Portfolio value today
+                As of {results.summary.valuationDate}
               </div>
             </div>
 
@@ -379,14 +399,25 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
             <div className="bg-white rounded-xl shadow-lg p-6">
               <h3 className="text-sm font-medium text-gray-500 mb-2">Annualized Return</h3>
               <div className="text-2xl font-bold text-purple-600">
-                {results.summary.annualizedReturn.toFixed(2)}%
+                {results.summary.annualizedReturn !== null ? `${results.summary.annualizedReturn.toFixed(2)}%` : 'N/A'}
               </div>
               <div className="text-sm text-gray-500">
-                CAGR
+                XIRR
               </div>
             </div>
           </div>
 
+          {/* Monte Carlo range of future outcomes for the same plan */}
+          <ProjectionFanChart
+            funds={selectedFunds.filter(fund => fund.allocation > 0).map(fund => ({
+              schemeCode: fund.schemeCode,
+              name: fund.name,
+              monthlyAmount: (parseFloat(monthlyAmount) * fund.allocation) / 100,
+              stepUp: scaleStepUp(toStepUpPayload(stepUp), fund.allocation / 100)
+            }))}
+            defaultMonths={parseInt(duration)}
+          />
+
           {/* Fund-wise Breakdown */}
           <div className="bg-white rounded-xl shadow-lg p-6">
             <h3 className="text-xl font-semibold text-gray-900 mb-4">Fund-wise Performance</h3>
@@ -414,7 +445,7 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
                       <td className="text-right py-3">₹{fund.totalInvested.toLocaleString()}</td>
                       <td className="text-right py-3">₹{fund.currentValue.toLocaleString()}</td>
                       <td className={`text-right py-3 ${fund.annualizedReturn >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                        {fund.annualizedReturn.toFixed(2)}%
+                        {fund.annualizedReturn !== null ? `${fund.annualizedReturn.toFixed(2)}%` : 'N/A'}
                       </td>
                     </tr>
                   ))}
@@ -434,17 +465,28 @@ const MultiSipCalculator = ({ onCalculationComplete }) => {
                     <XAxis dataKey="date" />
                     <YAxis tickFormatter={(value) => `₹${(value/1000).toFixed(0)}K`} />
                     <Tooltip 
-                      formatter={(value) => [`₹${value.toLocaleString()}`, 'Portfolio Value']}
+                      formatter={(value, name) => [`₹${value.toLocaleString()}`, name]}
                       labelFormatter={(label) => `Month: ${label}`}
                     />
+                    <Legend />
                     <Area 
                       type="monotone" 
                       dataKey="totalValue" 
+                      name="Portfolio Value"
                       stroke="#10B981" 
                       fill="#10B981" 
                       fillOpacity={0.3}
                       strokeWidth={2}
                     />
+                    <Area 
+                      type="monotone" 
+                      dataKey="invested" 
+                      name="Amount Invested"
+                      stroke="#6B7280" 
+                      fill="#6B7280" 
+                      fillOpacity={0.1}
+                      strokeWidth={1}
+                    />
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -3,6 +3,13 @@ import { Plus, Trash2, PieChart, TrendingUp, AlertTriangle, CheckCircle } from '
 import { PieChart as RechartsPieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend } from 'recharts';
 import { apiService } from '../services/api';
 import { getDefaultBenchmarkIndex } from '../utils/formDefaults';
+import PortfolioRiskPanel from './PortfolioRiskPanel';
+import HoldingsOverlapPanel from './HoldingsOverlapPanel';
+import PortfolioOptimizerPanel from './PortfolioOptimizerPanel';
+import RebalanceBacktestPanel from './RebalanceBacktestPanel';
+import ProjectionFanChart from './ProjectionFanChart';
+import StepUpFields from './StepUpFields';
+import { getDefaultStepUp, toStepUpPayload, getSipTotal } from '../utils/stepUp';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D', '#FFC658', '#FF7C7C'];
 
@@ -104,7 +111,8 @@ const PortfolioBuilder = ({ onPortfolioCreate }) => {
       investmentType: 'sip',
       amount: 5000,
       startDate: today,
-      sipDuration: 60 // months
+      sipDuration: 60, // months
+      stepUp: getDefaultStepUp()
     }]);
   };
 
@@ -170,7 +178,8 @@ const PortfolioBuilder = ({ onPortfolioCreate }) => {
           investmentType: fund.investmentType,
           amount: parseFloat(fund.amount),
           startDate: fund.startDate,
-          sipDuration: fund.investmentType === 'sip' ? fund.sipDuration : null
+          sipDuration: fund.investmentType === 'sip' ? fund.sipDuration : null,
+          stepUp: fund.investmentType === 'sip' ? toStepUpPayload(fund.stepUp) : null
         })),
         benchmarkIndex
       };
@@ -196,11 +205,36 @@ const PortfolioBuilder = ({ onPortfolioCreate }) => {
     })));
   };
 
+  // Spread the amount already configured across the funds by the optimiser's weights; only offered when
+  // every fund has the same investment type, so monthly and lumpsum amounts are never mixed
+  const applyOptimizedWeights = (weights) => {
+    const total = selectedFunds.reduce((sum, fund) => sum + (parseFloat(fund.amount) || 0), 0) ||
+      5000 * selectedFunds.length;
+    setSelectedFunds(selectedFunds.map(fund => ({
+      ...fund,
+      amount: Math.round(total * (weights[fund.schemeCode] || 0) / 100)
+    })));
+  };
+
   const totalMonthlySIP = getTotalMonthlyInvestment();
   const totalLumpSum = getTotalLumpSumInvestment();
   const sipFunds = selectedFunds.filter(f => f.investmentType === 'sip').length;
   const lumpSumFunds = selectedFunds.filter(f => f.investmentType === 'lumpsum').length;
 
+  // Monte Carlo payload: SIPs run for their own duration, lumpsums go in at the start
+  const projectionFunds = selectedFunds.map(fund => (fund.investmentType === 'sip'
+    ? {
+        schemeCode: fund.schemeCode,
+        name: fund.name,
+        monthlyAmount: parseFloat(fund.amount) || 0,
+        installments: parseInt(fund.sipDuration, 10) || undefined,
+        stepUp: toStepUpPayload(fund.stepUp)
+      }
+    : { schemeCode: fund.schemeCode, name: fund.name, lumpsum: parseFloat(fund.amount) || 0 }));
+  const projectionMonths = Math.max(60, ...selectedFunds
+    .filter(fund => fund.investmentType === 'sip')
+    .map(fund => parseInt(fund.sipDuration, 10) || 0));
+
   // Prepare data for pie chart (based on investment amounts)
   const chartData = selectedFunds
     .filter(fund => fund.amount > 0)
@@ -369,12 +403,22 @@ const PortfolioBuilder = ({ onPortfolioCreate }) => {
                   )}
                 </div>
 
+                {fund.investmentType === 'sip' && (
+                  <div className="mt-3">
+                    <StepUpFields
+                      value={fund.stepUp}
+                      onChange={(value) => updateFundConfig(fund.schemeCode, 'stepUp', value)}
+                      compact
+                    />
+                  </div>
+                )}
+
                 {/* Investment Summary for this fund */}
                 <div className="mt-3 p-3 bg-gray-50 rounded-md">
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-600">
                       {fund.investmentType === 'sip' 
-                        ? `Total Investment: ₹${((fund.amount || 0) * (fund.sipDuration || 0)).toLocaleString()}`
+                        ? `Total Investment: ₹${getSipTotal(parseFloat(fund.amount) || 0, parseInt(fund.sipDuration, 10) || 0, fund.startDate, toStepUpPayload(fund.stepUp)).toLocaleString()}`
                         : `Investment: ₹${(fund.amount || 0).toLocaleString()}`
                       }
                     </span>
@@ -456,6 +500,38 @@ const PortfolioBuilder = ({ onPortfolioCreate }) => {
         </div>
       )}
 
+      {/* Correlation-aware risk */}
+      {selectedFunds.length > 0 && <PortfolioRiskPanel funds={selectedFunds} />}
+
+      {/* Stock-level overlap from portfolio disclosures */}
+      {selectedFunds.length > 0 && <HoldingsOverlapPanel funds={selectedFunds} />}
+
+      {/* Mean-variance suggestions */}
+      {selectedFunds.length > 0 && (sipFunds === 0 || lumpSumFunds === 0) && (
+        <PortfolioOptimizerPanel
+          funds={selectedFunds.map(fund => ({
+            schemeCode: fund.schemeCode,
+            name: fund.name,
+            category: fund.category,
+            allocation: parseFloat(fund.amount) || 0
+          }))}
+          onApply={applyOptimizedWeights}
+        />
+      )}
+      {sipFunds > 0 && lumpSumFunds > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <p className="text-sm text-gray-500">
+            The optimiser splits one amount across the funds, so it needs every fund to be a SIP or every fund a lump sum.
+          </p>
+        </div>
+      )}
+
+      {/* Drift and rebalancing over history */}
+      {selectedFunds.length > 0 && <RebalanceBacktestPanel funds={selectedFunds} />}
+
+      {/* Range of future outcomes */}
+      {selectedFunds.length > 0 && <ProjectionFanChart funds={projectionFunds} defaultMonths={projectionMonths} />}
+
       {/* Create Portfolio Button */}
       {selectedFunds.length > 0 && (
         <div className="bg-white rounded-xl shadow-lg p-6">
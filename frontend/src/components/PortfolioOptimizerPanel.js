@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { Sliders, AlertCircle } from 'lucide-react';
+import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { apiService } from '../services/api';
+
+const shortName = (name) => (name.length > 24 ? `${name.substring(0, 24)}...` : name);
+
+const SUGGESTIONS = [
+  { key: 'minVariance', label: 'Minimum Variance', color: '#2563eb', note: 'Lowest volatility the constraints allow' },
+  { key: 'maxSharpe', label: 'Maximum Sharpe', color: '#16a34a', note: 'Best return per unit of risk over the risk-free rate' },
+  { key: 'riskParity', label: 'Risk Parity', color: '#d97706', note: 'Each fund carries an equal share of the risk' }
+];
+
+// Mean-variance suggestions for the funds being configured; funds is [{ schemeCode, name, category, allocation }]
+// with allocation the current relative weight, and onApply receives { [schemeCode]: weight % }
+const PortfolioOptimizerPanel = ({ funds, onApply }) => {
+  const [period, setPeriod] = useState('3y');
+  const [limits, setLimits] = useState({});
+  const [categoryCaps, setCategoryCaps] = useState({});
+  const [optimization, setOptimization] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const categories = [...new Set(funds.map(fund => fund.category).filter(Boolean))];
+
+  const updateLimit = (schemeCode, field, value) => {
+    setLimits({ ...limits, [schemeCode]: { ...limits[schemeCode], [field]: value } });
+  };
+
+  const optimize = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.optimizePortfolio({
+        funds: funds.map(fund => {
+          const min = parseFloat(limits[fund.schemeCode]?.min);
+          const max = parseFloat(limits[fund.schemeCode]?.max);
+          return {
+            schemeCode: fund.schemeCode,
+            name: fund.name,
+            ...(fund.category ? { category: fund.category } : {}),
+            ...(fund.allocation > 0 ? { allocation: fund.allocation } : {}),
+            ...(min >= 0 ? { min } : {}),
+            ...(max >= 0 ? { max } : {})
+          };
+        }),
+        categoryCaps: categories
+          .filter(category => parseFloat(categoryCaps[category]) >= 0)
+          .map(category => ({ category, max: parseFloat(categoryCaps[category]) })),
+        period
+      });
+      setOptimization(response);
+    } catch (err) {
+      setError(err.message || 'Failed to optimise the portfolio');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applySuggestion = (portfolio) => {
+    onApply(Object.fromEntries(
+      optimization.funds.map((fund, i) => [fund.schemeCode, portfolio.allocations[i].weight])
+    ));
+  };
+
+  const canOptimize = funds.length >= 2;
+  const point = (portfolio, name) => [{ volatility: portfolio.volatility, expectedReturn: portfolio.expectedReturn, name }];
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Sliders className="mr-2 h-5 w-5 text-blue-600" />
+          Optimise Allocation
+        </h3>
+        <div className="flex items-center space-x-2">
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="3y">3 Years</option>
+            <option value="5y">5 Years</option>
+            <option value="10y">10 Years</option>
+          </select>
+          <button
+            onClick={optimize}
+            disabled={!canOptimize || loading}
+            className="px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
+          >
+            {loading ? 'Optimising...' : 'Optimise'}
+          </button>
+        </div>
+      </div>
+
+      {!canOptimize && (
+        <p className="text-sm text-gray-500">Add at least two funds to see the efficient frontier and suggested weights.</p>
+      )}
+
+      {canOptimize && (
+        <div className="grid md:grid-cols-2 gap-6 mb-4">
+          {/* Per-fund limits */}
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Fund Limits (%)</h4>
+            <div className="space-y-2">
+              {funds.map(fund => (
+                <div key={fund.schemeCode} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 text-gray-900 truncate" title={fund.name}>{shortName(fund.name)}</span>
+                  <input
+                    type="number"
+                    value={limits[fund.schemeCode]?.min ?? ''}
+                    onChange={(e) => updateLimit(fund.schemeCode, 'min', e.target.value)}
+                    className="w-16 px-2 py-1 border border-gray-300 rounded text-center"
+                    placeholder="Min"
+                    min="0"
+                    max="100"
+                  />
+                  <input
+                    type="number"
+                    value={limits[fund.schemeCode]?.max ?? ''}
+                    onChange={(e) => updateLimit(fund.schemeCode, 'max', e.target.value)}
+                    className="w-16 px-2 py-1 border border-gray-300 rounded text-center"
+                    placeholder="Max"
+                    min="0"
+                    max="100"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Category caps */}
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Category Caps (%)</h4>
+            <div className="space-y-2">
+              {categories.map(category => (
+                <div key={category} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 text-gray-900 truncate" title={category}>{category}</span>
+                  <input
+                    type="number"
+                    value={categoryCaps[category] ?? ''}
+                    onChange={(e) => setCategoryCaps({ ...categoryCaps, [category]: e.target.value })}
+                    className="w-16 px-2 py-1 border border-gray-300 rounded text-center"
+                    placeholder="Max"
+                    min="0"
+                    max="100"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-5 w-5 text-red-600 mr-2" />
+          <span className="text-sm text-red-700">{error}</span>
+        </div>
+      )}
+
+      {optimization && !error && (
+        <div className="space-y-6">
+          {/* Efficient frontier */}
+          <div className="h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" dataKey="volatility" name="Volatility" unit="%" tick={{ fontSize: 12 }} />
+                <YAxis type="number" dataKey="expectedReturn" name="Return" unit="%" tick={{ fontSize: 12 }} />
+                <ZAxis range={[60, 60]} />
+                <Tooltip
+                  cursor={{ strokeDasharray: '3 3' }}
+                  formatter={(value, name) => [`${value.toFixed(2)}%`, name]}
+                />
+                <Legend />
+                <Scatter name="Efficient Frontier" data={optimization.frontier} fill="#93c5fd" line={{ stroke: '#3b82f6' }} />
+                <Scatter name="Funds" data={optimization.funds} fill="#9ca3af" />
+                {SUGGESTIONS.map(suggestion => (
+                  <Scatter
+                    key={suggestion.key}
+                    name={suggestion.label}
+                    data={point(optimization.portfolios[suggestion.key], suggestion.label)}
+                    fill={suggestion.color}
+                    shape="diamond"
+                  />
+                ))}
+                {optimization.current && (
+                  <Scatter name="Current" data={point(optimization.current, 'Current')} fill="#111827" shape="cross" />
+                )}
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Suggested allocations */}
+          <div className="grid md:grid-cols-3 gap-4">
+            {SUGGESTIONS.map(suggestion => {
+              const portfolio = optimization.portfolios[suggestion.key];
+              return (
+                <div key={suggestion.key} className="p-4 border border-gray-200 rounded-lg flex flex-col">
+                  <div className="font-semibold text-gray-900" style={{ color: suggestion.color }}>{suggestion.label}</div>
+                  <div className="text-xs text-gray-500 mb-3">{suggestion.note}</div>
+                  <div className="grid grid-cols-3 gap-2 text-center text-sm mb-3">
+                    <div>
+                      <div className="text-xs text-gray-500">Return</div>
+                      <div className="font-medium">{portfolio.expectedReturn.toFixed(2)}%</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-500">Volatility</div>
+                      <div className="font-medium">{portfolio.volatility.toFixed(2)}%</div>
+                    </div>
+                    <div>
+                      <div className="text-xs text-gray-500">Sharpe</div>
+                      <div className="font-medium">{portfolio.sharpeRatio.toFixed(2)}</div>
+                    </div>
+                  </div>
+                  <div className="space-y-1 text-sm flex-1">
+                    {optimization.funds.map((fund, i) => (
+                      <div key={fund.schemeCode} className="flex justify-between">
+                        <span className="text-gray-700 truncate mr-2" title={fund.name}>{shortName(fund.name)}</span>
+                        <span className="font-medium">{portfolio.allocations[i].weight.toFixed(1)}%</span>
+                      </div>
+                    ))}
+                  </div>
+                  {portfolio.constrained && (
+                    <p className="text-xs text-orange-600 mt-2">
+                      Equal risk isn't possible within the limits; this is the closest allowed mix.
+                    </p>
+                  )}
+                  <button
+                    onClick={() => applySuggestion(portfolio)}
+                    className="mt-3 px-3 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+                  >
+                    Apply
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Expected returns and covariances from {optimization.observations} {optimization.frequency} returns,
+            {' '}{optimization.range.from} to {optimization.range.to}; risk-free rate {optimization.riskFreeRate}%.
+            Past returns are a noisy guide, so treat the weights as a starting point.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioOptimizerPanel;
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { Activity, AlertCircle } from 'lucide-react';
+import { apiService } from '../services/api';
+
+// Blue for negative, white around zero, red for strongly positive correlation
+const correlationColor = (value) => {
+  if (value === null || value === undefined) return '#F3F4F6';
+  const intensity = Math.min(Math.abs(value), 1);
+  return value >= 0
+    ? `rgba(220, 38, 38, ${0.15 + intensity * 0.75})`
+    : `rgba(37, 99, 235, ${0.15 + intensity * 0.75})`;
+};
+
+const shortName = (name) => (name.length > 24 ? `${name.substring(0, 24)}...` : name);
+
+// Covariance-based risk for the funds being configured: true volatility, risk contributions and a correlation heatmap
+const PortfolioRiskPanel = ({ funds }) => {
+  const [period, setPeriod] = useState('3y');
+  const [risk, setRisk] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const analyzeRisk = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.getPortfolioRisk({
+        funds: funds.map(fund => ({
+          schemeCode: fund.schemeCode,
+          name: fund.name,
+          allocation: parseFloat(fund.amount) || 0
+        })),
+        period
+      });
+      setRisk(response);
+    } catch (err) {
+      setError(err.message || 'Failed to calculate portfolio risk');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canAnalyze = funds.length >= 2 && funds.every(fund => parseFloat(fund.amount) > 0);
+  const nameFor = (schemeCode) => risk.funds.find(fund => fund.schemeCode === schemeCode)?.name || schemeCode;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Activity className="mr-2 h-5 w-5 text-red-600" />
+          Portfolio Risk & Correlation
+        </h3>
+        <div className="flex items-center space-x-2">
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500"
+          >
+            <option value="1y">1 Year</option>
+            <option value="3y">3 Years</option>
+            <option value="5y">5 Years</option>
+          </select>
+          <button
+            onClick={analyzeRisk}
+            disabled={!canAnalyze || loading}
+            className="px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
+          >
+            {loading ? 'Analyzing...' : 'Analyze Risk'}
+          </button>
+        </div>
+      </div>
+
+      {!canAnalyze && (
+        <p className="text-sm text-gray-500">Add at least two funds with amounts to see how they move together.</p>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-5 w-5 text-red-600 mr-2" />
+          <span className="text-sm text-red-700">{error}</span>
+        </div>
+      )}
+
+      {risk && !error && (
+        <div className="space-y-6">
+          <div className="grid md:grid-cols-3 gap-4">
+            <div className="p-4 bg-red-50 rounded-lg">
+              <div className="text-sm text-red-700">Portfolio Volatility</div>
+              <div className="text-2xl font-bold text-red-900">{risk.volatility.toFixed(2)}%</div>
+              <div className="text-xs text-red-600">using actual correlations</div>
+            </div>
+            <div className="p-4 bg-gray-50 rounded-lg">
+              <div className="text-sm text-gray-700">If Uncorrelated</div>
+              <div className="text-2xl font-bold text-gray-900">{risk.zeroCorrelationVolatility.toFixed(2)}%</div>
+              <div className="text-xs text-gray-500">what a zero-correlation model would report</div>
+            </div>
+            <div className="p-4 bg-green-50 rounded-lg">
+              <div className="text-sm text-green-700">Diversification Ratio</div>
+              <div className="text-2xl font-bold text-green-900">
+                {risk.diversificationRatio !== null ? risk.diversificationRatio.toFixed(2) : '-'}
+              </div>
+              <div className="text-xs text-green-600">1.00 means no diversification benefit</div>
+            </div>
+          </div>
+
+          {/* Risk contribution per fund */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-gray-500">
+                <tr>
+                  <th className="py-2 pr-4 font-medium">Fund</th>
+                  <th className="py-2 pr-4 font-medium">Weight</th>
+                  <th className="py-2 pr-4 font-medium">Volatility</th>
+                  <th className="py-2 pr-4 font-medium">Share of Risk</th>
+                </tr>
+              </thead>
+              <tbody>
+                {risk.funds.map(fund => (
+                  <tr key={fund.schemeCode} className="border-t border-gray-100">
+                    <td className="py-2 pr-4 text-gray-900">{shortName(fund.name)}</td>
+                    <td className="py-2 pr-4">{fund.weight.toFixed(1)}%</td>
+                    <td className="py-2 pr-4">{fund.volatility.toFixed(2)}%</td>
+                    <td className="py-2 pr-4 font-medium">{fund.contributionPercentage.toFixed(1)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Correlation heatmap */}
+          <div className="overflow-x-auto">
+            <h4 className="font-semibold text-gray-900 mb-2">Return Correlation</h4>
+            <table className="text-xs">
+              <thead>
+                <tr>
+                  <th></th>
+                  {risk.correlationMatrix.schemeCodes.map(code => (
+                    <th key={code} className="px-2 py-1 font-medium text-gray-600 max-w-[8rem] truncate" title={nameFor(code)}>
+                      {shortName(nameFor(code))}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {risk.correlationMatrix.values.map((row, i) => (
+                  <tr key={risk.correlationMatrix.schemeCodes[i]}>
+                    <th className="px-2 py-1 text-left font-medium text-gray-600">
+                      {shortName(nameFor(risk.correlationMatrix.schemeCodes[i]))}
+                    </th>
+                    {row.map((value, j) => (
+                      <td
+                        key={j}
+                        className="w-16 h-10 text-center font-medium text-gray-900 border border-white"
+                        style={{ backgroundColor: correlationColor(value) }}
+                      >
+                        {value !== null ? value.toFixed(2) : '-'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Based on {risk.observations} {risk.frequency} returns from {risk.range.from} to {risk.range.to}.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioRiskPanel;
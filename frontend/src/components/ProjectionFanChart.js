@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { Shuffle, AlertCircle } from 'lucide-react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { apiService } from '../services/api';
+
+const formatCurrency = (value) => `₹${Math.round(value).toLocaleString()}`;
+
+const formatLakhs = (value) => (value >= 10000000
+  ? `₹${(value / 10000000).toFixed(1)}Cr`
+  : `₹${(value / 100000).toFixed(1)}L`);
+
+// Monte Carlo fan chart for a set of contributions; funds is the projection payload
+// [{ schemeCode, name?, monthlyAmount?, lumpsum?, installments?, stepUp? }]
+const ProjectionFanChart = ({ funds, defaultMonths = 120 }) => {
+  const [years, setYears] = useState(String(Math.max(1, Math.round(defaultMonths / 12))));
+  const [targetAmount, setTargetAmount] = useState('');
+  const [projection, setProjection] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runProjection = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const request = {
+        funds,
+        months: Math.round(parseFloat(years) * 12)
+      };
+      if (parseFloat(targetAmount) > 0) {
+        request.targetAmount = parseFloat(targetAmount);
+      }
+      setProjection(await apiService.getPortfolioProjection(request));
+    } catch (err) {
+      setError(err.message || 'Failed to run the projection');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canProject = funds.length > 0 && funds.every(fund => fund.monthlyAmount > 0 || fund.lumpsum > 0);
+  const chartData = projection
+    ? projection.bands.map(band => ({
+        date: band.date.slice(0, 7),
+        range: [band.p10, band.p90],
+        p50: band.p50,
+        invested: band.invested
+      }))
+    : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Shuffle className="mr-2 h-5 w-5 text-indigo-600" />
+          Future Outcomes (Monte Carlo)
+        </h3>
+        <div className="flex items-center space-x-2">
+          <div className="relative">
+            <input
+              type="number"
+              value={years}
+              onChange={(e) => setYears(e.target.value)}
+              className="w-24 px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500"
+              min="1"
+              max="40"
+            />
+            <span className="absolute right-2 top-2 text-gray-500 text-xs">yrs</span>
+          </div>
+          <input
+            type="number"
+            value={targetAmount}
+            onChange={(e) => setTargetAmount(e.target.value)}
+            className="w-36 px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500"
+            placeholder="Target ₹ (optional)"
+            min="0"
+          />
+          <button
+            onClick={runProjection}
+            disabled={!canProject || loading}
+            className="px-4 py-2 bg-indigo-100 text-indigo-700 rounded-lg hover:bg-indigo-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
+          >
+            {loading ? 'Simulating...' : 'Project'}
+          </button>
+        </div>
+      </div>
+
+      {!projection && !error && (
+        <p className="text-sm text-gray-500">
+          Resamples blocks of the funds' real monthly returns thousands of times to show the range of outcomes, not a single guess.
+        </p>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-5 w-5 text-red-600 mr-2" />
+          <span className="text-sm text-red-700">{error}</span>
+        </div>
+      )}
+
+      {projection && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="p-3 bg-indigo-50 rounded-lg">
+              <div className="text-xs text-gray-600">Median Outcome</div>
+              <div className="text-lg font-bold text-indigo-700">{formatCurrency(projection.terminal.p50)}</div>
+              <div className="text-xs text-gray-500">Invested {formatCurrency(projection.terminal.invested)}</div>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="text-xs text-gray-600">80% of Outcomes Between</div>
+              <div className="text-sm font-bold text-gray-800">
+                {formatLakhs(projection.terminal.p10)} – {formatLakhs(projection.terminal.p90)}
+              </div>
+              <div className="text-xs text-gray-500">P10 – P90</div>
+            </div>
+            <div className="p-3 bg-red-50 rounded-lg">
+              <div className="text-xs text-gray-600">Probability of Loss</div>
+              <div className="text-lg font-bold text-red-600">{projection.probabilityOfLoss}%</div>
+              <div className="text-xs text-gray-500">Ending below amount invested</div>
+            </div>
+            <div className="p-3 bg-green-50 rounded-lg">
+              <div className="text-xs text-gray-600">Probability of Target</div>
+              <div className="text-lg font-bold text-green-600">
+                {projection.probabilityOfTarget !== null ? `${projection.probabilityOfTarget}%` : '—'}
+              </div>
+              <div className="text-xs text-gray-500">
+                {projection.targetAmount ? `Reaching ${formatLakhs(projection.targetAmount)}` : 'Set a target above'}
+              </div>
+            </div>
+          </div>
+
+          <div className="h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                <YAxis tickFormatter={formatLakhs} />
+                <Tooltip
+                  formatter={(value, name) => (Array.isArray(value)
+                    ? [`${formatCurrency(value[0])} – ${formatCurrency(value[1])}`, name]
+                    : [formatCurrency(value), name])}
+                />
+                <Legend />
+                <Area type="monotone" dataKey="range" name="P10 – P90" stroke="none" fill="#6366f1" fillOpacity={0.25} />
+                <Line type="monotone" dataKey="p50" name="Median" stroke="#4f46e5" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="invested" name="Invested" stroke="#6b7280" strokeDasharray="5 5" dot={false} />
+                {projection.targetAmount && (
+                  <ReferenceLine y={projection.targetAmount} stroke="#16a34a" strokeDasharray="6 3" label="Target" />
+                )}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            {projection.simulations.toLocaleString()} paths built from {projection.blockSize}-month blocks of {projection.history.observations} monthly
+            returns ({projection.history.from} to {projection.history.to}). Past returns, resampled; before costs and tax.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectionFanChart;
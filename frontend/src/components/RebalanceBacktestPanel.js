@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { RefreshCw, AlertCircle } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { apiService } from '../services/api';
+
+const STRATEGY_COLORS = ['#6b7280', '#2563eb', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#ca8a04'];
+
+const formatCurrency = (value) => `₹${Math.round(value).toLocaleString()}`;
+
+const formatLakhs = (value) => (value >= 10000000
+  ? `₹${(value / 10000000).toFixed(1)}Cr`
+  : `₹${(value / 100000).toFixed(1)}L`);
+
+// Target weights in % from relative amounts, rounded so they add up to exactly 100
+const toAllocations = (funds) => {
+  const total = funds.reduce((sum, fund) => sum + fund.amount, 0);
+  const allocations = funds.map(fund => Math.round(fund.amount / total * 10000) / 100);
+  const remainder = Math.round((100 - allocations.reduce((sum, value) => sum + value, 0)) * 100) / 100;
+  const largest = allocations.indexOf(Math.max(...allocations));
+  allocations[largest] = Math.round((allocations[largest] + remainder) * 100) / 100;
+  return allocations;
+};
+
+// Drift vs calendar and band rebalancing for the funds being configured, using their amounts as target weights
+const RebalanceBacktestPanel = ({ funds }) => {
+  const [startDate, setStartDate] = useState('2018-01-01');
+  const [amount, setAmount] = useState('1000000');
+  const [threshold, setThreshold] = useState('5');
+  const [backtest, setBacktest] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const weighted = funds.map(fund => ({ ...fund, amount: parseFloat(fund.amount) || 0 }));
+  const canRun = weighted.length >= 2 && weighted.every(fund => fund.amount > 0) && parseFloat(amount) > 0;
+
+  const runBacktest = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const allocations = toAllocations(weighted);
+      const response = await apiService.backtestRebalancing({
+        funds: weighted.map((fund, i) => ({ schemeCode: fund.schemeCode, allocation: allocations[i] })),
+        amount: parseFloat(amount),
+        startDate,
+        strategies: [
+          { type: 'none' },
+          { type: 'calendar', frequency: 'monthly' },
+          { type: 'calendar', frequency: 'quarterly' },
+          { type: 'calendar', frequency: 'annual' },
+          { type: 'band', threshold: parseFloat(threshold) || 5 }
+        ]
+      });
+      setBacktest(response);
+    } catch (err) {
+      setError(err.message || 'Failed to back-test rebalancing');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+          <RefreshCw className="mr-2 h-5 w-5 text-purple-600" />
+          Rebalancing Back-test
+        </h3>
+        <div className="flex items-center space-x-2">
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500"
+          />
+          <input
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="w-32 px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500"
+            placeholder="Amount ₹"
+            min="1"
+          />
+          <div className="relative">
+            <input
+              type="number"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              className="w-20 px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500"
+              title="Band: rebalance when a fund drifts this many percentage points from target"
+              min="0.5"
+              max="50"
+              step="0.5"
+            />
+            <span className="absolute right-2 top-2 text-gray-500 text-xs">±%</span>
+          </div>
+          <button
+            onClick={runBacktest}
+            disabled={!canRun || loading}
+            className="px-4 py-2 bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
+          >
+            {loading ? 'Running...' : 'Back-test'}
+          </button>
+        </div>
+      </div>
+
+      {!backtest && !error && (
+        <p className="text-sm text-gray-500">
+          Invests a lumpsum in the current mix on the start date and compares letting it drift with rebalancing
+          on a calendar or when a fund leaves its band, after exit load and capital gains tax on every trade.
+        </p>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-5 w-5 text-red-600 mr-2" />
+          <span className="text-sm text-red-700">{error}</span>
+        </div>
+      )}
+
+      {backtest && !error && (
+        <div className="space-y-6">
+          <div className="h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={backtest.chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                <YAxis tickFormatter={formatLakhs} />
+                <Tooltip formatter={(value, name) => [formatCurrency(value), name]} />
+                <Legend />
+                {backtest.strategies.map((strategy, i) => (
+                  <Line
+                    key={strategy.key}
+                    type="monotone"
+                    // Keys like band-2.5 would read as a nested path
+                    dataKey={row => row[strategy.key]}
+                    name={strategy.label}
+                    stroke={STRATEGY_COLORS[i % STRATEGY_COLORS.length]}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-700">
+                  <th className="text-left py-2 pr-4 font-medium">Strategy</th>
+                  <th className="text-right py-2 pr-4 font-medium">Value</th>
+                  <th className="text-right py-2 pr-4 font-medium">After Exit & Tax</th>
+                  <th className="text-right py-2 pr-4 font-medium">Volatility</th>
+                  <th className="text-right py-2 pr-4 font-medium">Max Drawdown</th>
+                  <th className="text-right py-2 pr-4 font-medium">Rebalances</th>
+                  <th className="text-right py-2 pr-4 font-medium">Load + Tax Paid</th>
+                  <th className="text-right py-2 font-medium">Max Drift</th>
+                </tr>
+              </thead>
+              <tbody>
+                {backtest.strategies.map(strategy => (
+                  <tr key={strategy.key} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 text-gray-900">{strategy.label}</td>
+                    <td className={`py-2 pr-4 text-right ${backtest.best.terminalValue === strategy.key ? 'font-bold text-green-600' : ''}`}>
+                      {formatCurrency(strategy.terminalValue)}
+                    </td>
+                    <td className={`py-2 pr-4 text-right ${backtest.best.postTaxValue === strategy.key ? 'font-bold text-green-600' : ''}`}>
+                      {formatCurrency(strategy.postTaxValue)}
+                      <div className="text-xs text-gray-500">{strategy.postTaxCagr.toFixed(2)}% CAGR</div>
+                    </td>
+                    <td className={`py-2 pr-4 text-right ${backtest.best.volatility === strategy.key ? 'font-bold text-green-600' : ''}`}>
+                      {strategy.volatility.toFixed(2)}%
+                    </td>
+                    <td className={`py-2 pr-4 text-right ${backtest.best.maxDrawdown === strategy.key ? 'font-bold text-green-600' : ''}`}>
+                      {strategy.maxDrawdown.value.toFixed(2)}%
+                    </td>
+                    <td className="py-2 pr-4 text-right">{strategy.rebalances}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(strategy.costs.exitLoad + strategy.costs.tax)}</td>
+                    <td className="py-2 text-right">{strategy.maxDrift.toFixed(1)} pp</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            {backtest.startDate} to {backtest.endDate} at a {backtest.taxSlabRate}% slab rate. Tax on each rebalance is
+            paid from its proceeds; "After Exit & Tax" also redeems everything on the last date.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RebalanceBacktestPanel;
@@ -33,7 +33,7 @@ const ResultsDisplay = ({ results, loading, error }) => {
 
   if (!results) return null;
 
-  const { current, comparison, difference, percentageDifference, chartData, metadata } = results;
+  const { current, comparison, difference, percentageDifference, chartData, metadata, postTax, installmentSchedule } = results;
   const isPositive = difference > 0;
   const absPercentage = Math.abs(percentageDifference);
 
@@ -41,6 +41,8 @@ const ResultsDisplay = ({ results, loading, error }) => {
   const currentROI = ((current.value - current.invested) / current.invested) * 100;
   const comparisonROI = ((comparison.value - comparison.invested) / comparison.invested) * 100;
   const roiDifference = comparisonROI - currentROI;
+  const hasXirr = (value) => value !== null && value !== undefined;
+  const xirrDifference = hasXirr(current.xirr) && hasXirr(comparison.xirr) ? comparison.xirr - current.xirr : null;
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-IN', {
@@ -54,6 +56,9 @@ const ResultsDisplay = ({ results, loading, error }) => {
     return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
   };
 
+  // XIRR is null when the cash flows have no solution (e.g. a near-total loss)
+  const formatXirr = (value) => (hasXirr(value) ? formatPercentage(value) : 'N/A');
+
   // Custom tooltip for chart
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -107,6 +112,12 @@ const ResultsDisplay = ({ results, loading, error }) => {
                 {formatPercentage(currentROI)}
               </span>
             </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-500">XIRR:</span>
+              <span className={`font-medium ${current.xirr >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatXirr(current.xirr)}
+              </span>
+            </div>
           </div>
         </div>
 
@@ -137,6 +148,12 @@ const ResultsDisplay = ({ results, loading, error }) => {
                 {formatPercentage(comparisonROI)}
               </span>
             </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-500">XIRR:</span>
+              <span className={`font-medium ${comparison.xirr >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatXirr(comparison.xirr)}
+              </span>
+            </div>
           </div>
         </div>
 
@@ -177,6 +194,51 @@ const ResultsDisplay = ({ results, loading, error }) => {
         </div>
       </div>
 
+      {/* Post-tax values if both holdings were redeemed today */}
+      {postTax && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+            <DollarSign className="h-5 w-5 mr-2 text-orange-600" />
+            After Capital Gains Tax
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-gray-500">
+                <tr>
+                  <th className="py-2 pr-4 font-medium"></th>
+                  <th className="py-2 pr-4 font-medium">Current ({postTax.current.fundType})</th>
+                  <th className="py-2 pr-4 font-medium">Alternative ({postTax.comparison.fundType})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  ['Short-term Gain', 'shortTermGain'],
+                  ['Long-term Gain', 'longTermGain'],
+                  ['LTCG Exemption Used', 'exemptionUsed'],
+                  ['Exit Load', 'exitLoad'],
+                  ['Tax Payable', 'tax'],
+                  ['Post-tax Value', 'postTaxValue']
+                ].map(([label, key]) => (
+                  <tr key={key} className="border-t border-gray-100">
+                    <td className="py-2 pr-4 text-gray-700">{label}</td>
+                    <td className="py-2 pr-4 font-medium">{formatCurrency(postTax.current[key])}</td>
+                    <td className="py-2 pr-4 font-medium">{formatCurrency(postTax.comparison[key])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-xs text-gray-500">
+            Post-tax difference {formatCurrency(postTax.difference)}. {postTax.assumption}; slab rate {postTax.slabRate}%.
+          </p>
+          {current.costs && comparison.costs && (
+            <p className="mt-1 text-xs text-gray-500">
+              Stamp duty paid on purchases: {formatCurrency(current.costs.stampDuty)} (current) and {formatCurrency(comparison.costs.stampDuty)} (alternative).
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Investment Details */}
       {metadata && (
         <div className="bg-white rounded-xl shadow-lg p-6">
@@ -190,7 +252,7 @@ const ResultsDisplay = ({ results, loading, error }) => {
               <span className="font-medium text-gray-900">{metadata.investmentType === 'sip' ? 'SIP (Monthly)' : 'Lump Sum'}</span>
             </div>
             <div className="bg-gray-50 p-3 rounded-lg">
-              <span className="text-gray-500 block">Amount</span>
+              <span className="text-gray-500 block">{metadata.stepUp ? 'First Installment' : 'Amount'}</span>
               <span className="font-medium text-gray-900">{formatCurrency(metadata.amount)}</span>
             </div>
             <div className="bg-gray-50 p-3 rounded-lg">
@@ -204,6 +266,18 @@ const ResultsDisplay = ({ results, loading, error }) => {
               <span className="font-medium text-gray-900">{metadata.dataPoints.current} records</span>
             </div>
           </div>
+          {installmentSchedule?.length > 1 && (
+            <div className="mt-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Step-up Schedule</h4>
+              <div className="flex flex-wrap gap-2 text-xs">
+                {installmentSchedule.map(step => (
+                  <span key={step.from} className="px-2 py-1 bg-blue-50 text-blue-800 rounded">
+                    {step.from.slice(0, 7)} to {step.to.slice(0, 7)}: {formatCurrency(step.amount)}/month
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -271,6 +345,17 @@ const ResultsDisplay = ({ results, loading, error }) => {
                   strokeWidth={2}
                   name="Alternative Fund"
                 />
+                {metadata?.investmentType === 'sip' && (
+                  <Area
+                    type="stepAfter"
+                    dataKey="invested"
+                    stroke="#6B7280"
+                    strokeDasharray="4 4"
+                    fill="none"
+                    strokeWidth={1.5}
+                    name="Amount Invested"
+                  />
+                )}
               </AreaChart>
             </ResponsiveContainer>
           </div>
@@ -283,9 +368,9 @@ const ResultsDisplay = ({ results, loading, error }) => {
               </span>
             </div>
             <div className="text-center">
-              <span className="block text-gray-500">Average Monthly Growth</span>
+              <span className="block text-gray-500">XIRR Difference</span>
               <span className="font-medium text-gray-900">
-                {((Math.pow(comparison.value / comparison.invested, 1/(chartData.length/12)) - 1) * 100).toFixed(1)}%
+                {formatXirr(xirrDifference)}
               </span>
             </div>
             <div className="text-center">
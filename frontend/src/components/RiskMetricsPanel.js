@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { Shield, AlertCircle } from 'lucide-react';
+import { apiService } from '../services/api';
+
+const PERIODS = ['1y', '3y', '5y'];
+
+// Each row: label, how to read the value off a risk response, and its unit
+const ABSOLUTE_METRICS = [
+  { label: 'Annualised Return', value: risk => risk.annualizedReturn, unit: '%' },
+  { label: 'Volatility', value: risk => risk.volatility, unit: '%' },
+  { label: 'Downside Deviation', value: risk => risk.downsideDeviation, unit: '%' },
+  { label: 'Sharpe Ratio', value: risk => risk.sharpeRatio },
+  { label: 'Sortino Ratio', value: risk => risk.sortinoRatio },
+  { label: 'Max Drawdown', value: risk => risk.maxDrawdown.value, unit: '%' },
+  { label: 'Drawdown Duration', value: risk => risk.maxDrawdown.durationDays, unit: ' days' }
+];
+
+const RELATIVE_METRICS = [
+  { label: 'Beta', value: benchmark => benchmark.beta },
+  { label: 'Alpha (Jensen)', value: benchmark => benchmark.alpha, unit: '%' },
+  { label: 'R²', value: benchmark => benchmark.rSquared },
+  { label: 'Tracking Error', value: benchmark => benchmark.trackingError, unit: '%' },
+  { label: 'Information Ratio', value: benchmark => benchmark.informationRatio },
+  { label: 'Up Capture', value: benchmark => benchmark.upCaptureRatio, unit: '%' },
+  { label: 'Down Capture', value: benchmark => benchmark.downCaptureRatio, unit: '%' }
+];
+
+// Side-by-side risk metrics computed from each fund's own NAV history
+const RiskMetricsPanel = ({ funds, benchmarkIndex }) => {
+  const [period, setPeriod] = useState('3y');
+  const [riskData, setRiskData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const schemeCodes = funds.map(fund => fund.schemeCode).join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRisk = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const responses = await Promise.all(schemeCodes.split(',').filter(Boolean).map(schemeCode =>
+          apiService.getFundRisk(schemeCode, { period, benchmarkIndex })
+        ));
+        if (!cancelled) setRiskData(responses);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load risk metrics');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadRisk();
+    return () => { cancelled = true; };
+  }, [schemeCodes, benchmarkIndex, period]);
+
+  const formatValue = (value, unit = '') => (value === null || value === undefined ? '-' : `${value.toFixed(2)}${unit}`);
+
+  const renderRow = (metric, getSource) => (
+    <tr key={metric.label} className="border-t border-gray-100">
+      <td className="py-2 pr-4 text-gray-700">{metric.label}</td>
+      {riskData.map((risk, index) => {
+        const source = getSource(risk);
+        return (
+          <td key={funds[index].schemeCode} className="py-2 pr-4 font-medium">
+            {source ? formatValue(metric.value(source), metric.unit) : '-'}
+          </td>
+        );
+      })}
+    </tr>
+  );
+
+  const benchmark = riskData?.find(risk => risk.benchmark)?.benchmark;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Shield className="mr-2 h-5 w-5 text-purple-600" />
+          Risk Metrics
+        </h3>
+        <div className="flex space-x-2">
+          {PERIODS.map(option => (
+            <button
+              key={option}
+              onClick={() => setPeriod(option)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                period === option ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-purple-500"></div>
+        </div>
+      )}
+
+      {error && !loading && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-5 w-5 text-red-600 mr-2" />
+          <span className="text-sm text-red-700">{error}</span>
+        </div>
+      )}
+
+      {riskData && !loading && !error && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-500">
+              <tr>
+                <th className="py-2 pr-4 font-medium">Metric</th>
+                {funds.map(fund => (
+                  <th key={fund.schemeCode} className="py-2 pr-4 font-medium">{fund.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ABSOLUTE_METRICS.map(metric => renderRow(metric, risk => risk))}
+              {benchmark && (
+                <tr>
+                  <td colSpan={funds.length + 1} className="pt-4 pb-1 text-xs uppercase tracking-wide text-gray-500">
+                    Relative to {benchmark.name} ({benchmark.returnType})
+                  </td>
+                </tr>
+              )}
+              {benchmark && RELATIVE_METRICS.map(metric => renderRow(metric, risk => risk.benchmark))}
+            </tbody>
+          </table>
+          <p className="mt-3 text-xs text-gray-500">
+            From daily NAVs over {riskData[0].range.from} to {riskData[0].range.to}; risk-free rate {riskData[0].riskFreeRate}%.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiskMetricsPanel;
@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Activity, AlertCircle } from 'lucide-react';
+import { apiService } from '../services/api';
+
+const WINDOWS = [1, 3, 5];
+const FUND_COLORS = ['#3B82F6', '#10B981'];
+
+// Rolling CAGR for up to two funds (and their benchmark) so comparisons don't hinge on one start date
+const RollingReturnsChart = ({ funds, benchmarkIndex }) => {
+  const [selectedWindow, setSelectedWindow] = useState(3);
+  const [rollingData, setRollingData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const schemeCodes = funds.map(fund => fund.schemeCode).join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRollingReturns = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        // Benchmark only needs to come back once, so it's requested with the first fund
+        const responses = await Promise.all(schemeCodes.split(',').filter(Boolean).map((schemeCode, index) =>
+          apiService.getRollingReturns(schemeCode, {
+            windows: WINDOWS.join(','),
+            frequency: 'monthly',
+            benchmarkIndex: index === 0 ? benchmarkIndex : undefined
+          })
+        ));
+        if (!cancelled) setRollingData(responses);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load rolling returns');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadRollingReturns();
+    return () => { cancelled = true; };
+  }, [schemeCodes, benchmarkIndex]);
+
+  const windowFor = (response) => response.windows.find(item => item.years === selectedWindow);
+
+  // Monthly points from different funds land on different trading days, so merge them by month
+  const buildChartData = () => {
+    const rows = new Map();
+    rollingData.forEach((response, index) => {
+      const rollingWindow = windowFor(response);
+      if (!rollingWindow) return;
+      rollingWindow.points.forEach(point => {
+        const month = point.date.slice(0, 7);
+        const row = rows.get(month) || { month };
+        row[`fund${index}`] = point.value;
+        if (index === 0 && point.benchmark !== undefined && point.benchmark !== null) {
+          row.benchmark = point.benchmark;
+        }
+        rows.set(month, row);
+      });
+    });
+    return Array.from(rows.values()).sort((a, b) => a.month.localeCompare(b.month));
+  };
+
+  const formatPercent = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(2)}%`);
+
+  const renderStatsRow = (label, stats, color) => {
+    if (!stats || stats.count === 0) {
+      return (
+        <tr key={label} className="border-t border-gray-100">
+          <td className="py-2 pr-4 font-medium" style={{ color }}>{label}</td>
+          <td colSpan={5} className="py-2 text-gray-500">Not enough history for this window</td>
+        </tr>
+      );
+    }
+    return (
+      <tr key={label} className="border-t border-gray-100">
+        <td className="py-2 pr-4 font-medium" style={{ color }}>{label}</td>
+        <td className="py-2 pr-4">{formatPercent(stats.min.value)}</td>
+        <td className="py-2 pr-4">{formatPercent(stats.median)}</td>
+        <td className="py-2 pr-4">{formatPercent(stats.max.value)}</td>
+        <td className="py-2 pr-4">{formatPercent(stats.negativePercentage)}</td>
+        <td className="py-2 pr-4">
+          {stats.abovePercentage.map(item => `>${item.threshold}%: ${item.percentage.toFixed(0)}%`).join(' · ')}
+        </td>
+      </tr>
+    );
+  };
+
+  const benchmark = rollingData?.[0]?.benchmark;
+  const firstWindow = rollingData ? windowFor(rollingData[0]) : null;
+  const chartData = rollingData ? buildChartData() : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Activity className="mr-2 h-5 w-5 text-blue-600" />
+          Rolling Returns (CAGR)
+        </h3>
+        <div className="flex space-x-2">
+          {WINDOWS.map(years => (
+            <button
+              key={years}
+              onClick={() => setSelectedWindow(years)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                selectedWindow === years ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {years}Y
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && (
+        <div className="flex items-center justify-center h-48">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+        </div>
+      )}
+
+      {error && !loading && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="h-5 w-5 text-red-600 mr-2" />
+          <span className="text-sm text-red-700">{error}</span>
+        </div>
+      )}
+
+      {rollingData && !loading && !error && (
+        <>
+          {chartData.length === 0 ? (
+            <p className="text-sm text-gray-500">Not enough NAV history for {selectedWindow}-year rolling returns.</p>
+          ) : (
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                  <XAxis dataKey="month" stroke="#6B7280" fontSize={12} />
+                  <YAxis stroke="#6B7280" fontSize={12} tickFormatter={(value) => `${value}%`} />
+                  <Tooltip formatter={(value) => formatPercent(value)} />
+                  <Legend />
+                  <ReferenceLine y={0} stroke="#9CA3AF" />
+                  {funds.map((fund, index) => (
+                    <Line
+                      key={fund.schemeCode}
+                      type="monotone"
+                      dataKey={`fund${index}`}
+                      name={fund.name}
+                      stroke={FUND_COLORS[index]}
+                      dot={false}
+                      connectNulls
+                    />
+                  ))}
+                  {benchmark && (
+                    <Line
+                      type="monotone"
+                      dataKey="benchmark"
+                      name={`${benchmark.name} (${benchmark.returnType})`}
+                      stroke="#6B7280"
+                      strokeDasharray="5 5"
+                      dot={false}
+                      connectNulls
+                    />
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-gray-500">
+                <tr>
+                  <th className="py-2 pr-4 font-medium">{selectedWindow}Y windows</th>
+                  <th className="py-2 pr-4 font-medium">Min</th>
+                  <th className="py-2 pr-4 font-medium">Median</th>
+                  <th className="py-2 pr-4 font-medium">Max</th>
+                  <th className="py-2 pr-4 font-medium">Negative</th>
+                  <th className="py-2 pr-4 font-medium">Periods above</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rollingData.map((response, index) =>
+                  renderStatsRow(funds[index].name, windowFor(response)?.stats, FUND_COLORS[index])
+                )}
+                {benchmark && firstWindow?.benchmarkStats &&
+                  renderStatsRow(benchmark.name, firstWindow.benchmarkStats, '#6B7280')}
+              </tbody>
+            </table>
+          </div>
+
+          {benchmark && firstWindow?.outperformancePercentage !== null && firstWindow?.outperformancePercentage !== undefined && (
+            <p className="mt-3 text-sm text-gray-600">
+              {funds[0].name} beat {benchmark.name} in{' '}
+              <span className="font-medium">{firstWindow.outperformancePercentage.toFixed(0)}%</span> of rolling {selectedWindow}-year windows.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RollingReturnsChart;
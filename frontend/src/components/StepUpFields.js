@@ -0,0 +1,70 @@
+import React from 'react';
+import { TrendingUp } from 'lucide-react';
+import { MONTH_NAMES } from '../utils/stepUp';
+
+// Step-up (top-up) SIP settings; value is the form state from getDefaultStepUp()
+const StepUpFields = ({ value, onChange, compact = false }) => {
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const inputClass = `w-full px-3 py-2 ${compact ? 'text-sm' : ''} border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500`;
+  const labelClass = 'block text-xs font-medium text-gray-600 mb-1';
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center text-sm font-medium text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={value.enabled}
+          onChange={(e) => update('enabled', e.target.checked)}
+          className="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded"
+        />
+        <TrendingUp className="h-4 w-4 mr-1 text-blue-600" />
+        Step up the SIP every year
+      </label>
+
+      {value.enabled && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <div>
+            <label className={labelClass}>Increase By</label>
+            <select value={value.type} onChange={(e) => update('type', e.target.value)} className={inputClass}>
+              <option value="percentage">Percentage (%)</option>
+              <option value="amount">Fixed Amount (₹)</option>
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>{value.type === 'percentage' ? 'Yearly Increase (%)' : 'Yearly Increase (₹)'}</label>
+            <input
+              type="number"
+              value={value.value}
+              onChange={(e) => update('value', e.target.value)}
+              className={inputClass}
+              min="0"
+              max={value.type === 'percentage' ? '100' : undefined}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Step-up Month</label>
+            <select value={value.month} onChange={(e) => update('month', e.target.value)} className={inputClass}>
+              <option value="">SIP anniversary</option>
+              {MONTH_NAMES.map((name, index) => (
+                <option key={name} value={index + 1}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Monthly Cap (₹, optional)</label>
+            <input
+              type="number"
+              value={value.cap}
+              onChange={(e) => update('cap', e.target.value)}
+              className={inputClass}
+              placeholder="No cap"
+              min="0"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StepUpFields;
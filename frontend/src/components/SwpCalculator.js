@@ -0,0 +1,381 @@
+import React, { useState } from 'react';
+import { Wallet } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import FundAllocationPicker, { isAllocationComplete } from './FundAllocationPicker';
+import { apiService } from '../services/api';
+
+const WITHDRAWAL_TYPES = [
+  { value: 'fixed', label: 'Fixed amount' },
+  { value: 'percentage', label: '% of corpus a year' },
+  { value: 'inflation-indexed', label: 'Inflation-indexed' }
+];
+
+const formatCurrency = (value) => `₹${Math.round(value).toLocaleString()}`;
+
+const SwpCalculator = () => {
+  const [funds, setFunds] = useState([]);
+  const [corpus, setCorpus] = useState('2500000');
+  const [startDate, setStartDate] = useState('2018-01-01');
+  const [endDate, setEndDate] = useState('');
+  const [frequency, setFrequency] = useState('monthly');
+  const [withdrawalType, setWithdrawalType] = useState('fixed');
+  const [amount, setAmount] = useState('20000');
+  const [rate, setRate] = useState('6');
+  const [inflationRate, setInflationRate] = useState('6');
+  const [taxSlabRate, setTaxSlabRate] = useState('30');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [results, setResults] = useState(null);
+
+  const isValidAllocation = isAllocationComplete(funds);
+
+  const runSimulation = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const withdrawal = { type: withdrawalType };
+      if (withdrawalType === 'percentage') {
+        withdrawal.rate = parseFloat(rate);
+      } else {
+        withdrawal.amount = parseFloat(amount);
+      }
+      if (withdrawalType === 'inflation-indexed') {
+        withdrawal.inflationRate = parseFloat(inflationRate);
+      }
+
+      const swpData = {
+        corpus: parseFloat(corpus),
+        startDate,
+        frequency,
+        withdrawal,
+        taxSlabRate: parseFloat(taxSlabRate)
+      };
+      if (endDate) {
+        swpData.endDate = endDate;
+      }
+      if (funds.length === 1) {
+        swpData.schemeCode = funds[0].schemeCode;
+      } else {
+        swpData.funds = funds.map(fund => ({ schemeCode: fund.schemeCode, allocation: fund.allocation }));
+      }
+
+      setResults(await apiService.calculateSwp(swpData));
+    } catch (err) {
+      console.error('SWP simulation error:', err);
+      setError(err.message || 'Failed to simulate withdrawals');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const chartData = results
+    ? [
+        { date: results.funds[0].purchaseDate, remainingValue: results.summary.corpus, withdrawn: 0 },
+        ...results.withdrawals.reduce((points, entry) => {
+          const withdrawn = (points.length ? points[points.length - 1].withdrawn : 0) + entry.netAmount;
+          points.push({ date: entry.date, remainingValue: entry.remainingValue, withdrawn: Math.round(withdrawn) });
+          return points;
+        }, [])
+      ]
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+          <Wallet className="mr-2 h-6 w-6 text-orange-600" />
+          Systematic Withdrawal Plan
+        </h2>
+        <p className="text-gray-600 mb-6">
+          Invest a corpus and replay regular withdrawals against real NAV history, with exit load and capital gains tax on every redemption.
+        </p>
+
+        {/* Funds */}
+        <div className="mb-6">
+          <FundAllocationPicker funds={funds} onChange={setFunds} />
+        </div>
+
+        {/* Corpus and dates */}
+        <div className="grid md:grid-cols-4 gap-6 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Initial Corpus
+            </label>
+            <div className="relative">
+              <span className="absolute left-3 top-2 text-gray-500">₹</span>
+              <input
+                type="number"
+                value={corpus}
+                onChange={(e) => setCorpus(e.target.value)}
+                className="w-full pl-8 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Investment Date
+            </label>
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              End Date (optional)
+            </label>
+            <input
+              type="date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+            />
+            <div className="text-xs text-gray-500 mt-1">Defaults to the latest NAV</div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Income Tax Slab
+            </label>
+            <div className="relative">
+              <input
+                type="number"
+                value={taxSlabRate}
+                onChange={(e) => setTaxSlabRate(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+                min="0"
+                max="50"
+              />
+              <span className="absolute right-3 top-2 text-gray-500 text-sm">%</span>
+            </div>
+          </div>
+        </div>
+
+        {/* Withdrawal plan */}
+        <div className="grid md:grid-cols-4 gap-6 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Frequency
+            </label>
+            <select
+              value={frequency}
+              onChange={(e) => setFrequency(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+            >
+              <option value="monthly">Monthly</option>
+              <option value="quarterly">Quarterly</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Withdrawal Type
+            </label>
+            <select
+              value={withdrawalType}
+              onChange={(e) => setWithdrawalType(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+            >
+              {WITHDRAWAL_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {withdrawalType === 'percentage' ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Withdrawal Rate
+              </label>
+              <div className="relative">
+                <input
+                  type="number"
+                  value={rate}
+                  onChange={(e) => setRate(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+                  min="0.1"
+                  max="100"
+                  step="0.1"
+                />
+                <span className="absolute right-3 top-2 text-gray-500 text-sm">% / yr</span>
+              </div>
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {frequency === 'monthly' ? 'Monthly' : 'Quarterly'} Withdrawal
+              </label>
+              <div className="relative">
+                <span className="absolute left-3 top-2 text-gray-500">₹</span>
+                <input
+                  type="number"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  className="w-full pl-8 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+                />
+              </div>
+            </div>
+          )}
+
+          {withdrawalType === 'inflation-indexed' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Yearly Increase
+              </label>
+              <div className="relative">
+                <input
+                  type="number"
+                  value={inflationRate}
+                  onChange={(e) => setInflationRate(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500"
+                  min="0"
+                  max="30"
+                  step="0.5"
+                />
+                <span className="absolute right-3 top-2 text-gray-500 text-sm">%</span>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <button
+          onClick={runSimulation}
+          disabled={funds.length === 0 || !isValidAllocation || loading}
+          className="w-full bg-orange-600 text-white py-3 px-6 rounded-lg hover:bg-orange-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium flex items-center justify-center"
+        >
+          {loading ? (
+            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+          ) : (
+            <Wallet className="mr-2 h-5 w-5" />
+          )}
+          {loading ? 'Simulating...' : 'Simulate Withdrawals'}
+        </button>
+
+        {error && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {error}
+          </div>
+        )}
+      </div>
+
+      {results && (
+        <div className="space-y-6">
+          {/* Summary Cards */}
+          <div className="grid md:grid-cols-4 gap-4">
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-sm font-medium text-gray-500 mb-2">Total Withdrawn</h3>
+              <div className="text-2xl font-bold text-blue-600">
+                {formatCurrency(results.summary.totalWithdrawn)}
+              </div>
+              <div className="text-sm text-gray-500">
+                {results.summary.withdrawals} withdrawals
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-sm font-medium text-gray-500 mb-2">Received After Costs</h3>
+              <div className="text-2xl font-bold text-green-600">
+                {formatCurrency(results.summary.netReceived)}
+              </div>
+              <div className="text-sm text-gray-500">
+                Tax {formatCurrency(results.summary.tax)} · Exit load {formatCurrency(results.summary.exitLoad)}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-sm font-medium text-gray-500 mb-2">Remaining Value</h3>
+              <div className={`text-2xl font-bold ${results.summary.depleted ? 'text-red-600' : 'text-purple-600'}`}>
+                {formatCurrency(results.summary.remainingValue)}
+              </div>
+              <div className="text-sm text-gray-500">
+                {results.summary.depleted
+                  ? `Depleted on ${results.summary.depletionDate} after ${results.summary.lastedMonths} months`
+                  : `As of ${results.summary.valuationDate}`}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-sm font-medium text-gray-500 mb-2">Annualized Return</h3>
+              <div className="text-2xl font-bold text-orange-600">
+                {results.summary.xirr !== null ? `${results.summary.xirr.toFixed(2)}%` : 'N/A'}
+              </div>
+              <div className="text-sm text-gray-500">
+                XIRR incl. withdrawals
+              </div>
+            </div>
+          </div>
+
+          {/* Corpus over time */}
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">Corpus Over Time</h3>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                  <YAxis tickFormatter={(value) => `₹${(value / 100000).toFixed(1)}L`} />
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Legend />
+                  <Line type="monotone" dataKey="remainingValue" name="Remaining Value" stroke="#8884d8" strokeWidth={2} dot={false} />
+                  <Line type="monotone" dataKey="withdrawn" name="Received (cumulative)" stroke="#ea580c" strokeWidth={2} dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* Withdrawal ledger */}
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h3 className="text-xl font-semibold text-gray-900 mb-4">Withdrawals</h3>
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="sticky top-0 bg-white">
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-2 px-3 font-medium text-gray-700">Date</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-700">Amount</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-700">Units Redeemed</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-700">Exit Load</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-700">Tax</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-700">Net</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-700">Remaining</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.withdrawals.map(entry => (
+                    <tr key={entry.scheduledDate} className="border-b border-gray-100">
+                      <td className="py-2 px-3">{entry.date}</td>
+                      <td className="py-2 px-3 text-right">{formatCurrency(entry.amount)}</td>
+                      <td className="py-2 px-3 text-right">
+                        {entry.redemptions.map(redemption => (
+                          <div key={redemption.schemeCode}>
+                            {redemption.units.toFixed(3)}
+                            {results.funds.length > 1 && (
+                              <span className="text-xs text-gray-500"> ({redemption.schemeCode})</span>
+                            )}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="py-2 px-3 text-right">{formatCurrency(entry.exitLoad)}</td>
+                      <td className="py-2 px-3 text-right">{formatCurrency(entry.tax)}</td>
+                      <td className="py-2 px-3 text-right font-medium">{formatCurrency(entry.netAmount)}</td>
+                      <td className="py-2 px-3 text-right">{formatCurrency(entry.remainingValue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">
+              Tax is the extra capital gains tax each redemption adds to its financial year at a {results.taxSlabRate}% slab, after set-off and the LTCG exemption.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SwpCalculator;
@@ -61,6 +61,20 @@ class ApiService {
     return response;
   }
 
+  // options: { windows: '1,3,5', thresholds, frequency, benchmarkIndex, from, to }
+  async getRollingReturns(schemeCode, options = {}) {
+    const params = new URLSearchParams(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+    const response = await this.makeRequest(`/funds/${schemeCode}/rolling-returns?${params}`);
+    return response;
+  }
+
+  // options: { period: '3y', from, to, benchmarkIndex, frequency, riskFreeRate }
+  async getFundRisk(schemeCode, options = {}) {
+    const params = new URLSearchParams(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+    const response = await this.makeRequest(`/funds/${schemeCode}/risk?${params}`);
+    return response;
+  }
+
   async comparePortfolios(comparisonData) {
     const response = await this.makeRequest('/compare', {
       method: 'POST',
@@ -94,8 +108,12 @@ class ApiService {
     return response.data;
   }
 
-  async getIndexHistory(indexKey, period = '1y') {
-    const response = await this.makeRequest(`/indices/${indexKey}/history?period=${period}`);
+  // periodOrRange: a preset like '1y' or { from, to } dates (YYYY-MM-DD)
+  async getIndexHistory(indexKey, periodOrRange = '1y') {
+    const params = typeof periodOrRange === 'object'
+      ? new URLSearchParams(Object.entries(periodOrRange).filter(([, value]) => value))
+      : new URLSearchParams({ period: periodOrRange });
+    const response = await this.makeRequest(`/indices/${indexKey}/history?${params}`);
     return response.data;
   }
 
@@ -146,6 +164,83 @@ class ApiService {
     return response;
   }
 
+  async getPortfolioPerformance(portfolioId, period = '1y', interval) {
+    const params = new URLSearchParams({ period });
+    if (interval) params.append('interval', interval);
+
+    const response = await this.makeRequest(`/portfolio/${portfolioId}/performance?${params.toString()}`);
+    return response;
+  }
+
+  // riskData: { funds: [{ schemeCode, name, allocation }], period, frequency }
+  async getPortfolioRisk(riskData) {
+    const response = await this.makeRequest('/portfolio/risk', {
+      method: 'POST',
+      body: JSON.stringify(riskData),
+    });
+    return response;
+  }
+
+  // optimizationData: { funds: [{ schemeCode, category?, allocation?, min?, max? }], categoryCaps?, period? }
+  async optimizePortfolio(optimizationData) {
+    const response = await this.makeRequest('/portfolio/optimize', {
+      method: 'POST',
+      body: JSON.stringify(optimizationData),
+    });
+    return response;
+  }
+
+  // backtestData: { funds: [{ schemeCode, allocation }], amount, startDate, endDate?, strategies?, taxSlabRate? }
+  async backtestRebalancing(backtestData) {
+    const response = await this.makeRequest('/portfolio/rebalance-backtest', {
+      method: 'POST',
+      body: JSON.stringify(backtestData),
+    });
+    return response;
+  }
+
+  // overlapData: { funds: [{ schemeCode, name?, allocation }], asOfDate? }
+  async getPortfolioOverlap(overlapData) {
+    const response = await this.makeRequest('/portfolio/overlap', {
+      method: 'POST',
+      body: JSON.stringify(overlapData),
+    });
+    return response;
+  }
+
+  // projectionData: { funds: [{ schemeCode, monthlyAmount?, lumpsum?, installments?, stepUp? }], months, targetAmount? }
+  async getPortfolioProjection(projectionData) {
+    const response = await this.makeRequest('/portfolio/projection', {
+      method: 'POST',
+      body: JSON.stringify(projectionData),
+    });
+    return response;
+  }
+
+  async calculateMultiFundSip(sipData) {
+    const response = await this.makeRequest('/portfolio/sip-calculator', {
+      method: 'POST',
+      body: JSON.stringify(sipData),
+    });
+    return response;
+  }
+
+  async calculateSwp(swpData) {
+    const response = await this.makeRequest('/swp', {
+      method: 'POST',
+      body: JSON.stringify(swpData),
+    });
+    return response;
+  }
+
+  async planGoal(goalData) {
+    const response = await this.makeRequest('/goal-plan', {
+      method: 'POST',
+      body: JSON.stringify(goalData),
+    });
+    return response;
+  }
+
 }
 
 // Export singleton instance
@@ -0,0 +1,59 @@
+// Step-up (top-up) SIP helpers. The schedule mirrors the backend: the installment rises by a percentage or a
+// fixed amount each year in the step-up month (default: the SIP's start month), never above the cap.
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const getDefaultStepUp = () => ({
+  enabled: false,
+  type: 'percentage',
+  value: '10',
+  month: '',
+  cap: ''
+});
+
+// Form state -> API payload ({ type, value, month?, cap? }), or null when step-up is off or incomplete
+export const toStepUpPayload = (stepUp) => {
+  const value = parseFloat(stepUp?.value);
+  if (!stepUp?.enabled || !(value > 0)) return null;
+
+  const cap = parseFloat(stepUp.cap);
+  return {
+    type: stepUp.type,
+    value,
+    ...(stepUp.month ? { month: parseInt(stepUp.month, 10) } : {}),
+    ...(cap > 0 ? { cap } : {})
+  };
+};
+
+// Installment for the SIP's nth month (0-based) given the API payload
+export const getStepUpInstallment = (amount, startDate, monthOffset, stepUp) => {
+  if (!stepUp) return amount;
+
+  const startMonth = new Date(startDate).getMonth();
+  const stepMonth = stepUp.month ? stepUp.month - 1 : startMonth;
+  const firstStep = ((stepMonth - startMonth) + 12) % 12 || 12;
+  const steps = monthOffset < firstStep ? 0 : Math.floor((monthOffset - firstStep) / 12) + 1;
+
+  const stepped = stepUp.type === 'amount'
+    ? amount + stepUp.value * steps
+    : amount * Math.pow(1 + stepUp.value / 100, steps);
+  return stepUp.cap ? Math.min(stepped, Math.max(stepUp.cap, amount)) : stepped;
+};
+
+export const getSipTotal = (amount, months, startDate, stepUp) => {
+  let total = 0;
+  for (let month = 0; month < months; month++) {
+    total += getStepUpInstallment(amount, startDate, month, stepUp);
+  }
+  return Math.round(total);
+};
+
+// A fund's share of a portfolio-level step-up: fixed top-ups and the cap scale with the allocation
+export const scaleStepUp = (stepUp, fraction) => {
+  if (!stepUp) return stepUp;
+  return {
+    ...stepUp,
+    value: stepUp.type === 'amount' ? stepUp.value * fraction : stepUp.value,
+    ...(stepUp.cap ? { cap: stepUp.cap * fraction } : {})
+  };
+};